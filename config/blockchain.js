@@ -1,21 +1,35 @@
 /**
  * Blockchain Configuration
- * Handles connections to Base L2 blockchain via ethers.js
+ * Handles connections to Base L2 blockchains via ethers.js
  */
 const { ethers } = require('ethers');
 const BazuuSaveABI = require('../contracts/BazuuSave.json').abi;
+const BazuuChamaABI = require('../contracts/BazuuChama.json').abi;
+const BazuuAchievementsABI = require('../contracts/BazuuAchievements.json').abi;
+const walletVault = require('../services/walletvault');
+const ProviderPool = require('../services/providerpool');
+const { DEFAULT_CHAIN_ID, getChain } = require('./chains');
 require('dotenv').config();
 
-// Environment variables for blockchain configuration
-const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://base-sepolia.g.alchemy.com/v2/Jk-Hl9K5MhwP0Hj7Mbb9rVAneQnk9Asi';
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || '0x38A757586055C9aC18C650Ea68EEfAaFEe935C6a';
+// Environment variables for blockchain configuration (per-chain settings live in ./chains)
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 
-// Create provider based on the Base L2 RPC URL
-const provider = new ethers.JsonRpcProvider(BASE_RPC_URL);
+// USDC contract ABI
+const USDC_ABI = [
+  // ERC20 standard functions
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  // EIP-2612 permit functions
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+];
 
-// Create signer from private key (for transactions that need signing)
-let signer;
+// Validate the server private key (for transactions that need signing)
+let formattedPrivateKey = null;
 try {
   if (!PRIVATE_KEY) {
     throw new Error('PRIVATE_KEY is not defined in environment variables');
@@ -24,83 +38,175 @@ try {
     throw new Error('Please replace the placeholder private key in your .env file with your actual private key');
   }
   // Add 0x prefix if not present
-  const formattedPrivateKey = PRIVATE_KEY.startsWith('0x') ? PRIVATE_KEY : `0x${PRIVATE_KEY}`;
-  signer = new ethers.Wallet(formattedPrivateKey, provider);
+  formattedPrivateKey = PRIVATE_KEY.startsWith('0x') ? PRIVATE_KEY : `0x${PRIVATE_KEY}`;
 } catch (error) {
   console.error('Error creating signer:', error.message);
   console.log('Running in read-only mode. Some features may be limited.');
-  signer = null;
 }
 
-// Create contract instance
-const bazuuSaveContract = new ethers.Contract(
-  CONTRACT_ADDRESS,
-  BazuuSaveABI,
-  signer || provider
-);
-
-// Read-only contract instance (for queries that don't need signing)
-const bazuuSaveContractReadOnly = new ethers.Contract(
-  CONTRACT_ADDRESS,
-  BazuuSaveABI,
-  provider
-);
-
-// USDC contract configuration (Base L2)
-const USDC_ADDRESS = process.env.USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-const USDC_ABI = [
-  // ERC20 standard functions
-  'function balanceOf(address owner) view returns (uint256)',
-  'function transfer(address to, uint256 amount) returns (bool)',
-  'function allowance(address owner, address spender) view returns (uint256)',
-  'function approve(address spender, uint256 amount) returns (bool)'
-];
+// Providers, signers and contracts per chain, created on first use
+const chainContexts = new Map();
+
+/**
+ * Get the provider, signer and contracts for a chain
+ * @param {number|string} chainId - Chain ID (defaults to the default chain)
+ * @returns {Object} Chain context
+ */
+const getChainContext = (chainId = DEFAULT_CHAIN_ID) => {
+  const key = Number(chainId);
+  if (chainContexts.has(key)) {
+    return chainContexts.get(key);
+  }
+
+  const chain = getChain(key);
 
-// USDC contract instance
-const usdcContract = new ethers.Contract(USDC_ADDRESS, USDC_ABI, signer || provider);
+  // Provider that fails over between the chain's RPC endpoints
+  const chainProvider = new ProviderPool(chain.rpcUrls, chain.chainId, {
+    timeout: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10),
+    maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '3', 10),
+    healthCheckInterval: parseInt(process.env.RPC_HEALTH_INTERVAL || '15000', 10)
+  });
+  const chainSigner = formattedPrivateKey ? new ethers.Wallet(formattedPrivateKey, chainProvider) : null;
 
-// Configure gas settings
-const gasSettings = {
-  maxFeePerGas: null,  // Will be populated at runtime based on network conditions
-  maxPriorityFeePerGas: null,  // Will be populated at runtime based on network conditions
-  gasLimit: 300000  // Default gas limit, can be overridden in specific transactions
+  const context = {
+    chain,
+    provider: chainProvider,
+    signer: chainSigner,
+    bazuuSaveContract: new ethers.Contract(chain.contractAddress, BazuuSaveABI, chainSigner || chainProvider),
+    // Read-only contract instance (for queries that don't need signing)
+    bazuuSaveContractReadOnly: new ethers.Contract(chain.contractAddress, BazuuSaveABI, chainProvider),
+    usdcContract: chain.usdcAddress
+      ? new ethers.Contract(chain.usdcAddress, USDC_ABI, chainSigner || chainProvider)
+      : null,
+    // Savings group contract, on chains where it has been deployed
+    chamaContract: chain.chamaAddress
+      ? new ethers.Contract(chain.chamaAddress, BazuuChamaABI, chainSigner || chainProvider)
+      : null,
+    chamaContractReadOnly: chain.chamaAddress
+      ? new ethers.Contract(chain.chamaAddress, BazuuChamaABI, chainProvider)
+      : null,
+    // Soulbound achievement badges, minted by the backend signer
+    achievementsContract: chain.achievementsAddress
+      ? new ethers.Contract(chain.achievementsAddress, BazuuAchievementsABI, chainSigner || chainProvider)
+      : null
+  };
+
+  chainContexts.set(key, context);
+  return context;
 };
 
+// Default chain instances used throughout the app
+const {
+  chain: defaultChain,
+  provider,
+  signer,
+  bazuuSaveContract,
+  bazuuSaveContractReadOnly,
+  usdcContract,
+  chamaContract,
+  chamaContractReadOnly
+} = getChainContext();
+const USDC_ADDRESS = defaultChain.usdcAddress;
+
 // Function to get current gas prices
 const getGasPrices = async () => {
-  try {
-    const feeData = await provider.getFeeData();
-    return {
-      maxFeePerGas: feeData.maxFeePerGas,
-      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
-    };
-  } catch (error) {
-    console.error('Error fetching gas prices:', error);
-    return {
-      maxFeePerGas: ethers.parseUnits('0.1', 'gwei'),
-      maxPriorityFeePerGas: ethers.parseUnits('0.1', 'gwei')
-    };
-  }
+  const feeData = await provider.getFeeData();
+  return {
+    maxFeePerGas: feeData.maxFeePerGas,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+  };
 };
 
-// Function to create transaction options with current gas prices
+// Function to create transaction options with current gas prices; the gas limit is left
+// to estimation unless overridden
 const createTxOptions = async (overrides = {}) => {
   const gasPrices = await getGasPrices();
   return {
-    ...gasSettings,
     maxFeePerGas: gasPrices.maxFeePerGas,
     maxPriorityFeePerGas: gasPrices.maxPriorityFeePerGas,
     ...overrides
   };
 };
 
+// EIP-1967 storage slot where the BazuuSave proxy keeps its implementation address
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+/**
+ * Read the implementation BazuuSave's proxy points at and remember it on the chain context
+ * @param {number} chainId - Chain ID (defaults to the default chain)
+ * @returns {Promise<string|null>} Implementation address, or null if BazuuSave is not behind a proxy
+ */
+const refreshImplementation = async (chainId = DEFAULT_CHAIN_ID) => {
+  const context = getChainContext(chainId);
+  const slot = await context.provider.getStorage(context.chain.contractAddress, IMPLEMENTATION_SLOT);
+  const implementation = BigInt(slot) === 0n ? null : ethers.getAddress(ethers.dataSlice(slot, 12));
+
+  if (context.implementation !== undefined && context.implementation !== implementation) {
+    console.log(`BazuuSave on chain ${context.chain.chainId} now uses implementation ${implementation}`);
+  }
+
+  context.implementation = implementation;
+  return implementation;
+};
+
+/**
+ * Get BazuuSave's current implementation address, reading it on first use
+ * @param {number} chainId - Chain ID (defaults to the default chain)
+ * @returns {Promise<string|null>} Implementation address, or null if BazuuSave is not behind a proxy
+ */
+const getImplementationAddress = async (chainId = DEFAULT_CHAIN_ID) => {
+  const context = getChainContext(chainId);
+  return context.implementation !== undefined ? context.implementation : refreshImplementation(chainId);
+};
+
+/**
+ * Get a signer for a user whose wallet is held by the vault
+ * @param {Object} user - User document
+ * @param {number} chainId - Chain the signer sends on (default chain if omitted)
+ * @returns {ethers.Signer|null} Vault signer, or null for self-custody users
+ */
+const getUserSigner = (user, chainId = DEFAULT_CHAIN_ID) => {
+  return walletVault.isCustodial(user)
+    ? walletVault.getSigner(user, getChainContext(chainId).provider)
+    : null;
+};
+
+/**
+ * Get the BazuuSave contract connected to a custodial user's vault signer
+ * @param {Object} user - User document
+ * @returns {ethers.Contract|null} Contract instance, or null for self-custody users
+ */
+const getUserContract = (user) => {
+  const userSigner = getUserSigner(user);
+  return userSigner ? bazuuSaveContract.connect(userSigner) : null;
+};
+
+/**
+ * Get the BazuuChama contract connected to a custodial user's vault signer
+ * @param {Object} user - User document
+ * @returns {ethers.Contract|null} Contract instance, or null for self-custody users or without a deployment
+ */
+const getUserChamaContract = (user) => {
+  const userSigner = getUserSigner(user);
+  return userSigner && chamaContract ? chamaContract.connect(userSigner) : null;
+};
+
 module.exports = {
   provider,
   signer,
   bazuuSaveContract,
   bazuuSaveContractReadOnly,
   usdcContract,
+  chamaContract,
+  chamaContractReadOnly,
   USDC_ADDRESS,
+  DEFAULT_CHAIN_ID,
+  getChainContext,
+  getImplementationAddress,
+  refreshImplementation,
   createTxOptions,
-  getGasPrices
+  getGasPrices,
+  getUserSigner,
+  getUserContract,
+  getUserChamaContract
 };
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Chain Registry
+ * Deployment details for every chain BazuuSave runs on. The same build serves
+ * staging (Base Sepolia) and production (Base mainnet); CHAIN_ID picks the default
+ * chain and CHAIN_IDS lists every chain this instance indexes.
+ * Addresses written by scripts/deploy.js to config/deployments/<chainId>.json
+ * override the defaults below; environment variables override both.
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Deployment records written by scripts/deploy.js
+const DEPLOYMENTS_DIR = path.join(__dirname, 'deployments');
+
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID || '84532', 10);
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} value - Environment value
+ * @returns {Array<string>|null} List, or null if unset
+ */
+const parseList = (value) => {
+  if (!value) {
+    return null;
+  }
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+/**
+ * Read an optional integer from the environment
+ * @param {string} value - Environment value
+ * @returns {number|undefined} Parsed value
+ */
+const parseOptionalInt = (value) => {
+  return value === undefined || value === '' ? undefined : parseInt(value, 10);
+};
+
+/**
+ * Read the deployment record for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} Deployment record, or null if the chain has not been deployed to
+ */
+const readDeployment = (chainId) => {
+  const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Write the deployment record for a chain
+ * @param {Object} deployment - Deployment record (chainId, contractAddress, usdcAddress, deploymentBlock, ...)
+ * @returns {string} Path of the written file
+ */
+const saveDeployment = (deployment) => {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${deployment.chainId}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(deployment, null, 2)}\n`);
+  return file;
+};
+
+/**
+ * Apply per-chain environment overrides, e.g. BASE_SEPOLIA_CONTRACT_ADDRESS.
+ * The unprefixed variables (BASE_RPC_URLS, CONTRACT_ADDRESS, USDC_ADDRESS, CHAMA_CONTRACT_ADDRESS,
+ * ACHIEVEMENTS_CONTRACT_ADDRESS, CONTRACT_DEPLOYMENT_BLOCK, CHAMA_DEPLOYMENT_BLOCK, INDEXER_CONFIRMATIONS)
+ * still apply to the default chain.
+ * @param {Object} chain - Registry entry
+ * @returns {Object} Chain configuration
+ */
+const withOverrides = (chain) => {
+  const deployment = readDeployment(chain.chainId) || {};
+  const env = (name) => process.env[`${chain.envPrefix}_${name}`];
+  const legacy = (name) => (chain.chainId === DEFAULT_CHAIN_ID ? process.env[name] : undefined);
+
+  const rpcUrls = parseList(env('RPC_URLS')) ||
+    parseList(legacy('BASE_RPC_URLS')) ||
+    parseList(legacy('BASE_RPC_URL')) ||
+    chain.rpcUrls;
+
+  return {
+    ...chain,
+    rpcUrls,
+    contractAddress: env('CONTRACT_ADDRESS') ||
+      legacy('CONTRACT_ADDRESS') ||
+      deployment.contractAddress ||
+      chain.contractAddress,
+    // Implementation recorded at deployment; upgrades are followed on-chain (config/blockchain.js)
+    implementationAddress: deployment.implementationAddress || null,
+    usdcAddress: env('USDC_ADDRESS') ||
+      legacy('USDC_ADDRESS') ||
+      deployment.usdcAddress ||
+      chain.usdcAddress,
+    mockUsdc: Boolean(deployment.mockUsdc),
+    chamaAddress: env('CHAMA_ADDRESS') ||
+      legacy('CHAMA_CONTRACT_ADDRESS') ||
+      deployment.chamaAddress ||
+      chain.chamaAddress,
+    chamaDeploymentBlock: parseOptionalInt(env('CHAMA_DEPLOYMENT_BLOCK')) ??
+      parseOptionalInt(legacy('CHAMA_DEPLOYMENT_BLOCK')) ??
+      deployment.chamaDeploymentBlock ??
+      chain.chamaDeploymentBlock,
+    achievementsAddress: env('ACHIEVEMENTS_ADDRESS') ||
+      legacy('ACHIEVEMENTS_CONTRACT_ADDRESS') ||
+      deployment.achievementsAddress ||
+      chain.achievementsAddress,
+    deploymentBlock: parseOptionalInt(env('DEPLOYMENT_BLOCK')) ??
+      parseOptionalInt(legacy('CONTRACT_DEPLOYMENT_BLOCK')) ??
+      deployment.deploymentBlock ??
+      chain.deploymentBlock,
+    ethUsdFeed: env('ETH_USD_FEED') || chain.ethUsdFeed,
+    uniswap: chain.uniswap && {
+      factory: env('UNISWAP_FACTORY') || chain.uniswap.factory,
+      swapRouter: env('UNISWAP_SWAP_ROUTER') || chain.uniswap.swapRouter,
+      quoter: env('UNISWAP_QUOTER') || chain.uniswap.quoter,
+      weth: chain.uniswap.weth
+    },
+    confirmations: parseOptionalInt(env('CONFIRMATIONS')) ??
+      parseOptionalInt(legacy('INDEXER_CONFIRMATIONS')) ??
+      chain.confirmations
+  };
+};
+
+// Known chains and their defaults
+const REGISTRY = {
+  8453: {
+    chainId: 8453,
+    name: 'Base',
+    envPrefix: 'BASE_MAINNET',
+    rpcUrls: ['https://mainnet.base.org'],
+    contractAddress: null,
+    usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    deploymentBlock: null,
+    chamaAddress: null,
+    chamaDeploymentBlock: null,
+    achievementsAddress: null,
+    ethUsdFeed: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+    uniswap: {
+      factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+      swapRouter: '0x2626664c2603336E57B271c5C0b26F421741e481',
+      quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+      weth: '0x4200000000000000000000000000000000000006'
+    },
+    l1GasPriceOracle: '0x420000000000000000000000000000000000000F',
+    confirmations: 10,
+    explorerUrl: 'https://basescan.org'
+  },
+  84532: {
+    chainId: 84532,
+    name: 'Base Sepolia',
+    envPrefix: 'BASE_SEPOLIA',
+    rpcUrls: ['https://sepolia.base.org'],
+    contractAddress: '0x38A757586055C9aC18C650Ea68EEfAaFEe935C6a',
+    usdcAddress: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    deploymentBlock: null,
+    chamaAddress: null,
+    chamaDeploymentBlock: null,
+    achievementsAddress: null,
+    ethUsdFeed: '0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1',
+    uniswap: {
+      factory: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+      swapRouter: '0x94cC0AaC535CCDB3C01d6787D6413C739ae12bc4',
+      quoter: '0xC5290058841028F1614F3A6F0F5816cAd0df5E27',
+      weth: '0x4200000000000000000000000000000000000006'
+    },
+    l1GasPriceOracle: '0x420000000000000000000000000000000000000F',
+    confirmations: 5,
+    explorerUrl: 'https://sepolia.basescan.org'
+  },
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat',
+    envPrefix: 'HARDHAT',
+    rpcUrls: ['http://127.0.0.1:8545'],
+    contractAddress: null,
+    usdcAddress: null,
+    deploymentBlock: 0,
+    chamaAddress: null,
+    chamaDeploymentBlock: 0,
+    achievementsAddress: null,
+    ethUsdFeed: null,
+    uniswap: null,
+    l1GasPriceOracle: null,
+    confirmations: 0,
+    explorerUrl: null
+  }
+};
+
+const CHAINS = Object.fromEntries(
+  Object.values(REGISTRY).map((chain) => [chain.chainId, withOverrides(chain)])
+);
+
+// Chains this instance serves; the default chain is always included
+const ENABLED_CHAIN_IDS = [...new Set([
+  DEFAULT_CHAIN_ID,
+  ...(parseList(process.env.CHAIN_IDS) || []).map((chainId) => parseInt(chainId, 10))
+])];
+
+/**
+ * Get the configuration for a chain
+ * @param {number|string} chainId - Chain ID (defaults to the default chain)
+ * @returns {Object} Chain configuration
+ */
+const getChain = (chainId = DEFAULT_CHAIN_ID) => {
+  const chain = CHAINS[Number(chainId)];
+  if (!chain) {
+    throw new Error(`Unsupported chain: ${chainId}`);
+  }
+  if (!chain.contractAddress) {
+    throw new Error(`BazuuSave is not deployed on ${chain.name} (${chain.chainId})`);
+  }
+  return chain;
+};
+
+/**
+ * Check whether this instance serves a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {boolean} True if enabled
+ */
+const isChainEnabled = (chainId) => {
+  return ENABLED_CHAIN_IDS.includes(Number(chainId));
+};
+
+/**
+ * Get the block explorer link for a transaction
+ * @param {number|string} chainId - Chain ID
+ * @param {string} txHash - Transaction hash
+ * @returns {string|null} Explorer URL, or null for chains without an explorer
+ */
+const getExplorerTxUrl = (chainId, txHash) => {
+  const chain = CHAINS[Number(chainId)];
+  return chain && chain.explorerUrl ? `${chain.explorerUrl}/tx/${txHash}` : null;
+};
+
+module.exports = {
+  DEFAULT_CHAIN_ID,
+  ENABLED_CHAIN_IDS,
+  CHAINS,
+  getChain,
+  isChainEnabled,
+  getExplorerTxUrl,
+  readDeployment,
+  saveDeployment
+};
@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+// Soulbound badges for savings achievements (completed goals and challenges), minted by
+// the backend. Tokens stay with the wallet they were minted to, as in ERC-5192.
+contract BazuuAchievements is ERC721, AccessControl {
+    using Strings for uint256;
+
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    // ERC-5192 minimal soulbound interface
+    bytes4 private constant ERC5192_INTERFACE_ID = 0xb45a3c0e;
+
+    // Metadata is served by the backend at baseURI + tokenId + "/metadata"
+    string public baseURI;
+
+    // Each achievement is minted once; token IDs start at 1 so 0 means not minted
+    mapping(bytes32 => uint256) public achievementTokens;
+    mapping(uint256 => bytes32) public tokenAchievements;
+    uint256 public totalSupply;
+
+    // Events
+    event Locked(uint256 tokenId);
+    event AchievementMinted(address indexed to, uint256 indexed tokenId, bytes32 indexed achievementKey);
+    event BaseURIUpdated(string baseURI);
+
+    constructor(string memory initialBaseURI) ERC721("Bazuu Achievements", "BAZUU") {
+        baseURI = initialBaseURI;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+    }
+
+    // Mint the badge for an achievement; the key identifies the goal or challenge it is for
+    function mint(address to, bytes32 achievementKey) external onlyRole(MINTER_ROLE) returns (uint256 tokenId) {
+        require(achievementKey != bytes32(0), "Invalid achievement");
+        require(achievementTokens[achievementKey] == 0, "Achievement already minted");
+
+        tokenId = ++totalSupply;
+        achievementTokens[achievementKey] = tokenId;
+        tokenAchievements[tokenId] = achievementKey;
+        _mint(to, tokenId);
+
+        emit Locked(tokenId);
+        emit AchievementMinted(to, tokenId, achievementKey);
+    }
+
+    function setBaseURI(string calldata newBaseURI) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        baseURI = newBaseURI;
+        emit BaseURIUpdated(newBaseURI);
+    }
+
+    // Every minted badge is locked to its owner (ERC-5192)
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return true;
+    }
+
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return string.concat(baseURI, tokenId.toString(), "/metadata");
+    }
+
+    // Badges can be minted but never transferred or burned
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        require(_ownerOf(tokenId) == address(0), "Achievements are soulbound");
+        return super._update(to, tokenId, auth);
+    }
+
+    function approve(address, uint256) public pure override {
+        revert("Achievements are soulbound");
+    }
+
+    function setApprovalForAll(address, bool) public pure override {
+        revert("Achievements are soulbound");
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, AccessControl) returns (bool) {
+        return interfaceId == ERC5192_INTERFACE_ID || super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,286 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+// Rotating savings groups (chamas / merry-go-rounds): every member contributes a fixed
+// amount each cycle and the pot is paid to one member per round in a pre-agreed order
+contract BazuuChama is ReentrancyGuard {
+    // USDC token contract
+    IERC20 public usdcToken;
+
+    // Limits that keep per-round loops bounded
+    uint256 public constant MIN_MEMBERS = 2;
+    uint256 public constant MAX_MEMBERS = 50;
+    uint256 public constant MIN_CYCLE_DURATION_DAYS = 1;
+    uint256 public constant MAX_CYCLE_DURATION_DAYS = 90;
+
+    enum GroupStatus { Open, Active, Completed, Cancelled }
+
+    // Group structure; members are paid out in the order of the members list
+    struct Group {
+        uint256 id;
+        address creator;
+        string name;
+        uint256 contributionAmount;
+        uint256 cycleDuration;
+        uint256 maxMembers;
+        uint256 startTime;
+        uint256 currentRound;
+        GroupStatus status;
+    }
+
+    // Groups
+    mapping(uint256 => Group) public groups;
+    uint256 public groupCount;
+
+    // Group members in payout order
+    mapping(uint256 => address[]) internal groupMembers;
+    mapping(uint256 => mapping(address => bool)) public isMember;
+
+    // Contributions per group, round and member
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasContributed;
+    mapping(uint256 => mapping(uint256 => uint256)) public roundTotals;
+
+    // Missed contributions per member: all missed rounds, and those still unpaid
+    mapping(uint256 => mapping(address => uint256)) public missedPayments;
+    mapping(uint256 => mapping(address => uint256)) public arrears;
+
+    // Events
+    event GroupCreated(uint256 indexed groupId, address indexed creator, string name, uint256 contributionAmount, uint256 cycleDuration, uint256 maxMembers);
+    event MemberJoined(uint256 indexed groupId, address indexed member);
+    event MemberLeft(uint256 indexed groupId, address indexed member);
+    event PayoutOrderSet(uint256 indexed groupId, address[] members);
+    event GroupStarted(uint256 indexed groupId, uint256 startTime);
+    event ContributionMade(uint256 indexed groupId, address indexed member, uint256 round, uint256 amount);
+    event PaymentMissed(uint256 indexed groupId, address indexed member, uint256 round);
+    event ArrearsPaid(uint256 indexed groupId, address indexed member, uint256 round, address recipient, uint256 amount);
+    event PayoutMade(uint256 indexed groupId, address indexed recipient, uint256 round, uint256 amount);
+    event GroupCompleted(uint256 indexed groupId);
+    event GroupCancelled(uint256 indexed groupId);
+
+    constructor(address _usdcToken) {
+        usdcToken = IERC20(_usdcToken);
+    }
+
+    // Create a group; the creator is its first member
+    function createGroup(
+        string calldata name,
+        uint256 contributionAmount,
+        uint256 cycleDurationInDays,
+        uint256 maxMembers
+    ) external returns (uint256) {
+        require(contributionAmount > 0, "Contribution must be greater than zero");
+        require(
+            cycleDurationInDays >= MIN_CYCLE_DURATION_DAYS && cycleDurationInDays <= MAX_CYCLE_DURATION_DAYS,
+            "Invalid cycle duration"
+        );
+        require(maxMembers >= MIN_MEMBERS && maxMembers <= MAX_MEMBERS, "Invalid member limit");
+
+        uint256 groupId = groupCount++;
+        groups[groupId] = Group({
+            id: groupId,
+            creator: msg.sender,
+            name: name,
+            contributionAmount: contributionAmount,
+            cycleDuration: cycleDurationInDays * 1 days,
+            maxMembers: maxMembers,
+            startTime: 0,
+            currentRound: 0,
+            status: GroupStatus.Open
+        });
+
+        emit GroupCreated(groupId, msg.sender, name, contributionAmount, cycleDurationInDays * 1 days, maxMembers);
+
+        _addMember(groupId, msg.sender);
+        return groupId;
+    }
+
+    // Join an open group
+    function joinGroup(uint256 groupId) external {
+        Group storage group = _getGroup(groupId);
+        require(group.status == GroupStatus.Open, "Group is not open");
+        require(!isMember[groupId][msg.sender], "Already a member");
+        require(groupMembers[groupId].length < group.maxMembers, "Group is full");
+
+        _addMember(groupId, msg.sender);
+    }
+
+    // Leave a group before it starts; the creator cancels instead
+    function leaveGroup(uint256 groupId) external {
+        Group storage group = _getGroup(groupId);
+        require(group.status == GroupStatus.Open, "Group is not open");
+        require(isMember[groupId][msg.sender], "Not a member");
+        require(msg.sender != group.creator, "Creator cannot leave, cancel the group instead");
+
+        address[] storage members = groupMembers[groupId];
+        for (uint256 i = 0; i < members.length; i++) {
+            if (members[i] == msg.sender) {
+                // Keep the agreed order for everyone else
+                for (uint256 j = i; j + 1 < members.length; j++) {
+                    members[j] = members[j + 1];
+                }
+                members.pop();
+                break;
+            }
+        }
+        isMember[groupId][msg.sender] = false;
+
+        emit MemberLeft(groupId, msg.sender);
+    }
+
+    // Set the payout order before the group starts; must list every member once
+    function setPayoutOrder(uint256 groupId, address[] calldata order) external {
+        Group storage group = _getGroup(groupId);
+        require(msg.sender == group.creator, "Only the creator can set the payout order");
+        require(group.status == GroupStatus.Open, "Group is not open");
+
+        address[] storage members = groupMembers[groupId];
+        require(order.length == members.length, "Order must list every member");
+
+        for (uint256 i = 0; i < order.length; i++) {
+            require(isMember[groupId][order[i]], "Order contains a non-member");
+            for (uint256 j = 0; j < i; j++) {
+                require(order[j] != order[i], "Order contains a duplicate");
+            }
+            members[i] = order[i];
+        }
+
+        emit PayoutOrderSet(groupId, order);
+    }
+
+    // Start the first round
+    function startGroup(uint256 groupId) external {
+        Group storage group = _getGroup(groupId);
+        require(msg.sender == group.creator, "Only the creator can start the group");
+        require(group.status == GroupStatus.Open, "Group is not open");
+        require(groupMembers[groupId].length >= MIN_MEMBERS, "Not enough members");
+
+        group.status = GroupStatus.Active;
+        group.startTime = block.timestamp;
+
+        emit GroupStarted(groupId, block.timestamp);
+    }
+
+    // Cancel a group that has not started
+    function cancelGroup(uint256 groupId) external {
+        Group storage group = _getGroup(groupId);
+        require(msg.sender == group.creator, "Only the creator can cancel the group");
+        require(group.status == GroupStatus.Open, "Group is not open");
+
+        group.status = GroupStatus.Cancelled;
+
+        emit GroupCancelled(groupId);
+    }
+
+    // Pay this round's contribution into the pot
+    function contribute(uint256 groupId) external nonReentrant {
+        Group storage group = _getGroup(groupId);
+        require(group.status == GroupStatus.Active, "Group is not active");
+        require(isMember[groupId][msg.sender], "Not a member");
+
+        uint256 round = group.currentRound;
+        require(!hasContributed[groupId][round][msg.sender], "Already contributed this round");
+
+        hasContributed[groupId][round][msg.sender] = true;
+        roundTotals[groupId][round] += group.contributionAmount;
+
+        require(usdcToken.transferFrom(msg.sender, address(this), group.contributionAmount), "Transfer failed");
+
+        emit ContributionMade(groupId, msg.sender, round, group.contributionAmount);
+    }
+
+    // Pay out the current round once everyone has contributed or the round has ended;
+    // members who did not contribute are recorded as missing the payment
+    function payout(uint256 groupId) external nonReentrant {
+        Group storage group = _getGroup(groupId);
+        require(group.status == GroupStatus.Active, "Group is not active");
+
+        uint256 round = group.currentRound;
+        address[] storage members = groupMembers[groupId];
+        bool everyonePaid = roundTotals[groupId][round] == group.contributionAmount * members.length;
+        require(everyonePaid || block.timestamp >= _roundDeadline(group, round), "Round is still open");
+
+        for (uint256 i = 0; i < members.length; i++) {
+            if (!hasContributed[groupId][round][members[i]]) {
+                missedPayments[groupId][members[i]]++;
+                arrears[groupId][members[i]]++;
+                emit PaymentMissed(groupId, members[i], round);
+            }
+        }
+
+        address recipient = members[round];
+        uint256 amount = roundTotals[groupId][round];
+
+        group.currentRound++;
+        if (group.currentRound == members.length) {
+            group.status = GroupStatus.Completed;
+        }
+
+        if (amount > 0) {
+            require(usdcToken.transfer(recipient, amount), "Transfer failed");
+        }
+
+        emit PayoutMade(groupId, recipient, round, amount);
+
+        if (group.status == GroupStatus.Completed) {
+            emit GroupCompleted(groupId);
+        }
+    }
+
+    // Pay a missed contribution straight to the member who was paid out that round
+    function payArrears(uint256 groupId, uint256 round) external nonReentrant {
+        Group storage group = _getGroup(groupId);
+        require(isMember[groupId][msg.sender], "Not a member");
+        require(round < group.currentRound, "Round has not been paid out");
+        require(!hasContributed[groupId][round][msg.sender], "Already contributed this round");
+
+        address recipient = groupMembers[groupId][round];
+        hasContributed[groupId][round][msg.sender] = true;
+        arrears[groupId][msg.sender]--;
+
+        require(usdcToken.transferFrom(msg.sender, recipient, group.contributionAmount), "Transfer failed");
+
+        emit ArrearsPaid(groupId, msg.sender, round, recipient, group.contributionAmount);
+    }
+
+    function _getGroup(uint256 groupId) internal view returns (Group storage) {
+        require(groupId < groupCount, "Group not found");
+        return groups[groupId];
+    }
+
+    function _addMember(uint256 groupId, address member) internal {
+        groupMembers[groupId].push(member);
+        isMember[groupId][member] = true;
+        emit MemberJoined(groupId, member);
+    }
+
+    function _roundDeadline(Group storage group, uint256 round) internal view returns (uint256) {
+        return group.startTime + (round + 1) * group.cycleDuration;
+    }
+
+    // Get group details
+    function getGroup(uint256 groupId) external view returns (Group memory) {
+        return _getGroup(groupId);
+    }
+
+    // Get group members in payout order
+    function getMembers(uint256 groupId) external view returns (address[] memory) {
+        return groupMembers[groupId];
+    }
+
+    // Get the member paid out in the current round
+    function getCurrentRecipient(uint256 groupId) external view returns (address) {
+        Group storage group = _getGroup(groupId);
+        require(group.status == GroupStatus.Active, "Group is not active");
+        return groupMembers[groupId][group.currentRound];
+    }
+
+    // Get the time the current round can be paid out even if contributions are missing
+    function getRoundDeadline(uint256 groupId) external view returns (uint256) {
+        Group storage group = _getGroup(groupId);
+        require(group.status == GroupStatus.Active, "Group is not active");
+        return _roundDeadline(group, group.currentRound);
+    }
+}
@@ -1,14 +1,54 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.17;
+pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 
-contract BazuuSave is Ownable, ReentrancyGuard {
+// Deployed behind an ERC-1967 proxy (BazuuSaveProxy) and upgraded in place (UUPS). Only add
+// state at the end of the layout, taking the slots from __gap.
+contract BazuuSave is Initializable, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuard, UUPSUpgradeable {
+    // Admins manage loan terms, penalties and the yield strategy; pausers stop new deposits;
+    // the treasury role moves the fee recipient. DEFAULT_ADMIN_ROLE grants and revokes roles.
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    
     // USDC token contract
     IERC20 public usdcToken;
     
+    // Early goal release penalty, in basis points of the goal amount
+    uint256 public constant MAX_EARLY_RELEASE_PENALTY_BPS = 2000;
+    uint256 public earlyReleasePenaltyBps;
+    
+    // Address that receives early release penalties and loan interest
+    address public treasury;
+    
+    // Loan terms: the share of savings that can be borrowed, and the yearly interest rate
+    uint256 public constant MAX_LOAN_TO_VALUE_BPS = 8000;
+    uint256 public constant MAX_LOAN_INTEREST_RATE_BPS = 2000;
+    uint256 public constant MAX_LOAN_DURATION_DAYS = 365;
+    uint256 public constant LOAN_GRACE_PERIOD = 7 days;
+    uint256 public loanToValueBps;
+    uint256 public loanInterestRateBps;
+    
+    // Yield strategy: an ERC-4626 vault that idle savings are invested in
+    IERC4626 public strategy;
+    uint256 public constant MIN_LIQUIDITY_BUFFER_BPS = 500;
+    uint256 public liquidityBufferBps;
+    
+    // USDC owed to savers that is held by the strategy, including harvested yield
+    uint256 public strategyAssets;
+    
+    // Yield earned per unit of savings balance, scaled by 1e18
+    uint256 public constant YIELD_INDEX_SCALE = 1e18;
+    uint256 public yieldIndex;
+    
     // Goal structure
     struct Goal {
         uint256 id;
@@ -18,57 +58,204 @@ contract BazuuSave is Ownable, ReentrancyGuard {
         uint256 currentAmount;
         uint256 deadline;
         bool completed;
+        bool released;
+    }
+    
+    enum LoanStatus { None, Active, Repaid, Liquidated }
+    
+    enum MemberStatus { None, Invited, Member }
+    
+    // Who can claim a user's funds once they have been inactive for inactivityPeriod seconds
+    struct Beneficiary {
+        address account;
+        uint48 inactivityPeriod;
+        uint48 lastActivity;
+    }
+    
+    // Loan structure; the collateral is taken out of the borrower's balance until repaid
+    struct Loan {
+        uint256 id;
+        address borrower;
+        uint256 principal;
+        uint256 interest;
+        uint256 collateral;
+        uint256 repaidAmount;
+        uint256 dueDate;
+        LoanStatus status;
     }
     
     // User balances
     mapping(address => uint256) public userBalances;
+    uint256 public totalUserBalances;
+    
+    // Yield index each user was last credited at, and their total credited yield
+    mapping(address => uint256) public userYieldIndex;
+    mapping(address => uint256) public totalYieldEarned;
     
     // User goals
-    mapping(address => mapping(uint256 => Goal)) public userGoals;
+    mapping(address => mapping(uint256 => Goal)) internal userGoals;
     mapping(address => uint256) public userGoalCounts;
     
+    // User loans; only the latest loan can be active
+    mapping(address => mapping(uint256 => Loan)) internal userLoans;
+    mapping(address => uint256) public userLoanCounts;
+    
+    // Migration from a previous deployment: while open, admins seed balances and goals
+    bool public migrationOpen;
+    uint256 public migratedGoalFunds;
+    
+    // Shared goals: a goal's owner invites members, who contribute from their own balance once
+    // they accept. Member contributions are tracked so they can be refunded if the goal is broken.
+    uint256 public constant MAX_GOAL_MEMBERS = 20;
+    uint256 public constant MAX_GOAL_CONTRIBUTORS = 50;
+    mapping(address => mapping(uint256 => mapping(address => MemberStatus))) public goalMemberStatus;
+    mapping(address => mapping(uint256 => uint256)) public goalMemberCounts;
+    mapping(address => mapping(uint256 => address[])) internal goalContributors;
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public goalContributions;
+    
+    // Beneficiary nominations: a dead-man's switch that any interaction with the contract resets
+    uint256 public constant MIN_INACTIVITY_PERIOD = 90 days;
+    uint256 public constant MAX_INACTIVITY_PERIOD = 3650 days;
+    mapping(address => Beneficiary) public beneficiaries;
+    
+    // Reserved slots for state added by later versions
+    uint256[43] private __gap;
+    
     // Events
     event Deposited(address indexed user, uint256 amount);
     event Withdrawn(address indexed user, uint256 amount);
     event GoalCreated(address indexed user, uint256 goalId, string name, uint256 targetAmount);
     event GoalContributed(address indexed user, uint256 goalId, uint256 amount);
     event GoalCompleted(address indexed user, uint256 goalId);
+    event GoalReleased(address indexed user, uint256 goalId, uint256 amount);
+    event GoalBroken(address indexed user, uint256 goalId, uint256 amount, uint256 penalty);
+    event TreasuryUpdated(address treasury);
+    event EarlyReleasePenaltyUpdated(uint256 penaltyBps);
+    event LoanRequested(address indexed user, uint256 loanId, uint256 principal, uint256 interest, uint256 collateral, uint256 dueDate);
+    event LoanRepaid(address indexed user, uint256 loanId, uint256 amount, uint256 outstanding);
+    event LoanLiquidated(address indexed user, uint256 loanId, uint256 seized, uint256 returned);
+    event LoanTermsUpdated(uint256 loanToValueBps, uint256 interestRateBps);
+    event StrategyUpdated(address strategy);
+    event LiquidityBufferUpdated(uint256 bufferBps);
+    event StrategyRebalanced(uint256 invested, uint256 divested);
+    event YieldHarvested(uint256 profit, uint256 yieldIndex);
+    event YieldCredited(address indexed user, uint256 amount);
+    event EmergencyExit(address indexed user, uint256 amount);
+    event BalanceSeeded(address indexed user, uint256 amount);
+    event GoalsSeeded(address indexed user, uint256 goalCount, uint256 amount);
+    event MigrationClosed(uint256 totalBalances, uint256 goalFunds);
+    event GoalMemberInvited(address indexed user, uint256 goalId, address indexed member);
+    event GoalMemberJoined(address indexed user, uint256 goalId, address indexed member);
+    event GoalMemberRemoved(address indexed user, uint256 goalId, address indexed member);
+    event GoalMemberContributed(address indexed user, uint256 goalId, address indexed member, uint256 amount);
+    event GoalContributionRefunded(address indexed user, uint256 goalId, address indexed member, uint256 amount);
+    event BeneficiarySet(address indexed user, address indexed beneficiary, uint256 inactivityPeriod);
+    event InheritanceClaimed(address indexed user, address indexed beneficiary, uint256 amount);
+    
+    // User calls wait until migrated balances are seeded and backed by USDC
+    modifier whenMigrationClosed() {
+        _requireMigrationClosed();
+        _;
+    }
+    
+    // Reset the sender's inactivity timer
+    modifier recordsActivity() {
+        _recordActivity(msg.sender);
+        _;
+    }
     
-    constructor(address _usdcToken) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    // Set up a new proxy; pass migrating to seed state from a previous deployment first
+    function initialize(address _usdcToken, address _treasury, bool migrating) external initializer {
+        require(_treasury != address(0), "Invalid treasury address");
+        __AccessControl_init();
+        __Pausable_init();
+        
         usdcToken = IERC20(_usdcToken);
+        treasury = _treasury;
+        earlyReleasePenaltyBps = 500;
+        loanToValueBps = 5000;
+        loanInterestRateBps = 1000;
+        liquidityBufferBps = 2000;
+        yieldIndex = YIELD_INDEX_SCALE;
+        migrationOpen = migrating;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
     }
     
+    // Implementation version, bumped with every upgrade
+    function version() external pure virtual returns (string memory) {
+        return "2.2.0";
+    }
+    
+    // Only role admins can upgrade the implementation
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+    
     // Deposit USDC to savings
-    function deposit(uint256 amount) external nonReentrant {
+    function deposit(uint256 amount) external nonReentrant whenNotPaused whenMigrationClosed recordsActivity {
         require(amount > 0, "Amount must be greater than zero");
         
         // Transfer USDC from user to contract
         require(usdcToken.transferFrom(msg.sender, address(this), amount), "Transfer failed");
         
         // Update user balance
-        userBalances[msg.sender] += amount;
+        _credit(msg.sender, amount);
         
         // Emit event
         emit Deposited(msg.sender, amount);
     }
     
-    // Withdraw USDC from savings
-    function withdraw(uint256 amount) external nonReentrant {
+    // Deposit USDC on behalf of a user using an EIP-2612 permit, so a relayer can pay the gas
+    function depositWithPermit(
+        address user,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused whenMigrationClosed {
+        require(amount > 0, "Amount must be greater than zero");
+        
+        // A front-run permit still leaves the allowance in place, so only fail if it is missing
+        try IERC20Permit(address(usdcToken)).permit(user, address(this), amount, deadline, v, r, s) {
+        } catch {
+            require(usdcToken.allowance(user, address(this)) >= amount, "Permit failed");
+        }
+        
+        // Transfer USDC from user to contract
+        require(usdcToken.transferFrom(user, address(this), amount), "Transfer failed");
+        
+        // Update user balance; signing the permit counts as activity
+        _recordActivity(user);
+        _credit(user, amount);
+        
+        // Emit event
+        emit Deposited(user, amount);
+    }
+    
+    // Withdraw USDC from savings; allowed even while paused
+    function withdraw(uint256 amount) external nonReentrant whenMigrationClosed recordsActivity {
         require(amount > 0, "Amount must be greater than zero");
-        require(userBalances[msg.sender] >= amount, "Insufficient balance");
         
         // Update user balance before transfer to prevent reentrancy
-        userBalances[msg.sender] -= amount;
+        _debit(msg.sender, amount);
         
         // Transfer USDC from contract to user
-        require(usdcToken.transfer(msg.sender, amount), "Transfer failed");
+        _transferOut(msg.sender, amount);
         
         // Emit event
         emit Withdrawn(msg.sender, amount);
     }
     
     // Create a saving goal
-    function createGoal(string calldata name, uint256 targetAmount, uint256 durationInDays) external {
+    function createGoal(string calldata name, uint256 targetAmount, uint256 durationInDays) external whenMigrationClosed recordsActivity {
         require(targetAmount > 0, "Target amount must be greater than zero");
         
         // Calculate deadline timestamp
@@ -85,7 +272,8 @@ contract BazuuSave is Ownable, ReentrancyGuard {
             targetAmount: targetAmount,
             currentAmount: 0,
             deadline: deadline,
-            completed: false
+            completed: false,
+            released: false
         });
         
         // Increment user's goal count
@@ -96,31 +284,530 @@ contract BazuuSave is Ownable, ReentrancyGuard {
     }
     
     // Contribute to a goal
-    function contributeToGoal(uint256 goalId, uint256 amount) external {
+    function contributeToGoal(uint256 goalId, uint256 amount) external whenMigrationClosed recordsActivity {
+        _contribute(msg.sender, goalId, amount);
+        
+        // Emit contribution event
+        emit GoalContributed(msg.sender, goalId, amount);
+    }
+    
+    // Contribute to a shared goal the sender is a member of
+    function contributeToSharedGoal(address owner, uint256 goalId, uint256 amount) external whenMigrationClosed recordsActivity {
+        require(goalMemberStatus[owner][goalId][msg.sender] == MemberStatus.Member, "Not a goal member");
+        _contribute(owner, goalId, amount);
+        
+        emit GoalMemberContributed(owner, goalId, msg.sender, amount);
+    }
+    
+    // Move the sender's savings into a goal, recording what members put in
+    function _contribute(address owner, uint256 goalId, uint256 amount) internal {
         require(amount > 0, "Amount must be greater than zero");
-        require(userBalances[msg.sender] >= amount, "Insufficient balance");
         
-        Goal storage goal = userGoals[msg.sender][goalId];
-        require(goal.owner == msg.sender, "Goal not found");
+        Goal storage goal = userGoals[owner][goalId];
+        require(goal.owner == owner, "Goal not found");
         require(!goal.completed, "Goal already completed");
+        require(block.timestamp < goal.deadline, "Goal deadline has passed");
         
         // Update user balance and goal amount
-        userBalances[msg.sender] -= amount;
+        _debit(msg.sender, amount);
         goal.currentAmount += amount;
         
+        if (msg.sender != owner) {
+            if (goalContributions[owner][goalId][msg.sender] == 0) {
+                require(goalContributors[owner][goalId].length < MAX_GOAL_CONTRIBUTORS, "Too many contributors");
+                goalContributors[owner][goalId].push(msg.sender);
+            }
+            goalContributions[owner][goalId][msg.sender] += amount;
+        }
+        
         // Check if goal is completed
         if (goal.currentAmount >= goal.targetAmount) {
             goal.completed = true;
-            emit GoalCompleted(msg.sender, goalId);
+            emit GoalCompleted(owner, goalId);
         }
+    }
+    
+    // Invite an address to contribute to one of the sender's goals
+    function inviteGoalMember(uint256 goalId, address member) external whenMigrationClosed recordsActivity {
+        Goal storage goal = userGoals[msg.sender][goalId];
+        require(goal.owner == msg.sender, "Goal not found");
+        require(!goal.released, "Goal already released");
+        require(member != address(0) && member != msg.sender, "Invalid member");
+        require(goalMemberStatus[msg.sender][goalId][member] == MemberStatus.None, "Already invited");
         
-        // Emit contribution event
-        emit GoalContributed(msg.sender, goalId, amount);
+        goalMemberStatus[msg.sender][goalId][member] = MemberStatus.Invited;
+        emit GoalMemberInvited(msg.sender, goalId, member);
+    }
+    
+    // Accept an invitation to a shared goal
+    function acceptGoalInvite(address owner, uint256 goalId) external whenMigrationClosed recordsActivity {
+        require(goalMemberStatus[owner][goalId][msg.sender] == MemberStatus.Invited, "No invitation");
+        require(goalMemberCounts[owner][goalId] < MAX_GOAL_MEMBERS, "Goal is full");
+        
+        goalMemberStatus[owner][goalId][msg.sender] = MemberStatus.Member;
+        goalMemberCounts[owner][goalId]++;
+        emit GoalMemberJoined(owner, goalId, msg.sender);
+    }
+    
+    // Remove a member or cancel an invitation; the owner can remove anyone, and members can
+    // leave or decline. Contributions already made stay in the goal.
+    function removeGoalMember(address owner, uint256 goalId, address member) external whenMigrationClosed recordsActivity {
+        require(msg.sender == owner || msg.sender == member, "Not allowed");
+        MemberStatus status = goalMemberStatus[owner][goalId][member];
+        require(status != MemberStatus.None, "Not a goal member");
+        
+        if (status == MemberStatus.Member) {
+            goalMemberCounts[owner][goalId]--;
+        }
+        delete goalMemberStatus[owner][goalId][member];
+        emit GoalMemberRemoved(owner, goalId, member);
+    }
+    
+    // Release goal funds back to the user's balance once the goal is unlocked
+    function releaseGoal(uint256 goalId) external nonReentrant whenMigrationClosed recordsActivity {
+        Goal storage goal = userGoals[msg.sender][goalId];
+        require(goal.owner == msg.sender, "Goal not found");
+        require(!goal.released, "Goal already released");
+        require(_isGoalUnlocked(goal), "Goal is still locked");
+        
+        uint256 amount = goal.currentAmount;
+        goal.released = true;
+        goal.currentAmount = 0;
+        _credit(msg.sender, amount);
+        
+        emit GoalReleased(msg.sender, goalId, amount);
+    }
+    
+    // Break a locked goal before its deadline, paying the early release penalty
+    function breakGoal(uint256 goalId) external nonReentrant whenMigrationClosed recordsActivity {
+        Goal storage goal = userGoals[msg.sender][goalId];
+        require(goal.owner == msg.sender, "Goal not found");
+        require(!goal.released, "Goal already released");
+        require(!_isGoalUnlocked(goal), "Goal is unlocked, use releaseGoal");
+        
+        // Members of a shared goal get their own contributions back, less the same penalty
+        _harvest();
+        uint256 amount = goal.currentAmount;
+        (uint256 ownerShare, uint256 memberShares) = _goalShares(msg.sender, goalId, earlyReleasePenaltyBps);
+        uint256 penalty = amount - ownerShare - memberShares;
+        goal.released = true;
+        goal.currentAmount = 0;
+        _refundMembers(msg.sender, goalId, earlyReleasePenaltyBps);
+        _credit(msg.sender, ownerShare);
+        
+        // Send penalty to treasury
+        if (penalty > 0) {
+            _transferOut(treasury, penalty);
+        }
+        
+        emit GoalBroken(msg.sender, goalId, ownerShare, penalty);
+    }
+    
+    // Nominate who can claim the sender's savings and goals after inactivityPeriod seconds
+    // without any interaction; a zero address removes the nomination
+    function setBeneficiary(address beneficiary, uint256 inactivityPeriod) external whenMigrationClosed {
+        if (beneficiary == address(0)) {
+            delete beneficiaries[msg.sender];
+        } else {
+            require(beneficiary != msg.sender, "Invalid beneficiary");
+            require(
+                inactivityPeriod >= MIN_INACTIVITY_PERIOD && inactivityPeriod <= MAX_INACTIVITY_PERIOD,
+                "Invalid inactivity period"
+            );
+            beneficiaries[msg.sender] = Beneficiary(beneficiary, uint48(inactivityPeriod), uint48(block.timestamp));
+        }
+        emit BeneficiarySet(msg.sender, beneficiary, inactivityPeriod);
+    }
+    
+    // Reset the inactivity timer without moving any funds
+    function checkIn() external whenMigrationClosed recordsActivity {}
+    
+    // Move an inactive user's savings and unreleased goals into their beneficiary's savings
+    // balance. The user's loan must be repaid or liquidated first.
+    function claimInheritance(address user) external nonReentrant whenMigrationClosed {
+        Beneficiary memory nominee = beneficiaries[user];
+        require(nominee.account == msg.sender, "Not the beneficiary");
+        require(block.timestamp >= uint256(nominee.lastActivity) + nominee.inactivityPeriod, "User is still active");
+        require(!_hasActiveLoan(user), "User has an active loan");
+        
+        _harvest();
+        uint256 amount = _closeAccount(user);
+        require(amount > 0, "Nothing to claim");
+        delete beneficiaries[user];
+        _credit(msg.sender, amount);
+        
+        emit InheritanceClaimed(user, msg.sender, amount);
+    }
+    
+    function _requireMigrationClosed() internal view {
+        require(!migrationOpen, "Migration is open");
+    }
+    
+    function _recordActivity(address user) internal {
+        if (beneficiaries[user].account != address(0)) {
+            beneficiaries[user].lastActivity = uint48(block.timestamp);
+        }
+    }
+    
+    // Borrow USDC against savings; the collateral is locked until the loan is repaid
+    function requestLoan(uint256 amount, uint256 durationInDays) external nonReentrant whenNotPaused whenMigrationClosed recordsActivity {
+        require(amount > 0, "Amount must be greater than zero");
+        require(durationInDays > 0 && durationInDays <= MAX_LOAN_DURATION_DAYS, "Invalid loan duration");
+        require(!_hasActiveLoan(msg.sender), "Loan already active");
+        
+        (uint256 interest, uint256 collateral) = _quoteLoan(amount, durationInDays);
+        
+        uint256 loanId = userLoanCounts[msg.sender];
+        uint256 dueDate = block.timestamp + (durationInDays * 1 days);
+        
+        // Lock collateral before transfer to prevent reentrancy
+        _debit(msg.sender, collateral);
+        userLoans[msg.sender][loanId] = Loan({
+            id: loanId,
+            borrower: msg.sender,
+            principal: amount,
+            interest: interest,
+            collateral: collateral,
+            repaidAmount: 0,
+            dueDate: dueDate,
+            status: LoanStatus.Active
+        });
+        userLoanCounts[msg.sender]++;
+        
+        _transferOut(msg.sender, amount);
+        
+        emit LoanRequested(msg.sender, loanId, amount, interest, collateral, dueDate);
+    }
+    
+    // Repay the active loan with USDC from the user's wallet
+    function repayLoan(uint256 amount) external nonReentrant whenMigrationClosed recordsActivity {
+        Loan storage loan = _activeLoan(msg.sender);
+        require(amount > 0, "Amount must be greater than zero");
+        require(amount <= _loanOutstanding(loan), "Amount exceeds outstanding loan");
+        
+        require(usdcToken.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+        
+        _applyRepayment(loan, amount);
+    }
+    
+    // Repay the active loan from the user's unlocked savings balance
+    function repayLoanFromBalance(uint256 amount) external nonReentrant whenMigrationClosed recordsActivity {
+        Loan storage loan = _activeLoan(msg.sender);
+        require(amount > 0, "Amount must be greater than zero");
+        require(amount <= _loanOutstanding(loan), "Amount exceeds outstanding loan");
+        
+        _debit(msg.sender, amount);
+        
+        _applyRepayment(loan, amount);
+    }
+    
+    // Settle an overdue loan from its collateral once the grace period has passed
+    function liquidateLoan(address user) external nonReentrant whenMigrationClosed {
+        Loan storage loan = _activeLoan(user);
+        require(block.timestamp > loan.dueDate + LOAN_GRACE_PERIOD, "Loan is not overdue");
+        
+        uint256 seized = _loanOutstanding(loan);
+        uint256 returned = loan.collateral - seized;
+        loan.repaidAmount += seized;
+        loan.status = LoanStatus.Liquidated;
+        _credit(user, returned);
+        
+        // Send interest to treasury
+        if (loan.interest > 0) {
+            _transferOut(treasury, loan.interest);
+        }
+        
+        emit LoanLiquidated(user, loan.id, seized, returned);
+    }
+    
+    // Update the loan-to-value ratio and yearly interest rate for new loans
+    function setLoanTerms(uint256 _loanToValueBps, uint256 interestRateBps) external onlyRole(ADMIN_ROLE) {
+        require(_loanToValueBps > 0 && _loanToValueBps <= MAX_LOAN_TO_VALUE_BPS, "Loan-to-value too high");
+        require(interestRateBps <= MAX_LOAN_INTEREST_RATE_BPS, "Interest rate too high");
+        loanToValueBps = _loanToValueBps;
+        loanInterestRateBps = interestRateBps;
+        emit LoanTermsUpdated(_loanToValueBps, interestRateBps);
+    }
+    
+    // Move idle savings into the strategy, or pull funds back, to keep the liquidity buffer
+    function rebalance() external onlyRole(ADMIN_ROLE) nonReentrant {
+        require(address(strategy) != address(0), "No strategy set");
+        _harvest();
+        
+        uint256 idle = usdcToken.balanceOf(address(this));
+        uint256 target = ((idle + strategyAssets) * liquidityBufferBps) / 10000;
+        uint256 invested;
+        uint256 divested;
+        
+        if (idle > target) {
+            // Only savings balances are invested; goal funds and loan collateral stay idle
+            uint256 investable = totalUserBalances > strategyAssets ? totalUserBalances - strategyAssets : 0;
+            invested = idle - target < investable ? idle - target : investable;
+            if (invested > 0) {
+                strategy.deposit(invested, address(this));
+                strategyAssets += invested;
+            }
+        } else if (idle < target) {
+            divested = target - idle < strategyAssets ? target - idle : strategyAssets;
+            _divest(divested);
+        }
+        
+        emit StrategyRebalanced(invested, divested);
+    }
+    
+    // Credit strategy profits to savers
+    function harvest() external nonReentrant {
+        _harvest();
+    }
+    
+    // Switch the yield strategy, withdrawing everything from the current one; zero disables it
+    function setStrategy(address _strategy) external onlyRole(ADMIN_ROLE) nonReentrant {
+        if (address(strategy) != address(0)) {
+            _harvest();
+            uint256 shares = strategy.balanceOf(address(this));
+            if (shares > 0) {
+                strategy.redeem(shares, address(this), address(this));
+            }
+            require(usdcToken.approve(address(strategy), 0), "Approve failed");
+            strategyAssets = 0;
+        }
+        
+        if (_strategy != address(0)) {
+            require(IERC4626(_strategy).asset() == address(usdcToken), "Strategy asset must be USDC");
+            require(usdcToken.approve(_strategy, type(uint256).max), "Approve failed");
+        }
+        
+        strategy = IERC4626(_strategy);
+        emit StrategyUpdated(_strategy);
+    }
+    
+    // Update the share of holdings kept idle for withdrawals
+    function setLiquidityBuffer(uint256 bufferBps) external onlyRole(ADMIN_ROLE) {
+        require(bufferBps >= MIN_LIQUIDITY_BUFFER_BPS && bufferBps <= 10000, "Invalid liquidity buffer");
+        liquidityBufferBps = bufferBps;
+        emit LiquidityBufferUpdated(bufferBps);
+    }
+    
+    // Update the treasury address
+    function setTreasury(address _treasury) external onlyRole(TREASURY_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+    
+    // Update the early release penalty
+    function setEarlyReleasePenalty(uint256 penaltyBps) external onlyRole(ADMIN_ROLE) {
+        require(penaltyBps <= MAX_EARLY_RELEASE_PENALTY_BPS, "Penalty too high");
+        earlyReleasePenaltyBps = penaltyBps;
+        emit EarlyReleasePenaltyUpdated(penaltyBps);
+    }
+    
+    // Check whether a goal's funds can be released without penalty
+    function isGoalUnlocked(address user, uint256 goalId) external view returns (bool) {
+        return _isGoalUnlocked(userGoals[user][goalId]);
+    }
+    
+    // Get the penalty charged for breaking a goal now
+    function getEarlyReleasePenalty(address user, uint256 goalId) external view returns (uint256) {
+        Goal storage goal = userGoals[user][goalId];
+        if (goal.released || _isGoalUnlocked(goal)) {
+            return 0;
+        }
+        (uint256 ownerShare, uint256 memberShares) = _goalShares(user, goalId, earlyReleasePenaltyBps);
+        return goal.currentAmount - ownerShare - memberShares;
+    }
+    
+    // Split a goal into what its owner and its contributing members would get back, with a
+    // penalty in basis points taken from each share
+    function _goalShares(address owner, uint256 goalId, uint256 penaltyBps) internal view returns (uint256 ownerShare, uint256 memberShares) {
+        uint256 memberContributions;
+        address[] storage contributors = goalContributors[owner][goalId];
+        for (uint256 i = 0; i < contributors.length; i++) {
+            uint256 contribution = goalContributions[owner][goalId][contributors[i]];
+            memberContributions += contribution;
+            memberShares += contribution - (contribution * penaltyBps) / 10000;
+        }
+        ownerShare = userGoals[owner][goalId].currentAmount - memberContributions;
+        ownerShare -= (ownerShare * penaltyBps) / 10000;
+    }
+    
+    // Return members' contributions to their savings balances when a goal is paid out early.
+    // Yield must already be harvested.
+    function _refundMembers(address owner, uint256 goalId, uint256 penaltyBps) internal {
+        address[] storage contributors = goalContributors[owner][goalId];
+        for (uint256 i = 0; i < contributors.length; i++) {
+            address member = contributors[i];
+            uint256 contribution = goalContributions[owner][goalId][member];
+            uint256 refund = contribution - (contribution * penaltyBps) / 10000;
+            
+            _accrueYield(member);
+            userBalances[member] += refund;
+            totalUserBalances += refund;
+            emit GoalContributionRefunded(owner, goalId, member, refund);
+        }
+    }
+    
+    function _isGoalUnlocked(Goal storage goal) internal view returns (bool) {
+        return goal.completed || block.timestamp >= goal.deadline;
+    }
+    
+    function _hasActiveLoan(address user) internal view returns (bool) {
+        uint256 count = userLoanCounts[user];
+        return count > 0 && userLoans[user][count - 1].status == LoanStatus.Active;
+    }
+    
+    function _activeLoan(address user) internal view returns (Loan storage) {
+        require(_hasActiveLoan(user), "No active loan");
+        return userLoans[user][userLoanCounts[user] - 1];
+    }
+    
+    function _loanOutstanding(Loan storage loan) internal view returns (uint256) {
+        return loan.principal + loan.interest - loan.repaidAmount;
+    }
+    
+    // Interest is prorated from the yearly rate; collateral always covers principal plus interest
+    function _quoteLoan(uint256 amount, uint256 durationInDays) internal view returns (uint256 interest, uint256 collateral) {
+        interest = (amount * loanInterestRateBps * durationInDays) / (10000 * 365);
+        collateral = (amount * 10000 + loanToValueBps - 1) / loanToValueBps;
+        if (collateral < amount + interest) {
+            collateral = amount + interest;
+        }
+    }
+    
+    // Credit yield and add to a user's savings balance
+    function _credit(address user, uint256 amount) internal {
+        _harvest();
+        _accrueYield(user);
+        userBalances[user] += amount;
+        totalUserBalances += amount;
+    }
+    
+    // Credit yield and take from a user's savings balance
+    function _debit(address user, uint256 amount) internal {
+        _harvest();
+        _accrueYield(user);
+        require(userBalances[user] >= amount, "Insufficient balance");
+        userBalances[user] -= amount;
+        totalUserBalances -= amount;
+    }
+    
+    // Add a user's share of harvested yield to their balance
+    function _accrueYield(address user) internal {
+        uint256 earned = (userBalances[user] * (yieldIndex - userYieldIndex[user])) / YIELD_INDEX_SCALE;
+        userYieldIndex[user] = yieldIndex;
+        
+        if (earned > 0) {
+            userBalances[user] += earned;
+            totalUserBalances += earned;
+            totalYieldEarned[user] += earned;
+            emit YieldCredited(user, earned);
+        }
+    }
+    
+    // Spread strategy profit over all savings balances; losses are not passed on
+    function _harvest() internal {
+        uint256 profit = _pendingProfit();
+        if (profit == 0) {
+            return;
+        }
+        
+        yieldIndex += (profit * YIELD_INDEX_SCALE) / totalUserBalances;
+        strategyAssets += profit;
+        emit YieldHarvested(profit, yieldIndex);
+    }
+    
+    function _pendingProfit() internal view returns (uint256) {
+        if (address(strategy) == address(0) || totalUserBalances == 0) {
+            return 0;
+        }
+        uint256 value = strategy.previewRedeem(strategy.balanceOf(address(this)));
+        return value > strategyAssets ? value - strategyAssets : 0;
+    }
+    
+    function _divest(uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        strategy.withdraw(amount, address(this), address(this));
+        strategyAssets -= amount;
+    }
+    
+    // Transfer USDC out, pulling funds back from the strategy if too little is idle
+    function _transferOut(address to, uint256 amount) internal {
+        uint256 idle = usdcToken.balanceOf(address(this));
+        if (idle < amount) {
+            require(address(strategy) != address(0), "Insufficient liquidity");
+            _divest(amount - idle);
+        }
+        require(usdcToken.transfer(to, amount), "Transfer failed");
+    }
+    
+    function _applyRepayment(Loan storage loan, uint256 amount) internal {
+        loan.repaidAmount += amount;
+        uint256 outstanding = _loanOutstanding(loan);
+        
+        // Fully repaid: unlock the collateral and send interest to treasury
+        if (outstanding == 0) {
+            loan.status = LoanStatus.Repaid;
+            _credit(loan.borrower, loan.collateral);
+            if (loan.interest > 0) {
+                _transferOut(treasury, loan.interest);
+            }
+        }
+        
+        emit LoanRepaid(loan.borrower, loan.id, amount, outstanding);
     }
     
     // Get user balance
     function getBalance(address user) external view returns (uint256) {
-        return userBalances[user];
+        return userBalances[user] + _pendingYield(user);
+    }
+    
+    // Get yield earned by a user that has not been added to their balance yet
+    function getAccruedYield(address user) external view returns (uint256) {
+        return _pendingYield(user);
+    }
+    
+    // Get all yield earned by a user, credited or not
+    function getTotalYieldEarned(address user) external view returns (uint256) {
+        return totalYieldEarned[user] + _pendingYield(user);
+    }
+    
+    // Get the strategy's current state
+    function getStrategyInfo() external view returns (
+        address vault,
+        uint256 assets,
+        uint256 value,
+        uint256 idle,
+        uint256 currentYieldIndex
+    ) {
+        vault = address(strategy);
+        assets = strategyAssets;
+        value = vault == address(0) ? 0 : strategy.previewRedeem(strategy.balanceOf(address(this)));
+        idle = usdcToken.balanceOf(address(this));
+        currentYieldIndex = _currentYieldIndex();
+    }
+    
+    function _currentYieldIndex() internal view returns (uint256) {
+        uint256 profit = _pendingProfit();
+        return profit == 0 ? yieldIndex : yieldIndex + (profit * YIELD_INDEX_SCALE) / totalUserBalances;
+    }
+    
+    function _pendingYield(address user) internal view returns (uint256) {
+        return (userBalances[user] * (_currentYieldIndex() - userYieldIndex[user])) / YIELD_INDEX_SCALE;
+    }
+    
+    // Get what emergencyExit, or an inheritance claim, would pay out of a user's account:
+    // savings with credited yield, and unreleased goals
+    function getEmergencyExitAmount(address user) external view returns (uint256 amount) {
+        amount = userBalances[user] + (userBalances[user] * (yieldIndex - userYieldIndex[user])) / YIELD_INDEX_SCALE;
+        uint256 goalCount = userGoalCounts[user];
+        for (uint256 i = 0; i < goalCount; i++) {
+            if (!userGoals[user][i].released) {
+                (uint256 ownerShare, ) = _goalShares(user, i, 0);
+                amount += ownerShare;
+            }
+        }
     }
     
     // Get goal details
@@ -133,10 +820,143 @@ contract BazuuSave is Ownable, ReentrancyGuard {
         return userGoalCounts[user];
     }
     
-    // Emergency withdrawal by owner (for contract migration)
-    function emergencyWithdraw() external onlyOwner {
-        uint256 balance = usdcToken.balanceOf(address(this));
-        require(balance > 0, "No tokens to withdraw");
-        require(usdcToken.transfer(owner(), balance), "Transfer failed");
+    // Get the members who have contributed to a goal and how much each put in
+    function getGoalContributors(address user, uint256 goalId) external view returns (address[] memory contributors, uint256[] memory amounts) {
+        contributors = goalContributors[user][goalId];
+        amounts = new uint256[](contributors.length);
+        for (uint256 i = 0; i < contributors.length; i++) {
+            amounts[i] = goalContributions[user][goalId][contributors[i]];
+        }
+    }
+    
+    // Get loan details
+    function getLoan(address user, uint256 loanId) external view returns (Loan memory) {
+        return userLoans[user][loanId];
+    }
+    
+    // Get user's loan count
+    function getLoanCount(address user) external view returns (uint256) {
+        return userLoanCounts[user];
+    }
+    
+    // Get the amount still owed on a loan
+    function getLoanOutstanding(address user, uint256 loanId) external view returns (uint256) {
+        Loan storage loan = userLoans[user][loanId];
+        if (loan.status != LoanStatus.Active) {
+            return 0;
+        }
+        return _loanOutstanding(loan);
+    }
+    
+    // Check whether a user has an unpaid loan
+    function hasActiveLoan(address user) external view returns (bool) {
+        return _hasActiveLoan(user);
+    }
+    
+    // Get the interest and collateral for a loan at the current terms
+    function getLoanQuote(uint256 amount, uint256 durationInDays) external view returns (uint256 interest, uint256 collateral) {
+        return _quoteLoan(amount, durationInDays);
+    }
+    
+    // Get the most a user can borrow for a duration at the current terms
+    function getMaxLoanAmount(address user, uint256 durationInDays) external view returns (uint256) {
+        if (_hasActiveLoan(user)) {
+            return 0;
+        }
+        // Collateral must cover both the loan-to-value limit and principal plus interest
+        uint256 balance = userBalances[user] + _pendingYield(user);
+        uint256 byValue = (balance * loanToValueBps) / 10000;
+        uint256 byInterest = (balance * 10000 * 365) / (10000 * 365 + loanInterestRateBps * durationInDays);
+        return byValue < byInterest ? byValue : byInterest;
+    }
+    
+    // Copy savings balances from a previous deployment; re-seeding a user overwrites them
+    function seedBalances(address[] calldata users, uint256[] calldata amounts) external onlyRole(ADMIN_ROLE) {
+        require(migrationOpen, "Migration is closed");
+        require(users.length == amounts.length, "Length mismatch");
+        
+        for (uint256 i = 0; i < users.length; i++) {
+            totalUserBalances = totalUserBalances - userBalances[users[i]] + amounts[i];
+            userBalances[users[i]] = amounts[i];
+            userYieldIndex[users[i]] = yieldIndex;
+            emit BalanceSeeded(users[i], amounts[i]);
+        }
+    }
+    
+    // Copy a user's goals from a previous deployment, keeping their IDs
+    function seedGoals(address user, Goal[] calldata goals) external onlyRole(ADMIN_ROLE) {
+        require(migrationOpen, "Migration is closed");
+        require(userGoalCounts[user] == 0, "Goals already seeded");
+        
+        uint256 amount;
+        for (uint256 i = 0; i < goals.length; i++) {
+            require(goals[i].id == i && goals[i].owner == user, "Goals must be the user's, in ID order");
+            userGoals[user][i] = goals[i];
+            if (!goals[i].released) {
+                amount += goals[i].currentAmount;
+            }
+        }
+        userGoalCounts[user] = goals.length;
+        migratedGoalFunds += amount;
+        
+        emit GoalsSeeded(user, goals.length, amount);
+    }
+    
+    // Finish migrating once the seeded balances and goals are backed by USDC
+    function closeMigration() external onlyRole(ADMIN_ROLE) {
+        require(migrationOpen, "Migration is closed");
+        require(
+            usdcToken.balanceOf(address(this)) + strategyAssets >= totalUserBalances + migratedGoalFunds,
+            "Migration is not fully funded"
+        );
+        
+        migrationOpen = false;
+        emit MigrationClosed(totalUserBalances, migratedGoalFunds);
+    }
+    
+    // Stop deposits and new loans; withdrawals and repayments carry on
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    // While paused, let a user take out their savings and every unreleased goal in one go,
+    // without the early release penalty. Profit the strategy has not reported yet is left
+    // behind, so the exit does not rely on the vault's accounting. Loan collateral stays
+    // locked until repaid.
+    function emergencyExit() external nonReentrant whenPaused whenMigrationClosed {
+        uint256 amount = _closeAccount(msg.sender);
+        require(amount > 0, "Nothing to withdraw");
+        _transferOut(msg.sender, amount);
+        
+        emit EmergencyExit(msg.sender, amount);
+    }
+    
+    // Empty a user's savings balance, with yield up to the last harvest, and release every
+    // unreleased goal without penalty. Members' contributions to the user's shared goals go
+    // back to the members' balances. Returns the total taken out.
+    function _closeAccount(address user) internal returns (uint256 amount) {
+        _accrueYield(user);
+        
+        amount = userBalances[user];
+        userBalances[user] = 0;
+        totalUserBalances -= amount;
+        
+        uint256 goalCount = userGoalCounts[user];
+        for (uint256 i = 0; i < goalCount; i++) {
+            Goal storage goal = userGoals[user][i];
+            if (goal.released) {
+                continue;
+            }
+            (uint256 ownerShare, ) = _goalShares(user, i, 0);
+            _refundMembers(user, i, 0);
+            goal.released = true;
+            goal.currentAmount = 0;
+            amount += ownerShare;
+            emit GoalReleased(user, i, ownerShare);
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+// Mintable USDC stand-in for local development, with EIP-2612 permits like the real token
+contract MockUSDC is ERC20, ERC20Permit, Ownable {
+    constructor() ERC20("USD Coin", "USDC") ERC20Permit("USD Coin") Ownable(msg.sender) {}
+    
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+    
+    // Mint test tokens (used by the dev faucet)
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }
+}
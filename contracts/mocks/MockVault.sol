@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+
+// ERC-4626 vault over MockUSDC for local development; minting USDC straight to the
+// vault (see the dev faucet) raises the share price and simulates yield
+contract MockVault is ERC4626 {
+    constructor(IERC20 asset) ERC20("Mock Vault USDC", "mvUSDC") ERC4626(asset) {}
+}
@@ -0,0 +1,61 @@
+const Achievement = require('../models/achievement');
+const achievementService = require('../services/achievements');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+/**
+ * Get the user's achievements
+ * @route GET /api/achievements
+ * @access Private
+ */
+exports.getAchievements = async (req, res) => {
+  try {
+    const achievements = await achievementService.getUserAchievements(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: achievements.length,
+      achievements
+    });
+  } catch (error) {
+    console.error('Error getting achievements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get achievements'
+    });
+  }
+};
+
+/**
+ * Get the ERC-721 metadata for a minted achievement; this is the token's tokenURI
+ * @route GET /api/achievements/:tokenId/metadata
+ * @access Public
+ */
+exports.getAchievementMetadata = async (req, res) => {
+  try {
+    const tokenId = Number(req.params.tokenId);
+    if (!Number.isInteger(tokenId) || tokenId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token ID'
+      });
+    }
+
+    const achievement = await Achievement.findOne({ chainId: DEFAULT_CHAIN_ID, tokenId, status: 'minted' });
+    if (!achievement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Achievement not found'
+      });
+    }
+
+    // Marketplaces and wallets expect the bare metadata document
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).json(achievementService.buildMetadata(achievement));
+  } catch (error) {
+    console.error('Error getting achievement metadata:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get achievement metadata'
+    });
+  }
+};
@@ -0,0 +1,256 @@
+const AdminAction = require('../models/adminaction');
+const Goal = require('../models/goal');
+const txManager = require('../services/txmanager');
+const adminActions = require('../services/adminactions');
+const { DEFAULT_CHAIN_ID, isChainEnabled } = require('../config/chains');
+
+// Statuses accepted by the queue filter
+const TX_STATUSES = ['queued', 'sent', 'mined', 'replaced', 'dropped'];
+
+// Statuses accepted by the admin action filter
+const ACTION_STATUSES = ['proposed', 'executing', 'executed', 'failed', 'cancelled'];
+
+/**
+ * Get backend-signed transactions that are in flight
+ * @route GET /api/admin/tx-queue
+ * @access Admin
+ */
+exports.getTxQueue = async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    if (status && !TX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${TX_STATUSES.join(', ')}`
+      });
+    }
+
+    const queue = await txManager.getQueue({
+      status,
+      limit: Math.min(Number(limit) || 50, 200)
+    });
+
+    res.status(200).json({
+      success: true,
+      ...queue
+    });
+  } catch (error) {
+    console.error('Error getting transaction queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get transaction queue'
+    });
+  }
+};
+
+/**
+ * Get goals that differ from their on-chain copy, as flagged by goal sync
+ * @route GET /api/admin/goals/drift
+ * @access Admin
+ */
+exports.getGoalDrift = async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const goals = await Goal.find({ 'blockchain.driftDetectedAt': { $exists: true } })
+      .sort({ 'blockchain.driftDetectedAt': 1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .select('userId name status blockchain')
+      .populate('userId', 'name email walletAddress');
+
+    res.status(200).json({
+      success: true,
+      count: goals.length,
+      goals
+    });
+  } catch (error) {
+    console.error('Error getting goal drift:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get goal drift'
+    });
+  }
+};
+
+/**
+ * Get proposed and past contract admin actions
+ * @route GET /api/admin/actions
+ * @access Admin
+ */
+exports.getActions = async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    if (status && !ACTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${ACTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const actions = await AdminAction.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .populate('proposedBy executedBy cancelledBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: actions.length,
+      actions
+    });
+  } catch (error) {
+    console.error('Error getting admin actions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get admin actions'
+    });
+  }
+};
+
+/**
+ * Propose a contract admin action (pause, unpause, terms, strategy or role changes)
+ * @route POST /api/admin/actions
+ * @access Admin
+ */
+exports.proposeAction = async (req, res) => {
+  try {
+    const { action, params = {}, reason } = req.body;
+    const chainId = req.body.chainId ? Number(req.body.chainId) : DEFAULT_CHAIN_ID;
+
+    if (!isChainEnabled(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain: ${req.body.chainId}`
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    const validationError = adminActions.validateAction(action, params);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const adminAction = await adminActions.proposeAction(req.user, action, params, reason.trim(), chainId);
+
+    res.status(201).json({
+      success: true,
+      action: adminAction
+    });
+  } catch (error) {
+    console.error('Error proposing admin action:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to propose admin action'
+    });
+  }
+};
+
+/**
+ * Execute a proposed admin action from the server signer. If the signer lacks the role,
+ * the encoded call is returned for a role holder to submit instead
+ * @route POST /api/admin/actions/:id/execute
+ * @access Admin
+ */
+exports.executeAction = async (req, res) => {
+  try {
+    const adminAction = await AdminAction.findById(req.params.id);
+    if (!adminAction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin action not found'
+      });
+    }
+
+    const blocker = adminActions.findExecutionBlocker(req.user, adminAction);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        error: blocker
+      });
+    }
+
+    if (!(await adminActions.serverHoldsRole(adminAction))) {
+      return res.status(409).json({
+        success: false,
+        error: `Server signer does not hold the ${adminAction.role} role; submit the call from a role holder`,
+        transaction: {
+          to: adminAction.contractAddress,
+          data: adminAction.data,
+          chainId: adminAction.chainId
+        }
+      });
+    }
+
+    const executed = await adminActions.executeAction(req.user, adminAction);
+    if (!executed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Action is already being executed or is no longer proposed'
+      });
+    }
+
+    res.status(executed.status === 'executed' ? 200 : 502).json({
+      success: executed.status === 'executed',
+      action: executed
+    });
+  } catch (error) {
+    console.error('Error executing admin action:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to execute admin action'
+    });
+  }
+};
+
+/**
+ * Cancel a proposed admin action
+ * @route POST /api/admin/actions/:id/cancel
+ * @access Admin
+ */
+exports.cancelAction = async (req, res) => {
+  try {
+    const adminAction = await AdminAction.findById(req.params.id);
+    if (!adminAction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin action not found'
+      });
+    }
+
+    if (adminAction.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        error: `Action is already ${adminAction.status}`
+      });
+    }
+
+    const cancelled = await adminActions.cancelAction(req.user, adminAction);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Action is no longer proposed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      action: cancelled
+    });
+  } catch (error) {
+    console.error('Error cancelling admin action:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel admin action'
+    });
+  }
+};
@@ -6,18 +6,25 @@
  * @lastUpdated 2025-04-18 08:33:05 UTC
  */
 
-const user = require('../models/user');
+const User = require('../models/user');
+const SiweNonce = require('../models/siwenonce');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { ethers } = require('ethers');
-const { bazuuSaveContractReadOnly } = require('../config/blockchain');
+const { provider, bazuuSaveContractReadOnly } = require('../config/blockchain');
+const blockchainService = require('../services/blockchainservice');
+const walletVault = require('../services/walletvault');
+const achievementService = require('../services/achievements');
+const { parseSiweMessage, validateSiweMessage } = require('../utils/siwe');
 require('dotenv').config();
 
 // Environment variables
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '24h';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'localhost:3000';
+const SIWE_NONCE_TTL = 10 * 60 * 1000; // 10 minutes
 
 // In-memory session store
 const sessionStore = new Map();
@@ -31,7 +38,7 @@ exports.register = async (req, res) => {
     const { name, email, password, phoneNumber } = req.body;
 
     // Check if user already exists
-    const existingUser = await user.findOne({ email });
+    const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -44,7 +51,7 @@ exports.register = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create new user
-    const newUser = await user.create({
+    const newUser = await User.create({
       name,
       email,
       password: hashedPassword,
@@ -87,7 +94,7 @@ exports.login = async (req, res) => {
     const { email, password } = req.body;
 
     // Check if user exists
-    const existingUser = await user.findOne({ email });
+    const existingUser = await User.findOne({ email });
     if (!existingUser) {
       return res.status(401).json({
         success: false,
@@ -131,6 +138,107 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Issue a nonce for a Sign-In with Ethereum message
+ * @route GET /api/auth/siwe/nonce
+ */
+exports.getSiweNonce = async (req, res) => {
+  try {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + SIWE_NONCE_TTL);
+    
+    // Stored in Mongo so any instance can verify it; expired nonces are removed by a TTL index
+    await SiweNonce.create({ nonce, expiresAt });
+    
+    const network = await provider.getNetwork();
+    
+    res.status(200).json({
+      success: true,
+      nonce,
+      domain: SIWE_DOMAIN,
+      chainId: Number(network.chainId),
+      expiresAt
+    });
+  } catch (error) {
+    console.error('SIWE nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Sign in with an Ethereum wallet, creating a wallet-first account if needed
+ * @route POST /api/auth/siwe/verify
+ */
+exports.verifySiwe = async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    
+    let walletAddress;
+    try {
+      walletAddress = await verifySiweSignature(message, signature);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        error: err.message
+      });
+    }
+    
+    // Log in the wallet's user, or create a wallet-first account
+    let existingUser = await findUserByWallet(walletAddress);
+    const isNewUser = !existingUser;
+    
+    if (isNewUser) {
+      existingUser = await User.create({
+        name: `Wallet ${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`,
+        walletAddress,
+        walletType: 'self',
+        metadata: {
+          registrationSource: 'wallet',
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
+      });
+    }
+    
+    if (!existingUser.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+    
+    // Generate tokens
+    const token = generateToken(existingUser._id);
+    const refreshToken = generateRefreshToken(existingUser._id);
+    
+    // Store refresh token in memory
+    sessionStore.set(existingUser._id.toString(), refreshToken);
+    
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      token,
+      refreshToken,
+      isNewUser,
+      user: {
+        id: existingUser._id,
+        name: existingUser.name,
+        email: existingUser.email,
+        phoneNumber: existingUser.phoneNumber,
+        walletAddress: existingUser.walletAddress
+      }
+    });
+  } catch (error) {
+    console.error('SIWE verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
 /**
  * Get current user profile
  * @route GET /api/auth/profile
@@ -158,6 +266,8 @@ exports.getProfile = async (req, res) => {
       }
     }
 
+    const achievements = await achievementService.getUserAchievements(user._id);
+
     res.status(200).json({
       success: true,
       data: {
@@ -167,6 +277,7 @@ exports.getProfile = async (req, res) => {
         phoneNumber: user.phoneNumber,
         walletAddress: user.walletAddress,
         onChainBalance: onChainBalance,
+        achievements,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -478,11 +589,11 @@ exports.connectWallet = async (req, res) => {
       });
     }
     
-    // Verify signature - ensure the wallet owner signed the message
+    // Verify a SIWE message for this address, signed with a server-issued nonce
     try {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
+      const signerAddress = await verifySiweSignature(message, signature);
       
-      if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+      if (signerAddress.toLowerCase() !== walletAddress.toLowerCase()) {
         return res.status(401).json({
           success: false,
           error: 'Invalid signature'
@@ -491,12 +602,12 @@ exports.connectWallet = async (req, res) => {
     } catch (err) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid signature format'
+        error: err.message
       });
     }
     
     // Check if wallet is already connected to another account
-    const existingUser = await User.findOne({ walletAddress });
+    const existingUser = await findUserByWallet(walletAddress);
     if (existingUser && existingUser._id.toString() !== req.user.id) {
       return res.status(400).json({
         success: false,
@@ -504,10 +615,32 @@ exports.connectWallet = async (req, res) => {
       });
     }
     
+    // Custodial users move their funds out of the vault to the new self-custody address
+    let migration = null;
+    if (walletVault.isCustodial(req.user)) {
+      const lockedGoals = await blockchainService.getUnreleasedGoalIds(req.user.walletAddress);
+      if (lockedGoals.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Release or break your locked goals before moving to a self-custody wallet',
+          lockedGoals
+        });
+      }
+      
+      migration = await blockchainService.migrateCustodialFunds(req.user, walletAddress);
+    }
+    
     // Update user
+    const update = { walletAddress };
+    if (migration) {
+      update.walletType = 'self';
+      update['custodialWallet.migratedAt'] = new Date();
+      update['custodialWallet.migratedTo'] = walletAddress;
+    }
+    
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { walletAddress },
+      update,
       { new: true }
     );
     
@@ -522,7 +655,9 @@ exports.connectWallet = async (req, res) => {
       success: true,
       data: {
         id: user._id,
-        walletAddress: user.walletAddress
+        walletAddress: user.walletAddress,
+        walletType: user.walletType,
+        migration
       }
     });
   } catch (error) {
@@ -534,6 +669,38 @@ exports.connectWallet = async (req, res) => {
   }
 };
 
+/**
+ * Create a custodial wallet for a user without their own wallet
+ * @route POST /api/auth/custodial-wallet
+ */
+exports.createCustodialWallet = async (req, res) => {
+  try {
+    if (req.user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account already has a wallet address'
+      });
+    }
+    
+    const user = await walletVault.createCustodialWallet(req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        id: user._id,
+        walletAddress: user.walletAddress,
+        walletType: user.walletType
+      }
+    });
+  } catch (error) {
+    console.error('Create custodial wallet error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating custodial wallet'
+    });
+  }
+};
+
 /**
  * Get current user profile
  * @route GET /api/auth/me
@@ -655,4 +822,44 @@ const generateRefreshToken = (userId) => {
   return jwt.sign({ id: userId }, JWT_SECRET, {
     expiresIn: JWT_REFRESH_EXPIRE
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Validate a SIWE message and signature, consuming its nonce
+ * @param {string} message - SIWE message
+ * @param {string} signature - Wallet signature of the message
+ * @returns {Promise<string>} Checksummed signer address
+ */
+const verifySiweSignature = async (message, signature) => {
+  if (!message || !signature) {
+    throw new Error('Message and signature are required');
+  }
+  
+  const parsed = parseSiweMessage(message);
+  
+  // Nonces are single use, so a signed message cannot be replayed. Deleting it in the same
+  // query means concurrent requests can't both use it; the TTL index can lag, so check expiry too.
+  const issued = await SiweNonce.findOneAndDelete({
+    nonce: parsed.nonce,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!issued) {
+    throw new Error('Invalid or expired nonce');
+  }
+  
+  const network = await provider.getNetwork();
+  return validateSiweMessage(parsed, message, signature, {
+    domain: SIWE_DOMAIN,
+    chainId: network.chainId,
+    nonce: parsed.nonce
+  });
+};
+
+/**
+ * Find a user by wallet address, ignoring checksum casing
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserByWallet = (walletAddress) => {
+  return User.findOne({ walletAddress: new RegExp(`^${ethers.getAddress(walletAddress)}$`, 'i') });
+};
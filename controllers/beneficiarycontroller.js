@@ -0,0 +1,340 @@
+const { ethers } = require('ethers');
+const Beneficiary = require('../models/beneficiary');
+const BeneficiaryProposal = require('../models/beneficiaryproposal');
+const Transaction = require('../models/transaction');
+const User = require('../models/user');
+const blockchainService = require('../services/blockchainservice');
+const transactionBuilder = require('../services/transactionbuilder');
+const walletVault = require('../services/walletvault');
+const { sendSimulationError } = require('../services/simulation');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// Inactivity period limits, matching BazuuSave
+const MIN_INACTIVITY_DAYS = 90;
+const MAX_INACTIVITY_DAYS = 3650;
+
+// How long a nomination has to be signed and mined before its contact details are dropped
+const PROPOSAL_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Send a beneficiary action for the user. Custodial users' calls are signed by the vault;
+ * wallet users get a prepared transaction to sign and broadcast via /api/savings/tx/broadcast
+ * @param {Object} user - User document
+ * @param {string} action - setBeneficiary, checkIn or claimInheritance
+ * @param {Object} params - Action parameters (beneficiaryAddress, inactivityDays, ownerAddress)
+ * @returns {Promise<Object>} Transaction, or the prepared transaction to sign
+ */
+const sendBeneficiaryAction = async (user, action, params = {}) => {
+  const definition = transactionBuilder.ACTIONS[action];
+
+  if (!walletVault.isCustodial(user)) {
+    return transactionBuilder.prepareTransaction(user, action, params);
+  }
+
+  const call = await definition.build(user, params);
+  const tx = await blockchainService.custodialBeneficiaryCall(user, call.method, call.args);
+
+  const transaction = definition.transactionType
+    ? await Transaction.create({
+      userId: user._id,
+      type: definition.transactionType,
+      amount: call.amount,
+      status: 'pending',
+      txHash: tx.hash,
+      walletAddress: user.walletAddress
+    })
+    : null;
+
+  return { txHash: tx.hash, transaction };
+};
+
+/**
+ * Make sure the user has a wallet to nominate from or claim into
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} False once an error response is sent
+ */
+const requireWallet = (req, res) => {
+  if (!req.user.walletAddress) {
+    res.status(400).json({
+      success: false,
+      error: 'Connect a wallet before managing beneficiaries'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Get the user's beneficiary nomination and the accounts they can inherit from
+ * @route GET /api/beneficiary
+ * @access Private
+ */
+exports.getBeneficiary = async (req, res) => {
+  try {
+    if (!requireWallet(req, res)) {
+      return;
+    }
+
+    const walletAddress = req.user.walletAddress.toLowerCase();
+
+    const [nomination, onChain, inheritances] = await Promise.all([
+      Beneficiary.findOne({ walletAddress, chainId: DEFAULT_CHAIN_ID }),
+      blockchainService.getBeneficiaryOnChain(walletAddress),
+      Beneficiary.find({
+        beneficiaryAddress: walletAddress,
+        chainId: DEFAULT_CHAIN_ID,
+        status: { $in: ['active', 'claimable'] }
+      }).populate('userId', 'name')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      nomination,
+      onChain,
+      inheritances: inheritances.map((inheritance) => ({
+        id: inheritance._id,
+        ownerName: inheritance.userId ? inheritance.userId.name : null,
+        ownerAddress: inheritance.walletAddress,
+        inactivityDays: inheritance.inactivityDays,
+        claimableAt: inheritance.claimableAt,
+        status: inheritance.status
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting beneficiary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get beneficiary'
+    });
+  }
+};
+
+/**
+ * Nominate a beneficiary, by wallet address or by the phone number or email of a
+ * BazuuSave user. Once mined it replaces any existing nomination and restarts the
+ * inactivity timer.
+ * @route PUT /api/beneficiary
+ * @access Private
+ */
+exports.setBeneficiary = async (req, res) => {
+  try {
+    const { beneficiaryAddress, email, name } = req.body;
+    const inactivityDays = parseInt(req.body.inactivityDays, 10);
+
+    if (!requireWallet(req, res)) {
+      return;
+    }
+
+    if (!beneficiaryAddress && !req.body.phoneNumber && !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet address, phone number or email of the beneficiary is required'
+      });
+    }
+
+    if (beneficiaryAddress && !ethers.isAddress(beneficiaryAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid beneficiary address'
+      });
+    }
+
+    if (isNaN(inactivityDays) || inactivityDays < MIN_INACTIVITY_DAYS || inactivityDays > MAX_INACTIVITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Inactivity period must be between ${MIN_INACTIVITY_DAYS} and ${MAX_INACTIVITY_DAYS} days`
+      });
+    }
+
+    // Beneficiaries without an account are reached on the phone number given
+    const beneficiaryUser = beneficiaryAddress
+      ? await User.findOne({ walletAddress: new RegExp(`^${beneficiaryAddress}$`, 'i') })
+      : await User.findOne(req.body.phoneNumber
+        ? { phoneNumber: req.body.phoneNumber }
+        : { email: email.toLowerCase() });
+
+    if (!beneficiaryAddress && (!beneficiaryUser || !beneficiaryUser.walletAddress)) {
+      return res.status(404).json({
+        success: false,
+        error: 'No user with a wallet found with those details'
+      });
+    }
+
+    const address = (beneficiaryAddress || beneficiaryUser.walletAddress).toLowerCase();
+    if (address === req.user.walletAddress.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot be your own beneficiary'
+      });
+    }
+
+    const result = await sendBeneficiaryAction(req.user, 'setBeneficiary', {
+      beneficiaryAddress: address,
+      inactivityDays
+    });
+
+    // The nomination changes once the event indexer sees it on-chain; until then the
+    // current one stays in force
+    await BeneficiaryProposal.create({
+      userId: req.user._id,
+      walletAddress: req.user.walletAddress,
+      chainId: DEFAULT_CHAIN_ID,
+      beneficiaryAddress: address,
+      beneficiaryUserId: beneficiaryUser ? beneficiaryUser._id : undefined,
+      name: name || (beneficiaryUser ? beneficiaryUser.name : undefined),
+      phoneNumber: req.body.phoneNumber || (beneficiaryUser ? beneficiaryUser.phoneNumber : undefined),
+      inactivityDays,
+      expiresAt: new Date(Date.now() + PROPOSAL_TTL)
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error setting beneficiary:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set beneficiary'
+    });
+  }
+};
+
+/**
+ * Remove the user's beneficiary nomination
+ * @route DELETE /api/beneficiary
+ * @access Private
+ */
+exports.removeBeneficiary = async (req, res) => {
+  try {
+    if (!requireWallet(req, res)) {
+      return;
+    }
+
+    if (!(await blockchainService.getBeneficiaryOnChain(req.user.walletAddress))) {
+      return res.status(404).json({
+        success: false,
+        error: 'No beneficiary nominated'
+      });
+    }
+
+    const result = await sendBeneficiaryAction(req.user, 'setBeneficiary');
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error removing beneficiary:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove beneficiary'
+    });
+  }
+};
+
+/**
+ * Reset the inactivity timer without moving any funds
+ * @route POST /api/beneficiary/check-in
+ * @access Private
+ */
+exports.checkIn = async (req, res) => {
+  try {
+    if (!requireWallet(req, res)) {
+      return;
+    }
+
+    if (!(await blockchainService.getBeneficiaryOnChain(req.user.walletAddress))) {
+      return res.status(404).json({
+        success: false,
+        error: 'No beneficiary nominated'
+      });
+    }
+
+    const result = await sendBeneficiaryAction(req.user, 'checkIn');
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error checking in:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in'
+    });
+  }
+};
+
+/**
+ * Claim the savings and goals of an inactive user who nominated the signed-in user
+ * @route POST /api/beneficiary/claim
+ * @access Private
+ */
+exports.claimInheritance = async (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!requireWallet(req, res)) {
+      return;
+    }
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account address'
+      });
+    }
+
+    const onChain = await blockchainService.getBeneficiaryOnChain(address);
+    if (!onChain || onChain.beneficiaryAddress !== req.user.walletAddress.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not the beneficiary of this account'
+      });
+    }
+
+    if (!onChain.claimable) {
+      return res.status(400).json({
+        success: false,
+        error: 'The account is still active',
+        claimableAt: new Date(onChain.claimableAt * 1000)
+      });
+    }
+
+    if (await blockchainService.getActiveLoanOnChain(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The account has an active loan that must be settled before it can be claimed'
+      });
+    }
+
+    const result = await sendBeneficiaryAction(req.user, 'claimInheritance', {
+      ownerAddress: address
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error claiming inheritance:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim inheritance'
+    });
+  }
+};
@@ -0,0 +1,94 @@
+const { ethers } = require('ethers');
+const devFaucet = require('../services/devfaucet');
+
+// Faucet limits in USDC
+const DEFAULT_FAUCET_AMOUNT = 1000;
+const MAX_FAUCET_AMOUNT = 100000;
+
+/**
+ * Mint test USDC (and gas ETH) to an address on the local devnet
+ * @route POST /api/dev/faucet
+ * @access Public (devnet only)
+ */
+exports.faucet = async (req, res) => {
+  try {
+    const { address, amount = DEFAULT_FAUCET_AMOUNT } = req.body;
+
+    if (!devFaucet.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Faucet is only available in devnet mode'
+      });
+    }
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid address is required'
+      });
+    }
+
+    const value = parseFloat(amount);
+    if (!(value > 0) || value > MAX_FAUCET_AMOUNT) {
+      return res.status(400).json({
+        success: false,
+        error: `Amount must be between 0 and ${MAX_FAUCET_AMOUNT} USDC`
+      });
+    }
+
+    const result = await devFaucet.fundAccount(address, value);
+
+    res.status(200).json({
+      success: true,
+      address,
+      amount: value,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error funding account from faucet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fund account'
+    });
+  }
+};
+
+/**
+ * Add USDC to the mock yield vault so savers accrue interest
+ * @route POST /api/dev/yield
+ * @access Public (devnet only)
+ */
+exports.simulateYield = async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    if (!devFaucet.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Yield simulation is only available in devnet mode'
+      });
+    }
+
+    const value = parseFloat(amount);
+    if (!(value > 0) || value > MAX_FAUCET_AMOUNT) {
+      return res.status(400).json({
+        success: false,
+        error: `Amount must be between 0 and ${MAX_FAUCET_AMOUNT} USDC`
+      });
+    }
+
+    const result = await devFaucet.simulateYield(value);
+
+    res.status(200).json({
+      success: true,
+      amount: value,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error simulating yield:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate yield'
+    });
+  }
+};
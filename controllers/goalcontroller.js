@@ -1,11 +1,48 @@
+const { ethers } = require('ethers');
 const Goal = require('../models/goal');
+const Transaction = require('../models/transaction');
+const TxIntent = require('../models/txintent');
+const User = require('../models/user');
 const blockchainService = require('../services/blockchainservice');
+const transactionBuilder = require('../services/transactionbuilder');
+const walletVault = require('../services/walletvault');
 const twilioService = require('../services/twilioservice');
+const goalSync = require('../services/goalsync');
+const { sendSimulationError } = require('../services/simulation');
 
 // In-memory cache for goals
 const goalsCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
 
+/**
+ * Get the wallet address of a goal's owner
+ * @param {Object} goal - Goal document
+ * @returns {Promise<string|null>} Owner's wallet address
+ */
+const findGoalOwnerAddress = async (goal) => {
+  const owner = await User.findById(goal.userId).select('walletAddress');
+  return owner ? owner.walletAddress : null;
+};
+
+/**
+ * Send a shared goal membership action for the user. Custodial users' calls are signed by
+ * the vault; wallet users get a prepared transaction to sign and broadcast via
+ * /api/savings/tx/broadcast. The event indexer updates the goal's members once it is mined.
+ * @param {Object} user - User document
+ * @param {string} action - inviteGoalMember, acceptGoalInvite or removeGoalMember
+ * @param {Object} params - Action parameters (goalId, memberAddress)
+ * @returns {Promise<Object>} Transaction hash, or the prepared transaction to sign
+ */
+const sendGoalMemberAction = async (user, action, params) => {
+  if (!walletVault.isCustodial(user)) {
+    return transactionBuilder.prepareTransaction(user, action, params);
+  }
+
+  const call = await transactionBuilder.ACTIONS[action].build(user, params);
+  const tx = await blockchainService.custodialGoalMemberCall(user, call.method, call.args);
+  return { txHash: tx.hash };
+};
+
 /**
  * Create a new goal
  * @route POST /api/goals
@@ -18,46 +55,53 @@ exports.createGoal = async (req, res) => {
       targetAmount, 
       durationInDays, 
       description, 
-      type, 
+      category, 
       priority, 
-      reminderFrequency, 
-      privateKey 
+      reminderFrequency
     } = req.body;
     
     const userId = req.user.id;
-    const walletAddress = req.user.walletAddress;
-    
-    // First create goal on blockchain
-    const blockchainResult = await blockchainService.createGoal(
-      privateKey,
-      name,
-      targetAmount,
-      durationInDays
-    );
     
-    // Calculate start and end dates
+    // Calculate start date and deadline
     const startDate = new Date();
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + durationInDays);
+    const deadline = new Date();
+    deadline.setDate(deadline.getDate() + Number(durationInDays));
     
-    // Create goal in database
+    // Create goal in database, then register it on-chain
     const goal = await Goal.create({
       userId,
       name,
-      type: type || 'savings',
+      category,
       targetAmount,
       currentAmount: 0,
       startDate,
-      endDate,
+      deadline,
       description,
       status: 'active',
       priority: priority || 'medium',
-      reminderFrequency,
-      blockchainId: blockchainResult.goalId,
-      txHash: blockchainResult.txHash,
-      walletAddress
+      reminder: reminderFrequency ? { frequency: reminderFrequency } : undefined
     });
     
+    // Custodial wallets are signed server-side by the vault; goal sync retries the registration
+    // if it fails. Wallet users get a prepared createGoal transaction to sign and broadcast,
+    // and the goal is removed again if that transaction can't be prepared.
+    let result = {};
+    if (walletVault.isCustodial(req.user)) {
+      try {
+        const tx = await goalSync.registerGoal(req.user, goal);
+        result = { txHash: tx.hash };
+      } catch (error) {
+        console.error(`Error registering goal ${goal._id} on-chain:`, error);
+      }
+    } else if (req.user.walletAddress) {
+      try {
+        result = await transactionBuilder.prepareTransaction(req.user, 'createGoal', { goalId: goal._id });
+      } catch (error) {
+        await Goal.deleteOne({ _id: goal._id });
+        throw error;
+      }
+    }
+    
     // Clear cache for this user's goals
     goalsCache.delete(`goals:${userId}`);
     
@@ -71,10 +115,14 @@ exports.createGoal = async (req, res) => {
     
     res.status(201).json({
       success: true,
-      goal
+      goal,
+      ...result
     });
   } catch (error) {
     console.error('Error creating goal:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to create goal'
@@ -102,8 +150,13 @@ exports.getGoals = async (req, res) => {
       });
     }
     
-    // Get from database
-    const goals = await Goal.find({ userId });
+    // Get from database, with shared goals the user belongs to or is invited to
+    const goals = await Goal.find({
+      $or: [
+        { userId },
+        { members: { $elemMatch: { userId, status: { $in: ['invited', 'active'] } } } }
+      ]
+    });
     
     // Update cache
     goalsCache.set(cacheKey, {
@@ -140,7 +193,7 @@ exports.getGoalById = async (req, res) => {
     
     if (cachedGoal) {
       const goal = cachedGoal;
-      if (goal.userId.toString() === userId.toString()) {
+      if (goal.isAccessibleBy(userId)) {
         return res.status(200).json({
           success: true,
           goal,
@@ -149,10 +202,10 @@ exports.getGoalById = async (req, res) => {
       }
     }
     
-    // Get from database
-    const goal = await Goal.findOne({ _id: id, userId });
+    // Get from database; members of a shared goal can see it too
+    const goal = await Goal.findById(id);
     
-    if (!goal) {
+    if (!goal || !goal.isAccessibleBy(userId)) {
       return res.status(404).json({
         success: false,
         error: 'Goal not found'
@@ -265,8 +318,121 @@ exports.deleteGoal = async (req, res) => {
 exports.contributeToGoal = async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, privateKey } = req.body;
+    const { intentId, signedTx } = req.body;
     const userId = req.user.id;
+    const custodial = walletVault.isCustodial(req.user);
+    
+    if (!custodial && (!intentId || !signedTx)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Intent ID and signed transaction are required'
+      });
+    }
+    
+    // Find goal; members of a shared goal contribute from their own savings
+    const goal = await Goal.findById(id);
+    
+    if (!goal || !goal.isAccessibleBy(userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    const shared = goal.userId.toString() !== userId.toString();
+    
+    let result;
+    if (custodial) {
+      // Custodial wallets are signed server-side by the vault
+      const { amount } = req.body;
+      if (!amount || parseFloat(amount) <= 0 || !goal.blockchain.registered || !goal.blockchain.goalId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid amount or goal is not registered on-chain'
+        });
+      }
+      
+      const tx = shared
+        ? await blockchainService.custodialContributeToSharedGoal(
+          req.user,
+          await findGoalOwnerAddress(goal),
+          goal.blockchain.goalId,
+          amount
+        )
+        : await blockchainService.custodialContributeToGoal(req.user, goal.blockchain.goalId, amount);
+      result = await Transaction.create({
+        userId,
+        type: 'goal_contribution',
+        amount,
+        status: 'pending',
+        txHash: tx.hash,
+        walletAddress: req.user.walletAddress,
+        goalId: id
+      });
+    } else {
+      // The intent must be a prepared contribution to this goal
+      const intent = await TxIntent.findOne({ _id: intentId, userId });
+      const action = shared ? 'contributeToSharedGoal' : 'contributeToGoal';
+      if (!intent || intent.action !== action || intent.params.goalId !== id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Prepared contribution not found for this goal'
+        });
+      }
+      
+      // Relay the user-signed contribution
+      ({ transaction: result } = await transactionBuilder.broadcastTransaction(
+        req.user,
+        intentId,
+        signedTx
+      ));
+    }
+    
+    // The indexer updates the goal's amount and completion once the contribution is mined
+    const updatedGoal = await Goal.findByIdAndUpdate(
+      id,
+      {
+        $push: {
+          transactions: result._id
+        }
+      },
+      { new: true }
+    );
+    
+    // Clear cache for this user's and the owner's goals
+    goalsCache.delete(`goals:${userId}`);
+    goalsCache.delete(`goals:${goal.userId}`);
+    goalsCache.delete(`goal:${id}`);
+    
+    res.status(200).json({
+      success: true,
+      goal: updatedGoal,
+      transaction: result
+    });
+  } catch (error) {
+    console.error('Error contributing to goal:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to contribute to goal'
+    });
+  }
+};
+
+/**
+ * Release a goal's locked funds back to the savings balance. Wallet users get a prepared
+ * transaction to sign and broadcast via /api/savings/tx/broadcast.
+ * @route POST /api/goals/:id/release
+ * @access Private
+ */
+exports.releaseGoal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { acceptPenalty } = req.body;
+    const userId = req.user.id;
+    const walletAddress = req.user.walletAddress;
     
     // Find goal
     const goal = await Goal.findOne({ _id: id, userId });
@@ -278,28 +444,64 @@ exports.contributeToGoal = async (req, res) => {
       });
     }
     
-    // Contribute on blockchain
-    const result = await blockchainService.contributeToGoal(
-      privateKey, 
-      goal.blockchainId, 
-      amount
-    );
+    if (!goal.blockchain.registered || !goal.blockchain.goalId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Goal is not registered on-chain'
+      });
+    }
+    
+    if (goal.lock.released) {
+      return res.status(400).json({
+        success: false,
+        error: 'Goal funds have already been released'
+      });
+    }
+    
+    const onChainId = goal.blockchain.goalId;
+    const unlocked = await blockchainService.isGoalUnlocked(walletAddress, onChainId);
+    
+    // Breaking a locked goal early requires the user to accept the penalty
+    let penalty = '0';
+    if (!unlocked) {
+      penalty = await blockchainService.getEarlyReleasePenalty(walletAddress, onChainId);
+      
+      if (!acceptPenalty) {
+        return res.status(400).json({
+          success: false,
+          error: 'Goal is still locked. Early release incurs a penalty.',
+          penalty
+        });
+      }
+    }
+    
+    // Wallet users sign the release themselves; the indexer records it once mined
+    if (!walletVault.isCustodial(req.user)) {
+      const prepared = await transactionBuilder.prepareTransaction(
+        req.user,
+        unlocked ? 'releaseGoal' : 'breakGoal',
+        { goalId: id }
+      );
+      
+      return res.status(200).json({
+        success: true,
+        penalty,
+        ...prepared
+      });
+    }
     
-    // Update goal in database
-    const newAmount = goal.currentAmount + parseFloat(amount);
-    const newStatus = newAmount >= goal.targetAmount ? 'completed' : 'active';
+    const result = await blockchainService.custodialReleaseGoal(req.user, onChainId, !unlocked);
     
     const updatedGoal = await Goal.findByIdAndUpdate(
       id,
       {
-        currentAmount: newAmount,
-        status: newStatus,
-        $push: {
-          contributions: {
-            amount: parseFloat(amount),
-            date: new Date(),
-            txHash: result.txHash
-          }
+        status: unlocked ? goal.status : 'cancelled',
+        lock: {
+          released: true,
+          releasedAt: new Date(),
+          earlyRelease: !unlocked,
+          penaltyAmount: parseFloat(penalty),
+          txHash: result.hash
         }
       },
       { new: true }
@@ -307,25 +509,284 @@ exports.contributeToGoal = async (req, res) => {
     
     // Clear cache for this user's goals
     goalsCache.delete(`goals:${userId}`);
+    goalsCache.delete(`goal:${id}`);
     
-    // Send notification if goal completed
-    if (newStatus === 'completed' && req.user.phoneNumber) {
+    if (req.user.phoneNumber) {
       twilioService.sendSMS(
         req.user.phoneNumber,
-        `Congratulations! You've completed your "${goal.name}" goal by reaching your target of ${goal.targetAmount} USDC.`
+        unlocked
+          ? `The funds in your "${goal.name}" goal have been released to your BazuuSave balance.`
+          : `Your "${goal.name}" goal was broken early. A penalty of ${penalty} USDC was applied and the rest returned to your BazuuSave balance.`
       );
     }
     
     res.status(200).json({
       success: true,
       goal: updatedGoal,
+      penalty,
       transaction: result
     });
   } catch (error) {
-    console.error('Error contributing to goal:', error);
+    console.error('Error releasing goal:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
-      error: 'Failed to contribute to goal'
+      error: 'Failed to release goal'
+    });
+  }
+};
+
+/**
+ * Get a shared goal's members and what each has contributed
+ * @route GET /api/goals/:id/members
+ * @access Private (owner, members and invitees)
+ */
+exports.getGoalMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    
+    const goal = await Goal.findById(id);
+    const member = goal && req.user.walletAddress && goal.findMember(req.user.walletAddress);
+    const isOwner = goal && goal.userId.toString() === userId.toString();
+    
+    if (!goal || (!isOwner && (!member || member.status === 'removed'))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    // On-chain contributions are the record; members are mirrored by the indexer
+    const contributors = goal.blockchain.goalId
+      ? await blockchainService.getGoalContributors(await findGoalOwnerAddress(goal), goal.blockchain.goalId)
+      : [];
+    
+    res.status(200).json({
+      success: true,
+      members: goal.members,
+      contributors
+    });
+  } catch (error) {
+    console.error('Error getting goal members:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get goal members'
+    });
+  }
+};
+
+/**
+ * Invite another user to contribute to a goal
+ * @route POST /api/goals/:id/members
+ * @access Private (owner)
+ */
+exports.inviteGoalMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { phoneNumber, email } = req.body;
+    const userId = req.user.id;
+    
+    if (!phoneNumber && !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number or email of the person to invite is required'
+      });
+    }
+    
+    const goal = await Goal.findOne({ _id: id, userId });
+    
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    if (!goal.blockchain.registered || !goal.blockchain.goalId || goal.lock.released) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only goals registered on-chain and not yet released can be shared'
+      });
+    }
+    
+    const invitee = await User.findOne(phoneNumber ? { phoneNumber } : { email: email.toLowerCase() });
+    
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        error: 'No user found with those details'
+      });
+    }
+    
+    if (!invitee.walletAddress || invitee._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This user cannot be invited to the goal'
+      });
+    }
+    
+    const status = await blockchainService.getGoalMemberStatus(
+      req.user.walletAddress,
+      goal.blockchain.goalId,
+      invitee.walletAddress
+    );
+    if (status !== 'none') {
+      return res.status(400).json({
+        success: false,
+        error: 'This user is already invited to or a member of the goal'
+      });
+    }
+    
+    const result = await sendGoalMemberAction(req.user, 'inviteGoalMember', {
+      goalId: id,
+      memberAddress: invitee.walletAddress
+    });
+    
+    // Members can see a shared goal
+    if (goal.visibility === 'private') {
+      goal.visibility = 'friends';
+      await goal.save();
+    }
+    
+    goalsCache.delete(`goals:${invitee._id}`);
+    
+    if (invitee.phoneNumber) {
+      twilioService.sendSMS(
+        invitee.phoneNumber,
+        `${req.user.name || 'A BazuuSave user'} has invited you to save together towards "${goal.name}". Open BazuuSave to accept.`
+      );
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error inviting goal member:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invite goal member'
+    });
+  }
+};
+
+/**
+ * Accept an invitation to a shared goal
+ * @route POST /api/goals/:id/members/accept
+ * @access Private (invitee)
+ */
+exports.acceptGoalInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const goal = await Goal.findById(id);
+    
+    if (!goal || !goal.blockchain.goalId || !req.user.walletAddress) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    const status = await blockchainService.getGoalMemberStatus(
+      await findGoalOwnerAddress(goal),
+      goal.blockchain.goalId,
+      req.user.walletAddress
+    );
+    if (status !== 'invited') {
+      return res.status(400).json({
+        success: false,
+        error: 'You have no pending invitation to this goal'
+      });
+    }
+    
+    const result = await sendGoalMemberAction(req.user, 'acceptGoalInvite', { goalId: id });
+    
+    goalsCache.delete(`goals:${req.user.id}`);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error accepting goal invitation:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept goal invitation'
+    });
+  }
+};
+
+/**
+ * Remove a member or cancel an invitation. The owner can remove anyone; members can leave
+ * or decline. Contributions already made stay in the goal.
+ * @route DELETE /api/goals/:id/members/:address
+ * @access Private (owner, or the member themselves)
+ */
+exports.removeGoalMember = async (req, res) => {
+  try {
+    const { id, address } = req.params;
+    const userId = req.user.id;
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid member address is required'
+      });
+    }
+    
+    const goal = await Goal.findById(id);
+    const isOwner = goal && goal.userId.toString() === userId.toString();
+    const isSelf = req.user.walletAddress && address.toLowerCase() === req.user.walletAddress.toLowerCase();
+    
+    if (!goal || !goal.blockchain.goalId || (!isOwner && !isSelf)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    const status = await blockchainService.getGoalMemberStatus(
+      await findGoalOwnerAddress(goal),
+      goal.blockchain.goalId,
+      address
+    );
+    if (status === 'none') {
+      return res.status(400).json({
+        success: false,
+        error: 'This address is not a member of the goal'
+      });
+    }
+    
+    const result = await sendGoalMemberAction(req.user, 'removeGoalMember', {
+      goalId: id,
+      memberAddress: address
+    });
+    
+    goalsCache.delete(`goals:${userId}`);
+    goalsCache.delete(`goal:${id}`);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error removing goal member:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove goal member'
     });
   }
 };
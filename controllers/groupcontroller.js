@@ -0,0 +1,581 @@
+const Group = require('../models/group');
+const Transaction = require('../models/transaction');
+const blockchainService = require('../services/blockchainservice');
+const transactionBuilder = require('../services/transactionbuilder');
+const walletVault = require('../services/walletvault');
+const { sendSimulationError } = require('../services/simulation');
+const { chamaContract } = require('../config/blockchain');
+
+// Group limits, matching BazuuChama
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 50;
+const MIN_CYCLE_DURATION_DAYS = 1;
+const MAX_CYCLE_DURATION_DAYS = 90;
+
+/**
+ * Send a BazuuChama action for the user. Custodial users' calls are signed by the vault;
+ * wallet users get a prepared transaction to sign and broadcast via /api/savings/tx/broadcast
+ * @param {Object} user - User document
+ * @param {string} action - Transaction builder action
+ * @param {Object} params - Action parameters (groupId, order, round)
+ * @returns {Promise<Object>} Transaction, or the prepared transaction to sign
+ */
+const sendGroupAction = async (user, action, params) => {
+  const definition = transactionBuilder.ACTIONS[action];
+
+  if (!walletVault.isCustodial(user)) {
+    return transactionBuilder.prepareTransaction(user, action, params);
+  }
+
+  const call = await definition.build(user, params);
+  const tx = definition.transactionType === 'group_contribution'
+    ? await blockchainService.custodialGroupContribution(user, call.method, call.args, call.amount)
+    : await blockchainService.custodialGroupCall(user, call.method, call.args);
+
+  const transaction = definition.transactionType
+    ? await Transaction.create({
+      userId: user._id,
+      type: definition.transactionType,
+      amount: call.amount,
+      status: 'pending',
+      txHash: tx.hash,
+      walletAddress: user.walletAddress,
+      groupId: call.groupId
+    })
+    : null;
+
+  return { txHash: tx.hash, transaction };
+};
+
+/**
+ * Find a group the request can act on
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Group document, or null once an error response is sent
+ */
+const findRequestGroup = async (req, res) => {
+  if (!chamaContract) {
+    res.status(400).json({
+      success: false,
+      error: 'Savings groups are not available on this chain'
+    });
+    return null;
+  }
+
+  if (!req.user.walletAddress) {
+    res.status(400).json({
+      success: false,
+      error: 'Connect a wallet before using savings groups'
+    });
+    return null;
+  }
+
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      error: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!group.blockchain.groupId) {
+    res.status(400).json({
+      success: false,
+      error: 'Group is not registered on-chain yet'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+/**
+ * Check that the user is the group's creator
+ * @param {Object} group - Group document
+ * @param {Object} user - User document
+ * @returns {boolean} True if the user created the group
+ */
+const isCreator = (group, user) => {
+  return group.creatorAddress === user.walletAddress.toLowerCase();
+};
+
+/**
+ * Create a savings group
+ * @route POST /api/groups
+ * @access Private
+ */
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, description, contributionAmount, cycleDurationDays, maxMembers } = req.body;
+
+    if (!chamaContract) {
+      return res.status(400).json({
+        success: false,
+        error: 'Savings groups are not available on this chain'
+      });
+    }
+
+    if (!req.user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Connect a wallet before creating a group'
+      });
+    }
+
+    if (!name || !contributionAmount || parseFloat(contributionAmount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a name and contribution amount'
+      });
+    }
+
+    const cycleDays = parseInt(cycleDurationDays, 10);
+    if (!(cycleDays >= MIN_CYCLE_DURATION_DAYS && cycleDays <= MAX_CYCLE_DURATION_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cycle duration must be between ${MIN_CYCLE_DURATION_DAYS} and ${MAX_CYCLE_DURATION_DAYS} days`
+      });
+    }
+
+    const memberLimit = parseInt(maxMembers, 10);
+    if (!(memberLimit >= MIN_MEMBERS && memberLimit <= MAX_MEMBERS)) {
+      return res.status(400).json({
+        success: false,
+        error: `A group must allow between ${MIN_MEMBERS} and ${MAX_MEMBERS} members`
+      });
+    }
+
+    const group = await Group.create({
+      name,
+      description,
+      creatorId: req.user._id,
+      creatorAddress: req.user.walletAddress,
+      contributionAmount: parseFloat(contributionAmount),
+      cycleDurationDays: cycleDays,
+      maxMembers: memberLimit
+    });
+
+    let result;
+    if (walletVault.isCustodial(req.user)) {
+      const call = await transactionBuilder.ACTIONS.createGroup.build(req.user, { groupId: group._id });
+      const tx = await blockchainService.custodialGroupCall(req.user, call.method, call.args);
+      group.blockchain.txHash = tx.hash;
+      await group.save();
+      result = { txHash: tx.hash };
+    } else {
+      result = await transactionBuilder.prepareTransaction(req.user, 'createGroup', {
+        groupId: group._id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      group,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error creating group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create group'
+    });
+  }
+};
+
+/**
+ * Get the user's savings groups
+ * @route GET /api/groups
+ * @access Private
+ */
+exports.getGroups = async (req, res) => {
+  try {
+    if (!req.user.walletAddress) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        groups: []
+      });
+    }
+
+    const walletAddress = req.user.walletAddress.toLowerCase();
+    const groups = await Group.find({
+      $or: [
+        { 'members.walletAddress': walletAddress },
+        { creatorAddress: walletAddress }
+      ]
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      groups
+    });
+  } catch (error) {
+    console.error('Error getting groups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get groups'
+    });
+  }
+};
+
+/**
+ * Get a savings group
+ * @route GET /api/groups/:id
+ * @access Private
+ */
+exports.getGroupById = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    console.error('Error getting group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get group'
+    });
+  }
+};
+
+/**
+ * Join an open group
+ * @route POST /api/groups/:id/join
+ * @access Private
+ */
+exports.joinGroup = async (req, res) => {
+  try {
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    if (group.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Group is not open to new members'
+      });
+    }
+
+    if (group.findMember(req.user.walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already a member of this group'
+      });
+    }
+
+    if (group.members.length >= group.maxMembers) {
+      return res.status(400).json({
+        success: false,
+        error: 'Group is full'
+      });
+    }
+
+    const result = await sendGroupAction(req.user, 'joinGroup', { groupId: group._id });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error joining group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to join group'
+    });
+  }
+};
+
+/**
+ * Leave a group before it starts
+ * @route POST /api/groups/:id/leave
+ * @access Private
+ */
+exports.leaveGroup = async (req, res) => {
+  try {
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    if (group.status !== 'open' || !group.findMember(req.user.walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You can only leave an open group you belong to'
+      });
+    }
+
+    if (isCreator(group, req.user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The creator cannot leave; cancel the group instead'
+      });
+    }
+
+    const result = await sendGroupAction(req.user, 'leaveGroup', { groupId: group._id });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave group'
+    });
+  }
+};
+
+/**
+ * Set the payout order before the group starts
+ * @route POST /api/groups/:id/order
+ * @access Private (creator)
+ */
+exports.setPayoutOrder = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    if (!isCreator(group, req.user) || group.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only the creator can set the payout order of an open group'
+      });
+    }
+
+    const addresses = Array.isArray(order) ? order.map((address) => address.toLowerCase()) : [];
+    const complete = addresses.length === group.members.length &&
+      new Set(addresses).size === addresses.length &&
+      addresses.every((address) => group.findMember(address));
+
+    if (!complete) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order must list every member exactly once'
+      });
+    }
+
+    const result = await sendGroupAction(req.user, 'setGroupPayoutOrder', {
+      groupId: group._id,
+      order: addresses
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error setting payout order:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set payout order'
+    });
+  }
+};
+
+/**
+ * Start the first round
+ * @route POST /api/groups/:id/start
+ * @access Private (creator)
+ */
+exports.startGroup = async (req, res) => {
+  try {
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    if (!isCreator(group, req.user) || group.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only the creator can start an open group'
+      });
+    }
+
+    if (group.members.length < MIN_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `A group needs at least ${MIN_MEMBERS} members to start`
+      });
+    }
+
+    const result = await sendGroupAction(req.user, 'startGroup', { groupId: group._id });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error starting group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start group'
+    });
+  }
+};
+
+/**
+ * Cancel a group that has not started
+ * @route POST /api/groups/:id/cancel
+ * @access Private (creator)
+ */
+exports.cancelGroup = async (req, res) => {
+  try {
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    if (!isCreator(group, req.user) || group.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only the creator can cancel an open group'
+      });
+    }
+
+    const result = await sendGroupAction(req.user, 'cancelGroup', { groupId: group._id });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error cancelling group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel group'
+    });
+  }
+};
+
+/**
+ * Pay this round's contribution, or a missed one when a round is given
+ * @route POST /api/groups/:id/contribute
+ * @access Private (member)
+ */
+exports.contribute = async (req, res) => {
+  try {
+    const { round } = req.body;
+
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    const member = group.findMember(req.user.walletAddress);
+    if (!member) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of this group'
+      });
+    }
+
+    const arrears = round !== undefined && round !== null;
+    if (arrears && !member.arrearsRounds.includes(Number(round))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No missed contribution for that round'
+      });
+    }
+
+    if (!arrears && (group.status !== 'active' || member.contributedRounds.includes(group.currentRound))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No contribution is due for this round'
+      });
+    }
+
+    // Wallet users approve BazuuChama themselves; custodial approvals are handled server-side
+    if (!walletVault.isCustodial(req.user)) {
+      const approved = await blockchainService.hasAllowance(
+        req.user.walletAddress,
+        group.contributionAmount,
+        chamaContract.target
+      );
+      if (!approved) {
+        return res.status(400).json({
+          success: false,
+          error: 'Approve BazuuChama to spend your contribution first',
+          spender: chamaContract.target,
+          amount: group.contributionAmount
+        });
+      }
+    }
+
+    const result = arrears
+      ? await sendGroupAction(req.user, 'payGroupArrears', { groupId: group._id, round: Number(round) })
+      : await sendGroupAction(req.user, 'contributeToGroup', { groupId: group._id });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error contributing to group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to contribute to group'
+    });
+  }
+};
+
+/**
+ * Pay out the current round once everyone has contributed or the round has ended
+ * @route POST /api/groups/:id/payout
+ * @access Private (member)
+ */
+exports.payout = async (req, res) => {
+  try {
+    const group = await findRequestGroup(req, res);
+    if (!group) return;
+
+    if (group.status !== 'active' || !group.findMember(req.user.walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only members of an active group can trigger a payout'
+      });
+    }
+
+    const result = await sendGroupAction(req.user, 'payoutGroup', { groupId: group._id });
+
+    res.status(200).json({
+      success: true,
+      recipient: group.currentRecipient,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error paying out group:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pay out group'
+    });
+  }
+};
@@ -0,0 +1,239 @@
+const Loan = require('../models/loan');
+const Transaction = require('../models/transaction');
+const blockchainService = require('../services/blockchainservice');
+const transactionBuilder = require('../services/transactionbuilder');
+const walletVault = require('../services/walletvault');
+const { sendSimulationError } = require('../services/simulation');
+
+// Loan duration when the client does not pick one
+const DEFAULT_LOAN_DURATION_DAYS = 30;
+
+/**
+ * Check that an address in the request belongs to the signed-in user
+ * @param {Object} user - User document
+ * @param {string} address - Address from the request
+ * @returns {boolean} True if it matches the user's wallet
+ */
+const isOwnAddress = (user, address) => {
+  return Boolean(user.walletAddress) &&
+    (!address || address.toLowerCase() === user.walletAddress.toLowerCase());
+};
+
+/**
+ * Get a user's active loan, loan history and borrowing terms
+ * @route GET /api/loan/:address
+ * @access Private
+ */
+exports.getLoan = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const durationInDays = parseInt(req.query.durationInDays, 10) || DEFAULT_LOAN_DURATION_DAYS;
+
+    if (!isOwnAddress(req.user, address)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Address does not belong to this account'
+      });
+    }
+
+    const [activeLoan, terms, loans] = await Promise.all([
+      blockchainService.getActiveLoanOnChain(address),
+      blockchainService.getLoanTerms(address, durationInDays),
+      Loan.find({ walletAddress: address.toLowerCase() }).sort({ createdAt: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      loan: activeLoan,
+      terms,
+      loans
+    });
+  } catch (error) {
+    console.error('Error getting loan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get loan'
+    });
+  }
+};
+
+/**
+ * Borrow against savings. Custodial loans are sent straight away; wallet users get
+ * a prepared transaction to sign and broadcast via /api/savings/tx/broadcast
+ * @route POST /api/loan/request
+ * @access Private
+ */
+exports.requestLoan = async (req, res) => {
+  try {
+    const { address, amount } = req.body;
+    const durationInDays = parseInt(req.body.durationInDays, 10) || DEFAULT_LOAN_DURATION_DAYS;
+    const walletAddress = req.user.walletAddress;
+
+    if (!isOwnAddress(req.user, address)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Address does not belong to this account'
+      });
+    }
+
+    if (!amount || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount'
+      });
+    }
+
+    const terms = await blockchainService.getLoanTerms(walletAddress, durationInDays);
+
+    if (durationInDays < 1 || durationInDays > terms.maxDurationDays) {
+      return res.status(400).json({
+        success: false,
+        error: `Loan duration must be between 1 and ${terms.maxDurationDays} days`
+      });
+    }
+
+    if (await blockchainService.getActiveLoanOnChain(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Repay your active loan before borrowing again'
+      });
+    }
+
+    if (parseFloat(amount) > parseFloat(terms.maxAmount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount exceeds what your savings can secure',
+        maxAmount: terms.maxAmount
+      });
+    }
+
+    const quote = await blockchainService.getLoanQuote(amount, durationInDays);
+
+    if (!walletVault.isCustodial(req.user)) {
+      const prepared = await transactionBuilder.prepareTransaction(req.user, 'requestLoan', {
+        amount,
+        durationInDays
+      });
+
+      return res.status(200).json({
+        success: true,
+        quote,
+        ...prepared
+      });
+    }
+
+    // Custodial loans are signed server-side by the vault
+    const tx = await blockchainService.custodialRequestLoan(req.user, amount, durationInDays);
+
+    const [loan, transaction] = await Promise.all([
+      Loan.create({
+        userId: req.user._id,
+        walletAddress,
+        principal: parseFloat(amount),
+        durationInDays,
+        txHash: tx.hash
+      }),
+      Transaction.create({
+        userId: req.user._id,
+        type: 'loan',
+        amount,
+        status: 'pending',
+        txHash: tx.hash,
+        walletAddress
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      quote,
+      loan,
+      transaction
+    });
+  } catch (error) {
+    console.error('Error requesting loan:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request loan'
+    });
+  }
+};
+
+/**
+ * Repay the active loan, in full unless an amount is given. Custodial users repay from
+ * their savings balance; wallet users get a prepared transaction to sign
+ * @route POST /api/loan/repay
+ * @access Private
+ */
+exports.repayLoan = async (req, res) => {
+  try {
+    const { address, amount, fromSavings = true } = req.body;
+    const walletAddress = req.user.walletAddress;
+
+    if (!isOwnAddress(req.user, address)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Address does not belong to this account'
+      });
+    }
+
+    const activeLoan = await blockchainService.getActiveLoanOnChain(walletAddress);
+    if (!activeLoan) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active loan'
+      });
+    }
+
+    const repayAmount = amount || activeLoan.outstanding;
+    if (parseFloat(repayAmount) <= 0 || parseFloat(repayAmount) > parseFloat(activeLoan.outstanding)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount',
+        outstanding: activeLoan.outstanding
+      });
+    }
+
+    if (!walletVault.isCustodial(req.user)) {
+      const prepared = await transactionBuilder.prepareTransaction(req.user, 'repayLoan', {
+        amount: repayAmount,
+        fromSavings: Boolean(fromSavings)
+      });
+
+      return res.status(200).json({
+        success: true,
+        loan: activeLoan,
+        ...prepared
+      });
+    }
+
+    // Custodial repayments are signed server-side by the vault
+    const tx = await blockchainService.custodialRepayLoan(req.user, repayAmount);
+
+    const transaction = await Transaction.create({
+      userId: req.user._id,
+      type: 'loan_repayment',
+      amount: repayAmount,
+      status: 'pending',
+      txHash: tx.hash,
+      walletAddress
+    });
+
+    res.status(200).json({
+      success: true,
+      loan: activeLoan,
+      transaction
+    });
+  } catch (error) {
+    console.error('Error repaying loan:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to repay loan'
+    });
+  }
+};
@@ -1,11 +1,65 @@
-const User = require('../models/user');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
 const Transaction = require('../models/transaction');
+const TxIntent = require('../models/txintent');
+const Goal = require('../models/goal');
 const blockchainService = require('../services/blockchainservice');
+const relayerService = require('../services/relayerservice');
+const transactionBuilder = require('../services/transactionbuilder');
+const walletVault = require('../services/walletvault');
+const feeService = require('../services/feeservice');
+const swapDeposit = require('../services/swapdeposit');
+const mpesaDeposits = require('../services/mpesadeposits');
+const mpesaService = require('../services/mpesa');
+const { sendSimulationError } = require('../services/simulation');
+const yieldService = require('../services/yieldservice');
+const { DEFAULT_CHAIN_ID, isChainEnabled } = require('../config/chains');
 
 // In-memory cache for balances
 const balanceCache = new Map();
 const CACHE_TTL = 60 * 1000; // 1 minute in milliseconds
 
+// Actions that need an amount
+const AMOUNT_ACTIONS = ['deposit', 'withdraw', 'contributeToGoal', 'contributeToSharedGoal', 'requestLoan', 'repayLoan'];
+
+// A USDC amount with at most 6 decimals
+const USDC_AMOUNT = /^\d+(\.\d{1,6})?$/;
+
+// Actions the generic prepare route serves; the rest are prepared by their own routes,
+// which validate them and record what they need
+const PREPARE_ACTIONS = ['deposit', 'withdraw', 'createGoal', 'contributeToGoal'];
+
+// Balance cache key for an address on a chain
+const balanceCacheKey = (address, chainId = DEFAULT_CHAIN_ID) => `${chainId}:${address.toLowerCase()}`;
+
+// M-Pesa calls back on the URL it was given, so the URL carries a shared secret
+const isMpesaCallbackAuthentic = (token) => {
+  const secret = process.env.MPESA_CALLBACK_SECRET;
+  if (!secret || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Error message for an invalid swap input (tokenIn, amount, slippageBps), or null
+const findSwapInputError = ({ tokenIn, amount, slippageBps }) => {
+  if (!tokenIn || (tokenIn.toUpperCase() !== swapDeposit.NATIVE_TOKEN && !ethers.isAddress(tokenIn))) {
+    return `Token must be ${swapDeposit.NATIVE_TOKEN} or a token address`;
+  }
+  if (!amount || !(parseFloat(amount) > 0)) {
+    return 'Invalid amount';
+  }
+  if (slippageBps !== undefined) {
+    const bps = Number(slippageBps);
+    if (!Number.isInteger(bps) || bps < 0 || bps > swapDeposit.MAX_SLIPPAGE_BPS) {
+      return `Slippage must be between 0 and ${swapDeposit.MAX_SLIPPAGE_BPS} basis points`;
+    }
+  }
+  return null;
+};
+
 /**
  * Get user's savings balance
  * @route GET /api/savings/balance/:address
@@ -14,29 +68,40 @@ const CACHE_TTL = 60 * 1000; // 1 minute in milliseconds
 exports.getBalance = async (req, res) => {
   try {
     const { address } = req.params;
+    const chainId = req.query.chainId ? Number(req.query.chainId) : DEFAULT_CHAIN_ID;
+    
+    if (!isChainEnabled(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain: ${req.query.chainId}`
+      });
+    }
     
     // Try to get from cache first
-    const cachedData = balanceCache.get(address);
+    const cacheKey = balanceCacheKey(address, chainId);
+    const cachedData = balanceCache.get(cacheKey);
     if (cachedData && Date.now() - cachedData.timestamp < CACHE_TTL) {
       return res.status(200).json({
         success: true,
         balance: cachedData.balance,
+        chainId,
         fromCache: true
       });
     }
     
     // Get balance from blockchain
-    const balance = await blockchainService.getBalance(address);
+    const balance = await blockchainService.getBalance(address, chainId);
     
     // Update cache
-    balanceCache.set(address, {
+    balanceCache.set(cacheKey, {
       balance,
       timestamp: Date.now()
     });
     
     res.status(200).json({
       success: true,
-      balance
+      balance,
+      chainId
     });
   } catch (error) {
     console.error('Error getting balance:', error);
@@ -48,41 +113,307 @@ exports.getBalance = async (req, res) => {
 };
 
 /**
- * Deposit cryptocurrency
- * @route POST /api/savings/deposit/crypto
+ * Get the savings APY and the state of the yield strategy
+ * @route GET /api/savings/yield
+ * @access Public
+ */
+exports.getYield = async (req, res) => {
+  try {
+    const chainId = req.query.chainId ? Number(req.query.chainId) : DEFAULT_CHAIN_ID;
+    
+    if (!isChainEnabled(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain: ${req.query.chainId}`
+      });
+    }
+    
+    const { apy, periodDays, strategy } = await yieldService.getApy(chainId);
+    
+    res.status(200).json({
+      success: true,
+      chainId,
+      apy,
+      periodDays,
+      strategy
+    });
+  } catch (error) {
+    console.error('Error getting yield:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get yield'
+    });
+  }
+};
+
+/**
+ * Get the interest a user has earned on their savings
+ * @route GET /api/savings/yield/:address
+ * @access Public
+ */
+exports.getUserYield = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const chainId = req.query.chainId ? Number(req.query.chainId) : DEFAULT_CHAIN_ID;
+    
+    if (!isChainEnabled(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain: ${req.query.chainId}`
+      });
+    }
+    
+    const [userYield, { apy }] = await Promise.all([
+      yieldService.getUserYield(address, chainId),
+      yieldService.getApy(chainId)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      ...userYield,
+      apy
+    });
+  } catch (error) {
+    console.error('Error getting user yield:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get yield'
+    });
+  }
+};
+
+/**
+ * Prepare an unsigned BazuuSave transaction for the user's wallet to sign
+ * @route POST /api/savings/tx/prepare/:action
  * @access Private
  */
-exports.depositCrypto = async (req, res) => {
+exports.prepareTransaction = async (req, res) => {
   try {
-    const { amount, privateKey } = req.body;
+    const { action } = req.params;
+    const { amount, goalId } = req.body;
+    
+    if (!PREPARE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported action: ${action}`
+      });
+    }
+    
+    if (!req.user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Connect a wallet before preparing transactions'
+      });
+    }
+    
+    if (action !== 'createGoal' && (!amount || parseFloat(amount) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount'
+      });
+    }
+    
+    if ((action === 'createGoal' || action === 'contributeToGoal') && !goalId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Goal ID is required'
+      });
+    }
+    
+    const prepared = await transactionBuilder.prepareTransaction(req.user, action, {
+      amount,
+      goalId
+    });
+    
+    res.status(200).json({
+      success: true,
+      ...prepared
+    });
+  } catch (error) {
+    console.error('Error preparing transaction:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to prepare transaction'
+    });
+  }
+};
+
+/**
+ * Relay a transaction signed by the user's wallet
+ * @route POST /api/savings/tx/broadcast
+ * @access Private
+ */
+exports.broadcastTransaction = async (req, res) => {
+  try {
+    const { intentId, signedTx } = req.body;
+    
+    if (!intentId || !signedTx) {
+      return res.status(400).json({
+        success: false,
+        error: 'Intent ID and signed transaction are required'
+      });
+    }
+    
+    // Swap bundles are relayed together with their deposit permit
+    const intent = await TxIntent.findOne({ _id: intentId, userId: req.user._id });
+    if (intent && swapDeposit.INTENT_ACTIONS.includes(intent.action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Broadcast swaps via /api/savings/swap/deposit'
+      });
+    }
+    
+    const { transaction } = await transactionBuilder.broadcastTransaction(
+      req.user,
+      intentId,
+      signedTx
+    );
+    
+    // Clear balance cache
+    balanceCache.delete(balanceCacheKey(req.user.walletAddress));
+    
+    res.status(200).json({
+      success: true,
+      transaction
+    });
+  } catch (error) {
+    console.error('Error broadcasting transaction:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to broadcast transaction'
+    });
+  }
+};
+
+/**
+ * Simulate a BazuuSave or BazuuChama call from the user's wallet so the app can warn before
+ * the user signs. Reverts come back as an error code and reason rather than a failure.
+ * @route POST /api/savings/simulate
+ * @access Private
+ */
+exports.simulateTransaction = async (req, res) => {
+  try {
+    const { action, ...params } = req.body;
+    
+    if (!transactionBuilder.ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported action: ${action}`
+      });
+    }
+    
+    if (!req.user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'User has no wallet address'
+      });
+    }
+    
+    if (AMOUNT_ACTIONS.includes(action) && (!params.amount || parseFloat(params.amount) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount'
+      });
+    }
+    
+    const simulation = await transactionBuilder.simulateTransaction(req.user, action, {
+      amount: params.amount,
+      goalId: params.goalId,
+      memberAddress: params.memberAddress,
+      durationInDays: params.durationInDays,
+      fromSavings: params.fromSavings,
+      beneficiaryAddress: params.beneficiaryAddress,
+      inactivityDays: params.inactivityDays,
+      ownerAddress: params.ownerAddress,
+      groupId: params.groupId,
+      order: params.order,
+      round: params.round
+    });
+    
+    res.status(200).json({
+      success: true,
+      simulation
+    });
+  } catch (error) {
+    console.error('Error simulating transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate transaction'
+    });
+  }
+};
+
+/**
+ * Gasless deposit using a user-signed EIP-2612 permit
+ * @route POST /api/savings/deposit/permit
+ * @access Private
+ */
+exports.depositWithPermit = async (req, res) => {
+  try {
+    const { amount, deadline, signature } = req.body;
     const userId = req.user.id;
     const walletAddress = req.user.walletAddress;
     
-    // Deposit on blockchain
-    const result = await blockchainService.deposit(privateKey, amount);
+    if (!walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Connect a wallet before depositing'
+      });
+    }
+    
+    if (!amount || parseFloat(amount) <= 0 || !deadline || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input parameters'
+      });
+    }
+    
+    if (Number(deadline) <= Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Permit has expired'
+      });
+    }
+    
+    // Relay the permit and deposit from the server signer
+    const tx = await relayerService.relayDepositWithPermit(
+      walletAddress,
+      amount,
+      deadline,
+      signature
+    );
     
     // Create transaction record
     const transaction = await Transaction.create({
       userId,
       type: 'deposit',
       amount,
-      status: 'completed',
-      txHash: result.txHash,
+      status: 'pending',
+      txHash: tx.hash,
       walletAddress
     });
     
     // Clear balance cache
-    balanceCache.delete(walletAddress);
+    balanceCache.delete(balanceCacheKey(walletAddress));
     
     res.status(200).json({
       success: true,
       transaction
     });
   } catch (error) {
-    console.error('Error depositing crypto:', error);
+    console.error('Error relaying permit deposit:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
-      error: 'Failed to deposit crypto'
+      error: 'Failed to deposit with permit'
     });
   }
 };
@@ -97,16 +428,44 @@ exports.depositMpesa = async (req, res) => {
     const { amount, phoneNumber } = req.body;
     const userId = req.user.id;
     
-    // Initiate M-Pesa payment
-    const result = await blockchainService.initiateMpesaPayment(phoneNumber, amount);
+    // M-Pesa charges whole shillings
+    if (!phoneNumber || !Number.isInteger(Number(amount)) || Number(amount) < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number and a whole KES amount are required'
+      });
+    }
+    
+    // The USDC is credited through the vault, so self-custody wallets can't be paid into
+    if (req.user.walletAddress && !walletVault.isCustodial(req.user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'M-Pesa deposits are only available to custodial wallets; deposit USDC from your wallet instead'
+      });
+    }
+    
+    // Quote before charging, so a missing rate doesn't leave a paid deposit unpriced
+    const kesAmount = Number(amount);
+    const quote = await mpesaDeposits.quoteKesToUsdc(kesAmount);
+    
+    // M-Pesa-only users get a custodial wallet to hold their savings
+    const user = req.user.walletAddress ? req.user : await walletVault.createCustodialWallet(req.user);
+    
+    // Send the STK push; M-Pesa calls back with its CheckoutRequestID
+    const result = await mpesaService.initiateDeposit(phoneNumber, kesAmount, `BZU${userId}`);
     
     // Create pending transaction
     const transaction = await Transaction.create({
       userId,
-      type: 'deposit',
-      amount,
+      type: 'mpesa_deposit',
+      amount: quote.amount,
       status: 'pending',
-      paymentId: result.paymentId,
+      walletAddress: user.walletAddress,
+      mpesaReference: result.CheckoutRequestID,
+      mpesa: {
+        kesAmount,
+        kesRate: quote.kesRate
+      },
       phoneNumber
     });
     
@@ -124,40 +483,59 @@ exports.depositMpesa = async (req, res) => {
 };
 
 /**
- * M-Pesa callback handler
+ * M-Pesa STK push callback. A paid deposit is funded and deposited by the M-Pesa deposit
+ * service; if that can't happen straight away it is retried.
  * @route POST /api/savings/mpesa/callback
  * @access Public
  */
 exports.mpesaCallback = async (req, res) => {
   try {
-    const { requestId, status, amount } = req.body;
+    const callback = req.body && req.body.Body && req.body.Body.stkCallback;
+    
+    if (!isMpesaCallbackAuthentic(req.query.token)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized callback'
+      });
+    }
     
-    // Find pending transaction
-    const transaction = await Transaction.findOne({ mpesaRequestId: requestId });
+    if (!callback || !callback.CheckoutRequestID) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid callback'
+      });
+    }
+    
+    // Claim the pending transaction so a repeated callback cannot deposit it twice
+    const transaction = await Transaction.findOneAndUpdate(
+      { mpesaReference: callback.CheckoutRequestID, status: 'pending', txHash: { $exists: false } },
+      { status: 'processing' },
+      { new: true }
+    );
     
     if (!transaction) {
       return res.status(404).json({
         success: false,
-        error: 'Transaction not found'
+        error: 'Pending transaction not found'
       });
     }
     
-    if (status === 'success') {
-      // Update transaction status
-      transaction.status = 'completed';
-      await transaction.save();
-      
-      // Get user's wallet address
-      const user = await User.findById(transaction.userId);
-      
-      // Deposit to blockchain
-      await blockchainService.deposit(user.privateKey, amount);
+    if (Number(callback.ResultCode) === 0) {
+      try {
+        await mpesaDeposits.creditDeposit(transaction);
+      } catch (error) {
+        // The customer has paid; leave the deposit processing for the retry
+        console.error(`Error crediting M-Pesa deposit ${transaction.mpesaReference}:`, error);
+        transaction.error = error.message;
+        await transaction.save();
+      }
       
       // Clear balance cache
-      balanceCache.delete(user.walletAddress);
+      balanceCache.delete(balanceCacheKey(transaction.walletAddress));
     } else {
       // Update transaction status
       transaction.status = 'failed';
+      transaction.error = callback.ResultDesc;
       await transaction.save();
     }
     
@@ -174,87 +552,430 @@ exports.mpesaCallback = async (req, res) => {
 };
 
 /**
- * Withdraw cryptocurrency
- * @route POST /api/savings/withdraw/crypto
+ * Withdraw to M-Pesa
+ * @route POST /api/savings/withdraw/mpesa
  * @access Private
  */
-exports.withdraw = async (req, res) => {
+exports.withdrawToMpesa = async (req, res) => {
   try {
-    const { amount, address, privateKey } = req.body;
+    const { phoneNumber, amount, intentId, signedTx } = req.body;
     const userId = req.user.id;
     const walletAddress = req.user.walletAddress;
     
-    // Withdraw from blockchain
-    const result = await blockchainService.withdraw(privateKey, amount, address);
+    let transaction;
+    if (walletVault.isCustodial(req.user)) {
+      if (!phoneNumber || !amount || parseFloat(amount) <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid input parameters'
+        });
+      }
+      
+      // Custodial withdrawals are signed server-side by the vault
+      const tx = await blockchainService.custodialWithdraw(req.user, amount);
+      transaction = await Transaction.create({
+        userId,
+        type: 'mpesa_withdrawal',
+        amount,
+        status: 'pending',
+        txHash: tx.hash,
+        walletAddress,
+        phoneNumber
+      });
+    } else {
+      if (!phoneNumber || !intentId || !signedTx) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid input parameters'
+        });
+      }
+      
+      // The intent must be a prepared withdrawal
+      const intent = await TxIntent.findOne({ _id: intentId, userId: req.user._id });
+      if (!intent || intent.action !== 'withdraw') {
+        return res.status(400).json({
+          success: false,
+          error: 'Prepared withdrawal not found'
+        });
+      }
+      
+      // Relay the user-signed withdrawal from the blockchain
+      ({ transaction } = await transactionBuilder.broadcastTransaction(
+        req.user,
+        intentId,
+        signedTx,
+        {
+          type: 'mpesa_withdrawal',
+          phoneNumber
+        }
+      ));
+    }
     
-    // Create transaction record
+    // Clear balance cache
+    balanceCache.delete(balanceCacheKey(walletAddress));
+    
+    res.status(200).json({
+      success: true,
+      transaction
+    });
+  } catch (error) {
+    console.error('Error withdrawing to M-Pesa:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw to M-Pesa'
+    });
+  }
+};
+
+/**
+ * Take all savings and goal funds out while the contract is paused. Custodial exits are
+ * sent straight away; wallet users get a prepared transaction to sign and broadcast
+ * @route POST /api/savings/emergency-exit
+ * @access Private
+ */
+exports.emergencyExit = async (req, res) => {
+  try {
+    const walletAddress = req.user.walletAddress;
+    
+    if (!walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'User has no wallet address'
+      });
+    }
+    
+    if (!(await blockchainService.isPaused())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Emergency exit is only available while savings are paused; use a normal withdrawal'
+      });
+    }
+    
+    const amount = await blockchainService.getEmergencyExitAmount(walletAddress);
+    if (parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to withdraw'
+      });
+    }
+    
+    if (!walletVault.isCustodial(req.user)) {
+      const prepared = await transactionBuilder.prepareTransaction(req.user, 'emergencyExit');
+      
+      return res.status(200).json({
+        success: true,
+        amount,
+        ...prepared
+      });
+    }
+    
+    // Custodial exits are signed server-side by the vault
+    const tx = await blockchainService.custodialEmergencyExit(req.user);
     const transaction = await Transaction.create({
-      userId,
+      userId: req.user._id,
       type: 'withdrawal',
-      amount,
-      status: 'completed',
-      txHash: result.txHash,
-      walletAddress,
-      destinationAddress: address
+      amount: parseFloat(amount),
+      status: 'pending',
+      txHash: tx.hash,
+      walletAddress
     });
     
-    // Clear balance cache
-    balanceCache.delete(walletAddress);
+    balanceCache.delete(balanceCacheKey(walletAddress));
     
     res.status(200).json({
       success: true,
+      amount,
       transaction
     });
   } catch (error) {
-    console.error('Error withdrawing crypto:', error);
+    console.error('Error making emergency exit:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
-      error: 'Failed to withdraw crypto'
+      error: 'Failed to make emergency exit'
     });
   }
 };
 
 /**
- * Withdraw to M-Pesa
- * @route POST /api/savings/withdraw/mpesa
+ * Estimate what a BazuuSave action will cost the user in gas, in ETH, USDC and KES
+ * @route GET /api/savings/fees?action=deposit|withdraw|createGoal|contribute&amount=
  * @access Private
  */
-exports.withdrawToMpesa = async (req, res) => {
+exports.getFees = async (req, res) => {
   try {
-    const { amount, phoneNumber } = req.body;
-    const userId = req.user.id;
-    const walletAddress = req.user.walletAddress;
+    const { action, amount, goalId } = req.query;
+    let chainId = req.query.chainId ? Number(req.query.chainId) : DEFAULT_CHAIN_ID;
     
-    // Withdraw from blockchain
-    const result = await blockchainService.withdrawToMpesa(
-      req.user.privateKey,
+    if (!feeService.FEE_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        error: `Action must be one of: ${Object.keys(feeService.FEE_ACTIONS).join(', ')}`
+      });
+    }
+    
+    if (!amount || !USDC_AMOUNT.test(amount) || !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount'
+      });
+    }
+    
+    if (!req.user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'User has no wallet address'
+      });
+    }
+    
+    if (!isChainEnabled(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain: ${req.query.chainId}`
+      });
+    }
+    
+    const params = {
       amount,
-      phoneNumber
+      name: req.query.name || 'Savings goal',
+      durationInDays: req.query.durationInDays ? Number(req.query.durationInDays) : 30
+    };
+    
+    if (action === 'contribute') {
+      if (!goalId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Goal ID is required'
+        });
+      }
+      
+      const goal = await Goal.findOne({ _id: goalId, userId: req.user._id });
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Goal not found'
+        });
+      }
+      
+      if (!goal.blockchain.registered) {
+        return res.status(400).json({
+          success: false,
+          error: 'Goal is not registered on-chain'
+        });
+      }
+      
+      params.goalId = goal.blockchain.goalId;
+      chainId = goal.blockchain.chainId || chainId;
+    }
+    
+    const estimate = await feeService.estimateFee(req.user.walletAddress, action, params, chainId);
+    
+    res.status(200).json({
+      success: true,
+      ...estimate
+    });
+  } catch (error) {
+    console.error('Error estimating fees:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate fees'
+    });
+  }
+};
+
+/**
+ * Quote swapping ETH or an ERC-20 token to USDC on Uniswap
+ * @route GET /api/savings/swap/quote?tokenIn=&amount=&slippageBps=
+ * @access Public
+ */
+exports.getSwapQuote = async (req, res) => {
+  try {
+    const { tokenIn, amount, slippageBps } = req.query;
+    
+    const inputError = findSwapInputError({ tokenIn, amount, slippageBps });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+    
+    const quote = await swapDeposit.quoteSwap(
+      tokenIn,
+      amount,
+      slippageBps === undefined ? undefined : Number(slippageBps)
     );
     
-    // Create transaction record
-    const transaction = await Transaction.create({
-      userId,
-      type: 'withdrawal',
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('Error quoting swap:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote swap'
+    });
+  }
+};
+
+/**
+ * Prepare a bundle that swaps ETH or an ERC-20 token to USDC and deposits it. The wallet signs
+ * the approval (when one is returned), the swap and a USDC permit for the deposit.
+ * @route POST /api/savings/swap/deposit/prepare
+ * @access Private
+ */
+exports.prepareSwapDeposit = async (req, res) => {
+  try {
+    const { tokenIn, amount, slippageBps } = req.body;
+    
+    if (!req.user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Connect a wallet before swapping'
+      });
+    }
+    
+    // The bundle and its permit have to be signed by the user's own wallet
+    if (walletVault.isCustodial(req.user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap-and-deposit needs a self-custody wallet'
+      });
+    }
+    
+    const inputError = findSwapInputError({ tokenIn, amount, slippageBps });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+    
+    const prepared = await swapDeposit.prepareSwapAndDeposit(req.user, {
+      tokenIn,
       amount,
-      status: 'completed',
-      txHash: result.txHash,
-      walletAddress,
-      phoneNumber
+      slippageBps: slippageBps === undefined ? undefined : Number(slippageBps)
     });
     
-    // Clear balance cache
-    balanceCache.delete(walletAddress);
+    res.status(200).json({
+      success: true,
+      ...prepared
+    });
+  } catch (error) {
+    console.error('Error preparing swap-and-deposit:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to prepare swap-and-deposit'
+    });
+  }
+};
+
+/**
+ * Relay a signed swap-and-deposit bundle. The USDC is deposited once the swap confirms.
+ * @route POST /api/savings/swap/deposit
+ * @access Private
+ */
+exports.swapAndDeposit = async (req, res) => {
+  try {
+    const { intentId, signedTx, approvalSignedTx, permitSignature } = req.body;
+    
+    if (!intentId || !signedTx || !permitSignature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Intent ID, signed transaction and permit signature are required'
+      });
+    }
+    
+    const { transaction } = await swapDeposit.broadcastSwapAndDeposit(req.user, {
+      intentId,
+      signedTx,
+      approvalSignedTx,
+      permitSignature
+    });
     
     res.status(200).json({
       success: true,
       transaction
     });
   } catch (error) {
-    console.error('Error withdrawing to M-Pesa:', error);
+    console.error('Error broadcasting swap-and-deposit:', error);
+    if (sendSimulationError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
-      error: 'Failed to withdraw to M-Pesa'
+      error: 'Failed to swap and deposit'
+    });
+  }
+};
+
+/**
+ * Get a user's on-chain BazuuSave activity, one block range at a time. Pass the returned
+ * nextToBlock as toBlock to page back towards the deployment block.
+ * @route GET /api/savings/events/:address
+ * @access Public
+ */
+exports.getEvents = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const chainId = req.query.chainId ? Number(req.query.chainId) : DEFAULT_CHAIN_ID;
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address'
+      });
+    }
+    
+    if (!isChainEnabled(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain: ${req.query.chainId}`
+      });
+    }
+    
+    const fromBlock = req.query.fromBlock !== undefined ? Number(req.query.fromBlock) : null;
+    const toBlock = req.query.toBlock !== undefined ? Number(req.query.toBlock) : null;
+    const invalidBlock = [fromBlock, toBlock].some((block) => block !== null && !(Number.isInteger(block) && block >= 0));
+    if (invalidBlock || (fromBlock !== null && toBlock !== null && fromBlock > toBlock)) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromBlock and toBlock must be block numbers, with fromBlock no later than toBlock'
+      });
+    }
+    
+    if (fromBlock !== null && toBlock !== null && toBlock - fromBlock + 1 > blockchainService.EVENTS_BLOCK_RANGE) {
+      return res.status(400).json({
+        success: false,
+        error: `Block range cannot exceed ${blockchainService.EVENTS_BLOCK_RANGE} blocks`
+      });
+    }
+    
+    const result = await blockchainService.getEvents(address, { fromBlock, toBlock, chainId });
+    
+    res.status(200).json({
+      success: true,
+      chainId,
+      count: result.events.length,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error getting events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get events'
     });
   }
 };
@@ -3,21 +3,52 @@ require('dotenv').config();
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
 const BASE_TESTNET_RPC_URL = process.env.BASE_TESTNET_RPC_URL || 'https://goerli.base.org';
+const BASE_SEPOLIA_RPC_URL = process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org';
 const BASE_MAINNET_RPC_URL = process.env.BASE_MAINNET_RPC_URL || 'https://mainnet.base.org';
+const LOCAL_RPC_URL = process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545';
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.17",
+  // BazuuSave is close to the 24KB contract size limit, so it needs the optimizer and the IR pipeline.
+  // OpenZeppelin 5 uses mcopy, which 0.8.24 only emits for cancun (live on Base)
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+      viaIR: true,
+      evmVersion: "cancun",
+    },
+  },
+  // Contract tests live next to the API tests; jest only picks up *.test.js files
+  paths: {
+    tests: "./tests/contracts",
+  },
   networks: {
+    // In-process and local node networks used by devnet mode
+    hardhat: {
+      chainId: 31337,
+    },
+    localhost: {
+      url: LOCAL_RPC_URL,
+      chainId: 31337,
+    },
     base_testnet: {
       url: BASE_TESTNET_RPC_URL,
       accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
       chainId: 84531,
     },
+    base_sepolia: {
+      url: BASE_SEPOLIA_RPC_URL,
+      accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
+      chainId: 84532,
+    },
     base_mainnet: {
       url: BASE_MAINNET_RPC_URL,
       accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
       chainId: 8453,
     }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// Achievement badges, minted as soulbound BazuuAchievements tokens
+const achievementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['goal_completed', 'challenge_completed'],
+      required: true
+    },
+    // keccak256 of what the badge is for; the contract mints each key once
+    key: {
+      type: String,
+      required: true
+    },
+    goalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal'
+    },
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge'
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    achievedAt: {
+      type: Date,
+      default: Date.now
+    },
+    chainId: {
+      type: Number,
+      default: DEFAULT_CHAIN_ID
+    },
+    // Set when the mint is sent; the badge waits in pending until the user has a wallet
+    walletAddress: {
+      type: String,
+      lowercase: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'minting', 'minted', 'failed'],
+      default: 'pending'
+    },
+    tokenId: {
+      type: Number
+    },
+    txHash: {
+      type: String
+    },
+    mintAttempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: {
+      type: Date
+    },
+    mintedAt: {
+      type: Date
+    },
+    error: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+achievementSchema.index({ key: 1 }, { unique: true });
+achievementSchema.index({ userId: 1, achievedAt: -1 });
+achievementSchema.index({ chainId: 1, tokenId: 1 });
+achievementSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Achievement', achievementSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// BazuuSave administration calls proposed and executed through the admin API
+const adminActionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: [
+        'pause',
+        'unpause',
+        'setTreasury',
+        'setLoanTerms',
+        'setEarlyReleasePenalty',
+        'setStrategy',
+        'setLiquidityBuffer',
+        'rebalance',
+        'grantRole',
+        'revokeRole'
+      ],
+      required: true
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    chainId: {
+      type: Number,
+      required: true
+    },
+    contractAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    // Encoded call, so a role holder outside the backend (e.g. a multisig) can submit it
+    data: {
+      type: String,
+      required: true
+    },
+    // Contract role the sender needs
+    role: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['proposed', 'executing', 'executed', 'failed', 'cancelled'],
+      default: 'proposed'
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    executedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    txHash: {
+      type: String
+    },
+    error: {
+      type: String
+    },
+    executedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+adminActionSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// Beneficiary nominations on BazuuSave, with the contact details needed to tell the
+// beneficiary when they can claim. The event indexer mirrors on-chain changes.
+const beneficiarySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    walletAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    chainId: {
+      type: Number,
+      default: DEFAULT_CHAIN_ID
+    },
+    beneficiaryAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    // Set when the beneficiary has a BazuuSave account
+    beneficiaryUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    phoneNumber: {
+      type: String,
+      trim: true
+    },
+    inactivityDays: {
+      type: Number,
+      required: true
+    },
+    // Last on-chain activity seen, and when the beneficiary can claim from it
+    lastActivity: {
+      type: Date
+    },
+    claimableAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'claimable', 'claimed', 'removed'],
+      default: 'pending'
+    },
+    txHash: {
+      type: String
+    },
+    // Owner warned that the claim window is close, and beneficiary told they can claim
+    warnedAt: {
+      type: Date
+    },
+    notifiedAt: {
+      type: Date
+    },
+    claimedAmount: {
+      type: Number
+    },
+    claimedAt: {
+      type: Date
+    },
+    claimTxHash: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+beneficiarySchema.index({ walletAddress: 1, chainId: 1 }, { unique: true });
+beneficiarySchema.index({ beneficiaryAddress: 1, status: 1 });
+beneficiarySchema.index({ status: 1, claimableAt: 1 });
+
+module.exports = mongoose.model('Beneficiary', beneficiarySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// A beneficiary nomination sent or prepared in the app but not yet seen on-chain. The event
+// indexer copies its contact details into the Beneficiary record once BeneficiarySet is mined.
+const beneficiaryProposalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    walletAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    chainId: {
+      type: Number,
+      default: DEFAULT_CHAIN_ID
+    },
+    beneficiaryAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    beneficiaryUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    phoneNumber: {
+      type: String,
+      trim: true
+    },
+    inactivityDays: {
+      type: Number,
+      required: true
+    },
+    // Proposals that are never signed or mined are dropped
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+beneficiaryProposalSchema.index({ walletAddress: 1, chainId: 1, beneficiaryAddress: 1 });
+beneficiaryProposalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove stale proposals
+
+module.exports = mongoose.model('BeneficiaryProposal', beneficiaryProposalSchema);
@@ -7,6 +7,46 @@
 
 const mongoose = require('mongoose');
 
+// Someone invited to contribute to a shared goal, mirrored from BazuuSave by the event indexer
+const GoalMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    walletAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active', 'removed'],
+      default: 'invited'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    joinedAt: {
+      type: Date
+    },
+    removedAt: {
+      type: Date
+    },
+    // USDC the member has put in, and what they got back if the goal was broken early
+    contributed: {
+      type: Number,
+      default: 0
+    },
+    refunded: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
 const GoalSchema = new mongoose.Schema(
   {
     name: {
@@ -123,8 +163,47 @@ const GoalSchema = new mongoose.Schema(
       goalId: {
         type: String
       },
+      chainId: {
+        type: Number
+      },
       lastSynced: {
         type: Date
+      },
+      // Fields that differ from the on-chain goal, found by the goal sync job
+      drift: [{
+        _id: false,
+        field: {
+          type: String
+        },
+        database: {
+          type: mongoose.Schema.Types.Mixed
+        },
+        onChain: {
+          type: mongoose.Schema.Types.Mixed
+        }
+      }],
+      driftDetectedAt: {
+        type: Date
+      }
+    },
+    lock: {
+      released: {
+        type: Boolean,
+        default: false
+      },
+      releasedAt: {
+        type: Date
+      },
+      earlyRelease: {
+        type: Boolean,
+        default: false
+      },
+      penaltyAmount: {
+        type: Number,
+        default: 0
+      },
+      txHash: {
+        type: String
       }
     },
     milestones: [{
@@ -147,6 +226,8 @@ const GoalSchema = new mongoose.Schema(
         type: Date
       }
     }],
+    // Members of a shared goal, who contribute from their own savings
+    members: [GoalMemberSchema],
     transactions: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Transaction'
@@ -184,6 +265,30 @@ const GoalSchema = new mongoose.Schema(
 GoalSchema.index({ userId: 1, status: 1 });
 GoalSchema.index({ deadline: 1 }, { expireAfterSeconds: 7776000, partialFilterExpression: { status: 'completed' } }); // Remove completed goals after 90 days
 GoalSchema.index({ userId: 1, category: 1 });
+GoalSchema.index({ 'members.userId': 1, 'members.status': 1 });
+GoalSchema.index({ 'blockchain.txHash': 1 });
+GoalSchema.index({ 'blockchain.driftDetectedAt': 1 }, { sparse: true });
+
+/**
+ * Find a shared goal member by wallet address
+ * @param {string} walletAddress - Wallet address
+ * @returns {Object|undefined} Member subdocument
+ */
+GoalSchema.methods.findMember = function(walletAddress) {
+  const address = walletAddress.toLowerCase();
+  return this.members.find((member) => member.walletAddress === address);
+};
+
+/**
+ * Check whether a user can see and contribute to the goal, as its owner or an active member
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user owns the goal or is an active member
+ */
+GoalSchema.methods.isAccessibleBy = function(userId) {
+  return this.userId.toString() === userId.toString() ||
+    this.members.some((member) => member.status === 'active' && member.userId &&
+      member.userId.toString() === userId.toString());
+};
 
 // Virtual field for progress percentage
 GoalSchema.virtual('progressPercentage').get(function() {
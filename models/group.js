@@ -0,0 +1,152 @@
+/**
+ * Group Model
+ * Rotating savings groups (chamas), mirrored from BazuuChama by the event indexer
+ *
+ *
+ */
+
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+const GroupMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    walletAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    // Payout position, starting at 0
+    position: {
+      type: Number,
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Rounds the member has paid into
+    contributedRounds: [Number],
+    // Rounds the member missed, and those still unpaid
+    missedRounds: [Number],
+    arrearsRounds: [Number]
+  },
+  { _id: false }
+);
+
+const GroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [100, 'Group name cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    creatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    creatorAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    contributionAmount: {
+      type: Number,
+      required: [true, 'Contribution amount is required'],
+      min: [1, 'Contribution amount must be at least 1']
+    },
+    cycleDurationDays: {
+      type: Number,
+      required: [true, 'Cycle duration is required']
+    },
+    maxMembers: {
+      type: Number,
+      required: [true, 'Member limit is required']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'open', 'active', 'completed', 'cancelled'],
+      default: 'pending'
+    },
+    members: [GroupMemberSchema],
+    currentRound: {
+      type: Number,
+      default: 0
+    },
+    startTime: {
+      type: Date
+    },
+    payouts: [
+      {
+        _id: false,
+        round: Number,
+        recipient: {
+          type: String,
+          lowercase: true
+        },
+        amount: Number,
+        txHash: String,
+        timestamp: Date
+      }
+    ],
+    blockchain: {
+      chainId: {
+        type: Number,
+        default: DEFAULT_CHAIN_ID
+      },
+      // On-chain group ID, set once the creation is indexed
+      groupId: {
+        type: String
+      },
+      txHash: {
+        type: String
+      },
+      lastSynced: {
+        type: Date
+      }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for faster queries
+GroupSchema.index(
+  { 'blockchain.chainId': 1, 'blockchain.groupId': 1 },
+  { unique: true, partialFilterExpression: { 'blockchain.groupId': { $exists: true } } }
+);
+GroupSchema.index({ 'blockchain.txHash': 1 });
+GroupSchema.index({ 'members.walletAddress': 1 });
+GroupSchema.index({ status: 1 });
+
+/**
+ * Find a member by wallet address
+ * @param {string} walletAddress - Wallet address
+ * @returns {Object|undefined} Member subdocument
+ */
+GroupSchema.methods.findMember = function(walletAddress) {
+  const address = walletAddress.toLowerCase();
+  return this.members.find((member) => member.walletAddress === address);
+};
+
+// Virtual field for the member receiving the pot in the current round
+GroupSchema.virtual('currentRecipient').get(function() {
+  if (this.status !== 'active') {
+    return null;
+  }
+  const member = this.members.find((m) => m.position === this.currentRound);
+  return member ? member.walletAddress : null;
+});
+
+module.exports = mongoose.model('Group', GroupSchema);
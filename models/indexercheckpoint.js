@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Progress of a blockchain event indexer
+const indexerCheckpointSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Contract being indexed; a new deployment starts a fresh checkpoint
+    contractAddress: {
+      type: String,
+      lowercase: true
+    },
+    lastProcessedBlock: {
+      type: Number,
+      required: true
+    },
+    // Hashes of recently processed blocks, used to detect reorgs
+    recentBlocks: [{
+      _id: false,
+      number: {
+        type: Number,
+        required: true
+      },
+      hash: {
+        type: String,
+        required: true
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// Savings-backed loans, mirrored from BazuuSave by the event indexer
+const loanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      sparse: true
+    },
+    walletAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    chainId: {
+      type: Number,
+      default: DEFAULT_CHAIN_ID
+    },
+    // On-chain loan ID, set once the request is indexed
+    loanId: {
+      type: Number,
+      sparse: true
+    },
+    principal: {
+      type: Number,
+      required: true
+    },
+    interest: {
+      type: Number,
+      default: 0
+    },
+    collateral: {
+      type: Number,
+      default: 0
+    },
+    repaidAmount: {
+      type: Number,
+      default: 0
+    },
+    outstanding: {
+      type: Number,
+      default: 0
+    },
+    durationInDays: {
+      type: Number
+    },
+    dueDate: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'repaid', 'liquidated', 'failed'],
+      default: 'pending'
+    },
+    txHash: {
+      type: String
+    },
+    repayments: [
+      {
+        amount: Number,
+        txHash: String,
+        timestamp: Date
+      }
+    ],
+    // Days before the due date for which a reminder has been sent
+    remindersSent: [Number],
+    repaidAt: {
+      type: Date
+    },
+    liquidatedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+loanSchema.index(
+  { chainId: 1, walletAddress: 1, loanId: 1 },
+  { unique: true, partialFilterExpression: { loanId: { $exists: true } } }
+);
+loanSchema.index({ userId: 1, createdAt: -1 });
+loanSchema.index({ status: 1, dueDate: 1 });
+loanSchema.index({ txHash: 1 });
+
+module.exports = mongoose.model('Loan', loanSchema);
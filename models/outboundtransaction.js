@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// Transactions signed and sent by the backend (server relayer and custodial signers)
+const outboundTransactionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    nonce: {
+      type: Number,
+      required: true
+    },
+    chainId: {
+      type: Number,
+      default: DEFAULT_CHAIN_ID
+    },
+    to: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    data: {
+      type: String,
+      default: '0x'
+    },
+    value: {
+      type: String,
+      default: '0'
+    },
+    label: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'mined', 'replaced', 'dropped'],
+      default: 'queued'
+    },
+    txHash: {
+      type: String
+    },
+    gasLimit: {
+      type: String
+    },
+    maxFeePerGas: {
+      type: String
+    },
+    maxPriorityFeePerGas: {
+      type: String
+    },
+    // Fee bumps that replaced an earlier attempt for the same nonce
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OutboundTransaction'
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OutboundTransaction'
+    },
+    bumpCount: {
+      type: Number,
+      default: 0
+    },
+    receiptStatus: {
+      type: Number
+    },
+    blockNumber: {
+      type: Number
+    },
+    error: {
+      type: String
+    },
+    sentAt: {
+      type: Date
+    },
+    minedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+outboundTransactionSchema.index({ status: 1, sentAt: 1 });
+outboundTransactionSchema.index({ chainId: 1, from: 1, nonce: 1 });
+outboundTransactionSchema.index({ txHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('OutboundTransaction', outboundTransactionSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Nonces issued for Sign-In with Ethereum messages; each one can be used once
+const siweNonceSchema = new mongoose.Schema(
+  {
+    nonce: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+siweNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove unused nonces
+
+module.exports = mongoose.model('SiweNonce', siweNonceSchema);
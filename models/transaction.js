@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -24,8 +25,14 @@ const transactionSchema = new mongoose.Schema(
         'withdrawal',
         'mpesa_deposit',
         'mpesa_withdrawal',
+        'goal_creation',
         'goal_contribution',
-        'swap'
+        'swap',
+        'loan',
+        'loan_repayment',
+        'inheritance',
+        'group_contribution',
+        'group_payout'
       ],
       required: true
     },
@@ -36,7 +43,7 @@ const transactionSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: ['pending', 'processing', 'completed', 'failed'],
-      default: 'completed'
+      default: 'pending'
     },
     txHash: {
       type: String,
@@ -56,14 +63,130 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       sparse: true
     },
+    groupId: {
+      type: String,
+      sparse: true
+    },
+    chainId: {
+      type: Number,
+      default: DEFAULT_CHAIN_ID
+    },
     blockNumber: {
       type: Number,
       sparse: true
     },
+    blockHash: {
+      type: String,
+      sparse: true
+    },
+    logIndex: {
+      type: Number,
+      sparse: true
+    },
+    source: {
+      type: String,
+      enum: ['app', 'indexer'],
+      default: 'app'
+    },
     error: {
       type: String,
       sparse: true
     },
+    // Receipt details, filled in by the transaction tracker
+    confirmations: {
+      type: Number
+    },
+    gasUsed: {
+      type: Number
+    },
+    // Effective gas price in wei, and the fee paid in ETH
+    effectiveGasPrice: {
+      type: String
+    },
+    fee: {
+      type: Number
+    },
+    confirmedAt: {
+      type: Date
+    },
+    // Sender and nonce, recorded while pending so a replacement can be found
+    submission: {
+      from: {
+        type: String,
+        lowercase: true
+      },
+      nonce: {
+        type: Number
+      },
+      to: {
+        type: String,
+        lowercase: true
+      },
+      dataHash: {
+        type: String
+      },
+      block: {
+        type: Number
+      },
+      // Last block searched for a replacement
+      scannedBlock: {
+        type: Number
+      }
+    },
+    // Earlier hashes of a transaction that was sped up
+    replacedTxHashes: [{
+      type: String
+    }],
+    // M-Pesa deposit: the shillings paid, the rate they were converted to USDC at, and the
+    // transfer that funded the user's vault wallet
+    mpesa: {
+      kesAmount: {
+        type: Number
+      },
+      kesRate: {
+        type: Number
+      },
+      fundingTxHash: {
+        type: String
+      }
+    },
+    // Swap-and-deposit: what was swapped to USDC, and the user's permit for depositing it
+    swap: {
+      // Token address, or ETH
+      tokenIn: {
+        type: String
+      },
+      // Base units of tokenIn and of USDC
+      amountIn: {
+        type: String
+      },
+      quotedAmountOut: {
+        type: String
+      },
+      amountOutMinimum: {
+        type: String
+      },
+      // USDC the swap returned; only amountOutMinimum is deposited, the rest stays in the wallet
+      amountOut: {
+        type: String
+      },
+      permit: {
+        deadline: {
+          type: Number
+        },
+        signature: {
+          type: String
+        }
+      },
+      depositError: {
+        type: String
+      }
+    },
+    // The other half of a swap-and-deposit: the deposit for a swap, or the swap for a deposit
+    linkedTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
     timestamp: {
       type: Date,
       default: Date.now
@@ -78,5 +201,8 @@ const transactionSchema = new mongoose.Schema(
 transactionSchema.index({ userAddress: 1, timestamp: -1 });
 transactionSchema.index({ walletAddress: 1, timestamp: -1 });
 transactionSchema.index({ userId: 1, timestamp: -1 });
+transactionSchema.index({ chainId: 1, blockNumber: 1 });
+transactionSchema.index({ status: 1, chainId: 1 });
+transactionSchema.index({ type: 1, status: 1, linkedTransactionId: 1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
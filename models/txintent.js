@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Unsigned transactions prepared for a user to sign client-side
+const txIntentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: [
+        'deposit',
+        'withdraw',
+        'createGoal',
+        'contributeToGoal',
+        'contributeToSharedGoal',
+        'inviteGoalMember',
+        'acceptGoalInvite',
+        'removeGoalMember',
+        'releaseGoal',
+        'breakGoal',
+        'requestLoan',
+        'repayLoan',
+        'setBeneficiary',
+        'checkIn',
+        'claimInheritance',
+        'emergencyExit',
+        'createGroup',
+        'joinGroup',
+        'leaveGroup',
+        'setGroupPayoutOrder',
+        'startGroup',
+        'cancelGroup',
+        'contributeToGroup',
+        'payoutGroup',
+        'payGroupArrears',
+        'approve',
+        'approveSwap',
+        'swapAndDeposit'
+      ],
+      required: true
+    },
+    from: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    to: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    data: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: String,
+      default: '0'
+    },
+    nonce: {
+      type: Number,
+      required: true
+    },
+    chainId: {
+      type: Number,
+      required: true
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    status: {
+      type: String,
+      enum: ['prepared', 'broadcasting', 'broadcast'],
+      default: 'prepared'
+    },
+    txHash: {
+      type: String,
+      sparse: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create indexes
+txIntentSchema.index({ userId: 1, status: 1 });
+txIntentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove stale intents
+
+module.exports = mongoose.model('TxIntent', txIntentSchema);
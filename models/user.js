@@ -20,8 +20,12 @@ const UserSchema = new mongoose.Schema(
     },
     email: {
       type: String,
-      required: [true, 'Please provide your email'],
+      required: [
+        function() { return !this.walletAddress; },
+        'Please provide your email'
+      ],
       unique: true,
+      sparse: true, // Wallet-first accounts have no email
       lowercase: true,
       match: [
         /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
@@ -30,7 +34,10 @@ const UserSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Please provide a password'],
+      required: [
+        function() { return !this.walletAddress; },
+        'Please provide a password'
+      ],
       minlength: [8, 'Password must be at least 8 characters'],
       select: false // Don't return password in queries by default
     },
@@ -52,6 +59,18 @@ const UserSchema = new mongoose.Schema(
         message: 'Invalid Ethereum wallet address'
       }
     },
+    walletType: {
+      type: String,
+      enum: ['self', 'custodial'],
+      default: 'self'
+    },
+    custodialWallet: {
+      address: String,
+      derivationIndex: Number,
+      createdAt: Date,
+      migratedAt: Date,
+      migratedTo: String
+    },
     rewardPoints: {
       type: Number,
       default: 0
@@ -104,7 +123,7 @@ const UserSchema = new mongoose.Schema(
     metadata: {
       registrationSource: {
         type: String,
-        enum: ['web', 'mobile', 'social'],
+        enum: ['web', 'mobile', 'social', 'wallet'],
         default: 'web'
       },
       userAgent: String,
@@ -148,7 +167,7 @@ UserSchema.index({ resetPasswordToken: 1 }, { sparse: true });
 // Encrypt password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
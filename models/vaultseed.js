@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Encrypted HD seed for custodial wallets (envelope encrypted)
+const vaultSeedSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default'
+    },
+    keyProvider: {
+      type: String,
+      required: true
+    },
+    wrappedDataKey: {
+      type: String,
+      required: true
+    },
+    ciphertext: {
+      type: String,
+      required: true
+    },
+    iv: {
+      type: String,
+      required: true
+    },
+    authTag: {
+      type: String,
+      required: true
+    },
+    nextAccountIndex: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('VaultSeed', vaultSeedSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Point-in-time reading of BazuuSave's yield index, used to work out the savings APY
+const yieldSnapshotSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true
+    },
+    contractAddress: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    strategyAddress: {
+      type: String,
+      lowercase: true
+    },
+    // Cumulative yield per unit of savings, scaled by 1e18 (kept as a string to avoid precision loss)
+    yieldIndex: {
+      type: String,
+      required: true
+    },
+    // USDC invested in the strategy, its current value and USDC held idle by the contract
+    strategyAssets: Number,
+    strategyValue: Number,
+    idle: Number,
+    blockNumber: Number
+  },
+  {
+    timestamps: true
+  }
+);
+
+yieldSnapshotSchema.index({ chainId: 1, contractAddress: 1, createdAt: -1 });
+
+module.exports = mongoose.model('YieldSnapshot', yieldSnapshotSchema);
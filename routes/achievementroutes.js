@@ -0,0 +1,28 @@
+/**
+ * Achievement Routes
+ * Routes for achievement badges and their token metadata
+ *
+ *
+ */
+
+const express = require('express');
+const router = express.Router();
+const achievementController = require('../controllers/achievementcontroller');
+const { auth } = require('../middleware/auth');
+const { standard } = require('../middleware/ratelimiter');
+
+/**
+ * @route   GET /api/achievements
+ * @desc    Get the user's achievements
+ * @access  Private
+ */
+router.get('/', auth, standard, achievementController.getAchievements);
+
+/**
+ * @route   GET /api/achievements/:tokenId/metadata
+ * @desc    Get the metadata for a minted achievement token
+ * @access  Public
+ */
+router.get('/:tokenId/metadata', standard, achievementController.getAchievementMetadata);
+
+module.exports = router;
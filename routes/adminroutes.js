@@ -0,0 +1,57 @@
+/**
+ * Admin Routes
+ * Routes for operating the backend
+ * 
+ * 
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admincontroller');
+const { auth } = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { standard } = require('../middleware/ratelimiter');
+
+/**
+ * @route   GET /api/admin/tx-queue
+ * @desc    Get backend-signed transactions that are queued or in flight
+ * @access  Admin
+ */
+router.get('/tx-queue', auth, admin, standard, adminController.getTxQueue);
+
+/**
+ * @route   GET /api/admin/goals/drift
+ * @desc    Get goals that differ from their on-chain copy
+ * @access  Admin
+ */
+router.get('/goals/drift', auth, admin, standard, adminController.getGoalDrift);
+
+/**
+ * @route   GET /api/admin/actions
+ * @desc    Get proposed and past contract admin actions
+ * @access  Admin
+ */
+router.get('/actions', auth, admin, standard, adminController.getActions);
+
+/**
+ * @route   POST /api/admin/actions
+ * @desc    Propose a contract admin action
+ * @access  Admin
+ */
+router.post('/actions', auth, admin, standard, adminController.proposeAction);
+
+/**
+ * @route   POST /api/admin/actions/:id/execute
+ * @desc    Execute a proposed admin action from the server signer
+ * @access  Admin
+ */
+router.post('/actions/:id/execute', auth, admin, standard, adminController.executeAction);
+
+/**
+ * @route   POST /api/admin/actions/:id/cancel
+ * @desc    Cancel a proposed admin action
+ * @access  Admin
+ */
+router.post('/actions/:id/cancel', auth, admin, standard, adminController.cancelAction);
+
+module.exports = router;
@@ -18,13 +18,17 @@ router.post('/register', standard, validateRegister, authController.register);
 router.post('/login', login, validateLogin, authController.login);
 router.post('/forgot-password', passwordReset, authController.forgotPassword);
 router.post('/reset-password/:token', passwordReset, authController.resetPassword);
+router.get('/siwe/nonce', standard, authController.getSiweNonce);
+router.post('/siwe/verify', login, authController.verifySiwe);
 
 // Protected routes (require authentication)
 router.use(auth);
 router.get('/me', authController.getMe);
+router.get('/profile', authController.getProfile);
 router.patch('/update-me', authController.updateMe);
 router.patch('/update-password', authController.updatePassword);
 router.post('/logout', authController.logout);
 router.post('/connect-wallet', authController.connectWallet);
+router.post('/custodial-wallet', authController.createCustodialWallet);
 
 module.exports = router;
\ No newline at end of file
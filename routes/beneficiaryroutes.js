@@ -0,0 +1,49 @@
+/**
+ * Beneficiary Routes
+ * Routes for nominating who inherits savings after a period of inactivity
+ *
+ *
+ */
+
+const express = require('express');
+const router = express.Router();
+const beneficiaryController = require('../controllers/beneficiarycontroller');
+const { auth } = require('../middleware/auth');
+const { standard, transaction } = require('../middleware/ratelimiter');
+
+/**
+ * @route   GET /api/beneficiary
+ * @desc    Get the user's nomination and the accounts they can inherit from
+ * @access  Private
+ */
+router.get('/', auth, standard, beneficiaryController.getBeneficiary);
+
+/**
+ * @route   PUT /api/beneficiary
+ * @desc    Nominate a beneficiary and inactivity period
+ * @access  Private
+ */
+router.put('/', auth, transaction, beneficiaryController.setBeneficiary);
+
+/**
+ * @route   DELETE /api/beneficiary
+ * @desc    Remove the nomination
+ * @access  Private
+ */
+router.delete('/', auth, transaction, beneficiaryController.removeBeneficiary);
+
+/**
+ * @route   POST /api/beneficiary/check-in
+ * @desc    Reset the inactivity timer
+ * @access  Private
+ */
+router.post('/check-in', auth, transaction, beneficiaryController.checkIn);
+
+/**
+ * @route   POST /api/beneficiary/claim
+ * @desc    Claim an inactive user's savings as their beneficiary
+ * @access  Private
+ */
+router.post('/claim', auth, transaction, beneficiaryController.claimInheritance);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Dev Routes
+ * Local devnet helpers; only mounted when DEVNET=true
+ * 
+ * 
+ */
+
+const express = require('express');
+const router = express.Router();
+const devController = require('../controllers/devcontroller');
+const { standard } = require('../middleware/ratelimiter');
+
+/**
+ * @route   POST /api/dev/faucet
+ * @desc    Mint test USDC (and gas ETH) to an address
+ * @access  Public (devnet only)
+ */
+router.post('/faucet', standard, devController.faucet);
+
+/**
+ * @route   POST /api/dev/yield
+ * @desc    Mint USDC into the mock yield vault to simulate interest
+ * @access  Public (devnet only)
+ */
+router.post('/yield', standard, devController.simulateYield);
+
+module.exports = router;
@@ -22,4 +22,13 @@ router.delete('/:id', auth, goalController.deleteGoal);
 // Contribute to a goal
 router.post('/:id/contribute', auth, standard, goalController.contributeToGoal);
 
+// Release goal funds (early release is penalised)
+router.post('/:id/release', auth, standard, goalController.releaseGoal);
+
+// Shared goal members: list, invite, accept an invitation, and remove or leave
+router.get('/:id/members', auth, goalController.getGoalMembers);
+router.post('/:id/members', auth, standard, goalController.inviteGoalMember);
+router.post('/:id/members/accept', auth, standard, goalController.acceptGoalInvite);
+router.delete('/:id/members/:address', auth, standard, goalController.removeGoalMember);
+
 module.exports = router; 
@@ -0,0 +1,84 @@
+/**
+ * Group Routes
+ * Routes for rotating savings groups (chamas)
+ * 
+ * 
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupcontroller');
+const { auth } = require('../middleware/auth');
+const { standard, transaction } = require('../middleware/ratelimiter');
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a savings group
+ * @access  Private
+ */
+router.post('/', auth, standard, groupController.createGroup);
+
+/**
+ * @route   GET /api/groups
+ * @desc    Get the user's savings groups
+ * @access  Private
+ */
+router.get('/', auth, standard, groupController.getGroups);
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get a savings group
+ * @access  Private
+ */
+router.get('/:id', auth, standard, groupController.getGroupById);
+
+/**
+ * @route   POST /api/groups/:id/join
+ * @desc    Join an open group
+ * @access  Private
+ */
+router.post('/:id/join', auth, standard, groupController.joinGroup);
+
+/**
+ * @route   POST /api/groups/:id/leave
+ * @desc    Leave a group before it starts
+ * @access  Private
+ */
+router.post('/:id/leave', auth, standard, groupController.leaveGroup);
+
+/**
+ * @route   POST /api/groups/:id/order
+ * @desc    Set the payout order
+ * @access  Private (creator)
+ */
+router.post('/:id/order', auth, standard, groupController.setPayoutOrder);
+
+/**
+ * @route   POST /api/groups/:id/start
+ * @desc    Start the first round
+ * @access  Private (creator)
+ */
+router.post('/:id/start', auth, standard, groupController.startGroup);
+
+/**
+ * @route   POST /api/groups/:id/cancel
+ * @desc    Cancel a group that has not started
+ * @access  Private (creator)
+ */
+router.post('/:id/cancel', auth, standard, groupController.cancelGroup);
+
+/**
+ * @route   POST /api/groups/:id/contribute
+ * @desc    Pay this round's contribution, or a missed round's
+ * @access  Private (member)
+ */
+router.post('/:id/contribute', auth, transaction, groupController.contribute);
+
+/**
+ * @route   POST /api/groups/:id/payout
+ * @desc    Pay out the current round
+ * @access  Private (member)
+ */
+router.post('/:id/payout', auth, transaction, groupController.payout);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Loan Routes
+ * Routes for borrowing against savings
+ * 
+ * 
+ */
+
+const express = require('express');
+const router = express.Router();
+const loanController = require('../controllers/loancontroller');
+const { auth } = require('../middleware/auth');
+const { standard, transaction } = require('../middleware/ratelimiter');
+
+/**
+ * @route   POST /api/loan/request
+ * @desc    Borrow USDC against savings
+ * @access  Private
+ */
+router.post('/request', auth, transaction, loanController.requestLoan);
+
+/**
+ * @route   POST /api/loan/repay
+ * @desc    Repay the active loan
+ * @access  Private
+ */
+router.post('/repay', auth, transaction, loanController.repayLoan);
+
+/**
+ * @route   GET /api/loan/:address
+ * @desc    Get the active loan, loan history and borrowing terms
+ * @access  Private
+ */
+router.get('/:address', auth, standard, loanController.getLoan);
+
+module.exports = router;
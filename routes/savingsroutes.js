@@ -7,15 +7,39 @@ const router = express.Router();
 // Get balance
 router.get('/balance/:address', standard, savingsController.getBalance);
 
+// Yield from the savings strategy
+router.get('/yield', standard, savingsController.getYield);
+router.get('/yield/:address', standard, savingsController.getUserYield);
+
+// Wallet-signed transactions
+router.post('/tx/prepare/:action', auth, standard, savingsController.prepareTransaction);
+router.post('/tx/broadcast', auth, transaction, savingsController.broadcastTransaction);
+
+// Check whether a call would succeed before the user signs it
+router.post('/simulate', auth, standard, savingsController.simulateTransaction);
+
+// What an action costs in gas, in ETH, USDC and KES
+router.get('/fees', auth, standard, savingsController.getFees);
+
+// Swap ETH or any ERC-20 token to USDC and deposit it
+router.get('/swap/quote', standard, savingsController.getSwapQuote);
+router.post('/swap/deposit/prepare', auth, standard, savingsController.prepareSwapDeposit);
+router.post('/swap/deposit', auth, transaction, savingsController.swapAndDeposit);
+
 // Deposit routes
-router.post('/deposit/crypto', auth, transaction, savingsController.depositCrypto);
+router.post('/deposit/permit', auth, transaction, savingsController.depositWithPermit);
 router.post('/deposit/mpesa', auth, transaction, savingsController.depositMpesa);
 router.post('/mpesa/callback', savingsController.mpesaCallback);
 
 // Withdrawal routes
-router.post('/withdraw/crypto', auth, transaction, savingsController.withdraw);
 router.post('/withdraw/mpesa', auth, transaction, savingsController.withdrawToMpesa);
 
+// Withdraw everything while the contract is paused
+router.post('/emergency-exit', auth, transaction, savingsController.emergencyExit);
+
+// On-chain activity for an address, paged by block range
+router.get('/events/:address', standard, savingsController.getEvents);
+
 // Transaction history
 router.get('/transactions/:address', auth, standard, savingsController.getTransactions);
 
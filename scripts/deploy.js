@@ -0,0 +1,119 @@
+/**
+ * Deploy BazuuSave
+ * Deploys BazuuSave behind an upgradeable proxy, BazuuChama, BazuuAchievements (and a mintable mock
+ * USDC and mock yield vault on local chains) to the selected Hardhat network, points BazuuSave at its
+ * yield strategy (STRATEGY_ADDRESS elsewhere) and records the addresses in
+ * config/deployments/<chainId>.json, which the chain registry reads on startup.
+ *
+ * Achievement metadata URLs start with ACHIEVEMENTS_BASE_URI (default <API_BASE_URL>/api/achievements/).
+ * The deployer can mint achievements, so the backend should use the same key.
+ *
+ * Set MIGRATE_FROM=<old BazuuSave address> to open the new deployment for migration, then run
+ * scripts/migrate.js to copy balances and goals across.
+ *
+ * Usage: npx hardhat run scripts/deploy.js --network <network>
+ */
+
+const hre = require('hardhat');
+const { CHAINS, saveDeployment } = require('../config/chains');
+
+// Chains where a mock USDC is deployed instead of using the real token
+const LOCAL_CHAIN_IDS = [31337];
+
+async function main() {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const isLocal = LOCAL_CHAIN_IDS.includes(Number(chainId));
+
+  console.log(`Deploying to ${hre.network.name} (chain ${chainId}) from ${deployer.address}`);
+
+  // USDC: mock token on local chains, registry address everywhere else
+  let usdcAddress;
+  if (isLocal) {
+    const mockUsdc = await ethers.deployContract('MockUSDC');
+    await mockUsdc.waitForDeployment();
+    usdcAddress = await mockUsdc.getAddress();
+    console.log(`MockUSDC deployed at ${usdcAddress}`);
+  } else {
+    const chain = CHAINS[Number(chainId)];
+    usdcAddress = process.env.USDC_ADDRESS || (chain && chain.usdcAddress);
+    if (!usdcAddress) {
+      throw new Error(`No USDC address known for chain ${chainId}; set USDC_ADDRESS`);
+    }
+  }
+
+  const treasury = process.env.TREASURY_ADDRESS || deployer.address;
+  const migrateFrom = process.env.MIGRATE_FROM || null;
+
+  // Implementation first, then the proxy that holds the state and initialises it
+  const implementation = await ethers.deployContract('BazuuSave');
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log(`BazuuSave implementation deployed at ${implementationAddress}`);
+
+  const initData = implementation.interface.encodeFunctionData('initialize', [
+    usdcAddress,
+    treasury,
+    Boolean(migrateFrom)
+  ]);
+  const proxy = await ethers.deployContract('BazuuSaveProxy', [implementationAddress, initData]);
+  await proxy.waitForDeployment();
+  const receipt = await proxy.deploymentTransaction().wait();
+  const contractAddress = await proxy.getAddress();
+  const bazuuSave = await ethers.getContractAt('BazuuSave', contractAddress);
+  console.log(`BazuuSave proxy deployed at ${contractAddress} in block ${receipt.blockNumber}`);
+  if (migrateFrom) {
+    console.log(`Migration from ${migrateFrom} is open; run scripts/migrate.js next`);
+  }
+
+  // Yield strategy: mock ERC-4626 vault on local chains, STRATEGY_ADDRESS everywhere else
+  let strategyAddress = process.env.STRATEGY_ADDRESS || null;
+  if (isLocal) {
+    const mockVault = await ethers.deployContract('MockVault', [usdcAddress]);
+    await mockVault.waitForDeployment();
+    strategyAddress = await mockVault.getAddress();
+    console.log(`MockVault deployed at ${strategyAddress}`);
+  }
+  if (strategyAddress) {
+    await (await bazuuSave.setStrategy(strategyAddress)).wait();
+    console.log(`BazuuSave yield strategy set to ${strategyAddress}`);
+  }
+
+  const bazuuChama = await ethers.deployContract('BazuuChama', [usdcAddress]);
+  await bazuuChama.waitForDeployment();
+  const chamaReceipt = await bazuuChama.deploymentTransaction().wait();
+  const chamaAddress = await bazuuChama.getAddress();
+  console.log(`BazuuChama deployed at ${chamaAddress} in block ${chamaReceipt.blockNumber}`);
+
+  const achievementsBaseURI = process.env.ACHIEVEMENTS_BASE_URI ||
+    `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/achievements/`;
+  const achievements = await ethers.deployContract('BazuuAchievements', [achievementsBaseURI]);
+  await achievements.waitForDeployment();
+  const achievementsAddress = await achievements.getAddress();
+  console.log(`BazuuAchievements deployed at ${achievementsAddress} (metadata at ${achievementsBaseURI})`);
+
+  const file = saveDeployment({
+    chainId: Number(chainId),
+    network: hre.network.name,
+    contractAddress,
+    implementationAddress,
+    migratedFrom: migrateFrom,
+    usdcAddress,
+    mockUsdc: isLocal,
+    treasury,
+    strategyAddress,
+    deploymentBlock: receipt.blockNumber,
+    chamaAddress,
+    chamaDeploymentBlock: chamaReceipt.blockNumber,
+    achievementsAddress,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString()
+  });
+  console.log(`Deployment written to ${file}`);
+}
+
+main().catch((error) => {
+  console.error('Deployment failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,120 @@
+/**
+ * Local Devnet
+ * Starts a Hardhat node, deploys mock USDC and BazuuSave to it, then runs the API
+ * against the local chain with the dev faucet enabled. Stop everything with Ctrl+C.
+ *
+ * Usage: npm run devnet
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ROOT = path.join(__dirname, '..');
+const LOCAL_RPC_URL = process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545';
+
+// Hardhat's first default account; deploys the contracts and owns the mock USDC
+const HARDHAT_DEPLOYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const children = [];
+
+/**
+ * Start a child process in the project root
+ * @param {string} command - Command to run
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - spawn options
+ * @returns {ChildProcess} Child process
+ */
+const run = (command, args, options = {}) => {
+  const child = spawn(command, args, { cwd: ROOT, stdio: 'inherit', ...options });
+  children.push(child);
+  return child;
+};
+
+/**
+ * Wait for a child process to exit successfully
+ * @param {ChildProcess} child - Child process
+ * @returns {Promise<void>}
+ */
+const waitForExit = (child) => new Promise((resolve, reject) => {
+  child.on('exit', (code) => {
+    if (code === 0) {
+      resolve();
+    } else {
+      reject(new Error(`${child.spawnargs.join(' ')} exited with code ${code}`));
+    }
+  });
+});
+
+/**
+ * Wait until the local node answers RPC requests
+ * @param {number} timeout - Maximum wait in ms
+ */
+const waitForRpc = async (timeout = 60000) => {
+  const provider = new ethers.JsonRpcProvider(LOCAL_RPC_URL, 31337, { staticNetwork: true });
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < timeout) {
+    try {
+      await provider.getBlockNumber();
+      provider.destroy();
+      return;
+    } catch (error) {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+  }
+
+  provider.destroy();
+  throw new Error(`Local node did not start at ${LOCAL_RPC_URL}`);
+};
+
+/**
+ * Stop every child process and exit
+ * @param {number} code - Exit code
+ */
+const shutdown = (code = 0) => {
+  children.forEach((child) => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+    }
+  });
+  process.exit(code);
+};
+
+async function main() {
+  console.log('Starting local Hardhat node...');
+  run('npx', ['hardhat', 'node'], { stdio: ['ignore', 'ignore', 'inherit'] });
+  await waitForRpc();
+  console.log(`Hardhat node running at ${LOCAL_RPC_URL}`);
+
+  await waitForExit(run('npx', ['hardhat', 'run', 'scripts/deploy.js', '--network', 'localhost']));
+
+  const server = run(process.execPath, ['server.js'], {
+    env: {
+      ...process.env,
+      DEVNET: 'true',
+      CHAIN_ID: '31337',
+      CHAIN_IDS: '31337',
+      HARDHAT_RPC_URLS: LOCAL_RPC_URL,
+      PRIVATE_KEY: HARDHAT_DEPLOYER_KEY,
+      // Blank the default-chain settings from .env so the local deployment record is used
+      BASE_RPC_URLS: '',
+      BASE_RPC_URL: '',
+      CONTRACT_ADDRESS: '',
+      USDC_ADDRESS: '',
+      CONTRACT_DEPLOYMENT_BLOCK: '',
+      CHAMA_CONTRACT_ADDRESS: '',
+      CHAMA_DEPLOYMENT_BLOCK: '',
+      INDEXER_CONFIRMATIONS: ''
+    }
+  });
+  server.on('exit', (code) => shutdown(code || 0));
+}
+
+process.on('SIGINT', () => shutdown(0));
+process.on('SIGTERM', () => shutdown(0));
+
+main().catch((error) => {
+  console.error('Devnet failed to start:', error);
+  shutdown(1);
+});
@@ -0,0 +1,259 @@
+/**
+ * Migrate BazuuSave
+ * Copies savings balances and goals from an old BazuuSave deployment into the current one.
+ * Users are found from the old contract's Deposited and GoalCreated events; their balances
+ * and goals are then read from its storage, written to config/deployments/migration-<chainId>.json
+ * and seeded into the new contract. The migration is closed once the new contract holds
+ * enough USDC to back everything seeded.
+ *
+ * The new contract must have been deployed with MIGRATE_FROM set (see scripts/deploy.js).
+ * It rejects every user call until the migration is closed, so nothing but the seeds can
+ * change its balances. Re-running takes a fresh snapshot and overwrites the seeded balances,
+ * but users whose goals are already seeded are skipped, so stop activity on the old contract
+ * before the first run or later goal changes there are not copied.
+ *
+ * Goal members, invitations and member contributions are not copied, so the migration
+ * refuses to run while any unreleased goal on the old contract has invited a member; those
+ * goals must be released or broken there first.
+ *
+ * Environment:
+ *   MIGRATE_FROM          Old BazuuSave address
+ *   MIGRATE_FROM_BLOCK    Block the old contract was deployed in (default 0)
+ *   MIGRATE_MOVE_FUNDS    true to pull the old contract's USDC with emergencyWithdraw (old owner only)
+ *                         and send it to the new contract
+ *
+ * Usage: npx hardhat run scripts/migrate.js --network <network>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const { getChain } = require('../config/chains');
+
+// Users per seedBalances transaction, and blocks per event query
+const BALANCE_BATCH_SIZE = 100;
+const LOG_BATCH_SIZE = 5000;
+
+// Functions every BazuuSave version has, plus the ones used to detect later versions
+const OLD_ABI = [
+  'event Deposited(address indexed user, uint256 amount)',
+  'event GoalCreated(address indexed user, uint256 goalId, string name, uint256 targetAmount)',
+  'event GoalMemberInvited(address indexed user, uint256 goalId, address indexed member)',
+  'function usdcToken() view returns (address)',
+  'function getBalance(address user) view returns (uint256)',
+  'function userGoalCounts(address user) view returns (uint256)',
+  'function earlyReleasePenaltyBps() view returns (uint256)',
+  'function hasActiveLoan(address user) view returns (bool)',
+  'function owner() view returns (address)',
+  'function emergencyWithdraw()'
+];
+
+// Goal getters; deployments from before goal release have no released flag
+const GOAL_ABI = [
+  'function userGoals(address user, uint256 goalId) view returns (uint256 id, address owner, string name, uint256 targetAmount, uint256 currentAmount, uint256 deadline, bool completed, bool released)'
+];
+const LEGACY_GOAL_ABI = [
+  'function userGoals(address user, uint256 goalId) view returns (uint256 id, address owner, string name, uint256 targetAmount, uint256 currentAmount, uint256 deadline, bool completed)'
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+/**
+ * Check whether a view function exists on the old contract
+ * @param {Function} call - Function that calls it
+ * @returns {Promise<boolean>} True if the call succeeded
+ */
+const supports = async (call) => {
+  try {
+    await call();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Find every address that deposited into or created a goal on the old contract, and every
+ * goal that has invited members
+ * @param {ethers.Contract} oldContract - Old BazuuSave
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Object>} User addresses, and owner:goalId keys of shared goals
+ */
+const findUsers = async (oldContract, fromBlock, toBlock) => {
+  const users = new Set();
+  const sharedGoals = new Set();
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_BATCH_SIZE) {
+    const end = Math.min(start + LOG_BATCH_SIZE - 1, toBlock);
+    const [deposits, goals, invites] = await Promise.all([
+      oldContract.queryFilter(oldContract.filters.Deposited(), start, end),
+      oldContract.queryFilter(oldContract.filters.GoalCreated(), start, end),
+      oldContract.queryFilter(oldContract.filters.GoalMemberInvited(), start, end)
+    ]);
+    [...deposits, ...goals].forEach((event) => users.add(hre.ethers.getAddress(event.args.user)));
+    invites.forEach((event) => {
+      sharedGoals.add(`${hre.ethers.getAddress(event.args.user)}:${event.args.goalId}`);
+    });
+  }
+
+  return { users: [...users], sharedGoals };
+};
+
+/**
+ * Read users' balances and goals from the old contract
+ * @param {ethers.Contract} oldContract - Old BazuuSave
+ * @param {Array<string>} users - User addresses
+ * @param {Set<string>} sharedGoals - owner:goalId keys of goals that have invited members
+ * @returns {Promise<Array<Object>>} Snapshot entry per user with a balance or goals
+ */
+const snapshotUsers = async (oldContract, users, sharedGoals) => {
+  const hasRelease = await supports(() => oldContract.earlyReleasePenaltyBps());
+  const hasLoans = await supports(() => oldContract.hasActiveLoan(hre.ethers.ZeroAddress));
+  const goalReader = new hre.ethers.Contract(
+    oldContract.target,
+    hasRelease ? GOAL_ABI : LEGACY_GOAL_ABI,
+    oldContract.runner
+  );
+
+  const snapshot = [];
+  for (const user of users) {
+    if (hasLoans && await oldContract.hasActiveLoan(user)) {
+      throw new Error(`${user} has an active loan on the old contract; it must be repaid before migrating`);
+    }
+
+    const [balance, goalCount] = await Promise.all([
+      oldContract.getBalance(user),
+      oldContract.userGoalCounts(user)
+    ]);
+
+    const goals = [];
+    for (let goalId = 0n; goalId < goalCount; goalId++) {
+      const goal = await goalReader.userGoals(user, goalId);
+      if (sharedGoals.has(`${user}:${goalId}`) && !(hasRelease && goal.released)) {
+        throw new Error(`Goal ${goalId} of ${user} has members on the old contract; it must be released or broken before migrating`);
+      }
+      goals.push({
+        id: goal.id.toString(),
+        owner: goal.owner,
+        name: goal.name,
+        targetAmount: goal.targetAmount.toString(),
+        currentAmount: goal.currentAmount.toString(),
+        deadline: goal.deadline.toString(),
+        completed: goal.completed,
+        released: hasRelease ? goal.released : false
+      });
+    }
+
+    if (balance > 0n || goals.length > 0) {
+      snapshot.push({ user, balance: balance.toString(), goals });
+    }
+  }
+
+  return snapshot;
+};
+
+/**
+ * Seed the snapshot into the new contract
+ * @param {ethers.Contract} bazuuSave - New BazuuSave
+ * @param {Array<Object>} snapshot - Snapshot entries
+ */
+const seed = async (bazuuSave, snapshot) => {
+  const withBalance = snapshot.filter((entry) => entry.balance !== '0');
+  for (let i = 0; i < withBalance.length; i += BALANCE_BATCH_SIZE) {
+    const batch = withBalance.slice(i, i + BALANCE_BATCH_SIZE);
+    const tx = await bazuuSave.seedBalances(
+      batch.map((entry) => entry.user),
+      batch.map((entry) => entry.balance)
+    );
+    await tx.wait();
+    console.log(`Seeded balances ${i + 1}-${i + batch.length} of ${withBalance.length}`);
+  }
+
+  for (const entry of snapshot.filter((item) => item.goals.length > 0)) {
+    if (await bazuuSave.userGoalCounts(entry.user) > 0n) {
+      console.log(`Goals for ${entry.user} already seeded, skipping`);
+      continue;
+    }
+    const tx = await bazuuSave.seedGoals(entry.user, entry.goals);
+    await tx.wait();
+    console.log(`Seeded ${entry.goals.length} goals for ${entry.user}`);
+  }
+};
+
+async function main() {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const chain = getChain(Number(chainId));
+
+  const oldAddress = process.env.MIGRATE_FROM;
+  if (!oldAddress || !ethers.isAddress(oldAddress)) {
+    throw new Error('Set MIGRATE_FROM to the old BazuuSave address');
+  }
+
+  const bazuuSave = await ethers.getContractAt('BazuuSave', chain.contractAddress);
+  if (!(await bazuuSave.migrationOpen())) {
+    throw new Error(`Migration is not open on ${chain.contractAddress}; deploy it with MIGRATE_FROM set`);
+  }
+
+  const oldContract = new ethers.Contract(oldAddress, OLD_ABI, deployer);
+  const fromBlock = parseInt(process.env.MIGRATE_FROM_BLOCK || '0', 10);
+  const toBlock = await ethers.provider.getBlockNumber();
+
+  console.log(`Snapshotting ${oldAddress} on chain ${chainId} (blocks ${fromBlock}-${toBlock})`);
+  const { users, sharedGoals } = await findUsers(oldContract, fromBlock, toBlock);
+  const snapshot = await snapshotUsers(oldContract, users, sharedGoals);
+
+  const dir = path.join(__dirname, '..', 'config', 'deployments');
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `migration-${chainId}.json`);
+  fs.writeFileSync(file, `${JSON.stringify({
+    chainId: Number(chainId),
+    from: oldAddress,
+    to: chain.contractAddress,
+    block: toBlock,
+    takenAt: new Date().toISOString(),
+    users: snapshot
+  }, null, 2)}\n`);
+  console.log(`Snapshot of ${snapshot.length} users written to ${file}`);
+
+  await seed(bazuuSave, snapshot);
+
+  if (process.env.MIGRATE_MOVE_FUNDS === 'true') {
+    const usdc = new ethers.Contract(await oldContract.usdcToken(), ERC20_ABI, deployer);
+    const before = await usdc.balanceOf(deployer.address);
+    await (await oldContract.emergencyWithdraw()).wait();
+    const moved = (await usdc.balanceOf(deployer.address)) - before;
+    await (await usdc.transfer(chain.contractAddress, moved)).wait();
+    console.log(`Moved ${ethers.formatUnits(moved, 6)} USDC from the old contract`);
+  }
+
+  const usdc = new ethers.Contract(await bazuuSave.usdcToken(), ERC20_ABI, deployer);
+  const [held, totalBalances, goalFunds] = await Promise.all([
+    usdc.balanceOf(chain.contractAddress),
+    bazuuSave.totalUserBalances(),
+    bazuuSave.migratedGoalFunds()
+  ]);
+  const required = totalBalances + goalFunds;
+
+  if (held < required) {
+    console.log(
+      `New contract holds ${ethers.formatUnits(held, 6)} of ${ethers.formatUnits(required, 6)} USDC; ` +
+      'fund it and run this script again to close the migration'
+    );
+    return;
+  }
+
+  await (await bazuuSave.closeMigration()).wait();
+  console.log(`Migration closed: ${ethers.formatUnits(totalBalances, 6)} USDC in balances, ` +
+    `${ethers.formatUnits(goalFunds, 6)} USDC in goals`);
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exitCode = 1;
+});
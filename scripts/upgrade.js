@@ -0,0 +1,47 @@
+/**
+ * Upgrade BazuuSave
+ * Deploys a new BazuuSave implementation and points the chain's proxy at it; balances,
+ * goals and loans stay where they are. The deployer needs DEFAULT_ADMIN_ROLE on the proxy.
+ * New state variables must go at the end of the layout, taking slots from __gap.
+ *
+ * Usage: npx hardhat run scripts/upgrade.js --network <network>
+ */
+
+const hre = require('hardhat');
+const { getChain, readDeployment, saveDeployment } = require('../config/chains');
+
+async function main() {
+  const { ethers } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  const { contractAddress } = getChain(Number(chainId));
+
+  if (!contractAddress) {
+    throw new Error(`No BazuuSave deployment known for chain ${chainId}`);
+  }
+
+  const bazuuSave = await ethers.getContractAt('BazuuSave', contractAddress);
+  const previousVersion = await bazuuSave.version();
+
+  const implementation = await ethers.deployContract('BazuuSave');
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log(`BazuuSave implementation deployed at ${implementationAddress}`);
+
+  await (await bazuuSave.upgradeToAndCall(implementationAddress, '0x')).wait();
+  console.log(`BazuuSave ${contractAddress} upgraded from ${previousVersion} to ${await bazuuSave.version()}`);
+
+  const deployment = readDeployment(Number(chainId));
+  if (deployment) {
+    const file = saveDeployment({
+      ...deployment,
+      implementationAddress,
+      upgradedAt: new Date().toISOString()
+    });
+    console.log(`Deployment written to ${file}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Upgrade failed:', error);
+  process.exitCode = 1;
+});
@@ -10,13 +10,27 @@ require('dotenv').config();
 
 // Import configurations.
 const { connectDB } = require('./config/database');
-const { setupEventListeners } = require('./services/blockchainservice');
+const eventIndexer = require('./services/eventindexer');
+const txManager = require('./services/txmanager');
+const transactionTracker = require('./services/transactiontracker');
+const mpesaDeposits = require('./services/mpesadeposits');
+const loanReminders = require('./services/loanreminders');
+const inheritanceAlerts = require('./services/inheritancealerts');
+const achievements = require('./services/achievements');
+const goalSync = require('./services/goalsync');
+const yieldService = require('./services/yieldservice');
 
 // Import routes
 const authRoutes = require('./routes/authroutes');
 const goalRoutes = require('./routes/goalroutes');
 const savingsRoutes = require('./routes/savingsroutes');
 const notificationRoutes = require('./routes/notificationroutes');
+const adminRoutes = require('./routes/adminroutes');
+const loanRoutes = require('./routes/loanroutes');
+const groupRoutes = require('./routes/grouproutes');
+const beneficiaryRoutes = require('./routes/beneficiaryroutes');
+const achievementRoutes = require('./routes/achievementroutes');
+const devRoutes = require('./routes/devroutes');
 
 // Import middleware
 const { standard: apiLimiter } = require('./middleware/errorhandler');
@@ -34,10 +48,6 @@ async function startServer() {
     await connectDB();
     console.log('MongoDB connected successfully');
 
-    // Setup blockchain event listeners
-    await setupEventListeners();
-    console.log('Blockchain event listeners setup complete');
-
     // Middleware
     app.use(helmet()); // Security headers
     app.use(cors({
@@ -59,6 +69,17 @@ async function startServer() {
     app.use('/api/goals', goalRoutes);
     app.use('/api/savings', savingsRoutes);
     app.use('/api/notifications', notificationRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/loan', loanRoutes);
+    app.use('/api/groups', groupRoutes);
+    app.use('/api/beneficiary', beneficiaryRoutes);
+    app.use('/api/achievements', achievementRoutes);
+
+    // Local devnet helpers (faucet)
+    if (process.env.DEVNET === 'true') {
+      app.use('/api/dev', devRoutes);
+      console.log('Devnet mode: dev routes enabled at /api/dev');
+    }
 
     // ✅ Add root route to fix "Cannot GET /" error
     app.get('/', (req, res) => {
@@ -69,6 +90,33 @@ async function startServer() {
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Catch up on blockchain events in the background and keep indexing new blocks
+    eventIndexer.start();
+
+    // Track and fee-bump transactions sent by the backend
+    txManager.startMonitor();
+
+    // Confirm user transactions, follow replacements and notify users of the outcome
+    transactionTracker.start();
+
+    // Fund and deposit paid M-Pesa deposits, retrying any that could not be credited yet
+    mpesaDeposits.start();
+
+    // Remind borrowers before their loans fall due
+    loanReminders.start();
+
+    // Warn inactive users and tell beneficiaries when they can claim
+    inheritanceAlerts.start();
+
+    // Mint achievement badges for completed goals and challenges
+    achievements.start();
+
+    // Register custodial goals on-chain and flag goals that drift from the contract
+    goalSync.start();
+
+    // Snapshot the savings yield index for APY reporting
+    yieldService.start();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,348 @@
+/**
+ * Achievement Service
+ * Awards badges for completed goals and challenges and mints them as soulbound
+ * BazuuAchievements tokens. Confirmed deposits count towards the savings challenges their
+ * users have joined. Badges are recorded straight away and minted by a background
+ * job once the user has a wallet, so awarding never waits on the chain.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const Achievement = require('../models/achievement');
+const Challenge = require('../models/challenge');
+const txManager = require('./txmanager');
+const { getChainContext } = require('../config/blockchain');
+const { DEFAULT_CHAIN_ID, getChain } = require('../config/chains');
+
+const CHECK_INTERVAL = parseInt(process.env.ACHIEVEMENT_MINT_INTERVAL || '60000', 10);
+
+// Mints sent per run, how long to wait for one before sending it again, and how often to try
+const MINT_BATCH_SIZE = 20;
+const MINT_TIMEOUT = 30 * 60 * 1000;
+const MAX_MINT_ATTEMPTS = 5;
+
+// Linked from token metadata
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+const TYPE_LABELS = {
+  goal_completed: 'Goal completed',
+  challenge_completed: 'Challenge completed'
+};
+
+let mintTimer = null;
+
+/**
+ * Record an achievement unless it has already been awarded
+ * @param {Object} fields - Achievement fields, including its unique key
+ * @returns {Promise<Object>} Achievement document
+ */
+const award = async (fields) => {
+  return Achievement.findOneAndUpdate(
+    { key: fields.key },
+    { $setOnInsert: { chainId: DEFAULT_CHAIN_ID, ...fields } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Award the badge for a completed goal to its owner
+ * @param {Object} goal - Goal document
+ * @param {Date} achievedAt - When the goal was completed
+ * @returns {Promise<Object>} Achievement document
+ */
+const awardGoalCompletion = async (goal, achievedAt = new Date()) => {
+  try {
+    return await award({
+      userId: goal.userId,
+      type: 'goal_completed',
+      key: ethers.id(`goal:${goal._id}`),
+      goalId: goal._id,
+      name: `Goal reached: ${goal.name}`,
+      description: `Saved ${goal.targetAmount} USDC to reach the "${goal.name}" goal on BazuuSave.`,
+      amount: goal.targetAmount,
+      achievedAt
+    });
+  } catch (error) {
+    console.error(`Error awarding achievement for goal ${goal._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Award the badge for a completed challenge to a participant
+ * @param {Object} challenge - Challenge document
+ * @param {Object} participant - Challenge participant who completed it
+ * @param {Date} achievedAt - When the challenge was completed
+ * @returns {Promise<Object>} Achievement document
+ */
+const awardChallengeCompletion = async (challenge, participant, achievedAt = new Date()) => {
+  const userId = participant.user._id || participant.user;
+
+  try {
+    return await award({
+      userId,
+      type: 'challenge_completed',
+      key: ethers.id(`challenge:${challenge._id}:${userId}`),
+      challengeId: challenge._id,
+      name: `Challenge complete: ${challenge.name}`,
+      description: `Completed the "${challenge.name}" savings challenge on BazuuSave and earned: ${challenge.reward}.`,
+      amount: participant.currentAmount,
+      achievedAt
+    });
+  } catch (error) {
+    console.error(`Error awarding achievement for challenge ${challenge._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Count a confirmed deposit towards the user's running savings and deposit challenges, and
+ * award the badge to a participant who reaches the target
+ * @param {Object} deposit - userId, amount, txHash and timestamp of the deposit
+ * @returns {Promise<Array<Object>>} Achievements awarded
+ */
+const recordChallengeDeposit = async ({ userId, amount, txHash, timestamp }) => {
+  try {
+    const challenges = await Challenge.find({
+      type: { $in: ['savings', 'deposit'] },
+      status: { $nin: ['completed', 'cancelled'] },
+      startDate: { $lte: timestamp },
+      endDate: { $gte: timestamp },
+      participants: { $elemMatch: { user: userId, status: 'active' } }
+    });
+
+    const awarded = [];
+    for (const challenge of challenges) {
+      const participant = challenge.participants.find((entry) =>
+        entry.user.toString() === userId.toString() && entry.status === 'active'
+      );
+
+      // Events are replayed after a reorg
+      if (participant.transactions.some((entry) => entry.txHash === txHash)) {
+        continue;
+      }
+
+      participant.transactions.push({ amount, date: timestamp, txHash });
+      participant.currentAmount += amount;
+      const completed = participant.currentAmount >= challenge.targetAmount;
+      if (completed) {
+        participant.status = 'completed';
+      }
+      await challenge.save();
+
+      if (completed) {
+        awarded.push(await awardChallengeCompletion(challenge, participant, timestamp));
+      }
+    }
+    return awarded;
+  } catch (error) {
+    console.error(`Error recording challenge deposit ${txHash}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Draw the badge image for an achievement
+ * @param {Object} achievement - Achievement document
+ * @returns {string} SVG markup
+ */
+const renderBadge = (achievement) => {
+  const title = achievement.name.length > 40 ? `${achievement.name.slice(0, 39)}…` : achievement.name;
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 500 500">',
+    '<rect width="500" height="500" fill="#0b3d2e"/>',
+    '<circle cx="250" cy="200" r="120" fill="#f5b700" stroke="#ffffff" stroke-width="8"/>',
+    `<text x="250" y="215" font-family="sans-serif" font-size="44" font-weight="bold" fill="#0b3d2e" text-anchor="middle">${escapeXml(TYPE_LABELS[achievement.type].split(' ')[0].toUpperCase())}</text>`,
+    `<text x="250" y="380" font-family="sans-serif" font-size="24" fill="#ffffff" text-anchor="middle">${escapeXml(title)}</text>`,
+    `<text x="250" y="430" font-family="sans-serif" font-size="18" fill="#9fd3c0" text-anchor="middle">BazuuSave · ${achievement.achievedAt.toISOString().slice(0, 10)}</text>`,
+    '</svg>'
+  ].join('');
+};
+
+/**
+ * Build the ERC-721 metadata for a minted achievement
+ * @param {Object} achievement - Achievement document
+ * @returns {Object} Token metadata
+ */
+const buildMetadata = (achievement) => ({
+  name: achievement.name,
+  description: achievement.description,
+  image: `data:image/svg+xml;base64,${Buffer.from(renderBadge(achievement)).toString('base64')}`,
+  external_url: APP_URL,
+  attributes: [
+    { trait_type: 'Type', value: TYPE_LABELS[achievement.type] },
+    { trait_type: 'Amount (USDC)', display_type: 'number', value: achievement.amount },
+    { trait_type: 'Achieved', display_type: 'date', value: Math.floor(achievement.achievedAt.getTime() / 1000) }
+  ]
+});
+
+/**
+ * Get a user's achievements, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Achievement summaries
+ */
+const getUserAchievements = async (userId) => {
+  try {
+    const achievements = await Achievement.find({ userId }).sort({ achievedAt: -1 });
+    return achievements.map((achievement) => ({
+      id: achievement._id,
+      type: achievement.type,
+      name: achievement.name,
+      description: achievement.description,
+      achievedAt: achievement.achievedAt,
+      status: achievement.status,
+      tokenId: achievement.tokenId,
+      chainId: achievement.chainId,
+      contractAddress: achievement.tokenId ? getChain(achievement.chainId).achievementsAddress : null,
+      goalId: achievement.goalId,
+      challengeId: achievement.challengeId
+    }));
+  } catch (error) {
+    console.error(`Error getting achievements for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send the mint for a pending achievement, or record it if it is already on-chain
+ * @param {Object} achievement - Achievement document with its user populated
+ * @param {ethers.Contract} contract - BazuuAchievements contract
+ * @returns {Promise<boolean>} True if a mint was sent
+ */
+const sendMint = async (achievement, contract) => {
+  const tokenId = await contract.achievementTokens(achievement.key);
+  if (tokenId > 0n) {
+    achievement.set({ status: 'minted', tokenId: Number(tokenId), mintedAt: new Date() });
+    await achievement.save();
+    return false;
+  }
+
+  const walletAddress = achievement.userId && achievement.userId.walletAddress;
+  if (!walletAddress) {
+    return false;
+  }
+
+  achievement.mintAttempts += 1;
+  try {
+    const tx = await txManager.sendContractTransaction(contract, 'mint', [walletAddress, achievement.key], {
+      label: 'achievement'
+    });
+    achievement.set({ walletAddress, status: 'minting', txHash: tx.hash, sentAt: new Date(), error: undefined });
+  } catch (error) {
+    achievement.error = error.shortMessage || error.message;
+    if (achievement.mintAttempts >= MAX_MINT_ATTEMPTS) {
+      achievement.status = 'failed';
+    }
+  }
+
+  await achievement.save();
+  return true;
+};
+
+/**
+ * Record a sent mint once it lands, or send it again if it has not landed in time
+ * @param {Object} achievement - Achievement document
+ * @param {ethers.Contract} contract - BazuuAchievements contract
+ */
+const checkMint = async (achievement, contract) => {
+  const tokenId = await contract.achievementTokens(achievement.key);
+  if (tokenId > 0n) {
+    achievement.set({ status: 'minted', tokenId: Number(tokenId), mintedAt: new Date() });
+    await achievement.save();
+  } else if (Date.now() - achievement.sentAt.getTime() > MINT_TIMEOUT) {
+    achievement.status = 'pending';
+    await achievement.save();
+  }
+};
+
+/**
+ * Mint pending achievements and record mints that have landed
+ */
+const processPending = async () => {
+  const { achievementsContract } = getChainContext(DEFAULT_CHAIN_ID);
+  if (!achievementsContract) {
+    return;
+  }
+
+  const minting = await Achievement.find({ chainId: DEFAULT_CHAIN_ID, status: 'minting' });
+  for (const achievement of minting) {
+    try {
+      await checkMint(achievement, achievementsContract);
+    } catch (error) {
+      console.error(`Error checking mint for achievement ${achievement._id}:`, error);
+    }
+  }
+
+  const pending = await Achievement.find({ chainId: DEFAULT_CHAIN_ID, status: 'pending' })
+    .sort({ achievedAt: 1 })
+    .populate('userId', 'walletAddress');
+
+  let sent = 0;
+  for (const achievement of pending) {
+    if (sent >= MINT_BATCH_SIZE) {
+      break;
+    }
+    try {
+      if (await sendMint(achievement, achievementsContract)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Error minting achievement ${achievement._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Start minting achievements, on chains where BazuuAchievements is deployed
+ */
+const start = () => {
+  if (mintTimer || !getChainContext(DEFAULT_CHAIN_ID).achievementsContract) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    mintTimer = setTimeout(async () => {
+      try {
+        await processPending();
+      } catch (error) {
+        console.error('Error minting achievements:', error);
+      } finally {
+        if (mintTimer) {
+          scheduleNext();
+        }
+      }
+    }, CHECK_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log('Achievement minting started');
+};
+
+/**
+ * Stop minting achievements
+ */
+const stop = () => {
+  if (mintTimer) {
+    clearTimeout(mintTimer);
+    mintTimer = null;
+  }
+};
+
+module.exports = {
+  awardGoalCompletion,
+  awardChallengeCompletion,
+  recordChallengeDeposit,
+  buildMetadata,
+  getUserAchievements,
+  processPending,
+  start,
+  stop
+};
@@ -0,0 +1,271 @@
+/**
+ * Admin Actions Service
+ * Proposes and executes BazuuSave administration calls (pausing, terms, strategy, roles)
+ * and records which admin proposed and which executed each one. Everything except a
+ * pause needs a second admin to execute it, unless ADMIN_SINGLE_APPROVAL=true.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const AdminAction = require('../models/adminaction');
+const { getChainContext, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+const txManager = require('./txmanager');
+
+const SINGLE_APPROVAL = process.env.ADMIN_SINGLE_APPROVAL === 'true';
+
+// Contract roles, by the name used in the API
+const ROLES = {
+  default_admin: ethers.ZeroHash,
+  admin: ethers.id('ADMIN_ROLE'),
+  pauser: ethers.id('PAUSER_ROLE'),
+  treasury: ethers.id('TREASURY_ROLE')
+};
+
+/**
+ * Check a basis-points parameter
+ * @param {*} value - Parameter value
+ * @returns {boolean} True if it is a whole number from 0 to 10000
+ */
+const isBps = (value) => Number.isInteger(value) && value >= 0 && value <= 10000;
+
+/**
+ * Supported actions: the role the sender needs, a parameter check returning an error
+ * message (or null), and the contract arguments
+ */
+const ACTIONS = {
+  pause: {
+    role: 'pauser',
+    validate: () => null,
+    args: () => []
+  },
+  unpause: {
+    role: 'pauser',
+    validate: () => null,
+    args: () => []
+  },
+  setTreasury: {
+    role: 'treasury',
+    validate: (params) => (ethers.isAddress(params.treasury) ? null : 'A valid treasury address is required'),
+    args: (params) => [params.treasury]
+  },
+  setLoanTerms: {
+    role: 'admin',
+    validate: (params) => (isBps(params.loanToValueBps) && isBps(params.interestRateBps)
+      ? null
+      : 'loanToValueBps and interestRateBps must be basis points'),
+    args: (params) => [params.loanToValueBps, params.interestRateBps]
+  },
+  setEarlyReleasePenalty: {
+    role: 'admin',
+    validate: (params) => (isBps(params.penaltyBps) ? null : 'penaltyBps must be basis points'),
+    args: (params) => [params.penaltyBps]
+  },
+  setStrategy: {
+    role: 'admin',
+    // No strategy address turns the strategy off
+    validate: (params) => (!params.strategy || ethers.isAddress(params.strategy)
+      ? null
+      : 'Strategy must be a valid address'),
+    args: (params) => [params.strategy || ethers.ZeroAddress]
+  },
+  setLiquidityBuffer: {
+    role: 'admin',
+    validate: (params) => (isBps(params.bufferBps) ? null : 'bufferBps must be basis points'),
+    args: (params) => [params.bufferBps]
+  },
+  rebalance: {
+    role: 'admin',
+    validate: () => null,
+    args: () => []
+  },
+  grantRole: {
+    role: 'default_admin',
+    validate: (params) => validateRoleParams(params),
+    args: (params) => [ROLES[params.role], params.account]
+  },
+  revokeRole: {
+    role: 'default_admin',
+    validate: (params) => validateRoleParams(params),
+    args: (params) => [ROLES[params.role], params.account]
+  }
+};
+
+/**
+ * Check the parameters of a role change
+ * @param {Object} params - Action parameters (role, account)
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRoleParams = (params) => {
+  if (!ROLES[params.role]) {
+    return `Role must be one of: ${Object.keys(ROLES).join(', ')}`;
+  }
+  if (!ethers.isAddress(params.account)) {
+    return 'A valid account address is required';
+  }
+  return null;
+};
+
+/**
+ * Check an action and its parameters before proposing it
+ * @param {string} action - Action name
+ * @param {Object} params - Action parameters
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateAction = (action, params = {}) => {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    return `Action must be one of: ${Object.keys(ACTIONS).join(', ')}`;
+  }
+  return definition.validate(params);
+};
+
+/**
+ * Record a proposed admin action
+ * @param {Object} user - Proposing admin
+ * @param {string} action - Action name
+ * @param {Object} params - Action parameters
+ * @param {string} reason - Why the action is needed
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} AdminAction document
+ */
+const proposeAction = async (user, action, params = {}, reason, chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const error = validateAction(action, params);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const definition = ACTIONS[action];
+    const { bazuuSaveContract } = getChainContext(chainId);
+
+    return await AdminAction.create({
+      action,
+      params,
+      reason,
+      chainId: Number(chainId),
+      contractAddress: bazuuSaveContract.target,
+      data: bazuuSaveContract.interface.encodeFunctionData(action, definition.args(params)),
+      role: definition.role,
+      proposedBy: user._id
+    });
+  } catch (error) {
+    console.error(`Error proposing admin action ${action}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether an admin may execute an action
+ * @param {Object} user - Executing admin
+ * @param {Object} adminAction - AdminAction document
+ * @returns {string|null} Reason it cannot be executed, or null if it can
+ */
+const findExecutionBlocker = (user, adminAction) => {
+  if (adminAction.status !== 'proposed') {
+    return `Action is already ${adminAction.status}`;
+  }
+  // A pause has to be quick, so whoever proposes it can also execute it
+  if (!SINGLE_APPROVAL && adminAction.action !== 'pause' && adminAction.proposedBy.equals(user._id)) {
+    return 'Another admin must execute this action';
+  }
+  return null;
+};
+
+/**
+ * Check whether the server signer can send an action itself
+ * @param {Object} adminAction - AdminAction document
+ * @returns {Promise<boolean>} True if the signer holds the role the action needs
+ */
+const serverHoldsRole = async (adminAction) => {
+  try {
+    const { bazuuSaveContractReadOnly, signer } = getChainContext(adminAction.chainId);
+    if (!signer) {
+      return false;
+    }
+    return await bazuuSaveContractReadOnly.hasRole(ROLES[adminAction.role], signer.address);
+  } catch (error) {
+    console.error(`Error checking ${adminAction.role} role for the server signer:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send a proposed action from the server signer on the action's chain and record who
+ * executed it. The action is claimed before it is sent, so concurrent requests can't send
+ * it twice
+ * @param {Object} user - Executing admin
+ * @param {Object} adminAction - AdminAction document
+ * @returns {Promise<Object|null>} Updated AdminAction document, or null if another request
+ * has already executed or cancelled the action
+ */
+const executeAction = async (user, adminAction) => {
+  try {
+    const blocker = findExecutionBlocker(user, adminAction);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+
+    if (!(await serverHoldsRole(adminAction))) {
+      throw new Error(`Server signer does not hold the ${adminAction.role} role`);
+    }
+
+    const claimed = await AdminAction.findOneAndUpdate(
+      { _id: adminAction._id, status: 'proposed' },
+      { status: 'executing', executedBy: user._id, executedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const { bazuuSaveContract } = getChainContext(claimed.chainId);
+
+    try {
+      const definition = ACTIONS[claimed.action];
+      const tx = await txManager.sendContractTransaction(
+        bazuuSaveContract,
+        claimed.action,
+        definition.args(claimed.params),
+        { label: `admin:${claimed.action}` }
+      );
+      claimed.status = 'executed';
+      claimed.txHash = tx.hash;
+    } catch (error) {
+      claimed.status = 'failed';
+      claimed.error = error.shortMessage || error.message;
+    }
+
+    await claimed.save();
+    return claimed;
+  } catch (error) {
+    console.error(`Error executing admin action ${adminAction._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a proposed action
+ * @param {Object} user - Cancelling admin
+ * @param {Object} adminAction - AdminAction document
+ * @returns {Promise<Object|null>} Updated AdminAction document, or null if the action is no
+ * longer proposed
+ */
+const cancelAction = async (user, adminAction) => {
+  return AdminAction.findOneAndUpdate(
+    { _id: adminAction._id, status: 'proposed' },
+    { status: 'cancelled', cancelledBy: user._id },
+    { new: true }
+  );
+};
+
+module.exports = {
+  ACTIONS,
+  ROLES,
+  validateAction,
+  findExecutionBlocker,
+  serverHoldsRole,
+  proposeAction,
+  executeAction,
+  cancelAction
+};
@@ -15,8 +15,18 @@ const {
   bazuuSaveContract, 
   bazuuSaveContractReadOnly, 
   usdcContract, 
-  createTxOptions 
+  getUserSigner,
+  getUserContract,
+  getUserChamaContract,
+  chamaContract,
+  getChainContext,
+  getImplementationAddress,
+  DEFAULT_CHAIN_ID
 } = require('../config/blockchain');
+const relayerService = require('./relayerservice');
+const txManager = require('./txmanager');
+const transactionTracker = require('./transactiontracker');
+const simulation = require('./simulation');
 
 // In-memory cache
 const cache = {
@@ -26,6 +36,10 @@ const cache = {
   goals: new Map()
 };
 
+// Custodial accounts are topped up with ETH for gas when they fall below the minimum
+const CUSTODIAL_MIN_GAS_BALANCE = ethers.parseEther(process.env.CUSTODIAL_MIN_GAS_BALANCE || '0.0002');
+const CUSTODIAL_GAS_TOPUP = ethers.parseEther(process.env.CUSTODIAL_GAS_TOPUP || '0.0005');
+
 // Cache durations in milliseconds
 const CACHE_DURATION = {
   BALANCE: 300000,          // 5 minutes
@@ -34,6 +48,99 @@ const CACHE_DURATION = {
   GOAL: 600000              // 10 minutes
 };
 
+// Largest block range served by one page of the events endpoint
+const EVENTS_BLOCK_RANGE = parseInt(process.env.EVENTS_BLOCK_RANGE || '10000', 10);
+
+// BazuuSave events with the account they concern as the indexed user
+const USER_EVENTS = [
+  'Deposited',
+  'Withdrawn',
+  'YieldCredited',
+  'GoalCreated',
+  'GoalContributed',
+  'GoalCompleted',
+  'GoalReleased',
+  'GoalBroken',
+  'GoalMemberInvited',
+  'GoalMemberJoined',
+  'GoalMemberRemoved',
+  'GoalMemberContributed',
+  'GoalContributionRefunded',
+  'LoanRequested',
+  'LoanRepaid',
+  'LoanLiquidated',
+  'BeneficiarySet',
+  'InheritanceClaimed',
+  'EmergencyExit',
+  'BalanceSeeded',
+  'GoalsSeeded'
+];
+
+// Events that also concern the indexed member or beneficiary
+const MEMBER_EVENTS = [
+  'GoalMemberInvited',
+  'GoalMemberJoined',
+  'GoalMemberRemoved',
+  'GoalMemberContributed',
+  'GoalContributionRefunded'
+];
+const BENEFICIARY_EVENTS = ['BeneficiarySet', 'InheritanceClaimed'];
+
+// Transaction types for the events a user's own transactions emit, by event and role
+const SYNCED_EVENT_TYPES = {
+  'Deposited:owner': 'deposit',
+  'Withdrawn:owner': 'withdrawal',
+  'EmergencyExit:owner': 'withdrawal',
+  'GoalCreated:owner': 'goal_creation',
+  'GoalContributed:owner': 'goal_contribution',
+  'GoalMemberContributed:member': 'goal_contribution',
+  'LoanRequested:owner': 'loan',
+  'LoanRepaid:owner': 'loan_repayment',
+  'InheritanceClaimed:beneficiary': 'inheritance'
+};
+
+// Event arguments that are USDC amounts
+const USDC_EVENT_ARGS = [
+  'amount',
+  'principal',
+  'interest',
+  'collateral',
+  'outstanding',
+  'seized',
+  'returned',
+  'penalty',
+  'targetAmount'
+];
+
+// Cache map used for each cache type
+const CACHE_STORES = {
+  BALANCE: 'balances',
+  EVENTS: 'events',
+  TRANSACTION: 'transactions',
+  GOAL: 'goals'
+};
+
+/**
+ * Cache key for a savings balance
+ * @param {string} walletAddress - Wallet address
+ * @param {number} chainId - Chain ID
+ * @returns {string} Cache key
+ */
+const balanceCacheKey = (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
+  return `balance:${Number(chainId)}:${walletAddress.toLowerCase()}`;
+};
+
+/**
+ * Cache key for an on-chain goal
+ * @param {string} walletAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @param {number} chainId - Chain ID
+ * @returns {string} Cache key
+ */
+const goalCacheKey = (walletAddress, goalId, chainId = DEFAULT_CHAIN_ID) => {
+  return `goal:${Number(chainId)}:${walletAddress.toLowerCase()}:${goalId}`;
+};
+
 /**
  * Helper function to manage cache
  * @param {string} type - Cache type (BALANCE, EVENTS, etc.)
@@ -43,14 +150,15 @@ const CACHE_DURATION = {
  */
 const getCachedData = async (type, key, fetchFn) => {
   const now = Date.now();
-  const cached = cache[type.toLowerCase()].get(key);
+  const store = cache[CACHE_STORES[type]];
+  const cached = store.get(key);
   
   if (cached && (now - cached.timestamp) < CACHE_DURATION[type]) {
     return cached.data;
   }
   
   const data = await fetchFn();
-  cache[type.toLowerCase()].set(key, {
+  store.set(key, {
     data,
     timestamp: now
   });
@@ -61,15 +169,17 @@ const getCachedData = async (type, key, fetchFn) => {
 /**
  * Get user's balance from the smart contract
  * @param {string} walletAddress - User's wallet address
+ * @param {number} chainId - Optional chain ID (defaults to the default chain)
  * @returns {Promise<string>} User's balance in USDC
  */
-const getBalance = async (walletAddress) => {
+const getBalance = async (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
   try {
     // Try to get from cache first
-    const cacheKey = `balance:${walletAddress.toLowerCase()}`;
+    const cacheKey = balanceCacheKey(walletAddress, chainId);
     return await getCachedData('BALANCE', cacheKey, async () => {
       // Get from blockchain
-      const balanceWei = await bazuuSaveContractReadOnly.getBalance(walletAddress);
+      const { bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+      const balanceWei = await contract.getBalance(walletAddress);
       return ethers.formatUnits(balanceWei, 6); // USDC has 6 decimals
     });
   } catch (error) {
@@ -81,11 +191,13 @@ const getBalance = async (walletAddress) => {
 /**
  * Get wallet's USDC balance
  * @param {string} walletAddress - Wallet address
+ * @param {number} chainId - Optional chain ID (defaults to the default chain)
  * @returns {Promise<string>} USDC balance
  */
-const getWalletBalance = async (walletAddress) => {
+const getWalletBalance = async (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
   try {
-    const balanceWei = await usdcContract.balanceOf(walletAddress);
+    const { usdcContract: usdc } = getChainContext(chainId);
+    const balanceWei = await usdc.balanceOf(walletAddress);
     return ethers.formatUnits(balanceWei, 6);
   } catch (error) {
     console.error(`Error getting wallet balance for ${walletAddress}:`, error);
@@ -97,11 +209,12 @@ const getWalletBalance = async (walletAddress) => {
  * Check if user has approved USDC spending
  * @param {string} walletAddress - User's wallet address
  * @param {string} amount - Amount to check
+ * @param {string} spender - Approved contract (defaults to BazuuSave)
  * @returns {Promise<boolean>} True if approved
  */
-const hasAllowance = async (walletAddress, amount) => {
+const hasAllowance = async (walletAddress, amount, spender = bazuuSaveContract.target) => {
   try {
-    const allowanceWei = await usdcContract.allowance(walletAddress, bazuuSaveContract.target);
+    const allowanceWei = await usdcContract.allowance(walletAddress, spender);
     const allowance = ethers.formatUnits(allowanceWei, 6);
     return parseFloat(allowance) >= parseFloat(amount);
   } catch (error) {
@@ -117,10 +230,10 @@ const hasAllowance = async (walletAddress, amount) => {
  */
 const approveUSDC = async (walletAddress) => {
   try {
-    const tx = await usdcContract.approve(
-      bazuuSaveContract.target,
-      ethers.MaxUint256,
-      await createTxOptions(walletAddress)
+    const tx = await txManager.sendContractTransaction(
+      usdcContract,
+      'approve',
+      [bazuuSaveContract.target, ethers.MaxUint256]
     );
     return tx;
   } catch (error) {
@@ -138,14 +251,10 @@ const approveUSDC = async (walletAddress) => {
 const deposit = async (walletAddress, amount) => {
   try {
     const amountWei = ethers.parseUnits(amount, 6);
-    const tx = await bazuuSaveContract.deposit(
-      amountWei,
-      await createTxOptions(walletAddress)
-    );
+    const tx = await txManager.sendContractTransaction(bazuuSaveContract, 'deposit', [amountWei]);
     
     // Update cache after successful deposit
-    const cacheKey = `balance:${walletAddress.toLowerCase()}`;
-    cache.balances.delete(cacheKey);
+    cache.balances.delete(balanceCacheKey(walletAddress));
     
     return tx;
   } catch (error) {
@@ -163,14 +272,10 @@ const deposit = async (walletAddress, amount) => {
 const withdraw = async (walletAddress, amount) => {
   try {
     const amountWei = ethers.parseUnits(amount, 6);
-    const tx = await bazuuSaveContract.withdraw(
-      amountWei,
-      await createTxOptions(walletAddress)
-    );
+    const tx = await txManager.sendContractTransaction(bazuuSaveContract, 'withdraw', [amountWei]);
     
     // Update cache after successful withdrawal
-    const cacheKey = `balance:${walletAddress.toLowerCase()}`;
-    cache.balances.delete(cacheKey);
+    cache.balances.delete(balanceCacheKey(walletAddress));
     
     return tx;
   } catch (error) {
@@ -180,77 +285,800 @@ const withdraw = async (walletAddress, amount) => {
 };
 
 /**
- * Create a savings goal on the blockchain
+ * Format an on-chain goal
+ * @param {Object} goal - Goal struct returned by BazuuSave
+ * @returns {Object} Goal details
+ */
+const formatGoal = (goal) => ({
+  id: goal.id.toString(),
+  owner: goal.owner,
+  name: goal.name,
+  targetAmount: ethers.formatUnits(goal.targetAmount, 6),
+  currentAmount: ethers.formatUnits(goal.currentAmount, 6),
+  deadline: Number(goal.deadline),
+  completed: goal.completed,
+  released: goal.released
+});
+
+/**
+ * Get a savings goal from the blockchain
+ * @param {string} walletAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Goal details
+ */
+const getGoalOnChain = async (walletAddress, goalId, chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    return await getCachedData('GOAL', goalCacheKey(walletAddress, goalId, chainId), async () => {
+      const { bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+      return formatGoal(await contract.getGoal(walletAddress, goalId));
+    });
+  } catch (error) {
+    console.error(`Error getting goal ${goalId} for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get all of a user's goals from the blockchain, uncached
+ * @param {string} walletAddress - Goal owner's wallet address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Array<Object>>} Goal details, in on-chain ID order
+ */
+const getGoalsOnChain = async (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const { bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+    const goalCount = Number(await contract.getGoalCount(walletAddress));
+    const goals = [];
+    for (let goalId = 0; goalId < goalCount; goalId++) {
+      goals.push(formatGoal(await contract.getGoal(walletAddress, goalId)));
+    }
+    return goals;
+  } catch (error) {
+    console.error(`Error getting goals for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a goal can be released without penalty
+ * @param {string} walletAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @returns {Promise<boolean>} True if the deadline has passed or the goal is completed
+ */
+const isGoalUnlocked = async (walletAddress, goalId) => {
+  try {
+    return await bazuuSaveContractReadOnly.isGoalUnlocked(walletAddress, goalId);
+  } catch (error) {
+    console.error(`Error checking lock for goal ${goalId} of ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the penalty for breaking a locked goal early
+ * @param {string} walletAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @returns {Promise<string>} Penalty in USDC
+ */
+const getEarlyReleasePenalty = async (walletAddress, goalId) => {
+  try {
+    const penaltyWei = await bazuuSaveContractReadOnly.getEarlyReleasePenalty(walletAddress, goalId);
+    return ethers.formatUnits(penaltyWei, 6);
+  } catch (error) {
+    console.error(`Error getting early release penalty for goal ${goalId} of ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+// Shared goal member status values, in BazuuSave's MemberStatus enum order
+const GOAL_MEMBER_STATUSES = ['none', 'invited', 'member'];
+
+/**
+ * Get an address's membership of a shared goal
+ * @param {string} ownerAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @param {string} memberAddress - Member's wallet address
+ * @returns {Promise<string>} 'none', 'invited' or 'member'
+ */
+const getGoalMemberStatus = async (ownerAddress, goalId, memberAddress) => {
+  try {
+    const status = await bazuuSaveContractReadOnly.goalMemberStatus(ownerAddress, goalId, memberAddress);
+    return GOAL_MEMBER_STATUSES[Number(status)];
+  } catch (error) {
+    console.error(`Error getting member status of ${memberAddress} for goal ${goalId} of ${ownerAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the members who have contributed to a shared goal
+ * @param {string} ownerAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @returns {Promise<Array>} Contributor addresses and amounts in USDC
+ */
+const getGoalContributors = async (ownerAddress, goalId) => {
+  try {
+    const [contributors, amounts] = await bazuuSaveContractReadOnly.getGoalContributors(ownerAddress, goalId);
+    return contributors.map((walletAddress, i) => ({
+      walletAddress: walletAddress.toLowerCase(),
+      amount: ethers.formatUnits(amounts[i], 6)
+    }));
+  } catch (error) {
+    console.error(`Error getting contributors for goal ${goalId} of ${ownerAddress}:`, error);
+    throw error;
+  }
+};
+
+// Loan status values, in BazuuSave's LoanStatus enum order
+const LOAN_STATUSES = ['none', 'active', 'repaid', 'liquidated'];
+
+/**
+ * Get the current loan terms and how much a user can borrow
+ * @param {string} walletAddress - Borrower's wallet address
+ * @param {number} durationInDays - Loan duration
+ * @returns {Promise<Object>} Loan terms
+ */
+const getLoanTerms = async (walletAddress, durationInDays) => {
+  try {
+    const [loanToValueBps, interestRateBps, maxDurationDays, gracePeriod, maxAmount] = await Promise.all([
+      bazuuSaveContractReadOnly.loanToValueBps(),
+      bazuuSaveContractReadOnly.loanInterestRateBps(),
+      bazuuSaveContractReadOnly.MAX_LOAN_DURATION_DAYS(),
+      bazuuSaveContractReadOnly.LOAN_GRACE_PERIOD(),
+      bazuuSaveContractReadOnly.getMaxLoanAmount(walletAddress, durationInDays)
+    ]);
+    
+    return {
+      loanToValueBps: Number(loanToValueBps),
+      interestRateBps: Number(interestRateBps),
+      maxDurationDays: Number(maxDurationDays),
+      gracePeriodDays: Number(gracePeriod) / 86400,
+      durationInDays,
+      maxAmount: ethers.formatUnits(maxAmount, 6)
+    };
+  } catch (error) {
+    console.error(`Error getting loan terms for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the interest and collateral for a loan at the current terms
+ * @param {string} amount - Amount to borrow
+ * @param {number} durationInDays - Loan duration
+ * @returns {Promise<Object>} Interest and collateral in USDC
+ */
+const getLoanQuote = async (amount, durationInDays) => {
+  try {
+    const [interest, collateral] = await bazuuSaveContractReadOnly.getLoanQuote(
+      ethers.parseUnits(amount.toString(), 6),
+      durationInDays
+    );
+    return {
+      interest: ethers.formatUnits(interest, 6),
+      collateral: ethers.formatUnits(collateral, 6)
+    };
+  } catch (error) {
+    console.error('Error getting loan quote:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's active loan from the blockchain
+ * @param {string} walletAddress - Borrower's wallet address
+ * @returns {Promise<Object|null>} Loan details, or null if nothing is owed
+ */
+const getActiveLoanOnChain = async (walletAddress) => {
+  try {
+    if (!(await bazuuSaveContractReadOnly.hasActiveLoan(walletAddress))) {
+      return null;
+    }
+    
+    const loanCount = await bazuuSaveContractReadOnly.getLoanCount(walletAddress);
+    const loan = await bazuuSaveContractReadOnly.getLoan(walletAddress, loanCount - 1n);
+    return {
+      id: loan.id.toString(),
+      borrower: loan.borrower,
+      principal: ethers.formatUnits(loan.principal, 6),
+      interest: ethers.formatUnits(loan.interest, 6),
+      collateral: ethers.formatUnits(loan.collateral, 6),
+      repaidAmount: ethers.formatUnits(loan.repaidAmount, 6),
+      outstanding: ethers.formatUnits(loan.principal + loan.interest - loan.repaidAmount, 6),
+      dueDate: Number(loan.dueDate),
+      status: LOAN_STATUSES[Number(loan.status)]
+    };
+  } catch (error) {
+    console.error(`Error getting active loan for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's beneficiary nomination from the blockchain
  * @param {string} walletAddress - User's wallet address
- * @param {string} goalId - Goal ID
- * @param {string} targetAmount - Target amount
- * @param {number} deadline - Unix timestamp
+ * @param {number} chainId - Optional chain ID (defaults to the default chain)
+ * @returns {Promise<Object|null>} Nomination, or null if none is set
+ */
+const getBeneficiaryOnChain = async (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const { bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+    const nominee = await contract.beneficiaries(walletAddress);
+    if (nominee.account === ethers.ZeroAddress) {
+      return null;
+    }
+
+    const lastActivity = Number(nominee.lastActivity);
+    const claimableAt = lastActivity + Number(nominee.inactivityPeriod);
+    return {
+      beneficiaryAddress: nominee.account.toLowerCase(),
+      inactivityDays: Number(nominee.inactivityPeriod) / 86400,
+      lastActivity,
+      claimableAt,
+      claimable: claimableAt <= Math.floor(Date.now() / 1000)
+    };
+  } catch (error) {
+    console.error(`Error getting beneficiary for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Top up a custodial account with ETH for gas from the server signer
+ * @param {string} address - Custodial wallet address
+ */
+const ensureCustodialGas = async (address) => {
+  const balance = await provider.getBalance(address);
+  if (balance >= CUSTODIAL_MIN_GAS_BALANCE) {
+    return;
+  }
+  
+  if (!signer) {
+    throw new Error('Server signer is not configured to fund custodial gas');
+  }
+  
+  const tx = await txManager.sendTransaction(
+    signer,
+    { to: address, value: CUSTODIAL_GAS_TOPUP, gasLimit: 21000 },
+    { label: 'custodialGasTopup' }
+  );
+  await tx.wait();
+};
+
+/**
+ * Send a contract call signed by a custodial user's vault signer
+ * @param {Object} user - Custodial user document
+ * @param {string} method - Contract method name
+ * @param {Array} args - Contract method arguments
+ * @param {ethers.Contract} contract - Contract connected to the user's signer (defaults to BazuuSave)
  * @returns {Promise<ethers.TransactionResponse>} Transaction response
  */
-const createGoalOnChain = async (walletAddress, goalId, targetAmount, deadline) => {
+const sendAsCustodialUser = async (user, method, args, contract = getUserContract(user)) => {
+  if (!contract) {
+    throw new Error('User does not have an active custodial wallet');
+  }
+  
+  // Check the call succeeds before topping up gas for it
+  await simulation.assertSimulates({
+    from: user.walletAddress,
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(method, args)
+  }, provider);
+  
+  await ensureCustodialGas(user.walletAddress);
+  const tx = await txManager.sendContractTransaction(contract, method, args);
+  
+  cache.balances.delete(balanceCacheKey(user.walletAddress));
+  return tx;
+};
+
+/**
+ * Deposit USDC held by a custodial wallet; the vault signs a permit and the relayer pays gas
+ * @param {Object} user - Custodial user document
+ * @param {string} amount - Amount to deposit
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialDeposit = async (user, amount) => {
   try {
-    const targetAmountWei = ethers.parseUnits(targetAmount, 6);
-    const tx = await bazuuSaveContract.createGoal(
-      goalId,
-      targetAmountWei,
-      deadline,
-      await createTxOptions(walletAddress)
+    const userSigner = getUserSigner(user);
+    if (!userSigner) {
+      throw new Error('User does not have an active custodial wallet');
+    }
+    
+    const amountWei = ethers.parseUnits(amount.toString(), 6);
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+    const { domain, types, message } = await relayerService.buildPermit(
+      user.walletAddress,
+      amountWei,
+      deadline
     );
+    const signature = await userSigner.signTypedData(domain, types, message);
     
-    // Update cache after successful goal creation
-    const cacheKey = `goal:${goalId}`;
-    cache.goals.delete(cacheKey);
+    const tx = await relayerService.relayDepositWithPermit(
+      user.walletAddress,
+      amount,
+      deadline,
+      signature
+    );
     
+    cache.balances.delete(balanceCacheKey(user.walletAddress));
     return tx;
   } catch (error) {
-    console.error(`Error creating goal for ${walletAddress}:`, error);
+    console.error(`Error making custodial deposit for user ${user._id}:`, error);
     throw error;
   }
 };
 
 /**
- * Complete a savings goal on the blockchain
- * @param {string} walletAddress - User's wallet address
- * @param {string} goalId - Goal ID
+ * Withdraw USDC from savings to a custodial wallet
+ * @param {Object} user - Custodial user document
+ * @param {string} amount - Amount to withdraw
  * @returns {Promise<ethers.TransactionResponse>} Transaction response
  */
-const completeGoalOnChain = async (walletAddress, goalId) => {
+const custodialWithdraw = async (user, amount) => {
   try {
-    const tx = await bazuuSaveContract.completeGoal(
+    return await sendAsCustodialUser(user, 'withdraw', [ethers.parseUnits(amount.toString(), 6)]);
+  } catch (error) {
+    console.error(`Error making custodial withdrawal for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Register a custodial user's goal on-chain; the event indexer links the on-chain goal ID
+ * to the database goal once the transaction is mined
+ * @param {Object} user - Custodial user document
+ * @param {string} name - Goal name
+ * @param {bigint} targetAmount - Target amount in USDC base units
+ * @param {number} durationInDays - Days until the goal unlocks
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialCreateGoal = async (user, name, targetAmount, durationInDays) => {
+  try {
+    return await sendAsCustodialUser(user, 'createGoal', [name, targetAmount, durationInDays]);
+  } catch (error) {
+    console.error(`Error creating custodial goal for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Contribute a custodial user's savings to an on-chain goal
+ * @param {Object} user - Custodial user document
+ * @param {string} goalId - On-chain goal ID
+ * @param {string} amount - Amount to contribute
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialContributeToGoal = async (user, goalId, amount) => {
+  try {
+    const tx = await sendAsCustodialUser(user, 'contributeToGoal', [
       goalId,
-      await createTxOptions(walletAddress)
-    );
+      ethers.parseUnits(amount.toString(), 6)
+    ]);
+    cache.goals.delete(goalCacheKey(user.walletAddress, goalId));
+    return tx;
+  } catch (error) {
+    console.error(`Error making custodial goal contribution for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Contribute a custodial user's savings to a shared goal they are a member of
+ * @param {Object} user - Custodial user document
+ * @param {string} ownerAddress - Goal owner's wallet address
+ * @param {string} goalId - On-chain goal ID
+ * @param {string} amount - Amount to contribute
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialContributeToSharedGoal = async (user, ownerAddress, goalId, amount) => {
+  try {
+    const tx = await sendAsCustodialUser(user, 'contributeToSharedGoal', [
+      ownerAddress,
+      goalId,
+      ethers.parseUnits(amount.toString(), 6)
+    ]);
+    cache.goals.delete(goalCacheKey(ownerAddress, goalId));
+    return tx;
+  } catch (error) {
+    console.error(`Error making custodial shared goal contribution for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Invite, accept or remove a shared goal member for a custodial user
+ * @param {Object} user - Custodial user document
+ * @param {string} method - inviteGoalMember, acceptGoalInvite or removeGoalMember
+ * @param {Array} args - Method arguments
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialGoalMemberCall = async (user, method, args) => {
+  try {
+    return await sendAsCustodialUser(user, method, args);
+  } catch (error) {
+    console.error(`Error sending custodial ${method} for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Release or break a custodial user's goal
+ * @param {Object} user - Custodial user document
+ * @param {string} goalId - On-chain goal ID
+ * @param {boolean} early - Break the goal before it unlocks
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialReleaseGoal = async (user, goalId, early = false) => {
+  try {
+    const tx = await sendAsCustodialUser(user, early ? 'breakGoal' : 'releaseGoal', [goalId]);
+    cache.goals.delete(goalCacheKey(user.walletAddress, goalId));
+    return tx;
+  } catch (error) {
+    console.error(`Error releasing custodial goal for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Borrow against a custodial user's savings
+ * @param {Object} user - Custodial user document
+ * @param {string} amount - Amount to borrow
+ * @param {number} durationInDays - Loan duration
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialRequestLoan = async (user, amount, durationInDays) => {
+  try {
+    return await sendAsCustodialUser(user, 'requestLoan', [
+      ethers.parseUnits(amount.toString(), 6),
+      durationInDays
+    ]);
+  } catch (error) {
+    console.error(`Error requesting custodial loan for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Repay a custodial user's active loan from their savings balance
+ * @param {Object} user - Custodial user document
+ * @param {string} amount - Amount to repay
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialRepayLoan = async (user, amount) => {
+  try {
+    return await sendAsCustodialUser(user, 'repayLoanFromBalance', [
+      ethers.parseUnits(amount.toString(), 6)
+    ]);
+  } catch (error) {
+    console.error(`Error repaying custodial loan for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Nominate a beneficiary, check in or claim an inheritance for a custodial user
+ * @param {Object} user - Custodial user document
+ * @param {string} method - setBeneficiary, checkIn or claimInheritance
+ * @param {Array} args - Method arguments
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialBeneficiaryCall = async (user, method, args) => {
+  try {
+    const tx = await sendAsCustodialUser(user, method, args);
+
+    // A claim empties the owner's account into the beneficiary's balance
+    if (method === 'claimInheritance') {
+      clearCachedUserData(args[0]);
+      clearCachedUserData(user.walletAddress);
+    }
+
+    return tx;
+  } catch (error) {
+    console.error(`Error sending custodial ${method} for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether BazuuSave is paused; deposits and new loans are blocked while it is
+ * @returns {Promise<boolean>} True if paused
+ */
+const isPaused = async () => {
+  try {
+    return await bazuuSaveContractReadOnly.paused();
+  } catch (error) {
+    console.error('Error checking if contract is paused:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get what an emergency exit would pay a user: savings plus unreleased goals
+ * @param {string} walletAddress - User's wallet address
+ * @returns {Promise<string>} Amount in USDC
+ */
+const getEmergencyExitAmount = async (walletAddress) => {
+  try {
+    const amountWei = await bazuuSaveContractReadOnly.getEmergencyExitAmount(walletAddress);
+    return ethers.formatUnits(amountWei, 6);
+  } catch (error) {
+    console.error(`Error getting emergency exit amount for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Take a custodial user's savings and goals out of a paused contract to their wallet
+ * @param {Object} user - Custodial user document
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialEmergencyExit = async (user) => {
+  try {
+    const tx = await sendAsCustodialUser(user, 'emergencyExit', []);
+    clearCachedUserData(user.walletAddress);
+    return tx;
+  } catch (error) {
+    console.error(`Error making emergency exit for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send a BazuuChama call for a custodial user
+ * @param {Object} user - Custodial user document
+ * @param {string} method - BazuuChama method name
+ * @param {Array} args - Method arguments, starting with the on-chain group ID
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialGroupCall = async (user, method, args) => {
+  try {
+    const contract = getUserChamaContract(user);
+    if (!contract) {
+      throw new Error('User does not have an active custodial wallet or savings groups are not deployed');
+    }
+    return await sendAsCustodialUser(user, method, args, contract);
+  } catch (error) {
+    console.error(`Error sending custodial ${method} for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Pay a custodial user's group contribution. Contributions come from the wallet, so any
+ * shortfall is withdrawn from savings first and BazuuChama is approved to pull the amount.
+ * @param {Object} user - Custodial user document
+ * @param {string} method - contribute or payArrears
+ * @param {Array} args - Method arguments, starting with the on-chain group ID
+ * @param {number} amount - Contribution amount in USDC
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const custodialGroupContribution = async (user, method, args, amount) => {
+  try {
+    const userSigner = getUserSigner(user);
+    if (!userSigner || !chamaContract) {
+      throw new Error('User does not have an active custodial wallet or savings groups are not deployed');
+    }
     
-    // Update cache after successful goal completion
-    const cacheKey = `goal:${goalId}`;
-    cache.goals.delete(cacheKey);
+    const amountWei = ethers.parseUnits(amount.toString(), 6);
+    const walletWei = await usdcContract.balanceOf(user.walletAddress);
+    if (walletWei < amountWei) {
+      const withdrawTx = await sendAsCustodialUser(user, 'withdraw', [amountWei - walletWei]);
+      await withdrawTx.wait();
+    }
     
-    return tx;
+    const allowance = await usdcContract.allowance(user.walletAddress, chamaContract.target);
+    if (allowance < amountWei) {
+      const approveTx = await sendAsCustodialUser(
+        user,
+        'approve',
+        [chamaContract.target, amountWei],
+        usdcContract.connect(userSigner)
+      );
+      await approveTx.wait();
+    }
+    
+    return await sendAsCustodialUser(user, method, args, getUserChamaContract(user));
+  } catch (error) {
+    console.error(`Error paying custodial group contribution for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List on-chain goals that still hold funds for an address
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<Array<string>>} On-chain IDs of unreleased goals with funds
+ */
+const getUnreleasedGoalIds = async (walletAddress) => {
+  const goalCount = Number(await bazuuSaveContractReadOnly.getGoalCount(walletAddress));
+  const goalIds = [];
+  
+  for (let goalId = 0; goalId < goalCount; goalId++) {
+    const goal = await bazuuSaveContractReadOnly.getGoal(walletAddress, goalId);
+    if (!goal.released && goal.currentAmount > 0n) {
+      goalIds.push(goalId.toString());
+    }
+  }
+  
+  return goalIds;
+};
+
+/**
+ * Move a custodial user's savings and wallet USDC to a self-custody address
+ * @param {Object} user - Custodial user document
+ * @param {string} toAddress - Self-custody wallet address
+ * @returns {Promise<Object>} Amounts moved and transaction hashes
+ */
+const migrateCustodialFunds = async (user, toAddress) => {
+  try {
+    const userSigner = getUserSigner(user);
+    if (!userSigner) {
+      throw new Error('User does not have an active custodial wallet');
+    }
+    
+    const custodialAddress = user.walletAddress;
+    const txHashes = [];
+    
+    // Locked loan collateral cannot move with the savings balance
+    if (await bazuuSaveContractReadOnly.hasActiveLoan(custodialAddress)) {
+      throw new Error('Repay the active loan before migrating custodial funds');
+    }
+    
+    // Withdraw the full savings balance to the custodial wallet
+    const savingsWei = await bazuuSaveContractReadOnly.getBalance(custodialAddress);
+    if (savingsWei > 0n) {
+      const withdrawTx = await sendAsCustodialUser(user, 'withdraw', [savingsWei]);
+      await withdrawTx.wait();
+      txHashes.push(withdrawTx.hash);
+    }
+    
+    // Transfer all wallet USDC to the new address
+    const walletWei = await usdcContract.balanceOf(custodialAddress);
+    if (walletWei > 0n) {
+      await ensureCustodialGas(custodialAddress);
+      const transferTx = await txManager.sendContractTransaction(
+        usdcContract.connect(userSigner),
+        'transfer',
+        [toAddress, walletWei]
+      );
+      await transferTx.wait();
+      txHashes.push(transferTx.hash);
+    }
+    
+    cache.balances.delete(balanceCacheKey(custodialAddress));
+    
+    return {
+      withdrawnAmount: ethers.formatUnits(savingsWei, 6),
+      transferredAmount: ethers.formatUnits(walletWei, 6),
+      txHashes
+    };
   } catch (error) {
-    console.error(`Error completing goal for ${walletAddress}:`, error);
+    console.error(`Error migrating custodial funds for user ${user._id}:`, error);
     throw error;
   }
 };
 
 /**
- * Get blockchain events
- * @param {string} walletAddress - Optional wallet address filter
- * @param {number} fromBlock - Optional start block
- * @param {number} toBlock - Optional end block
- * @returns {Promise<Array>} Array of events
+ * Format a decoded event argument for the API
+ * @param {string} name - Argument name
+ * @param {any} value - Decoded value
+ * @returns {any} USDC amounts as decimal strings, addresses lowercased, timestamps as dates
+ */
+const formatEventArg = (name, value) => {
+  if (USDC_EVENT_ARGS.includes(name)) {
+    return ethers.formatUnits(value, 6);
+  }
+  if (name === 'dueDate') {
+    return new Date(Number(value) * 1000);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'string' && ethers.isAddress(value)) {
+    return value.toLowerCase();
+  }
+  return value;
+};
+
+/**
+ * Get the BazuuSave events for a user in a block range, newest first. Events are matched on
+ * the indexed user topic, and on the member or beneficiary topic for shared goal and
+ * inheritance events, so activity on others' goals and accounts is included.
+ * @param {string} walletAddress - User's wallet address
+ * @param {Object} options - Query options
+ * @param {number} options.fromBlock - First block (default: one page before toBlock)
+ * @param {number} options.toBlock - Last block (default: one page after fromBlock, or latest)
+ * @param {number} options.chainId - Chain ID
+ * @returns {Promise<Object>} Events in a common shape, the block range covered and the next page
  */
-const getEvents = async (walletAddress = null, fromBlock = null, toBlock = null) => {
+const getEvents = async (walletAddress, { fromBlock = null, toBlock = null, chainId = DEFAULT_CHAIN_ID } = {}) => {
   try {
-    const cacheKey = `events:${walletAddress || 'all'}:${fromBlock || 'latest'}:${toBlock || 'latest'}`;
-    return await getCachedData('EVENTS', cacheKey, async () => {
-      const filter = bazuuSaveContract.filters.Deposited();
-      if (walletAddress) {
-        filter.address = walletAddress;
+    const { chain, provider: chainProvider, bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+    const firstBlock = chain.deploymentBlock || 0;
+
+    // Either end of the range defaults to one full page from the other, and the latest block
+    let lastBlock = toBlock;
+    if (lastBlock === null) {
+      const latest = await chainProvider.getBlockNumber();
+      lastBlock = fromBlock === null ? latest : Math.min(latest, fromBlock + EVENTS_BLOCK_RANGE - 1);
+    }
+    const startBlock = Math.max(
+      firstBlock,
+      fromBlock === null ? lastBlock - EVENTS_BLOCK_RANGE + 1 : fromBlock
+    );
+    if (lastBlock - startBlock + 1 > EVENTS_BLOCK_RANGE) {
+      throw new Error(`Block range cannot exceed ${EVENTS_BLOCK_RANGE} blocks`);
+    }
+
+    const address = walletAddress.toLowerCase();
+    const cacheKey = `events:${chainId}:${address}:${startBlock}:${lastBlock}`;
+    const events = await getCachedData('EVENTS', cacheKey, async () => {
+      if (lastBlock < startBlock) {
+        return [];
       }
-      return await bazuuSaveContract.queryFilter(filter, fromBlock, toBlock);
+
+      const iface = contract.interface;
+      const topicsFor = (names) => names.map((name) => iface.getEvent(name).topicHash);
+      const userTopic = ethers.zeroPadValue(address, 32);
+
+      const queries = [
+        { topics: [topicsFor(USER_EVENTS), userTopic], role: 'owner' },
+        { topics: [topicsFor(MEMBER_EVENTS), null, userTopic], role: 'member' },
+        { topics: [topicsFor(BENEFICIARY_EVENTS), null, userTopic], role: 'beneficiary' }
+      ];
+      const results = await Promise.all(queries.map(({ topics }) => chainProvider.getLogs({
+        address: contract.target,
+        fromBlock: startBlock,
+        toBlock: lastBlock,
+        topics
+      })));
+
+      // Fetch each block once for its timestamp
+      const logs = results.flatMap((found, i) => found.map((log) => ({ log, role: queries[i].role })));
+      const timestamps = new Map();
+      for (const number of new Set(logs.map(({ log }) => log.blockNumber))) {
+        const block = await chainProvider.getBlock(number);
+        timestamps.set(number, new Date(block.timestamp * 1000));
+      }
+
+      return logs
+        .map(({ log, role }) => {
+          const parsed = iface.parseLog(log);
+          const args = {};
+          parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name] = formatEventArg(input.name, parsed.args[i]);
+          });
+
+          return {
+            event: parsed.name,
+            role,
+            user: args.user,
+            counterparty: args.member || args.beneficiary || null,
+            amount: args.amount || args.principal || null,
+            goalId: args.goalId || null,
+            loanId: args.loanId || null,
+            args,
+            chainId,
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            timestamp: timestamps.get(log.blockNumber)
+          };
+        })
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
     });
+
+    return {
+      events,
+      fromBlock: startBlock,
+      toBlock: lastBlock,
+      // The page before this one; null once the deployment block is reached
+      nextToBlock: startBlock > firstBlock ? startBlock - 1 : null
+    };
   } catch (error) {
-    console.error('Error getting events:', error);
+    console.error(`Error getting events for ${walletAddress}:`, error);
     throw error;
   }
 };
@@ -275,24 +1103,33 @@ const getTransactionDetails = async (txHash) => {
 };
 
 /**
- * Sync transactions to database
+ * Record a user's recent on-chain transactions that the database does not have yet
  * @param {string} walletAddress - User's wallet address
  */
 const syncTransactionsToDatabase = async (walletAddress) => {
   try {
-    const events = await getEvents(walletAddress);
+    const { events } = await getEvents(walletAddress);
+    const { chain } = getChainContext(DEFAULT_CHAIN_ID);
+
     for (const event of events) {
+      const type = SYNCED_EVENT_TYPES[`${event.event}:${event.role}`];
+      if (!type) {
+        continue;
+      }
+
       const existingTx = await Transaction.findOne({ txHash: event.transactionHash });
       if (!existingTx) {
-        const txDetails = await getTransactionDetails(event.transactionHash);
+        const { receipt } = await getTransactionDetails(event.transactionHash);
         await Transaction.create({
           txHash: event.transactionHash,
-          walletAddress: walletAddress,
-          type: event.event,
-          amount: ethers.formatUnits(event.args.amount, 6),
-          blockNumber: event.blockNumber,
-          timestamp: (await provider.getBlock(event.blockNumber)).timestamp,
-          status: txDetails.receipt.status === 1 ? 'success' : 'failed'
+          walletAddress: walletAddress.toLowerCase(),
+          type,
+          amount: parseFloat(event.amount || 0),
+          chainId: event.chainId,
+          logIndex: event.logIndex,
+          timestamp: event.timestamp,
+          source: 'indexer',
+          ...(await transactionTracker.receiptFields(receipt, chain.confirmations))
         });
       }
     }
@@ -303,38 +1140,17 @@ const syncTransactionsToDatabase = async (walletAddress) => {
 };
 
 /**
- * Setup blockchain event listeners
+ * Drop cached balance and goal data for an address
+ * @param {string} walletAddress - Wallet address
+ * @param {number} chainId - Chain the data changed on
  */
-const setupEventListeners = async () => {
-  try {
-    // Listen for Deposit events
-    bazuuSaveContract.on('Deposited', async (user, amount, event) => {
-      console.log(`New deposit: ${user} - ${ethers.formatUnits(amount, 6)} USDC`);
-      
-      // Update user's balance in cache
-      const cacheKey = `balance:${user.toLowerCase()}`;
-      cache.balances.delete(cacheKey);
-      
-      // Sync transaction to database
-      await syncTransactionsToDatabase(user);
-    });
-    
-    // Listen for Withdraw events
-    bazuuSaveContract.on('Withdrawn', async (user, amount, event) => {
-      console.log(`New withdrawal: ${user} - ${ethers.formatUnits(amount, 6)} USDC`);
-      
-      // Update user's balance in cache
-      const cacheKey = `balance:${user.toLowerCase()}`;
-      cache.balances.delete(cacheKey);
-      
-      // Sync transaction to database
-      await syncTransactionsToDatabase(user);
-    });
-    
-    console.log('Blockchain event listeners setup complete');
-  } catch (error) {
-    console.error('Error setting up event listeners:', error);
-    throw error;
+const clearCachedUserData = (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
+  const address = walletAddress.toLowerCase();
+  cache.balances.delete(balanceCacheKey(address, chainId));
+  for (const key of cache.goals.keys()) {
+    if (key.startsWith(`goal:${Number(chainId)}:${address}:`)) {
+      cache.goals.delete(key);
+    }
   }
 };
 
@@ -344,19 +1160,29 @@ const setupEventListeners = async () => {
  */
 const getBlockchainHealth = async () => {
   try {
+    await provider.checkHealth();
+    const endpoints = provider.getEndpointStatus();
+    const available = endpoints.filter((endpoint) => endpoint.available).length;
+    
     const blockNumber = await provider.getBlockNumber();
     const network = await provider.getNetwork();
+    const paused = await bazuuSaveContractReadOnly.paused();
+    const implementation = await getImplementationAddress();
     return {
-      status: 'healthy',
+      status: available === endpoints.length ? 'healthy' : 'degraded',
       blockNumber,
+      paused,
+      implementation,
       network: network.name,
-      chainId: network.chainId
+      chainId: network.chainId,
+      endpoints
     };
   } catch (error) {
     console.error('Error getting blockchain health:', error);
     return {
       status: 'unhealthy',
-      error: error.message
+      error: error.message,
+      endpoints: provider.getEndpointStatus()
     };
   }
 };
@@ -368,11 +1194,37 @@ module.exports = {
   approveUSDC,
   deposit,
   withdraw,
-  createGoalOnChain,
-  completeGoalOnChain,
+  getGoalOnChain,
+  getGoalsOnChain,
+  isGoalUnlocked,
+  getGoalMemberStatus,
+  getGoalContributors,
+  getEarlyReleasePenalty,
+  getLoanTerms,
+  getLoanQuote,
+  getActiveLoanOnChain,
+  getBeneficiaryOnChain,
+  custodialDeposit,
+  custodialWithdraw,
+  custodialCreateGoal,
+  custodialContributeToGoal,
+  custodialContributeToSharedGoal,
+  custodialGoalMemberCall,
+  custodialReleaseGoal,
+  custodialRequestLoan,
+  custodialRepayLoan,
+  custodialBeneficiaryCall,
+  isPaused,
+  getEmergencyExitAmount,
+  custodialEmergencyExit,
+  custodialGroupCall,
+  custodialGroupContribution,
+  getUnreleasedGoalIds,
+  migrateCustodialFunds,
   getEvents,
+  EVENTS_BLOCK_RANGE,
   getTransactionDetails,
   syncTransactionsToDatabase,
-  setupEventListeners,
+  clearCachedUserData,
   getBlockchainHealth
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Dev Faucet Service
+ * Mints mock USDC and sends gas ETH to test accounts on the local devnet, and simulates
+ * strategy yield by minting USDC into the mock vault
+ * 
+ * 
+ */
+
+const { ethers } = require('ethers');
+const { provider, signer, bazuuSaveContractReadOnly, USDC_ADDRESS, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+const { getChain } = require('../config/chains');
+const txManager = require('./txmanager');
+
+// Mock USDC functions used by the faucet
+const MOCK_USDC_ABI = [
+  'function mint(address to, uint256 amount)'
+];
+
+// ETH sent to accounts that cannot pay for gas
+const GAS_TOPUP = ethers.parseEther('1');
+const MIN_GAS_BALANCE = ethers.parseEther('0.1');
+
+/**
+ * Check whether the faucet can run: devnet mode on a chain with mock USDC
+ * @returns {boolean} True if enabled
+ */
+const isEnabled = () => {
+  return (
+    process.env.DEVNET === 'true' &&
+    process.env.NODE_ENV !== 'production' &&
+    getChain(DEFAULT_CHAIN_ID).mockUsdc &&
+    Boolean(signer)
+  );
+};
+
+/**
+ * Mint test USDC to an address, topping up its gas if needed
+ * @param {string} address - Recipient address
+ * @param {number} amount - Amount of USDC to mint
+ * @returns {Promise<Object>} Transaction hashes
+ */
+const fundAccount = async (address, amount) => {
+  try {
+    if (!isEnabled()) {
+      throw new Error('Faucet is only available in devnet mode');
+    }
+
+    const mockUsdc = new ethers.Contract(USDC_ADDRESS, MOCK_USDC_ABI, signer);
+    const mintTx = await txManager.sendContractTransaction(
+      mockUsdc,
+      'mint',
+      [address, ethers.parseUnits(amount.toString(), 6)],
+      { label: 'faucetMint' }
+    );
+    await mintTx.wait();
+
+    let gasTxHash = null;
+    if ((await provider.getBalance(address)) < MIN_GAS_BALANCE) {
+      const gasTx = await txManager.sendTransaction(
+        signer,
+        { to: address, value: GAS_TOPUP, gasLimit: 21000 },
+        { label: 'faucetGas' }
+      );
+      await gasTx.wait();
+      gasTxHash = gasTx.hash;
+    }
+
+    return {
+      usdcTxHash: mintTx.hash,
+      gasTxHash
+    };
+  } catch (error) {
+    console.error(`Error funding ${address} from faucet:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Simulate strategy yield by minting USDC straight into the vault, raising its share price
+ * @param {number} amount - Amount of USDC to add to the vault
+ * @returns {Promise<Object>} Vault address and transaction hash
+ */
+const simulateYield = async (amount) => {
+  try {
+    if (!isEnabled()) {
+      throw new Error('Yield simulation is only available in devnet mode');
+    }
+
+    const vault = await bazuuSaveContractReadOnly.strategy();
+    if (vault === ethers.ZeroAddress) {
+      throw new Error('BazuuSave has no yield strategy set');
+    }
+
+    const mockUsdc = new ethers.Contract(USDC_ADDRESS, MOCK_USDC_ABI, signer);
+    const mintTx = await txManager.sendContractTransaction(
+      mockUsdc,
+      'mint',
+      [vault, ethers.parseUnits(amount.toString(), 6)],
+      { label: 'faucetYield' }
+    );
+    await mintTx.wait();
+
+    return {
+      vault,
+      txHash: mintTx.hash
+    };
+  } catch (error) {
+    console.error('Error simulating yield:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  isEnabled,
+  fundAccount,
+  simulateYield
+};
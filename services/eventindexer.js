@@ -0,0 +1,1053 @@
+/**
+ * Event Indexer Service
+ * Polls BazuuSave and BazuuChama events in block ranges and mirrors them into the database.
+ * Progress is checkpointed in Mongo so nothing is missed across restarts, events are only
+ * processed once they have enough confirmations, and chain reorgs are rolled back.
+ * One indexer runs for each contract on each chain this instance serves.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const IndexerCheckpoint = require('../models/indexercheckpoint');
+const Transaction = require('../models/transaction');
+const Goal = require('../models/goal');
+const Loan = require('../models/loan');
+const Group = require('../models/group');
+const User = require('../models/user');
+const Beneficiary = require('../models/beneficiary');
+const BeneficiaryProposal = require('../models/beneficiaryproposal');
+const { getChainContext, refreshImplementation } = require('../config/blockchain');
+const { DEFAULT_CHAIN_ID, ENABLED_CHAIN_IDS } = require('../config/chains');
+const { clearCachedUserData } = require('./blockchainservice');
+const achievementService = require('./achievements');
+const twilioService = require('./twilioservice');
+
+// Checkpoint name used before multi-chain support, for BazuuSave on the default chain
+const LEGACY_CHECKPOINT_NAME = 'bazuusave';
+
+// Indexer settings (confirmations and deployment block come from the chain registry)
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10);
+const POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL || '15000', 10);
+
+// Number of processed block hashes kept for reorg detection
+const MAX_RECENT_BLOCKS = 64;
+
+// BazuuSave events mirrored into the database
+const INDEXED_EVENTS = [
+  'Deposited',
+  'Withdrawn',
+  'GoalCreated',
+  'GoalContributed',
+  'GoalCompleted',
+  'GoalReleased',
+  'GoalBroken',
+  'GoalMemberInvited',
+  'GoalMemberJoined',
+  'GoalMemberRemoved',
+  'GoalMemberContributed',
+  'GoalContributionRefunded',
+  'LoanRequested',
+  'LoanRepaid',
+  'LoanLiquidated',
+  'BeneficiarySet',
+  'InheritanceClaimed',
+  'EmergencyExit',
+  'Upgraded'
+];
+
+// BazuuChama events mirrored into the database
+const GROUP_INDEXED_EVENTS = [
+  'GroupCreated',
+  'MemberJoined',
+  'MemberLeft',
+  'PayoutOrderSet',
+  'GroupStarted',
+  'ContributionMade',
+  'PaymentMissed',
+  'ArrearsPaid',
+  'PayoutMade',
+  'GroupCompleted',
+  'GroupCancelled'
+];
+
+// Transaction types written by the BazuuChama indexer; everything else belongs to BazuuSave
+const GROUP_TRANSACTION_TYPES = ['group_contribution', 'group_payout'];
+
+// Indexer state per checkpoint name (contract and chain)
+const indexers = new Map();
+
+/**
+ * Find the user that owns a wallet address
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserByWallet = async (walletAddress) => {
+  return User.findOne({
+    walletAddress: new RegExp(`^${walletAddress}$`, 'i')
+  });
+};
+
+/**
+ * Find the database goal for the on-chain goal an event refers to
+ * @param {Object} event - Decoded goal event
+ * @returns {Promise<Object|null>} Goal document
+ */
+const findEventGoal = async (event) => {
+  const user = await findUserByWallet(event.args.user);
+  if (!user) {
+    return null;
+  }
+  return Goal.findOne({
+    userId: user._id,
+    'blockchain.chainId': event.chainId,
+    'blockchain.goalId': event.args.goalId.toString()
+  });
+};
+
+/**
+ * Set a goal's saved amount from the contract, so replayed events are not counted twice
+ * @param {Object} goal - Goal document
+ * @param {Object} event - Decoded goal event
+ */
+const syncGoalAmount = async (goal, event) => {
+  const { bazuuSaveContractReadOnly } = getChainContext(event.chainId);
+  const onChain = await bazuuSaveContractReadOnly.getGoal(event.args.user, event.args.goalId);
+  goal.currentAmount = parseFloat(ethers.formatUnits(onChain.currentAmount, 6));
+  goal.blockchain.lastSynced = new Date();
+  await goal.save();
+};
+
+/**
+ * Find the database loan for the on-chain loan an event refers to
+ * @param {Object} event - Decoded loan event
+ * @returns {Promise<Object|null>} Loan document
+ */
+const findEventLoan = async (event) => {
+  return Loan.findOne({
+    chainId: event.chainId,
+    walletAddress: event.args.user.toLowerCase(),
+    loanId: Number(event.args.loanId)
+  });
+};
+
+/**
+ * Find the database group for the on-chain group an event refers to
+ * @param {Object} event - Decoded group event
+ * @returns {Promise<Object|null>} Group document
+ */
+const findEventGroup = async (event) => {
+  return Group.findOne({
+    'blockchain.chainId': event.chainId,
+    'blockchain.groupId': event.args.groupId.toString()
+  });
+};
+
+/**
+ * Upsert the Transaction row for an event, keeping rows created by the app
+ * @param {Object} event - Decoded event
+ * @param {string} type - Transaction type for new rows
+ * @param {Object} fields - Extra fields for new rows
+ * @param {string} account - Wallet the row belongs to (defaults to the event's user)
+ */
+const upsertTransaction = async (event, type, fields = {}, account = event.args.user) => {
+  const walletAddress = account.toLowerCase();
+  const user = await findUserByWallet(walletAddress);
+
+  await Transaction.findOneAndUpdate(
+    { txHash: event.transactionHash },
+    {
+      $setOnInsert: {
+        type,
+        walletAddress,
+        userId: user ? user._id : undefined,
+        chainId: event.chainId,
+        source: 'indexer',
+        // Already confirmed; app rows are confirmed by the transaction tracker
+        status: 'completed',
+        ...fields
+      },
+      $set: {
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        logIndex: event.index,
+        timestamp: event.timestamp
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Handlers for each indexed BazuuSave event
+ */
+const EVENT_HANDLERS = {
+  Deposited: async (event) => {
+    const amount = parseFloat(ethers.formatUnits(event.args.amount, 6));
+    await upsertTransaction(event, 'deposit', { amount });
+
+    const user = await findUserByWallet(event.args.user.toLowerCase());
+    if (user) {
+      await achievementService.recordChallengeDeposit({
+        userId: user._id,
+        amount,
+        txHash: event.transactionHash,
+        timestamp: event.timestamp
+      });
+    }
+  },
+
+  Withdrawn: async (event) => {
+    await upsertTransaction(event, 'withdrawal', {
+      amount: parseFloat(ethers.formatUnits(event.args.amount, 6))
+    });
+  },
+
+  // The proxy moved to a new implementation
+  Upgraded: async (event) => {
+    await refreshImplementation(event.chainId);
+  },
+
+  // Savings and released goals paid out together while the contract is paused
+  EmergencyExit: async (event) => {
+    await upsertTransaction(event, 'withdrawal', {
+      amount: parseFloat(ethers.formatUnits(event.args.amount, 6))
+    });
+  },
+
+  GoalCreated: async (event) => {
+    await upsertTransaction(event, 'goal_creation', { amount: 0 });
+
+    // Resolve the on-chain ID for the goal registered by this transaction
+    await Goal.findOneAndUpdate(
+      { 'blockchain.txHash': event.transactionHash },
+      {
+        'blockchain.registered': true,
+        'blockchain.goalId': event.args.goalId.toString(),
+        'blockchain.chainId': event.chainId,
+        'blockchain.lastSynced': new Date()
+      }
+    );
+  },
+
+  GoalContributed: async (event) => {
+    const goal = await findEventGoal(event);
+    await upsertTransaction(event, 'goal_contribution', {
+      amount: parseFloat(ethers.formatUnits(event.args.amount, 6)),
+      goalId: goal ? goal._id.toString() : undefined
+    });
+    if (goal) {
+      await syncGoalAmount(goal, event);
+    }
+  },
+
+  GoalCompleted: async (event) => {
+    const goal = await findEventGoal(event);
+    if (goal && goal.status === 'active') {
+      goal.status = 'completed';
+      goal.completedAt = event.timestamp;
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+      await twilioService.sendGoalCompletionNotification(goal.userId, goal);
+    }
+    // Replayed events find the goal already completed, so award the badge either way
+    if (goal) {
+      await achievementService.awardGoalCompletion(goal, event.timestamp);
+    }
+  },
+
+  GoalReleased: async (event) => {
+    const goal = await findEventGoal(event);
+    if (goal && !goal.lock.released) {
+      goal.lock.released = true;
+      goal.lock.releasedAt = event.timestamp;
+      goal.lock.txHash = event.transactionHash;
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+    }
+  },
+
+  GoalBroken: async (event) => {
+    const goal = await findEventGoal(event);
+    if (goal && !goal.lock.released) {
+      goal.status = 'cancelled';
+      goal.lock.released = true;
+      goal.lock.releasedAt = event.timestamp;
+      goal.lock.earlyRelease = true;
+      goal.lock.penaltyAmount = parseFloat(ethers.formatUnits(event.args.penalty, 6));
+      goal.lock.txHash = event.transactionHash;
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+    }
+  },
+
+  GoalMemberInvited: async (event) => {
+    const goal = await findEventGoal(event);
+    if (!goal) {
+      return;
+    }
+
+    // Members who were removed can be invited again
+    const member = goal.findMember(event.args.member);
+    if (member && member.status !== 'removed') {
+      return;
+    }
+
+    const user = await findUserByWallet(event.args.member);
+    if (member) {
+      member.set({ status: 'invited', invitedAt: event.timestamp, joinedAt: undefined, removedAt: undefined });
+    } else {
+      goal.members.push({
+        userId: user ? user._id : undefined,
+        walletAddress: event.args.member,
+        invitedAt: event.timestamp
+      });
+    }
+    goal.blockchain.lastSynced = new Date();
+    await goal.save();
+  },
+
+  GoalMemberJoined: async (event) => {
+    const goal = await findEventGoal(event);
+    const member = goal && goal.findMember(event.args.member);
+    if (!member || member.status !== 'invited') {
+      return;
+    }
+
+    member.status = 'active';
+    member.joinedAt = event.timestamp;
+    goal.blockchain.lastSynced = new Date();
+    await goal.save();
+  },
+
+  GoalMemberRemoved: async (event) => {
+    const goal = await findEventGoal(event);
+    const member = goal && goal.findMember(event.args.member);
+    if (!member || member.status === 'removed') {
+      return;
+    }
+
+    member.status = 'removed';
+    member.removedAt = event.timestamp;
+    goal.blockchain.lastSynced = new Date();
+    await goal.save();
+  },
+
+  // Recorded against the member who paid in, with their running total read from the contract
+  GoalMemberContributed: async (event) => {
+    const goal = await findEventGoal(event);
+    await upsertTransaction(event, 'goal_contribution', {
+      amount: parseFloat(ethers.formatUnits(event.args.amount, 6)),
+      goalId: goal ? goal._id.toString() : undefined
+    }, event.args.member);
+
+    if (goal) {
+      await syncGoalAmount(goal, event);
+    }
+
+    const member = goal && goal.findMember(event.args.member);
+    if (member) {
+      const { bazuuSaveContractReadOnly } = getChainContext(event.chainId);
+      const contributed = await bazuuSaveContractReadOnly.goalContributions(
+        event.args.user,
+        event.args.goalId,
+        event.args.member
+      );
+      member.contributed = parseFloat(ethers.formatUnits(contributed, 6));
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+    }
+  },
+
+  GoalContributionRefunded: async (event) => {
+    const goal = await findEventGoal(event);
+    const member = goal && goal.findMember(event.args.member);
+    if (member) {
+      member.refunded = parseFloat(ethers.formatUnits(event.args.amount, 6));
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+    }
+  },
+
+  LoanRequested: async (event) => {
+    const walletAddress = event.args.user.toLowerCase();
+    const user = await findUserByWallet(walletAddress);
+    const principal = parseFloat(ethers.formatUnits(event.args.principal, 6));
+    const interest = parseFloat(ethers.formatUnits(event.args.interest, 6));
+
+    await upsertTransaction(event, 'loan', { amount: principal });
+
+    // Fill in the loan recorded by the app, or record one requested elsewhere
+    const loanId = Number(event.args.loanId);
+    const loan = await Loan.findOne({ txHash: event.transactionHash }) ||
+      await findEventLoan(event) ||
+      new Loan({ walletAddress, chainId: event.chainId, userId: user ? user._id : undefined });
+
+    if (loan.status === 'pending' || loan.isNew) {
+      loan.set({
+        loanId,
+        principal,
+        interest,
+        collateral: parseFloat(ethers.formatUnits(event.args.collateral, 6)),
+        outstanding: principal + interest,
+        dueDate: new Date(Number(event.args.dueDate) * 1000),
+        status: 'active',
+        txHash: event.transactionHash
+      });
+      await loan.save();
+    }
+  },
+
+  LoanRepaid: async (event) => {
+    const amount = parseFloat(ethers.formatUnits(event.args.amount, 6));
+    await upsertTransaction(event, 'loan_repayment', { amount });
+
+    const loan = await findEventLoan(event);
+    if (loan && !loan.repayments.some((repayment) => repayment.txHash === event.transactionHash)) {
+      loan.repayments.push({ amount, txHash: event.transactionHash, timestamp: event.timestamp });
+      loan.repaidAmount += amount;
+      loan.outstanding = parseFloat(ethers.formatUnits(event.args.outstanding, 6));
+      if (event.args.outstanding === 0n) {
+        loan.status = 'repaid';
+        loan.repaidAt = event.timestamp;
+      }
+      await loan.save();
+    }
+  },
+
+  LoanLiquidated: async (event) => {
+    const loan = await findEventLoan(event);
+    if (loan && loan.status === 'active') {
+      loan.repaidAmount += parseFloat(ethers.formatUnits(event.args.seized, 6));
+      loan.outstanding = 0;
+      loan.status = 'liquidated';
+      loan.liquidatedAt = event.timestamp;
+      await loan.save();
+    }
+  },
+
+  // Nominations are recorded for users we know, with the contact details proposed in the app
+  BeneficiarySet: async (event) => {
+    const walletAddress = event.args.user.toLowerCase();
+    const nomination = await Beneficiary.findOne({ walletAddress, chainId: event.chainId });
+
+    if (event.args.beneficiary === ethers.ZeroAddress) {
+      if (nomination && nomination.status !== 'removed') {
+        nomination.set({ status: 'removed', txHash: event.transactionHash });
+        await nomination.save();
+      }
+      return;
+    }
+
+    const user = nomination ? null : await findUserByWallet(walletAddress);
+    if (!nomination && !user) {
+      return;
+    }
+
+    const beneficiaryAddress = event.args.beneficiary.toLowerCase();
+    const beneficiaryUser = await findUserByWallet(beneficiaryAddress);
+    const inactivityPeriod = Number(event.args.inactivityPeriod);
+
+    const updated = nomination || new Beneficiary({ userId: user._id, walletAddress, chainId: event.chainId });
+
+    // Contact details saved for someone else no longer apply
+    if (updated.beneficiaryAddress && updated.beneficiaryAddress !== beneficiaryAddress) {
+      updated.set({ name: undefined, phoneNumber: undefined });
+    }
+
+    const proposal = await BeneficiaryProposal.findOne({ walletAddress, chainId: event.chainId, beneficiaryAddress })
+      .sort({ createdAt: -1 });
+    if (proposal) {
+      updated.set({ name: proposal.name, phoneNumber: proposal.phoneNumber });
+    }
+
+    updated.set({
+      beneficiaryAddress,
+      beneficiaryUserId: beneficiaryUser ? beneficiaryUser._id : undefined,
+      inactivityDays: inactivityPeriod / 86400,
+      lastActivity: event.timestamp,
+      claimableAt: new Date(event.timestamp.getTime() + inactivityPeriod * 1000),
+      status: 'active',
+      txHash: event.transactionHash,
+      warnedAt: undefined,
+      notifiedAt: undefined
+    });
+    await updated.save();
+
+    if (proposal) {
+      await BeneficiaryProposal.deleteMany({ walletAddress, chainId: event.chainId, beneficiaryAddress });
+    }
+  },
+
+  // Recorded against the beneficiary, whose savings balance received the funds
+  InheritanceClaimed: async (event) => {
+    const amount = parseFloat(ethers.formatUnits(event.args.amount, 6));
+    await upsertTransaction(event, 'inheritance', { amount }, event.args.beneficiary);
+
+    await Beneficiary.findOneAndUpdate(
+      { walletAddress: event.args.user.toLowerCase(), chainId: event.chainId },
+      {
+        status: 'claimed',
+        claimedAmount: amount,
+        claimedAt: event.timestamp,
+        claimTxHash: event.transactionHash
+      }
+    );
+  }
+};
+
+/**
+ * Handlers for each indexed BazuuChama event. Events can be replayed after a reorg,
+ * so every handler only applies changes that are not already recorded.
+ */
+const GROUP_EVENT_HANDLERS = {
+  GroupCreated: async (event) => {
+    const contributionAmount = parseFloat(ethers.formatUnits(event.args.contributionAmount, 6));
+    const cycleDurationDays = Number(event.args.cycleDuration) / 86400;
+
+    // Link the group created through the app, or record one created elsewhere
+    const group = await Group.findOne({ 'blockchain.txHash': event.transactionHash }) ||
+      await findEventGroup(event);
+
+    if (group) {
+      if (group.status === 'pending') {
+        group.status = 'open';
+      }
+      group.blockchain.groupId = event.args.groupId.toString();
+      group.blockchain.chainId = event.chainId;
+      group.blockchain.txHash = event.transactionHash;
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+      return;
+    }
+
+    const creator = await findUserByWallet(event.args.creator);
+    await Group.create({
+      name: event.args.name,
+      creatorId: creator ? creator._id : undefined,
+      creatorAddress: event.args.creator,
+      contributionAmount,
+      cycleDurationDays,
+      maxMembers: Number(event.args.maxMembers),
+      status: 'open',
+      blockchain: {
+        chainId: event.chainId,
+        groupId: event.args.groupId.toString(),
+        txHash: event.transactionHash,
+        lastSynced: new Date()
+      }
+    });
+  },
+
+  MemberJoined: async (event) => {
+    const group = await findEventGroup(event);
+    if (!group || group.findMember(event.args.member)) {
+      return;
+    }
+
+    const user = await findUserByWallet(event.args.member);
+    group.members.push({
+      userId: user ? user._id : undefined,
+      walletAddress: event.args.member,
+      position: group.members.length,
+      joinedAt: event.timestamp
+    });
+    group.blockchain.lastSynced = new Date();
+    await group.save();
+  },
+
+  MemberLeft: async (event) => {
+    const group = await findEventGroup(event);
+    const member = group && group.findMember(event.args.member);
+    if (!member) {
+      return;
+    }
+
+    // Members after the leaver move up one place, as on-chain
+    group.members = group.members
+      .filter((m) => m.walletAddress !== member.walletAddress)
+      .sort((a, b) => a.position - b.position)
+      .map((m, position) => ({ ...m.toObject(), position }));
+    group.blockchain.lastSynced = new Date();
+    await group.save();
+  },
+
+  PayoutOrderSet: async (event) => {
+    const group = await findEventGroup(event);
+    if (!group) {
+      return;
+    }
+
+    event.args.members.forEach((address, position) => {
+      const member = group.findMember(address);
+      if (member) {
+        member.position = position;
+      }
+    });
+    group.blockchain.lastSynced = new Date();
+    await group.save();
+  },
+
+  GroupStarted: async (event) => {
+    const group = await findEventGroup(event);
+    if (group && group.status === 'open') {
+      group.status = 'active';
+      group.startTime = new Date(Number(event.args.startTime) * 1000);
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  },
+
+  ContributionMade: async (event) => {
+    const group = await findEventGroup(event);
+    const round = Number(event.args.round);
+
+    await upsertTransaction(event, 'group_contribution', {
+      amount: parseFloat(ethers.formatUnits(event.args.amount, 6)),
+      groupId: group ? group._id.toString() : undefined
+    }, event.args.member);
+
+    const member = group && group.findMember(event.args.member);
+    if (member && !member.contributedRounds.includes(round)) {
+      member.contributedRounds.push(round);
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  },
+
+  PaymentMissed: async (event) => {
+    const group = await findEventGroup(event);
+    const member = group && group.findMember(event.args.member);
+    const round = Number(event.args.round);
+
+    if (member && !member.missedRounds.includes(round)) {
+      member.missedRounds.push(round);
+      member.arrearsRounds.push(round);
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  },
+
+  ArrearsPaid: async (event) => {
+    const group = await findEventGroup(event);
+    const round = Number(event.args.round);
+
+    await upsertTransaction(event, 'group_contribution', {
+      amount: parseFloat(ethers.formatUnits(event.args.amount, 6)),
+      groupId: group ? group._id.toString() : undefined
+    }, event.args.member);
+
+    const member = group && group.findMember(event.args.member);
+    if (member && !member.contributedRounds.includes(round)) {
+      member.contributedRounds.push(round);
+      member.arrearsRounds = member.arrearsRounds.filter((r) => r !== round);
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  },
+
+  PayoutMade: async (event) => {
+    const group = await findEventGroup(event);
+    const round = Number(event.args.round);
+    const amount = parseFloat(ethers.formatUnits(event.args.amount, 6));
+
+    await upsertTransaction(event, 'group_payout', {
+      amount,
+      groupId: group ? group._id.toString() : undefined
+    }, event.args.recipient);
+
+    if (group && !group.payouts.some((payout) => payout.round === round)) {
+      group.payouts.push({
+        round,
+        recipient: event.args.recipient,
+        amount,
+        txHash: event.transactionHash,
+        timestamp: event.timestamp
+      });
+      group.currentRound = Math.max(group.currentRound, round + 1);
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  },
+
+  GroupCompleted: async (event) => {
+    const group = await findEventGroup(event);
+    if (group && group.status !== 'completed') {
+      group.status = 'completed';
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  },
+
+  GroupCancelled: async (event) => {
+    const group = await findEventGroup(event);
+    if (group && group.status !== 'cancelled') {
+      group.status = 'cancelled';
+      group.blockchain.lastSynced = new Date();
+      await group.save();
+    }
+  }
+};
+
+/**
+ * Contracts indexed on each chain
+ */
+const CONTRACT_INDEXERS = [
+  {
+    name: 'bazuusave',
+    events: INDEXED_EVENTS,
+    handlers: EVENT_HANDLERS,
+    getContract: (context) => context.bazuuSaveContractReadOnly,
+    getDeploymentBlock: (chain) => chain.deploymentBlock,
+    transactionFilter: { type: { $nin: GROUP_TRANSACTION_TYPES } },
+    // Events without a user (Upgraded) leave cached user data alone; shared goal events
+    // also change the member's balance, and inheritance claims the beneficiary's
+    afterEvent: (event) => {
+      if (event.args.user) {
+        clearCachedUserData(event.args.user, event.chainId);
+      }
+      if (event.args.member) {
+        clearCachedUserData(event.args.member, event.chainId);
+      }
+      if (event.name === 'InheritanceClaimed') {
+        clearCachedUserData(event.args.beneficiary, event.chainId);
+      }
+    }
+  },
+  {
+    name: 'bazuuchama',
+    events: GROUP_INDEXED_EVENTS,
+    handlers: GROUP_EVENT_HANDLERS,
+    getContract: (context) => context.chamaContractReadOnly,
+    getDeploymentBlock: (chain) => chain.chamaDeploymentBlock,
+    transactionFilter: { type: { $in: GROUP_TRANSACTION_TYPES } },
+    afterEvent: () => {}
+  }
+];
+
+/**
+ * Load an indexer's checkpoint, creating it on first start
+ * @param {Object} indexer - Contract indexer
+ * @returns {Promise<Object>} IndexerCheckpoint document
+ */
+const loadCheckpoint = async (indexer) => {
+  const contractAddress = indexer.contract.target.toLowerCase();
+
+  let checkpoint = await IndexerCheckpoint.findOne({ name: indexer.checkpointName });
+
+  // Checkpoints from before multi-chain support belong to BazuuSave on the default chain
+  if (!checkpoint && indexer.legacyCheckpointName) {
+    checkpoint = await IndexerCheckpoint.findOneAndUpdate(
+      { name: indexer.legacyCheckpointName },
+      { name: indexer.checkpointName },
+      { new: true }
+    );
+  }
+
+  if (checkpoint && (!checkpoint.contractAddress || checkpoint.contractAddress === contractAddress)) {
+    if (!checkpoint.contractAddress) {
+      checkpoint.contractAddress = contractAddress;
+      await checkpoint.save();
+    }
+    return checkpoint;
+  }
+
+  // Backfill from the deployment block when known, otherwise start from the current safe head
+  const startBlock = indexer.deploymentBlock !== null && indexer.deploymentBlock !== undefined
+    ? indexer.deploymentBlock
+    : Math.max(0, (await indexer.provider.getBlockNumber()) - indexer.confirmations);
+
+  if (checkpoint) {
+    // The contract was redeployed (e.g. a fresh devnet); index the new one from the start
+    console.log(`Contract changed for ${indexer.checkpointName}, restarting indexer checkpoint at block ${startBlock}`);
+    checkpoint.contractAddress = contractAddress;
+    checkpoint.lastProcessedBlock = startBlock - 1;
+    checkpoint.recentBlocks = [];
+    return checkpoint.save();
+  }
+
+  console.log(`Creating event indexer checkpoint ${indexer.checkpointName} starting at block ${startBlock}`);
+  return IndexerCheckpoint.create({
+    name: indexer.checkpointName,
+    contractAddress,
+    lastProcessedBlock: startBlock - 1,
+    recentBlocks: []
+  });
+};
+
+/**
+ * Roll back everything an indexer wrote after a block
+ * @param {Object} indexer - Contract indexer
+ * @param {Object} checkpoint - IndexerCheckpoint document
+ * @param {number} blockNumber - Last block that is still canonical
+ */
+const rollbackToBlock = async (indexer, checkpoint, blockNumber) => {
+  const affected = {
+    chainId: indexer.chainId,
+    blockNumber: { $gt: blockNumber },
+    ...indexer.transactionFilter
+  };
+
+  // Rows discovered by the indexer disappear with their block; app rows go back to pending
+  const removed = await Transaction.deleteMany({ ...affected, source: 'indexer' });
+  const reset = await Transaction.updateMany(affected, {
+    $set: { status: 'pending' },
+    $unset: { blockNumber: '', blockHash: '', logIndex: '' }
+  });
+
+  console.warn(
+    `Reorg on chain ${indexer.chainId} rolled ${indexer.checkpointName} back to block ${blockNumber}: removed ` +
+    `${removed.deletedCount} and reset ${reset.modifiedCount} transactions`
+  );
+
+  checkpoint.lastProcessedBlock = blockNumber;
+  checkpoint.recentBlocks = checkpoint.recentBlocks.filter((block) => block.number <= blockNumber);
+  await checkpoint.save();
+};
+
+/**
+ * Compare stored block hashes with the chain and roll back if a reorg happened
+ * @param {Object} indexer - Contract indexer
+ * @param {Object} checkpoint - IndexerCheckpoint document
+ * @returns {Promise<boolean>} True if a reorg was rolled back
+ */
+const handleReorg = async (indexer, checkpoint) => {
+  const recentBlocks = [...checkpoint.recentBlocks].sort((a, b) => b.number - a.number);
+  if (recentBlocks.length === 0) {
+    return false;
+  }
+
+  // A reorg at or below the newest stored block changes its hash
+  const newest = await indexer.provider.getBlock(recentBlocks[0].number);
+  if (newest && newest.hash === recentBlocks[0].hash) {
+    return false;
+  }
+
+  // Walk back to the newest block that is still canonical
+  for (const stored of recentBlocks.slice(1)) {
+    const block = await indexer.provider.getBlock(stored.number);
+    if (block && block.hash === stored.hash) {
+      await rollbackToBlock(indexer, checkpoint, stored.number);
+      return true;
+    }
+  }
+
+  // Deeper than the stored history; reprocess everything it covers
+  const oldest = recentBlocks[recentBlocks.length - 1];
+  console.error(
+    `Reorg on chain ${indexer.chainId} deeper than ${recentBlocks.length} stored blocks, ` +
+    `rolling back to block ${oldest.number - 1}`
+  );
+  await rollbackToBlock(indexer, checkpoint, oldest.number - 1);
+  return true;
+};
+
+/**
+ * Fetch and process events in a block range
+ * @param {Object} indexer - Contract indexer
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<string>} Hash of the last block in the range
+ */
+const processRange = async (indexer, fromBlock, toBlock) => {
+  const { provider, contract } = indexer;
+  const iface = contract.interface;
+  const topics = indexer.events.map((name) => iface.getEvent(name).topicHash);
+
+  const logs = await provider.getLogs({
+    address: contract.target,
+    fromBlock,
+    toBlock,
+    topics: [topics]
+  });
+
+  // Fetch each block once, and make sure the logs still belong to the canonical chain
+  const blocks = new Map();
+  for (const number of new Set([...logs.map((log) => log.blockNumber), toBlock])) {
+    blocks.set(number, await provider.getBlock(number));
+  }
+
+  const events = [];
+  for (const log of logs) {
+    const block = blocks.get(log.blockNumber);
+    if (!block || block.hash !== log.blockHash) {
+      throw new Error(`Block ${log.blockNumber} changed while indexing, retrying`);
+    }
+
+    const parsed = iface.parseLog(log);
+    events.push({
+      name: parsed.name,
+      args: parsed.args,
+      chainId: indexer.chainId,
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      index: log.index,
+      timestamp: new Date(block.timestamp * 1000)
+    });
+  }
+
+  events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  for (const event of events) {
+    await indexer.handlers[event.name](event);
+    indexer.afterEvent(event);
+  }
+
+  if (events.length > 0) {
+    console.log(`Indexed ${events.length} events for ${indexer.checkpointName} in blocks ${fromBlock}-${toBlock}`);
+  }
+
+  return blocks.get(toBlock).hash;
+};
+
+/**
+ * Index all confirmed blocks for a contract since its checkpoint
+ * @param {Object} indexer - Contract indexer
+ */
+const poll = async (indexer) => {
+  const checkpoint = await loadCheckpoint(indexer);
+
+  await handleReorg(indexer, checkpoint);
+
+  const safeHead = (await indexer.provider.getBlockNumber()) - indexer.confirmations;
+
+  while (checkpoint.lastProcessedBlock < safeHead) {
+    const fromBlock = checkpoint.lastProcessedBlock + 1;
+    const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, safeHead);
+
+    const hash = await processRange(indexer, fromBlock, toBlock);
+
+    checkpoint.lastProcessedBlock = toBlock;
+    checkpoint.recentBlocks.push({ number: toBlock, hash });
+    if (checkpoint.recentBlocks.length > MAX_RECENT_BLOCKS) {
+      checkpoint.recentBlocks.splice(0, checkpoint.recentBlocks.length - MAX_RECENT_BLOCKS);
+    }
+    await checkpoint.save();
+  }
+};
+
+/**
+ * Run a poll for a contract and schedule the next one
+ * @param {Object} indexer - Contract indexer
+ * @param {number} delay - Milliseconds to wait before polling
+ */
+const scheduleNext = (indexer, delay = POLL_INTERVAL) => {
+  indexer.timer = setTimeout(async () => {
+    if (indexer.polling) {
+      return scheduleNext(indexer);
+    }
+
+    indexer.polling = true;
+    try {
+      await poll(indexer);
+    } catch (error) {
+      console.error(`Error indexing blockchain events for ${indexer.checkpointName}:`, error);
+    } finally {
+      indexer.polling = false;
+      if (indexer.timer) {
+        scheduleNext(indexer);
+      }
+    }
+  }, delay);
+};
+
+/**
+ * Start indexing a chain's contracts. The first poll catches up from their checkpoints in
+ * the background, so the API can serve requests meanwhile.
+ * @param {number} chainId - Chain ID
+ */
+const startChain = (chainId) => {
+  const context = getChainContext(chainId);
+  const { chain, provider } = context;
+
+  for (const definition of CONTRACT_INDEXERS) {
+    const checkpointName = `${definition.name}:${chain.chainId}`;
+    const contract = definition.getContract(context);
+
+    // Contracts that are not deployed on this chain are skipped
+    if (!contract || indexers.has(checkpointName)) {
+      continue;
+    }
+
+    const indexer = {
+      chainId: chain.chainId,
+      checkpointName,
+      legacyCheckpointName: definition.name === LEGACY_CHECKPOINT_NAME && chain.chainId === DEFAULT_CHAIN_ID
+        ? LEGACY_CHECKPOINT_NAME
+        : null,
+      provider,
+      contract,
+      events: definition.events,
+      handlers: definition.handlers,
+      transactionFilter: definition.transactionFilter,
+      afterEvent: definition.afterEvent,
+      confirmations: chain.confirmations,
+      deploymentBlock: definition.getDeploymentBlock(chain),
+      timer: null,
+      polling: false
+    };
+    indexers.set(checkpointName, indexer);
+
+    scheduleNext(indexer, 0);
+    console.log(
+      `Event indexer ${checkpointName} started for ${chain.name} (${indexer.confirmations} confirmations, ` +
+      `polling every ${POLL_INTERVAL}ms)`
+    );
+  }
+};
+
+/**
+ * Start an indexer for every chain this instance serves
+ */
+const start = () => {
+  for (const chainId of ENABLED_CHAIN_IDS) {
+    try {
+      startChain(chainId);
+    } catch (error) {
+      console.error(`Error starting event indexer for chain ${chainId}:`, error);
+    }
+  }
+};
+
+/**
+ * Stop polling on every chain
+ */
+const stop = () => {
+  for (const indexer of indexers.values()) {
+    clearTimeout(indexer.timer);
+    indexer.timer = null;
+  }
+  indexers.clear();
+};
+
+/**
+ * Get each indexer's progress
+ * @returns {Promise<Array<Object>>} Last processed block and lag behind the chain head, per contract and chain
+ */
+const getStatus = async () => {
+  return Promise.all([...indexers.values()].map(async (indexer) => {
+    const [checkpoint, head] = await Promise.all([
+      IndexerCheckpoint.findOne({ name: indexer.checkpointName }),
+      indexer.provider.getBlockNumber()
+    ]);
+
+    return {
+      name: indexer.checkpointName,
+      chainId: indexer.chainId,
+      running: Boolean(indexer.timer),
+      lastProcessedBlock: checkpoint ? checkpoint.lastProcessedBlock : null,
+      headBlock: head,
+      confirmations: indexer.confirmations,
+      lag: checkpoint ? head - checkpoint.lastProcessedBlock : null
+    };
+  }));
+};
+
+module.exports = {
+  INDEXED_EVENTS,
+  GROUP_INDEXED_EVENTS,
+  start,
+  stop,
+  getStatus
+};
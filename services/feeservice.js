@@ -0,0 +1,194 @@
+/**
+ * Fee Service
+ * Fee data for each chain's latest block, fetched once per block, and what a BazuuSave
+ * call will cost its sender in ETH, USDC and KES. On OP Stack chains such as Base the
+ * cost includes the L1 data fee.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const simulation = require('./simulation');
+const priceFeed = require('./pricefeed');
+const { getChainContext, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+
+const GAS_PRICE_ORACLE_ABI = ['function getL1Fee(bytes _data) view returns (uint256)'];
+
+// USDC amount in base units
+const usdc = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+// BazuuSave calls priced by the fees endpoint, as [method, args]
+const FEE_ACTIONS = {
+  deposit: ({ amount }) => ['deposit', [usdc(amount)]],
+  withdraw: ({ amount }) => ['withdraw', [usdc(amount)]],
+  createGoal: ({ amount, name, durationInDays }) => ['createGoal', [name, usdc(amount), durationInDays]],
+  contribute: ({ amount, goalId }) => ['contributeToGoal', [goalId, usdc(amount)]]
+};
+
+// Typical gas used by each action, quoted when the call can't be estimated because the
+// sender has not yet approved or received the USDC it moves
+const TYPICAL_GAS = {
+  deposit: 150000n,
+  withdraw: 120000n,
+  createGoal: 200000n,
+  contribute: 100000n
+};
+
+// Reverts that only mean the sender's USDC is not in place yet
+const FUNDING_REVERTS = ['INSUFFICIENT_ALLOWANCE', 'INSUFFICIENT_USDC_BALANCE'];
+
+// Fee data for the latest block seen, by chain ID
+const feeDataCache = new Map();
+
+/**
+ * Get EIP-1559 fee data for the latest block
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} blockNumber, baseFeePerGas, maxFeePerGas and maxPriorityFeePerGas (wei)
+ */
+const getFeeData = async (chainId = DEFAULT_CHAIN_ID) => {
+  const { provider } = getChainContext(chainId);
+  const blockNumber = await provider.getBlockNumber();
+
+  const cached = feeDataCache.get(Number(chainId));
+  if (cached && cached.blockNumber === blockNumber) {
+    return cached;
+  }
+
+  const [block, feeData] = await Promise.all([
+    provider.getBlock(blockNumber),
+    provider.getFeeData()
+  ]);
+
+  let fees;
+  if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+    fees = { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  } else if (feeData.gasPrice !== null) {
+    // Chains without a base fee are paid the legacy gas price
+    fees = { maxFeePerGas: feeData.gasPrice, maxPriorityFeePerGas: feeData.gasPrice };
+  } else {
+    throw new Error(`Chain ${chainId} did not report fee data`);
+  }
+
+  const result = {
+    blockNumber,
+    baseFeePerGas: block.baseFeePerGas ?? 0n,
+    ...fees
+  };
+  feeDataCache.set(Number(chainId), result);
+  return result;
+};
+
+/**
+ * Get the L1 data fee an OP Stack chain charges for a transaction
+ * @param {Object} chain - Chain configuration
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {Object} request - Transaction (from, to, data, gasLimit, fees)
+ * @returns {Promise<bigint>} L1 fee in wei (zero on other chains)
+ */
+const getL1Fee = async (chain, provider, request) => {
+  if (!chain.l1GasPriceOracle) {
+    return 0n;
+  }
+
+  const nonce = await provider.getTransactionCount(request.from, 'pending');
+  const { unsignedSerialized } = ethers.Transaction.from({
+    type: 2,
+    chainId: chain.chainId,
+    nonce,
+    to: request.to,
+    data: request.data,
+    gasLimit: request.gasLimit,
+    maxFeePerGas: request.maxFeePerGas,
+    maxPriorityFeePerGas: request.maxPriorityFeePerGas
+  });
+
+  const oracle = new ethers.Contract(chain.l1GasPriceOracle, GAS_PRICE_ORACLE_ABI, provider);
+  return oracle.getL1Fee(unsignedSerialized);
+};
+
+/**
+ * Estimate what a BazuuSave action will cost its sender at current fees
+ * @param {string} from - Sender's wallet address
+ * @param {string} action - One of the FEE_ACTIONS keys
+ * @param {Object} params - amount, plus name and durationInDays for createGoal or the on-chain goalId for contribute
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Gas and fee data, and the fee in ETH, USDC and KES (null when a price is unavailable)
+ * @throws {SimulationError} If the call would revert for a reason other than missing USDC
+ */
+const estimateFee = async (from, action, params, chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const { chain, provider, bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+    const [method, args] = FEE_ACTIONS[action](params);
+    const to = contract.target;
+    const data = contract.interface.encodeFunctionData(method, args);
+
+    // A call that would revert has no fee to show, unless it only lacks the sender's USDC,
+    // in which case the action's typical gas is quoted
+    const { reverted, ...revert } = await simulation.simulateCall({ from, to, data }, provider);
+    if (reverted && !FUNDING_REVERTS.includes(revert.code)) {
+      throw new simulation.SimulationError(revert);
+    }
+
+    const [gasEstimate, feeData] = await Promise.all([
+      reverted ? TYPICAL_GAS[action] : provider.estimateGas({ from, to, data }),
+      getFeeData(chainId)
+    ]);
+
+    // What each unit of gas is expected to cost: base fee plus tip, up to the cap
+    const baseFeePlusTip = feeData.baseFeePerGas + feeData.maxPriorityFeePerGas;
+    const gasPrice = baseFeePlusTip < feeData.maxFeePerGas ? baseFeePlusTip : feeData.maxFeePerGas;
+
+    const l1Fee = await getL1Fee(chain, provider, {
+      from,
+      to,
+      data,
+      gasLimit: gasEstimate,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+    });
+    const fee = gasEstimate * gasPrice + l1Fee;
+
+    // Prices are optional; the ETH fee is still worth showing without them
+    const [ethPrice, kesRate] = await Promise.all([
+      priceFeed.getEthPrice(chainId).catch(() => null),
+      priceFeed.getKesRate().catch(() => null)
+    ]);
+    const feeUsdc = ethPrice === null ? null : parseFloat(ethers.formatEther(fee)) * ethPrice;
+
+    return {
+      chainId: Number(chainId),
+      action,
+      method,
+      blockNumber: feeData.blockNumber,
+      gas: {
+        estimate: gasEstimate.toString(),
+        typical: reverted,
+        baseFeePerGas: feeData.baseFeePerGas.toString(),
+        maxFeePerGas: feeData.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString(),
+        l1Fee: l1Fee.toString()
+      },
+      fee: {
+        eth: ethers.formatEther(fee),
+        usdc: feeUsdc === null ? null : feeUsdc.toFixed(6),
+        kes: feeUsdc === null || kesRate === null ? null : (feeUsdc * kesRate).toFixed(2)
+      },
+      prices: {
+        ethUsd: ethPrice,
+        usdKes: kesRate
+      },
+      // Why the typical gas was quoted, so the app can ask for an approval or top-up first
+      revert: reverted ? revert : null
+    };
+  } catch (error) {
+    console.error(`Error estimating ${action} fee for ${from}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  FEE_ACTIONS,
+  TYPICAL_GAS,
+  getFeeData,
+  estimateFee
+};
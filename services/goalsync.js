@@ -0,0 +1,242 @@
+/**
+ * Goal Sync Service
+ * Keeps database goals in step with BazuuSave. Custodial users' goals are registered
+ * on-chain, registrations whose transaction was replaced are linked to the goal they
+ * created, and registered goals are compared with getGoal so any drift is flagged for review.
+ *
+ *
+ */
+
+const Goal = require('../models/goal');
+const blockchainService = require('./blockchainservice');
+const transactionBuilder = require('./transactionbuilder');
+const walletVault = require('./walletvault');
+const { getChainContext } = require('../config/blockchain');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+const SYNC_INTERVAL = parseInt(process.env.GOAL_SYNC_INTERVAL || '900000', 10);
+
+// How long a registration can stay unmined before looking for its goal on-chain
+const REGISTRATION_TIMEOUT = 30 * 60 * 1000;
+
+// Differences below these are rounding, not drift
+const AMOUNT_TOLERANCE = 0.000001;
+const DEADLINE_TOLERANCE = 24 * 60 * 60 * 1000;
+
+let syncTimer = null;
+
+/**
+ * Register a custodial user's goal on-chain. The event indexer links the on-chain goal ID
+ * once the transaction is mined.
+ * @param {Object} user - Custodial user document
+ * @param {Object} goal - Goal document
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const registerGoal = async (user, goal) => {
+  const call = await transactionBuilder.ACTIONS.createGoal.build(user, { goalId: goal._id });
+  const tx = await blockchainService.custodialCreateGoal(user, ...call.args);
+
+  goal.blockchain.txHash = tx.hash;
+  goal.blockchain.chainId = DEFAULT_CHAIN_ID;
+  await goal.save();
+  return tx;
+};
+
+/**
+ * Register active goals of custodial users that never made it on-chain
+ */
+const registerPending = async () => {
+  const goals = await Goal.find({
+    status: 'active',
+    'blockchain.registered': false,
+    'blockchain.txHash': { $exists: false }
+  }).populate('userId');
+
+  for (const goal of goals) {
+    const user = goal.userId;
+    if (!walletVault.isCustodial(user)) {
+      continue;
+    }
+    try {
+      goal.depopulate('userId');
+      await registerGoal(user, goal);
+    } catch (error) {
+      console.error(`Error registering goal ${goal._id} on-chain:`, error);
+    }
+  }
+};
+
+/**
+ * Link goals whose registration was mined under a different hash, such as after a fee
+ * bump, by matching them to an unlinked on-chain goal with the same name and target.
+ * Goals whose registration reverted are queued to register again.
+ */
+const linkRegistrations = async () => {
+  const goals = await Goal.find({
+    'blockchain.registered': false,
+    'blockchain.txHash': { $exists: true },
+    updatedAt: { $lt: new Date(Date.now() - REGISTRATION_TIMEOUT) }
+  }).populate('userId', 'walletAddress');
+
+  for (const goal of goals) {
+    const walletAddress = goal.userId && goal.userId.walletAddress;
+    if (!walletAddress) {
+      continue;
+    }
+    const chainId = goal.blockchain.chainId || DEFAULT_CHAIN_ID;
+
+    try {
+      const [onChainGoals, linked] = await Promise.all([
+        blockchainService.getGoalsOnChain(walletAddress, chainId),
+        Goal.find({ userId: goal.userId._id, 'blockchain.chainId': chainId, 'blockchain.registered': true })
+          .distinct('blockchain.goalId')
+      ]);
+
+      const match = onChainGoals.find((onChain) =>
+        !linked.includes(onChain.id) &&
+        onChain.name === goal.name &&
+        Math.abs(parseFloat(onChain.targetAmount) - goal.targetAmount) < AMOUNT_TOLERANCE
+      );
+      if (!match) {
+        // A reverted registration is dropped so the goal can be registered again
+        const receipt = await getChainContext(chainId).provider.getTransactionReceipt(goal.blockchain.txHash);
+        if (receipt && receipt.status === 0) {
+          goal.blockchain.txHash = undefined;
+          await goal.save();
+        }
+        continue;
+      }
+
+      goal.blockchain.registered = true;
+      goal.blockchain.goalId = match.id;
+      goal.blockchain.chainId = chainId;
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+      console.log(`Linked goal ${goal._id} to on-chain goal ${match.id} of ${walletAddress}`);
+    } catch (error) {
+      console.error(`Error linking registration for goal ${goal._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Compare a goal with its on-chain copy
+ * @param {Object} goal - Goal document
+ * @param {Object} onChain - Goal details from getGoalOnChain
+ * @returns {Array<Object>} Fields that differ, with the database and on-chain values
+ */
+const findDrift = (goal, onChain) => {
+  const drift = [];
+  const compare = (field, database, chainValue, matches) => {
+    if (!matches) {
+      drift.push({ field, database, onChain: chainValue });
+    }
+  };
+
+  const targetAmount = parseFloat(onChain.targetAmount);
+  const currentAmount = parseFloat(onChain.currentAmount);
+  const deadline = new Date(onChain.deadline * 1000);
+  const completed = goal.status === 'completed';
+
+  compare('name', goal.name, onChain.name, goal.name === onChain.name);
+  compare('targetAmount', goal.targetAmount, targetAmount,
+    Math.abs(goal.targetAmount - targetAmount) < AMOUNT_TOLERANCE);
+  compare('currentAmount', goal.currentAmount, currentAmount,
+    Math.abs(goal.currentAmount - currentAmount) < AMOUNT_TOLERANCE);
+  compare('deadline', goal.deadline, deadline,
+    Math.abs(goal.deadline.getTime() - deadline.getTime()) <= DEADLINE_TOLERANCE);
+  compare('completed', completed, onChain.completed, completed === onChain.completed);
+  compare('released', goal.lock.released, onChain.released, goal.lock.released === onChain.released);
+
+  return drift;
+};
+
+/**
+ * Compare registered, unreleased goals with the contract and flag any drift
+ */
+const checkDrift = async () => {
+  const goals = await Goal.find({ 'blockchain.registered': true, 'lock.released': false })
+    .populate('userId', 'walletAddress');
+
+  for (const goal of goals) {
+    const walletAddress = goal.userId && goal.userId.walletAddress;
+    if (!walletAddress) {
+      continue;
+    }
+
+    try {
+      const onChain = await blockchainService.getGoalOnChain(
+        walletAddress,
+        goal.blockchain.goalId,
+        goal.blockchain.chainId || DEFAULT_CHAIN_ID
+      );
+      const drift = findDrift(goal, onChain);
+
+      if (drift.length > 0 && !goal.blockchain.driftDetectedAt) {
+        goal.blockchain.driftDetectedAt = new Date();
+        console.warn(`Goal ${goal._id} differs from on-chain goal ${goal.blockchain.goalId}: ` +
+          drift.map((entry) => entry.field).join(', '));
+      } else if (drift.length === 0) {
+        goal.blockchain.driftDetectedAt = undefined;
+      }
+      goal.blockchain.drift = drift;
+      goal.blockchain.lastSynced = new Date();
+      await goal.save();
+    } catch (error) {
+      console.error(`Error checking goal ${goal._id} against the chain:`, error);
+    }
+  }
+};
+
+/**
+ * Run one sync pass
+ */
+const syncGoals = async () => {
+  await registerPending();
+  await linkRegistrations();
+  await checkDrift();
+};
+
+/**
+ * Start syncing goals with the chain
+ */
+const start = () => {
+  if (syncTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    syncTimer = setTimeout(async () => {
+      try {
+        await syncGoals();
+      } catch (error) {
+        console.error('Error syncing goals:', error);
+      } finally {
+        if (syncTimer) {
+          scheduleNext();
+        }
+      }
+    }, SYNC_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log('Goal sync started');
+};
+
+/**
+ * Stop syncing goals
+ */
+const stop = () => {
+  if (syncTimer) {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+  }
+};
+
+module.exports = {
+  registerGoal,
+  findDrift,
+  syncGoals,
+  start,
+  stop
+};
@@ -0,0 +1,186 @@
+/**
+ * Inheritance Alert Service
+ * Watches beneficiary nominations as their inactivity period runs out. The owner is
+ * warned shortly before their beneficiary can claim, and the beneficiary is told by SMS
+ * and in-app notification once the claim is possible.
+ *
+ *
+ */
+
+const Beneficiary = require('../models/beneficiary');
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const blockchainService = require('./blockchainservice');
+const twilioService = require('./twilioservice');
+
+// Days before the claim opens to warn the owner; 0 turns the warning off
+const WARNING_DAYS = parseInt(process.env.INHERITANCE_WARNING_DAYS || '14', 10);
+
+const CHECK_INTERVAL = parseInt(process.env.INHERITANCE_CHECK_INTERVAL || '3600000', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let alertTimer = null;
+
+/**
+ * Bring a nomination's activity in line with the contract. Any interaction by the owner
+ * pushes the claim back, so warnings and notices start over when it moves.
+ * @param {Object} nomination - Beneficiary document
+ * @returns {Promise<boolean>} False if the chain no longer has this nomination
+ */
+const refreshNomination = async (nomination) => {
+  const onChain = await blockchainService.getBeneficiaryOnChain(nomination.walletAddress, nomination.chainId);
+
+  // Changed or removed; the event indexer will record it
+  if (!onChain || onChain.beneficiaryAddress !== nomination.beneficiaryAddress) {
+    return false;
+  }
+
+  const claimableAt = new Date(onChain.claimableAt * 1000);
+  if (!nomination.claimableAt || claimableAt > nomination.claimableAt) {
+    nomination.set({
+      lastActivity: new Date(onChain.lastActivity * 1000),
+      claimableAt,
+      status: 'active',
+      warnedAt: undefined,
+      notifiedAt: undefined
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Warn the owner that their beneficiary can claim soon
+ * @param {Object} nomination - Beneficiary document
+ * @param {number} daysLeft - Days until the claim opens
+ */
+const warnOwner = async (nomination, daysLeft) => {
+  await twilioService.sendInactivityWarning(nomination.userId, daysLeft);
+
+  await Notification.create({
+    userId: nomination.userId,
+    title: 'Check in to keep your savings',
+    message: `Your beneficiary can claim your savings in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Check in to reset the timer.`,
+    type: 'warning',
+    isSystem: true,
+    metadata: {
+      beneficiaryId: nomination._id.toString(),
+      claimableAt: nomination.claimableAt
+    }
+  });
+
+  nomination.warnedAt = new Date();
+};
+
+/**
+ * Tell the beneficiary they can claim
+ * @param {Object} nomination - Beneficiary document
+ */
+const notifyBeneficiary = async (nomination) => {
+  const [owner, beneficiaryUser] = await Promise.all([
+    User.findById(nomination.userId).select('name'),
+    nomination.beneficiaryUserId ? User.findById(nomination.beneficiaryUserId).select('phoneNumber') : null
+  ]);
+  const ownerName = (owner && owner.name) || 'A BazuuSave user';
+
+  const phoneNumber = nomination.phoneNumber || (beneficiaryUser && beneficiaryUser.phoneNumber);
+  if (phoneNumber) {
+    await twilioService.sendInheritanceClaimableNotice(phoneNumber, ownerName);
+  }
+
+  if (beneficiaryUser) {
+    await Notification.create({
+      userId: beneficiaryUser._id,
+      title: 'Inheritance ready to claim',
+      message: `${ownerName} named you as their beneficiary. You can now claim their savings.`,
+      type: 'info',
+      isSystem: true,
+      metadata: {
+        beneficiaryId: nomination._id.toString(),
+        ownerAddress: nomination.walletAddress
+      }
+    });
+  }
+
+  nomination.status = 'claimable';
+  nomination.notifiedAt = new Date();
+};
+
+/**
+ * Send every warning and notice that is due
+ */
+const processNominations = async () => {
+  const now = Date.now();
+
+  // claimableAt only moves later, so nominations outside the window can be skipped
+  const nominations = await Beneficiary.find({
+    status: { $in: ['active', 'claimable'] },
+    claimableAt: { $lte: new Date(now + WARNING_DAYS * DAY_MS) }
+  });
+
+  for (const nomination of nominations) {
+    try {
+      if (!(await refreshNomination(nomination))) {
+        continue;
+      }
+
+      const msLeft = nomination.claimableAt.getTime() - now;
+      if (msLeft <= 0) {
+        if (!nomination.notifiedAt) {
+          await notifyBeneficiary(nomination);
+        }
+      } else if (WARNING_DAYS > 0 && !nomination.warnedAt && msLeft <= WARNING_DAYS * DAY_MS) {
+        await warnOwner(nomination, Math.ceil(msLeft / DAY_MS));
+      }
+
+      if (nomination.isModified()) {
+        await nomination.save();
+      }
+    } catch (error) {
+      console.error(`Error checking beneficiary nomination ${nomination._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Start watching nominations
+ */
+const start = () => {
+  if (alertTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    alertTimer = setTimeout(async () => {
+      try {
+        await processNominations();
+      } catch (error) {
+        console.error('Error processing inheritance alerts:', error);
+      } finally {
+        if (alertTimer) {
+          scheduleNext();
+        }
+      }
+    }, CHECK_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log(`Inheritance alerts started (owners warned ${WARNING_DAYS} days ahead)`);
+};
+
+/**
+ * Stop watching nominations
+ */
+const stop = () => {
+  if (alertTimer) {
+    clearTimeout(alertTimer);
+    alertTimer = null;
+  }
+};
+
+module.exports = {
+  processNominations,
+  start,
+  stop
+};
@@ -0,0 +1,127 @@
+/**
+ * Key Providers
+ * Wrap and unwrap the data keys used to encrypt custodial wallet seeds (envelope encryption).
+ * A provider only ever sees data keys, never seeds. Production deployments register a
+ * KMS/HSM-backed provider; the local file provider is for development only.
+ * 
+ * 
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Environment variables
+const VAULT_KEY_PROVIDER = process.env.VAULT_KEY_PROVIDER || 'local';
+const VAULT_LOCAL_KEY_FILE = process.env.VAULT_LOCAL_KEY_FILE || path.join(__dirname, '..', '.vault', 'master.key');
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} Base64 encoded ciphertext, iv and auth tag
+ */
+const encrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64')
+  };
+};
+
+/**
+ * Decrypt data encrypted with encrypt()
+ * @param {Buffer} key - 32-byte key
+ * @param {Object} encrypted - Base64 encoded ciphertext, iv and auth tag
+ * @returns {Buffer} Decrypted data
+ */
+const decrypt = (key, { ciphertext, iv, authTag }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]);
+};
+
+/**
+ * Local file key provider (development only)
+ * Keeps a master key in a file on disk, creating it on first use
+ */
+class LocalFileKeyProvider {
+  constructor(keyFile = VAULT_LOCAL_KEY_FILE) {
+    this.name = 'local';
+    this.keyFile = keyFile;
+  }
+  
+  // Load the master key, generating it if it does not exist yet
+  getMasterKey() {
+    if (!fs.existsSync(this.keyFile)) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('Local vault key provider must not generate keys in production');
+      }
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+      console.log(`Generated local vault master key at ${this.keyFile}`);
+    }
+    
+    return Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'hex');
+  }
+  
+  // Encrypt a data key with the master key
+  async wrapKey(dataKey) {
+    return JSON.stringify(encrypt(this.getMasterKey(), dataKey));
+  }
+  
+  // Decrypt a data key with the master key
+  async unwrapKey(wrappedKey) {
+    return decrypt(this.getMasterKey(), JSON.parse(wrappedKey));
+  }
+}
+
+// Registered key provider factories
+const providers = {
+  local: () => new LocalFileKeyProvider()
+};
+
+// Provider instances, created on first use
+const instances = new Map();
+
+/**
+ * Register a key provider factory (e.g. a cloud KMS provider)
+ * @param {string} name - Provider name used in VAULT_KEY_PROVIDER
+ * @param {Function} factory - Returns an object with name, wrapKey and unwrapKey
+ */
+const registerKeyProvider = (name, factory) => {
+  providers[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Get a key provider by name
+ * @param {string} name - Provider name (default: VAULT_KEY_PROVIDER)
+ * @returns {Object} Key provider
+ */
+const getKeyProvider = (name = VAULT_KEY_PROVIDER) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown vault key provider: ${name}`);
+  }
+  
+  if (!instances.has(name)) {
+    instances.set(name, providers[name]());
+  }
+  
+  return instances.get(name);
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  LocalFileKeyProvider,
+  registerKeyProvider,
+  getKeyProvider
+};
@@ -0,0 +1,144 @@
+/**
+ * Loan Reminder Service
+ * Periodically checks active loans and reminds borrowers by SMS and in-app
+ * notification as their due date approaches, and once more when a loan is overdue
+ *
+ *
+ */
+
+const Loan = require('../models/loan');
+const Notification = require('../models/notification');
+const twilioService = require('./twilioservice');
+
+// Days before the due date to send a reminder; 0 is the overdue notice
+const REMINDER_DAYS = (process.env.LOAN_REMINDER_DAYS || '7,3,1,0')
+  .split(',')
+  .map((days) => parseInt(days.trim(), 10))
+  .filter((days) => !isNaN(days))
+  .sort((a, b) => b - a);
+
+const CHECK_INTERVAL = parseInt(process.env.LOAN_REMINDER_INTERVAL || '3600000', 10);
+
+// Matches BazuuSave.LOAN_GRACE_PERIOD
+const GRACE_PERIOD_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reminderTimer = null;
+
+/**
+ * Pick the reminder due for a loan, if any
+ * @param {Object} loan - Loan document
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Reminder threshold in days, or null if none is due
+ */
+const getDueReminder = (loan, now) => {
+  const daysLeft = Math.ceil((loan.dueDate.getTime() - now) / DAY_MS);
+
+  // The closest threshold reached; earlier ones that were missed are skipped
+  const reached = REMINDER_DAYS.filter((days) => daysLeft <= days);
+  if (reached.length === 0) {
+    return null;
+  }
+
+  const threshold = reached[reached.length - 1];
+  return loan.remindersSent.includes(threshold) ? null : threshold;
+};
+
+/**
+ * Send a loan reminder by SMS and in-app notification
+ * @param {Object} loan - Loan document
+ * @param {number} threshold - Reminder threshold in days
+ */
+const sendReminder = async (loan, threshold) => {
+  const daysLeft = Math.max(0, Math.ceil((loan.dueDate.getTime() - Date.now()) / DAY_MS));
+  const overdue = threshold === 0;
+
+  await twilioService.sendLoanReminder(loan.userId, loan, daysLeft, GRACE_PERIOD_DAYS);
+
+  await Notification.create({
+    userId: loan.userId,
+    title: overdue ? 'Loan overdue' : 'Loan due soon',
+    message: overdue
+      ? `Your loan of ${loan.outstanding} USDC is overdue. Repay within ${GRACE_PERIOD_DAYS} days to avoid it being settled from your savings.`
+      : `Your loan of ${loan.outstanding} USDC is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`,
+    type: overdue ? 'error' : 'warning',
+    isSystem: true,
+    metadata: {
+      loanId: loan._id.toString(),
+      dueDate: loan.dueDate
+    }
+  });
+
+  loan.remindersSent.push(threshold);
+  await loan.save();
+};
+
+/**
+ * Send every reminder that is due
+ */
+const processReminders = async () => {
+  const now = Date.now();
+  const horizon = new Date(now + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+  const loans = await Loan.find({
+    status: 'active',
+    userId: { $exists: true },
+    dueDate: { $lte: horizon }
+  });
+
+  for (const loan of loans) {
+    const threshold = getDueReminder(loan, now);
+    if (threshold === null) {
+      continue;
+    }
+
+    try {
+      await sendReminder(loan, threshold);
+    } catch (error) {
+      console.error(`Error sending reminder for loan ${loan._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Start checking for due reminders
+ */
+const start = () => {
+  if (reminderTimer || REMINDER_DAYS.length === 0) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    reminderTimer = setTimeout(async () => {
+      try {
+        await processReminders();
+      } catch (error) {
+        console.error('Error processing loan reminders:', error);
+      } finally {
+        if (reminderTimer) {
+          scheduleNext();
+        }
+      }
+    }, CHECK_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log(`Loan reminders started (${REMINDER_DAYS.join(', ')} days before due)`);
+};
+
+/**
+ * Stop checking for reminders
+ */
+const stop = () => {
+  if (reminderTimer) {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+  }
+};
+
+module.exports = {
+  processReminders,
+  start,
+  stop
+};
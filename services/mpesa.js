@@ -1,14 +1,15 @@
 const axios = require('axios');
-const config = require('../config/env');
 
 class MpesaService {
   constructor() {
-    this.baseUrl = config.MPESA_API_URL;
-    this.consumerKey = config.MPESA_CONSUMER_KEY;
-    this.consumerSecret = config.MPESA_CONSUMER_SECRET;
-    this.shortCode = config.MPESA_SHORT_CODE;
-    this.passKey = config.MPESA_PASSKEY;
-    this.callbackUrl = config.MPESA_CALLBACK_URL;
+    this.baseUrl = process.env.MPESA_API_URL;
+    this.consumerKey = process.env.MPESA_CONSUMER_KEY;
+    this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
+    this.shortCode = process.env.MPESA_SHORT_CODE;
+    this.passKey = process.env.MPESA_PASSKEY;
+    this.callbackUrl = process.env.MPESA_CALLBACK_URL;
+    // Lets the callback handler check that a callback came from a request we made
+    this.callbackSecret = process.env.MPESA_CALLBACK_SECRET;
   }
   
   // Generate access token
@@ -52,7 +53,7 @@ class MpesaService {
           PartyA: phoneNumber,
           PartyB: this.shortCode,
           PhoneNumber: phoneNumber,
-          CallBackURL: `${this.callbackUrl}/api/mpesa/callback`,
+          CallBackURL: `${this.callbackUrl}/api/savings/mpesa/callback?token=${encodeURIComponent(this.callbackSecret)}`,
           AccountReference: accountRef || 'BazuuSave',
           TransactionDesc: 'Deposit to BazuuSave'
         },
@@ -82,8 +83,8 @@ class MpesaService {
       const response = await axios.post(
         `${this.baseUrl}/mpesa/b2c/v1/paymentrequest`,
         {
-          InitiatorName: config.MPESA_INITIATOR_NAME,
-          SecurityCredential: config.MPESA_SECURITY_CREDENTIAL,
+          InitiatorName: process.env.MPESA_INITIATOR_NAME,
+          SecurityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
           CommandID: 'BusinessPayment',
           Amount: amount,
           PartyA: this.shortCode,
@@ -0,0 +1,155 @@
+/**
+ * M-Pesa Deposit Service
+ * Credits paid M-Pesa deposits to custodial users' savings. The shillings are converted to
+ * USDC when the STK push is sent; once M-Pesa confirms the payment, the server signer sends
+ * that USDC to the user's vault wallet and the vault deposits it into BazuuSave with a permit.
+ * A deposit that can't be funded or made yet is left processing and retried.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const Transaction = require('../models/transaction');
+const User = require('../models/user');
+const OutboundTransaction = require('../models/outboundtransaction');
+const blockchainService = require('./blockchainservice');
+const priceFeed = require('./pricefeed');
+const txManager = require('./txmanager');
+const { getChainContext } = require('../config/blockchain');
+
+const CHECK_INTERVAL = parseInt(process.env.MPESA_DEPOSIT_INTERVAL || '15000', 10);
+
+let depositTimer = null;
+
+/**
+ * Convert a shilling amount to USDC at the current exchange rate
+ * @param {number} kesAmount - Amount in KES
+ * @returns {Promise<Object>} USDC amount (6 decimals) and the USD/KES rate used
+ */
+const quoteKesToUsdc = async (kesAmount) => {
+  const kesRate = await priceFeed.getKesRate();
+  return {
+    amount: parseFloat((kesAmount / kesRate).toFixed(6)),
+    kesRate
+  };
+};
+
+/**
+ * Check whether a funding transfer failed, following its fee bumps
+ * @param {string} txHash - Hash the transfer was first sent with
+ * @returns {Promise<boolean>} True if it was dropped or reverted
+ */
+const fundingFailed = async (txHash) => {
+  let record = await OutboundTransaction.findOne({ txHash });
+  while (record && record.replacedBy) {
+    record = await OutboundTransaction.findById(record.replacedBy);
+  }
+  if (!record) {
+    return false;
+  }
+  return record.status === 'dropped' || (record.status === 'mined' && record.receiptStatus === 0);
+};
+
+/**
+ * Move a paid M-Pesa deposit along: fund the user's vault wallet, then deposit from it. Once
+ * the deposit is sent the transaction is pending and the transaction tracker follows it.
+ * @param {Object} transaction - Paid mpesa_deposit Transaction, status processing
+ */
+const creditDeposit = async (transaction) => {
+  const user = await User.findById(transaction.userId);
+  const { usdcContract } = getChainContext(transaction.chainId);
+  const amountWei = ethers.parseUnits(transaction.amount.toString(), 6);
+
+  // Fund the vault wallet once; a failed transfer is sent again
+  const walletBalance = await usdcContract.balanceOf(user.walletAddress);
+  if (walletBalance < amountWei) {
+    const { fundingTxHash } = transaction.mpesa;
+    if (fundingTxHash && !(await fundingFailed(fundingTxHash))) {
+      return;
+    }
+
+    const tx = await txManager.sendContractTransaction(
+      usdcContract,
+      'transfer',
+      [user.walletAddress, amountWei],
+      { label: 'mpesa-funding' }
+    );
+    transaction.mpesa.fundingTxHash = tx.hash;
+    await transaction.save();
+    return;
+  }
+
+  const tx = await blockchainService.custodialDeposit(user, transaction.amount);
+  transaction.set({
+    txHash: tx.hash,
+    walletAddress: user.walletAddress,
+    status: 'pending',
+    error: undefined
+  });
+  await transaction.save();
+};
+
+/**
+ * Credit every paid M-Pesa deposit that has not been deposited yet
+ */
+const processPaidDeposits = async () => {
+  const transactions = await Transaction.find({
+    type: 'mpesa_deposit',
+    status: 'processing',
+    txHash: { $exists: false }
+  });
+
+  for (const transaction of transactions) {
+    try {
+      await creditDeposit(transaction);
+    } catch (error) {
+      console.error(`Error crediting M-Pesa deposit ${transaction.mpesaReference}:`, error);
+      transaction.error = error.message;
+      await transaction.save();
+    }
+  }
+};
+
+/**
+ * Start crediting paid M-Pesa deposits
+ */
+const start = () => {
+  if (depositTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    depositTimer = setTimeout(async () => {
+      try {
+        await processPaidDeposits();
+      } catch (error) {
+        console.error('Error crediting M-Pesa deposits:', error);
+      } finally {
+        if (depositTimer) {
+          scheduleNext();
+        }
+      }
+    }, CHECK_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log('M-Pesa deposits started');
+};
+
+/**
+ * Stop crediting paid M-Pesa deposits
+ */
+const stop = () => {
+  if (depositTimer) {
+    clearTimeout(depositTimer);
+    depositTimer = null;
+  }
+};
+
+module.exports = {
+  quoteKesToUsdc,
+  creditDeposit,
+  processPaidDeposits,
+  start,
+  stop
+};
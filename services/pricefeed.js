@@ -0,0 +1,90 @@
+/**
+ * Price Feed Service
+ * ETH/USD from the chain's Chainlink feed and USD/KES from an exchange rate API, each
+ * cached for a short while. USDC is priced at one US dollar.
+ *
+ *
+ */
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { getChainContext, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+
+const ETH_PRICE_TTL = 60 * 1000;
+const KES_RATE_TTL = 60 * 60 * 1000;
+
+// Chainlink answers older than this are not trusted
+const MAX_ETH_PRICE_AGE = parseInt(process.env.ETH_PRICE_MAX_AGE_SECONDS || '3600', 10);
+
+// Exchange rates against USD, in the open.er-api.com format
+const FX_RATES_URL = process.env.FX_RATES_URL || 'https://open.er-api.com/v6/latest/USD';
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Cached prices: ETH by chain ID, and the KES rate
+const ethPrices = new Map();
+let kesRate = null;
+
+/**
+ * Get the price of ETH in US dollars
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number>} ETH price
+ */
+const getEthPrice = async (chainId = DEFAULT_CHAIN_ID) => {
+  const cached = ethPrices.get(Number(chainId));
+  if (cached && Date.now() - cached.fetchedAt < ETH_PRICE_TTL) {
+    return cached.price;
+  }
+
+  try {
+    const { chain, provider } = getChainContext(chainId);
+    if (!chain.ethUsdFeed) {
+      throw new Error(`No ETH/USD price feed on ${chain.name}`);
+    }
+
+    const feed = new ethers.Contract(chain.ethUsdFeed, AGGREGATOR_ABI, provider);
+    const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+    if (round.answer <= 0n || Date.now() / 1000 - Number(round.updatedAt) > MAX_ETH_PRICE_AGE) {
+      throw new Error('ETH/USD price is stale');
+    }
+
+    const price = parseFloat(ethers.formatUnits(round.answer, decimals));
+    ethPrices.set(Number(chainId), { price, fetchedAt: Date.now() });
+    return price;
+  } catch (error) {
+    console.error(`Error getting ETH price on chain ${chainId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get how many Kenyan shillings one US dollar buys
+ * @returns {Promise<number>} USD/KES rate
+ */
+const getKesRate = async () => {
+  if (kesRate && Date.now() - kesRate.fetchedAt < KES_RATE_TTL) {
+    return kesRate.rate;
+  }
+
+  try {
+    const response = await axios.get(FX_RATES_URL, { timeout: 10000 });
+    const rate = response.data && response.data.rates && Number(response.data.rates.KES);
+    if (!rate) {
+      throw new Error('Exchange rate response has no KES rate');
+    }
+
+    kesRate = { rate, fetchedAt: Date.now() };
+    return rate;
+  } catch (error) {
+    console.error('Error getting USD/KES rate:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getEthPrice,
+  getKesRate
+};
@@ -0,0 +1,269 @@
+/**
+ * Provider Pool
+ * An ethers provider backed by several RPC endpoints. Tracks latency, error rate and
+ * block-height lag per endpoint, sends each request to the healthiest endpoint and
+ * fails over to the next one when an endpoint errors or times out.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+
+// Weight of the newest sample in the latency and error rate moving averages
+const SAMPLE_WEIGHT = 0.3;
+
+// Score penalties, in milliseconds of latency
+const ERROR_RATE_PENALTY = 5000;
+const BLOCK_LAG_PENALTY = 1000;
+
+// Consecutive failures before an endpoint is taken out of rotation, and for how long
+const MAX_CONSECUTIVE_FAILURES = 3;
+const COOLDOWN_MS = 30000;
+
+// Errors that come from the request itself; another endpoint would return the same
+const NON_RETRYABLE_ERRORS = [
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT',
+  'ACTION_REJECTED'
+];
+
+class ProviderPool extends ethers.AbstractProvider {
+  /**
+   * @param {Array<string>} urls - RPC endpoint URLs
+   * @param {number} chainId - Expected chain ID for every endpoint
+   * @param {Object} options - timeout (ms per request), maxBlockLag, healthCheckInterval (ms)
+   */
+  constructor(urls, chainId, options = {}) {
+    if (!urls || urls.length === 0) {
+      throw new Error('At least one RPC URL is required');
+    }
+
+    const network = ethers.Network.from(Number(chainId));
+    super(network);
+
+    this.chainId = Number(chainId);
+    this.staticNetwork = network;
+    this.maxBlockLag = options.maxBlockLag ?? 3;
+
+    this.endpoints = urls.map((url) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = options.timeout ?? 10000;
+
+      return {
+        url,
+        name: ProviderPool.redactUrl(url),
+        provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network }),
+        latency: null,
+        errorRate: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        blockNumber: null,
+        chainIdMismatch: false,
+        lastError: null,
+        lastCheckedAt: null
+      };
+    });
+
+    // Probe every endpoint in the background; unref so scripts can still exit
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch((error) => {
+        console.error('Error checking RPC endpoint health:', error);
+      });
+    }, options.healthCheckInterval ?? 15000);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Hide API keys in endpoint URLs for logs and health output
+   * @param {string} url - RPC URL
+   * @returns {string} URL with its path and query redacted
+   */
+  static redactUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.pathname.length > 1 ? `${parsed.origin}/***` : parsed.origin;
+    } catch (error) {
+      return 'invalid-url';
+    }
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  /**
+   * Highest block number reported by any endpoint
+   * @returns {number|null} Block number
+   */
+  getHighestBlock() {
+    const blocks = this.endpoints
+      .map((endpoint) => endpoint.blockNumber)
+      .filter((blockNumber) => blockNumber !== null);
+    return blocks.length > 0 ? Math.max(...blocks) : null;
+  }
+
+  /**
+   * Blocks an endpoint is behind the highest known block
+   * @param {Object} endpoint - Pool endpoint
+   * @returns {number} Block lag
+   */
+  getBlockLag(endpoint) {
+    const highest = this.getHighestBlock();
+    if (highest === null || endpoint.blockNumber === null) {
+      return 0;
+    }
+    return highest - endpoint.blockNumber;
+  }
+
+  /**
+   * Check whether an endpoint should receive requests
+   * @param {Object} endpoint - Pool endpoint
+   * @returns {boolean} True if usable
+   */
+  isAvailable(endpoint) {
+    return (
+      !endpoint.chainIdMismatch &&
+      endpoint.cooldownUntil <= Date.now() &&
+      this.getBlockLag(endpoint) <= this.maxBlockLag
+    );
+  }
+
+  /**
+   * Health score for an endpoint; lower is better
+   * @param {Object} endpoint - Pool endpoint
+   * @returns {number} Score
+   */
+  getScore(endpoint) {
+    return (
+      (endpoint.latency ?? 0) +
+      endpoint.errorRate * ERROR_RATE_PENALTY +
+      this.getBlockLag(endpoint) * BLOCK_LAG_PENALTY
+    );
+  }
+
+  /**
+   * Endpoints in the order they should be tried
+   * @returns {Array<Object>} Endpoints, usable ones first, each group by score
+   */
+  rankEndpoints() {
+    return [...this.endpoints].sort((a, b) => {
+      const availability = Number(this.isAvailable(b)) - Number(this.isAvailable(a));
+      return availability || this.getScore(a) - this.getScore(b);
+    });
+  }
+
+  /**
+   * Update an endpoint's stats after a successful request
+   * @param {Object} endpoint - Pool endpoint
+   * @param {number} latency - Request latency in ms
+   */
+  recordSuccess(endpoint, latency) {
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : endpoint.latency * (1 - SAMPLE_WEIGHT) + latency * SAMPLE_WEIGHT;
+    endpoint.errorRate *= 1 - SAMPLE_WEIGHT;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+  }
+
+  /**
+   * Update an endpoint's stats after a failed request
+   * @param {Object} endpoint - Pool endpoint
+   * @param {Error} error - Request error
+   */
+  recordFailure(endpoint, error) {
+    endpoint.errorRate = endpoint.errorRate * (1 - SAMPLE_WEIGHT) + SAMPLE_WEIGHT;
+    endpoint.consecutiveFailures += 1;
+    endpoint.lastError = error.shortMessage || error.message;
+
+    if (endpoint.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      endpoint.cooldownUntil = Date.now() + COOLDOWN_MS;
+      console.warn(`RPC endpoint ${endpoint.name} taken out of rotation: ${endpoint.lastError}`);
+    }
+  }
+
+  async _perform(req) {
+    let lastError;
+
+    for (const endpoint of this.rankEndpoints()) {
+      const startedAt = Date.now();
+      try {
+        const result = await endpoint.provider._perform(req);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+
+        if (req.method === 'getBlockNumber') {
+          endpoint.blockNumber = Math.max(endpoint.blockNumber ?? 0, Number(result));
+        }
+        return result;
+      } catch (error) {
+        if (NON_RETRYABLE_ERRORS.includes(error.code)) {
+          this.recordSuccess(endpoint, Date.now() - startedAt);
+          throw error;
+        }
+
+        this.recordFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Probe every endpoint for chain ID, block height and latency
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        const [chainId, blockNumber] = await Promise.all([
+          endpoint.provider.send('eth_chainId', []),
+          endpoint.provider.send('eth_blockNumber', [])
+        ]);
+
+        endpoint.chainIdMismatch = Number(chainId) !== this.chainId;
+        if (endpoint.chainIdMismatch) {
+          endpoint.lastError = `Endpoint is on chain ${Number(chainId)}, expected ${this.chainId}`;
+        }
+        endpoint.blockNumber = Number(blockNumber);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+      } finally {
+        endpoint.lastCheckedAt = new Date();
+      }
+    }));
+  }
+
+  /**
+   * Status of every endpoint, in routing order
+   * @returns {Array<Object>} Endpoint status
+   */
+  getEndpointStatus() {
+    return this.rankEndpoints().map((endpoint) => ({
+      url: endpoint.name,
+      available: this.isAvailable(endpoint),
+      latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      blockNumber: endpoint.blockNumber,
+      blockLag: this.getBlockLag(endpoint),
+      score: Math.round(this.getScore(endpoint)),
+      consecutiveFailures: endpoint.consecutiveFailures,
+      cooldownUntil: endpoint.cooldownUntil > Date.now() ? new Date(endpoint.cooldownUntil) : null,
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt
+    }));
+  }
+
+  destroy() {
+    clearInterval(this.healthTimer);
+    this.endpoints.forEach((endpoint) => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
+
+module.exports = ProviderPool;
@@ -0,0 +1,166 @@
+/**
+ * Relayer Service
+ * Submits gasless deposits signed by users with EIP-2612 permits
+ * 
+ * 
+ */
+
+const { ethers } = require('ethers');
+const {
+  provider,
+  signer,
+  bazuuSaveContract,
+  usdcContract
+} = require('../config/blockchain');
+const txManager = require('./txmanager');
+const { SimulationError } = require('./simulation');
+
+// EIP-712 types for an EIP-2612 permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Cached USDC EIP-712 domain (it never changes for a deployment)
+let permitDomain = null;
+
+/**
+ * Get the EIP-712 domain of the USDC contract
+ * @returns {Promise<Object>} EIP-712 domain
+ */
+const getPermitDomain = async () => {
+  if (permitDomain) {
+    return permitDomain;
+  }
+  
+  const [name, network] = await Promise.all([
+    usdcContract.name(),
+    provider.getNetwork()
+  ]);
+  
+  // Tokens without version() sign with version "1"
+  let version = '1';
+  try {
+    version = await usdcContract.version();
+  } catch (error) {
+    console.log('USDC contract has no version(), defaulting permit version to 1');
+  }
+  
+  permitDomain = {
+    name,
+    version,
+    chainId: network.chainId,
+    verifyingContract: usdcContract.target
+  };
+  
+  return permitDomain;
+};
+
+/**
+ * Build the EIP-712 typed data for a permit to the BazuuSave contract
+ * @param {string} owner - Token owner's wallet address
+ * @param {bigint} value - Permitted amount in USDC base units
+ * @param {number} deadline - Permit deadline (unix timestamp)
+ * @returns {Promise<Object>} Domain, types and message to sign
+ */
+const buildPermit = async (owner, value, deadline) => {
+  const [domain, nonce] = await Promise.all([
+    getPermitDomain(),
+    usdcContract.nonces(owner)
+  ]);
+  
+  return {
+    domain,
+    types: PERMIT_TYPES,
+    message: {
+      owner,
+      spender: bazuuSaveContract.target,
+      value,
+      nonce,
+      deadline
+    }
+  };
+};
+
+/**
+ * Verify that a permit signature was produced by the owner for the BazuuSave contract
+ * @param {string} owner - Token owner's wallet address
+ * @param {bigint} value - Permitted amount in USDC base units
+ * @param {number} deadline - Permit deadline (unix timestamp)
+ * @param {string} signature - Permit signature
+ * @returns {Promise<ethers.Signature>} Parsed signature
+ */
+const verifyPermit = async (owner, value, deadline, signature) => {
+  const { domain, types, message } = await buildPermit(owner, value, deadline);
+  
+  const recovered = ethers.verifyTypedData(domain, types, message, signature);
+  if (recovered.toLowerCase() !== owner.toLowerCase()) {
+    throw new Error('Permit signature does not match owner');
+  }
+  
+  return ethers.Signature.from(signature);
+};
+
+/**
+ * Relay a permit-based deposit, paying gas from the server signer
+ * @param {string} owner - Depositor's wallet address
+ * @param {string} amount - Amount to deposit in USDC
+ * @param {number} deadline - Permit deadline (unix timestamp)
+ * @param {string} signature - Permit signature from the owner
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const relayDepositWithPermit = async (owner, amount, deadline, signature) => {
+  try {
+    if (!signer) {
+      throw new Error('Relayer signer is not configured');
+    }
+    
+    if (Number(deadline) <= Math.floor(Date.now() / 1000)) {
+      throw new Error('Permit deadline has passed');
+    }
+    
+    const amountWei = ethers.parseUnits(amount.toString(), 6);
+    if (amountWei <= 0n) {
+      throw new Error('Amount must be greater than zero');
+    }
+    
+    // Don't pay gas for a deposit that cannot succeed
+    const walletBalance = await usdcContract.balanceOf(owner);
+    if (walletBalance < amountWei) {
+      throw new SimulationError({
+        code: 'INSUFFICIENT_USDC_BALANCE',
+        reason: 'Insufficient USDC balance',
+        details: {
+          balance: ethers.formatUnits(walletBalance, 6),
+          needed: ethers.formatUnits(amountWei, 6)
+        }
+      });
+    }
+    
+    const sig = await verifyPermit(owner, amountWei, deadline, signature);
+    
+    return await txManager.sendContractTransaction(bazuuSaveContract, 'depositWithPermit', [
+      owner,
+      amountWei,
+      deadline,
+      sig.v,
+      sig.r,
+      sig.s
+    ]);
+  } catch (error) {
+    console.error(`Error relaying permit deposit for ${owner}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getPermitDomain,
+  buildPermit,
+  verifyPermit,
+  relayDepositWithPermit
+};
@@ -0,0 +1,236 @@
+/**
+ * Simulation Service
+ * Runs contract calls with eth_call before they are sent or handed to a wallet to sign,
+ * and decodes revert reasons into error codes the app can show users
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const BazuuSaveABI = require('../contracts/BazuuSave.json').abi;
+const BazuuChamaABI = require('../contracts/BazuuChama.json').abi;
+const { provider } = require('../config/blockchain');
+
+// Selectors of Solidity's built-in Error(string) and Panic(uint256)
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Custom errors from the contracts' OpenZeppelin bases and from USDC
+const errorInterface = new ethers.Interface([
+  ...new Map(
+    [...BazuuSaveABI, ...BazuuChamaABI]
+      .filter((fragment) => fragment.type === 'error')
+      .map((fragment) => [fragment.name, fragment])
+  ).values(),
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC2612ExpiredSignature(uint256 deadline)',
+  'error ERC2612InvalidSigner(address signer, address owner)'
+]);
+
+// Error codes for the contracts' revert strings
+const REVERT_REASONS = {
+  // BazuuSave
+  'Amount must be greater than zero': 'INVALID_AMOUNT',
+  'Target amount must be greater than zero': 'INVALID_AMOUNT',
+  'Insufficient balance': 'INSUFFICIENT_BALANCE',
+  'Insufficient liquidity': 'INSUFFICIENT_LIQUIDITY',
+  'Transfer failed': 'TRANSFER_FAILED',
+  'Permit failed': 'PERMIT_FAILED',
+  'Goal not found': 'GOAL_NOT_FOUND',
+  'Goal already completed': 'GOAL_ALREADY_COMPLETED',
+  'Goal deadline has passed': 'GOAL_DEADLINE_PASSED',
+  'Goal already released': 'GOAL_ALREADY_RELEASED',
+  'Goal is still locked': 'GOAL_LOCKED',
+  'Goal is unlocked, use releaseGoal': 'GOAL_UNLOCKED',
+  'Too many contributors': 'GOAL_CONTRIBUTOR_LIMIT',
+  'Goal is full': 'GOAL_FULL',
+  'Not a goal member': 'NOT_GOAL_MEMBER',
+  'Invalid member': 'INVALID_MEMBER',
+  'Already invited': 'ALREADY_INVITED',
+  'No invitation': 'NO_INVITATION',
+  'Not allowed': 'NOT_ALLOWED',
+  'Invalid beneficiary': 'INVALID_BENEFICIARY',
+  'Invalid inactivity period': 'INVALID_INACTIVITY_PERIOD',
+  'Not the beneficiary': 'NOT_BENEFICIARY',
+  'User is still active': 'OWNER_STILL_ACTIVE',
+  'User has an active loan': 'OWNER_HAS_ACTIVE_LOAN',
+  'Nothing to claim': 'NOTHING_TO_CLAIM',
+  'Invalid loan duration': 'INVALID_LOAN_DURATION',
+  'Loan already active': 'LOAN_ALREADY_ACTIVE',
+  'No active loan': 'NO_ACTIVE_LOAN',
+  'Amount exceeds outstanding loan': 'AMOUNT_EXCEEDS_LOAN',
+  'Nothing to withdraw': 'NOTHING_TO_WITHDRAW',
+  'Migration is open': 'MIGRATION_OPEN',
+  // BazuuChama
+  'Contribution must be greater than zero': 'INVALID_AMOUNT',
+  'Invalid cycle duration': 'INVALID_CYCLE_DURATION',
+  'Invalid member limit': 'INVALID_MEMBER_LIMIT',
+  'Group not found': 'GROUP_NOT_FOUND',
+  'Group is not open': 'GROUP_NOT_OPEN',
+  'Group is not active': 'GROUP_NOT_ACTIVE',
+  'Group is full': 'GROUP_FULL',
+  'Already a member': 'ALREADY_MEMBER',
+  'Not a member': 'NOT_GROUP_MEMBER',
+  'Not enough members': 'NOT_ENOUGH_MEMBERS',
+  'Already contributed this round': 'ALREADY_CONTRIBUTED',
+  'Round is still open': 'ROUND_STILL_OPEN',
+  'Round has not been paid out': 'ROUND_NOT_PAID_OUT',
+  'Creator cannot leave, cancel the group instead': 'CREATOR_CANNOT_LEAVE',
+  'Only the creator can start the group': 'NOT_GROUP_CREATOR',
+  'Only the creator can cancel the group': 'NOT_GROUP_CREATOR',
+  'Only the creator can set the payout order': 'NOT_GROUP_CREATOR',
+  'Order must list every member': 'INVALID_PAYOUT_ORDER',
+  'Order contains a non-member': 'INVALID_PAYOUT_ORDER',
+  'Order contains a duplicate': 'INVALID_PAYOUT_ORDER',
+  // Uniswap SwapRouter02
+  'Too little received': 'SLIPPAGE_EXCEEDED',
+  'Transaction too old': 'SWAP_EXPIRED',
+  // USDC implementations that revert with strings
+  'ERC20: transfer amount exceeds allowance': 'INSUFFICIENT_ALLOWANCE',
+  'ERC20: transfer amount exceeds balance': 'INSUFFICIENT_USDC_BALANCE'
+};
+
+// Error codes and messages for custom errors
+const CUSTOM_ERRORS = {
+  EnforcedPause: { code: 'CONTRACT_PAUSED', reason: 'Savings are paused' },
+  ExpectedPause: { code: 'CONTRACT_NOT_PAUSED', reason: 'Only available while savings are paused' },
+  AccessControlUnauthorizedAccount: { code: 'UNAUTHORIZED', reason: 'Account is not allowed to do this' },
+  ReentrancyGuardReentrantCall: { code: 'REENTRANT_CALL', reason: 'Reentrant call' },
+  ERC20InsufficientAllowance: { code: 'INSUFFICIENT_ALLOWANCE', reason: 'USDC allowance is too low' },
+  ERC20InsufficientBalance: { code: 'INSUFFICIENT_USDC_BALANCE', reason: 'Insufficient USDC balance' },
+  ERC2612ExpiredSignature: { code: 'PERMIT_EXPIRED', reason: 'Permit has expired' },
+  ERC2612InvalidSigner: { code: 'INVALID_PERMIT', reason: 'Permit signature is invalid' }
+};
+
+/**
+ * A call that would revert, with its decoded reason
+ */
+class SimulationError extends Error {
+  /**
+   * @param {Object} revert - Decoded revert (code, reason, details)
+   */
+  constructor({ code, reason, details }) {
+    super(reason);
+    this.name = 'SimulationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Decode revert data into an error code and message
+ * @param {string} data - Revert data (hex)
+ * @returns {Object} code, reason and details
+ */
+const decodeRevertData = (data) => {
+  const selector = ethers.dataSlice(data, 0, 4);
+
+  if (selector === ERROR_SELECTOR) {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+    return { code: REVERT_REASONS[reason] || 'REVERTED', reason, details: null };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [panicCode] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4));
+    return { code: 'PANIC', reason: 'Contract error', details: { panicCode: Number(panicCode) } };
+  }
+
+  const parsed = errorInterface.parseError(data);
+  if (!parsed) {
+    return { code: 'REVERTED', reason: 'Transaction would revert', details: { data } };
+  }
+
+  const known = CUSTOM_ERRORS[parsed.name] || { code: 'REVERTED', reason: parsed.name };
+  let details = { error: parsed.name };
+  if (parsed.name === 'ERC20InsufficientAllowance') {
+    details = {
+      ...details,
+      allowance: ethers.formatUnits(parsed.args.allowance, 6),
+      needed: ethers.formatUnits(parsed.args.needed, 6)
+    };
+  } else if (parsed.name === 'ERC20InsufficientBalance') {
+    details = {
+      ...details,
+      balance: ethers.formatUnits(parsed.args.balance, 6),
+      needed: ethers.formatUnits(parsed.args.needed, 6)
+    };
+  }
+
+  return { ...known, details };
+};
+
+/**
+ * Decode why a call reverted from the error ethers threw
+ * @param {Error} error - CALL_EXCEPTION error
+ * @returns {Object} code, reason and details
+ */
+const decodeRevert = (error) => {
+  if (error.data && ethers.dataLength(error.data) >= 4) {
+    return decodeRevertData(error.data);
+  }
+  // Some nodes only return the reason string
+  if (error.reason) {
+    return { code: REVERT_REASONS[error.reason] || 'REVERTED', reason: error.reason, details: null };
+  }
+  return { code: 'REVERTED', reason: 'Transaction would revert', details: null };
+};
+
+/**
+ * Simulate a call with eth_call against the latest block
+ * @param {Object} request - Call (from, to, data, value)
+ * @param {ethers.Provider} callProvider - Provider to simulate on
+ * @returns {Promise<Object>} { reverted: false }, or { reverted: true, code, reason, details }
+ */
+const simulateCall = async (request, callProvider = provider) => {
+  try {
+    await callProvider.call(request);
+    return { reverted: false };
+  } catch (error) {
+    // Anything else is a problem reaching the node, not an answer about the call
+    if (error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+    return { reverted: true, ...decodeRevert(error) };
+  }
+};
+
+/**
+ * Simulate a call and throw if it would revert
+ * @param {Object} request - Call (from, to, data, value)
+ * @param {ethers.Provider} callProvider - Provider to simulate on
+ * @throws {SimulationError} If the call would revert
+ */
+const assertSimulates = async (request, callProvider = provider) => {
+  const { reverted, ...revert } = await simulateCall(request, callProvider);
+  if (reverted) {
+    throw new SimulationError(revert);
+  }
+};
+
+/**
+ * Answer a request with a 400 if its call would revert
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while preparing or sending the call
+ * @returns {boolean} Whether the error was a revert and has been answered
+ */
+const sendSimulationError = (res, error) => {
+  if (!(error instanceof SimulationError)) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+  return true;
+};
+
+module.exports = {
+  SimulationError,
+  decodeRevert,
+  simulateCall,
+  assertSimulates,
+  sendSimulationError
+};
@@ -0,0 +1,391 @@
+/**
+ * Swap-and-Deposit Service
+ * Lets wallet users save in ETH or any ERC-20 token. The user signs one bundle: an approval
+ * of exactly the amount being swapped when the router needs one, a Uniswap swap to USDC
+ * with their chosen slippage, and a USDC permit for the swap's minimum output. Once the
+ * swap confirms, the permit deposit is relayed into BazuuSave and linked to the swap. The
+ * permit fixes the deposit at the minimum output, so any USDC the swap returns above it
+ * stays in the wallet; the expected and actual leftover are reported to the app.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const TxIntent = require('../models/txintent');
+const Transaction = require('../models/transaction');
+const uniswapService = require('./uniswap');
+const relayerService = require('./relayerservice');
+const transactionBuilder = require('./transactionbuilder');
+const feeService = require('./feeservice');
+const simulation = require('./simulation');
+const { SimulationError } = simulation;
+const { provider, getChainContext, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+
+// Native ETH is swapped as WETH, which the router wraps
+const NATIVE_TOKEN = 'ETH';
+
+// Intents prepared by this service, which are only relayed with their permit
+const INTENT_ACTIONS = ['approveSwap', 'swapAndDeposit'];
+
+// Slippage the user can choose, in basis points
+const DEFAULT_SLIPPAGE_BPS = 50;
+const MAX_SLIPPAGE_BPS = 1000;
+
+// How long the swap and the deposit permit stay valid, in seconds
+const SWAP_DEADLINE = 20 * 60;
+const PERMIT_DEADLINE = 60 * 60;
+
+// Router and token transfer gas on top of the quoter's pool estimate, for a swap that cannot
+// be estimated until its approval is mined
+const SWAP_OVERHEAD_GAS = 100000n;
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+/**
+ * Quote swapping ETH or an ERC-20 token to USDC
+ * @param {string} tokenIn - Token address, or ETH
+ * @param {string} amount - Amount in whole tokens
+ * @param {number} slippageBps - Largest accepted shortfall from the quote, in basis points
+ * @returns {Promise<Object>} Token, amounts in base units and the Uniswap quote
+ */
+const buildQuote = async (tokenIn, amount, slippageBps) => {
+  const native = tokenIn.toUpperCase() === NATIVE_TOKEN;
+  const { weth } = uniswapService.getDeployment(DEFAULT_CHAIN_ID);
+  const tokenAddress = native ? weth : ethers.getAddress(tokenIn);
+  const decimals = native ? 18 : await uniswapService.getDecimals(tokenAddress);
+
+  const amountIn = ethers.parseUnits(amount.toString(), decimals);
+  const quote = await uniswapService.quoteToUSDC(tokenAddress, amountIn);
+  const amountOutMinimum = (quote.amountOut * BigInt(10000 - slippageBps)) / 10000n;
+
+  return {
+    tokenIn: native ? NATIVE_TOKEN : tokenAddress,
+    tokenAddress,
+    native,
+    decimals,
+    amountIn,
+    amountOutMinimum,
+    slippageBps,
+    quote
+  };
+};
+
+/**
+ * Describe a quote for the app
+ * @param {Object} swap - Result of buildQuote
+ * @returns {Object} Quote with amounts in whole tokens
+ */
+const formatQuote = (swap) => ({
+  chainId: DEFAULT_CHAIN_ID,
+  tokenIn: swap.tokenIn,
+  amountIn: ethers.formatUnits(swap.amountIn, swap.decimals),
+  route: swap.quote.tokens,
+  fees: swap.quote.pools.map((pool) => pool.fee),
+  amountOut: ethers.formatUnits(swap.quote.amountOut, 6),
+  amountOutMinimum: ethers.formatUnits(swap.amountOutMinimum, 6),
+  slippageBps: swap.slippageBps,
+  gasEstimate: swap.quote.gasEstimate.toString()
+});
+
+/**
+ * Quote swapping ETH or an ERC-20 token to USDC over the best Uniswap route
+ * @param {string} tokenIn - Token address, or ETH
+ * @param {string} amount - Amount in whole tokens
+ * @param {number} slippageBps - Largest accepted shortfall from the quote, in basis points
+ * @returns {Promise<Object>} Route, expected USDC and the minimum the swap will accept
+ */
+const quoteSwap = async (tokenIn, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) => {
+  return formatQuote(await buildQuote(tokenIn, amount, slippageBps));
+};
+
+/**
+ * Prepare a swap-and-deposit bundle for the user's wallet to sign
+ * @param {Object} user - User document with a self-custody wallet
+ * @param {Object} params - tokenIn (address or ETH), amount (whole tokens), slippageBps
+ * @returns {Promise<Object>} Swap intent and transaction, the approval to sign first (or null),
+ *   the USDC permit to sign, the quote, and the USDC expected to be left in the wallet
+ * @throws {SimulationError} If the wallet does not hold the tokens or the swap would revert
+ */
+const prepareSwapAndDeposit = async (user, { tokenIn, amount, slippageBps = DEFAULT_SLIPPAGE_BPS }) => {
+  try {
+    const from = user.walletAddress;
+    const swap = await buildQuote(tokenIn, amount, slippageBps);
+    const { swapRouter } = uniswapService.getDeployment(DEFAULT_CHAIN_ID);
+    const token = new ethers.Contract(swap.tokenAddress, ERC20_ABI, provider);
+
+    const balance = swap.native ? await provider.getBalance(from) : await token.balanceOf(from);
+    if (balance < swap.amountIn) {
+      throw new SimulationError({
+        code: 'INSUFFICIENT_TOKEN_BALANCE',
+        reason: `Insufficient ${swap.tokenIn === NATIVE_TOKEN ? NATIVE_TOKEN : 'token'} balance`,
+        details: {
+          balance: ethers.formatUnits(balance, swap.decimals),
+          needed: ethers.formatUnits(swap.amountIn, swap.decimals)
+        }
+      });
+    }
+
+    const needsApproval = !swap.native && (await token.allowance(from, swapRouter)) < swap.amountIn;
+    const [nonce, feeData] = await Promise.all([
+      provider.getTransactionCount(from, 'pending'),
+      feeService.getFeeData(DEFAULT_CHAIN_ID)
+    ]);
+    const expiresAt = new Date(Date.now() + transactionBuilder.INTENT_TTL);
+    const withBuffer = (gas) => gas + (gas * transactionBuilder.GAS_BUFFER_PERCENT) / 100n;
+    const unsignedTransaction = (call, intentNonce, gasLimit) => ({
+      type: 2,
+      from,
+      to: call.to,
+      data: call.data,
+      value: call.value.toString(),
+      nonce: intentNonce,
+      chainId: DEFAULT_CHAIN_ID,
+      gasLimit: gasLimit.toString(),
+      maxFeePerGas: feeData.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString()
+    });
+
+    // Approve the router for exactly this swap
+    let approval = null;
+    if (needsApproval) {
+      const call = {
+        to: swap.tokenAddress,
+        data: token.interface.encodeFunctionData('approve', [swapRouter, swap.amountIn]),
+        value: 0n
+      };
+      const gasEstimate = await provider.estimateGas({ from, to: call.to, data: call.data });
+      const approvalIntent = await TxIntent.create({
+        userId: user._id,
+        action: 'approveSwap',
+        from,
+        to: call.to,
+        data: call.data,
+        nonce,
+        chainId: DEFAULT_CHAIN_ID,
+        params: { amount: 0, tokenIn: swap.tokenIn },
+        expiresAt
+      });
+      approval = {
+        intentId: approvalIntent._id,
+        transaction: unsignedTransaction(call, nonce, withBuffer(gasEstimate))
+      };
+    }
+
+    const swapCall = uniswapService.buildSwapToUSDC(swap.quote, {
+      recipient: from,
+      amountIn: swap.amountIn,
+      amountOutMinimum: swap.amountOutMinimum,
+      deadline: Math.floor(Date.now() / 1000) + SWAP_DEADLINE,
+      native: swap.native
+    });
+
+    let swapGas;
+    if (approval) {
+      swapGas = swap.quote.gasEstimate + SWAP_OVERHEAD_GAS;
+    } else {
+      await simulation.assertSimulates({ from, ...swapCall }, provider);
+      swapGas = await provider.estimateGas({ from, ...swapCall });
+    }
+
+    // The user permits BazuuSave to take the swap's minimum output, which the relayer deposits
+    const permitDeadline = Math.floor(Date.now() / 1000) + PERMIT_DEADLINE;
+    const permit = await relayerService.buildPermit(from, swap.amountOutMinimum, permitDeadline);
+
+    const swapNonce = approval ? nonce + 1 : nonce;
+    const intent = await TxIntent.create({
+      userId: user._id,
+      action: 'swapAndDeposit',
+      from,
+      to: swapCall.to,
+      data: swapCall.data,
+      value: swapCall.value.toString(),
+      nonce: swapNonce,
+      chainId: DEFAULT_CHAIN_ID,
+      params: {
+        amount: parseFloat(ethers.formatUnits(swap.amountOutMinimum, 6)),
+        tokenIn: swap.tokenIn,
+        amountIn: swap.amountIn.toString(),
+        quotedAmountOut: swap.quote.amountOut.toString(),
+        amountOutMinimum: swap.amountOutMinimum.toString(),
+        permitDeadline,
+        afterIntentId: approval ? approval.intentId.toString() : undefined
+      },
+      expiresAt
+    });
+
+    return {
+      intentId: intent._id,
+      expiresAt,
+      quote: formatQuote(swap),
+      depositAmount: ethers.formatUnits(swap.amountOutMinimum, 6),
+      // Output above the minimum is not covered by the permit and stays in the wallet
+      expectedLeftover: ethers.formatUnits(swap.quote.amountOut - swap.amountOutMinimum, 6),
+      approval,
+      transaction: unsignedTransaction(swapCall, swapNonce, withBuffer(swapGas)),
+      permit: {
+        domain: { ...permit.domain, chainId: Number(permit.domain.chainId) },
+        types: permit.types,
+        message: {
+          ...permit.message,
+          value: permit.message.value.toString(),
+          nonce: permit.message.nonce.toString()
+        }
+      }
+    };
+  } catch (error) {
+    console.error(`Error preparing swap-and-deposit for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Relay a signed swap-and-deposit bundle and record the swap. The deposit is relayed once
+ * the swap confirms.
+ * @param {Object} user - User document
+ * @param {Object} signed - intentId, signedTx, approvalSignedTx (when an approval was prepared), permitSignature
+ * @returns {Promise<Object>} Swap Transaction
+ */
+const broadcastSwapAndDeposit = async (user, { intentId, signedTx, approvalSignedTx, permitSignature }) => {
+  try {
+    const intent = await TxIntent.findOne({ _id: intentId, userId: user._id, action: 'swapAndDeposit' });
+    if (!intent) {
+      throw new Error('Prepared swap not found');
+    }
+    const { params } = intent;
+
+    // Don't swap unless the output can be deposited
+    await relayerService.verifyPermit(
+      intent.from,
+      BigInt(params.amountOutMinimum),
+      params.permitDeadline,
+      permitSignature
+    );
+
+    if (params.afterIntentId) {
+      const approvalIntent = await TxIntent.findOne({ _id: params.afterIntentId, userId: user._id });
+      if (approvalIntent && approvalIntent.status === 'prepared') {
+        if (!approvalSignedTx) {
+          throw new Error('Signed approval is required');
+        }
+        await transactionBuilder.broadcastTransaction(user, params.afterIntentId, approvalSignedTx);
+      }
+    }
+
+    const { transaction } = await transactionBuilder.broadcastTransaction(user, intentId, signedTx, {
+      type: 'swap',
+      swap: {
+        tokenIn: params.tokenIn,
+        amountIn: params.amountIn,
+        quotedAmountOut: params.quotedAmountOut,
+        amountOutMinimum: params.amountOutMinimum,
+        permit: {
+          deadline: params.permitDeadline,
+          signature: permitSignature
+        }
+      }
+    });
+
+    return { transaction };
+  } catch (error) {
+    console.error(`Error broadcasting swap-and-deposit for intent ${intentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read how much USDC a confirmed swap sent to the user's wallet
+ * @param {Object} swap - Swap Transaction document
+ * @returns {Promise<bigint>} USDC received, in base units
+ */
+const findSwapOutput = async (swap) => {
+  const { provider: chainProvider, usdcContract } = getChainContext(swap.chainId);
+  const receipt = await chainProvider.getTransactionReceipt(swap.txHash);
+  const usdcAddress = (await usdcContract.getAddress()).toLowerCase();
+  const erc20 = new ethers.Interface(ERC20_ABI);
+
+  let amountOut = 0n;
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== usdcAddress) {
+      continue;
+    }
+    const parsed = erc20.parseLog(log);
+    if (parsed && parsed.name === 'Transfer' && parsed.args.to.toLowerCase() === swap.walletAddress) {
+      amountOut += parsed.args.value;
+    }
+  }
+  return amountOut;
+};
+
+/**
+ * Deposit the USDC from confirmed swaps that have not been deposited yet, and record what
+ * each swap actually returned
+ */
+const depositSwapOutputs = async () => {
+  const swaps = await Transaction.find({
+    type: 'swap',
+    status: 'completed',
+    linkedTransactionId: { $exists: false },
+    'swap.permit.signature': { $exists: true },
+    'swap.depositError': { $exists: false }
+  });
+
+  for (const swap of swaps) {
+    try {
+      if (swap.swap.permit.deadline <= Math.floor(Date.now() / 1000)) {
+        swap.swap.depositError = 'Permit expired before the swap was confirmed';
+        await swap.save();
+        continue;
+      }
+
+      if (!swap.swap.amountOut) {
+        swap.swap.amountOut = (await findSwapOutput(swap)).toString();
+      }
+
+      const amount = ethers.formatUnits(swap.swap.amountOutMinimum, 6);
+      const tx = await relayerService.relayDepositWithPermit(
+        swap.walletAddress,
+        amount,
+        swap.swap.permit.deadline,
+        swap.swap.permit.signature
+      );
+
+      const deposit = await Transaction.create({
+        userId: swap.userId,
+        type: 'deposit',
+        amount: parseFloat(amount),
+        status: 'pending',
+        txHash: tx.hash,
+        walletAddress: swap.walletAddress,
+        chainId: swap.chainId,
+        linkedTransactionId: swap._id
+      });
+
+      swap.linkedTransactionId = deposit._id;
+      await swap.save();
+    } catch (error) {
+      console.error(`Error depositing the output of swap ${swap.txHash}:`, error);
+
+      // A deposit that would revert will not succeed later; other errors are retried
+      if (error instanceof SimulationError) {
+        swap.swap.depositError = error.message;
+        await swap.save();
+      }
+    }
+  }
+};
+
+module.exports = {
+  NATIVE_TOKEN,
+  INTENT_ACTIONS,
+  DEFAULT_SLIPPAGE_BPS,
+  MAX_SLIPPAGE_BPS,
+  quoteSwap,
+  prepareSwapAndDeposit,
+  broadcastSwapAndDeposit,
+  depositSwapOutputs
+};
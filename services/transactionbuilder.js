@@ -0,0 +1,648 @@
+/**
+ * Transaction Builder Service
+ * Prepares unsigned BazuuSave transactions for users to sign in their own wallets,
+ * and relays the signed transactions once they match what was prepared
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const TxIntent = require('../models/txintent');
+const Transaction = require('../models/transaction');
+const Goal = require('../models/goal');
+const Loan = require('../models/loan');
+const Group = require('../models/group');
+const User = require('../models/user');
+const simulation = require('./simulation');
+const { provider, bazuuSaveContract, chamaContract, usdcContract } = require('../config/blockchain');
+
+// Prepared transactions expire after 10 minutes
+const INTENT_TTL = 10 * 60 * 1000;
+
+// Extra gas on top of the estimate, in percent
+const GAS_BUFFER_PERCENT = 20n;
+
+// Gas for calls that can't be estimated until their USDC approval is mined; unused gas is not charged
+const APPROVED_CALL_GAS = {
+  deposit: 250000n,
+  repayLoan: 250000n
+};
+
+/**
+ * Find a savings group by its database ID
+ * @param {string} groupId - Group ID
+ * @param {boolean} registered - Require the group to exist on-chain
+ * @returns {Promise<Object>} Group document
+ */
+const findGroup = async (groupId, registered = true) => {
+  const group = await Group.findById(groupId);
+  if (!group) {
+    throw new Error('Group not found');
+  }
+  if (registered && !group.blockchain.groupId) {
+    throw new Error('Group is not registered on-chain');
+  }
+  return group;
+};
+
+/**
+ * Define a BazuuChama action on an existing group
+ * @param {string} method - Contract method, called with the on-chain group ID first
+ * @param {Function} buildArgs - Extra arguments from the group and params
+ * @param {string|null} transactionType - Transaction type to record
+ * @returns {Object} Action definition
+ */
+const groupAction = (method, buildArgs = () => [], transactionType = null) => ({
+  contract: 'chama',
+  transactionType,
+  build: async (user, params) => {
+    const group = await findGroup(params.groupId);
+    return {
+      method,
+      args: [group.blockchain.groupId, ...buildArgs(group, params)],
+      amount: transactionType ? group.contributionAmount : 0,
+      groupId: group._id.toString()
+    };
+  }
+});
+
+/**
+ * Define a BazuuSave action that releases one of the user's registered goals
+ * @param {string} method - releaseGoal, or breakGoal to release a locked goal early
+ * @returns {Object} Action definition
+ */
+const goalReleaseAction = (method) => ({
+  transactionType: null,
+  build: async (user, params) => {
+    const goal = await findUserGoal(user, params.goalId);
+    if (!goal.blockchain.registered || !goal.blockchain.goalId) {
+      throw new Error('Goal is not registered on-chain');
+    }
+    return {
+      method,
+      args: [goal.blockchain.goalId],
+      amount: 0,
+      goalId: goal._id.toString()
+    };
+  }
+});
+
+/**
+ * Supported actions, mapped to the contract call and the Transaction type they create.
+ * Group actions call BazuuChama; actions without a Transaction type are not recorded.
+ * Calls that pull USDC from the wallet return the amount BazuuSave must be approved for.
+ */
+const ACTIONS = {
+  deposit: {
+    transactionType: 'deposit',
+    build: async (user, params) => {
+      const amount = ethers.parseUnits(params.amount.toString(), 6);
+      return {
+        method: 'deposit',
+        args: [amount],
+        amount: parseFloat(params.amount),
+        approve: amount
+      };
+    }
+  },
+  withdraw: {
+    transactionType: 'withdrawal',
+    build: async (user, params) => ({
+      method: 'withdraw',
+      args: [ethers.parseUnits(params.amount.toString(), 6)],
+      amount: parseFloat(params.amount)
+    })
+  },
+  createGoal: {
+    transactionType: 'goal_creation',
+    build: async (user, params) => {
+      const goal = await findUserGoal(user, params.goalId);
+      const durationInDays = Math.max(
+        0,
+        Math.ceil((new Date(goal.deadline) - Date.now()) / (1000 * 60 * 60 * 24))
+      );
+      return {
+        method: 'createGoal',
+        args: [goal.name, ethers.parseUnits(goal.targetAmount.toString(), 6), durationInDays],
+        amount: 0,
+        goalId: goal._id.toString()
+      };
+    }
+  },
+  contributeToGoal: {
+    transactionType: 'goal_contribution',
+    build: async (user, params) => {
+      const goal = await findUserGoal(user, params.goalId);
+      if (!goal.blockchain.registered || !goal.blockchain.goalId) {
+        throw new Error('Goal is not registered on-chain');
+      }
+      return {
+        method: 'contributeToGoal',
+        args: [goal.blockchain.goalId, ethers.parseUnits(params.amount.toString(), 6)],
+        amount: parseFloat(params.amount),
+        goalId: goal._id.toString()
+      };
+    }
+  },
+  contributeToSharedGoal: {
+    transactionType: 'goal_contribution',
+    build: async (user, params) => {
+      const { goal, ownerAddress } = await findSharedGoal(params.goalId);
+      return {
+        method: 'contributeToSharedGoal',
+        args: [ownerAddress, goal.blockchain.goalId, ethers.parseUnits(params.amount.toString(), 6)],
+        amount: parseFloat(params.amount),
+        goalId: goal._id.toString()
+      };
+    }
+  },
+  inviteGoalMember: {
+    transactionType: null,
+    build: async (user, params) => {
+      const goal = await findUserGoal(user, params.goalId);
+      if (!goal.blockchain.registered || !goal.blockchain.goalId) {
+        throw new Error('Goal is not registered on-chain');
+      }
+      return {
+        method: 'inviteGoalMember',
+        args: [goal.blockchain.goalId, params.memberAddress],
+        amount: 0,
+        goalId: goal._id.toString(),
+        memberAddress: params.memberAddress
+      };
+    }
+  },
+  acceptGoalInvite: {
+    transactionType: null,
+    build: async (user, params) => {
+      const { goal, ownerAddress } = await findSharedGoal(params.goalId);
+      return {
+        method: 'acceptGoalInvite',
+        args: [ownerAddress, goal.blockchain.goalId],
+        amount: 0,
+        goalId: goal._id.toString()
+      };
+    }
+  },
+  removeGoalMember: {
+    transactionType: null,
+    build: async (user, params) => {
+      const { goal, ownerAddress } = await findSharedGoal(params.goalId);
+      return {
+        method: 'removeGoalMember',
+        args: [ownerAddress, goal.blockchain.goalId, params.memberAddress],
+        amount: 0,
+        goalId: goal._id.toString(),
+        memberAddress: params.memberAddress
+      };
+    }
+  },
+  // The indexer marks the goal released once the transaction is mined
+  releaseGoal: goalReleaseAction('releaseGoal'),
+  breakGoal: goalReleaseAction('breakGoal'),
+  requestLoan: {
+    transactionType: 'loan',
+    build: async (user, params) => {
+      if (!params.durationInDays) {
+        throw new Error('Loan duration is required');
+      }
+      return {
+        method: 'requestLoan',
+        args: [ethers.parseUnits(params.amount.toString(), 6), params.durationInDays],
+        amount: parseFloat(params.amount),
+        durationInDays: params.durationInDays
+      };
+    }
+  },
+  repayLoan: {
+    transactionType: 'loan_repayment',
+    build: async (user, params) => {
+      // Repay from the savings balance, or with USDC approved from the wallet
+      const amount = ethers.parseUnits(params.amount.toString(), 6);
+      return {
+        method: params.fromSavings ? 'repayLoanFromBalance' : 'repayLoan',
+        args: [amount],
+        amount: parseFloat(params.amount),
+        approve: params.fromSavings ? undefined : amount
+      };
+    }
+  },
+  setBeneficiary: {
+    transactionType: null,
+    build: async (user, params) => ({
+      // A zero address removes the nomination
+      method: 'setBeneficiary',
+      args: [params.beneficiaryAddress || ethers.ZeroAddress, (params.inactivityDays || 0) * 86400],
+      amount: 0
+    })
+  },
+  checkIn: {
+    transactionType: null,
+    build: async () => ({
+      method: 'checkIn',
+      args: [],
+      amount: 0
+    })
+  },
+  claimInheritance: {
+    transactionType: 'inheritance',
+    build: async (user, params) => ({
+      method: 'claimInheritance',
+      args: [params.ownerAddress],
+      amount: parseFloat(ethers.formatUnits(
+        await bazuuSaveContract.getEmergencyExitAmount(params.ownerAddress),
+        6
+      ))
+    })
+  },
+  emergencyExit: {
+    transactionType: 'withdrawal',
+    build: async (user) => ({
+      method: 'emergencyExit',
+      args: [],
+      amount: parseFloat(ethers.formatUnits(
+        await bazuuSaveContract.getEmergencyExitAmount(user.walletAddress),
+        6
+      ))
+    })
+  },
+  createGroup: {
+    contract: 'chama',
+    transactionType: null,
+    build: async (user, params) => {
+      const group = await findGroup(params.groupId, false);
+      return {
+        method: 'createGroup',
+        args: [
+          group.name,
+          ethers.parseUnits(group.contributionAmount.toString(), 6),
+          group.cycleDurationDays,
+          group.maxMembers
+        ],
+        amount: 0,
+        groupId: group._id.toString()
+      };
+    }
+  },
+  joinGroup: groupAction('joinGroup'),
+  leaveGroup: groupAction('leaveGroup'),
+  startGroup: groupAction('startGroup'),
+  cancelGroup: groupAction('cancelGroup'),
+  payoutGroup: groupAction('payout'),
+  setGroupPayoutOrder: groupAction('setPayoutOrder', (group, params) => [params.order]),
+  contributeToGroup: groupAction('contribute', () => [], 'group_contribution'),
+  payGroupArrears: groupAction('payArrears', (group, params) => [params.round], 'group_contribution')
+};
+
+/**
+ * Find a goal owned by the user
+ * @param {Object} user - User document
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Object>} Goal document
+ */
+const findUserGoal = async (user, goalId) => {
+  const goal = await Goal.findOne({ _id: goalId, userId: user._id });
+  if (!goal) {
+    throw new Error('Goal not found');
+  }
+  return goal;
+};
+
+/**
+ * Find a registered goal that may be shared with the user, and its owner's wallet
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Object>} Goal document and owner's wallet address
+ */
+const findSharedGoal = async (goalId) => {
+  const goal = await Goal.findById(goalId);
+  if (!goal) {
+    throw new Error('Goal not found');
+  }
+  if (!goal.blockchain.registered || !goal.blockchain.goalId) {
+    throw new Error('Goal is not registered on-chain');
+  }
+
+  const owner = await User.findById(goal.userId).select('walletAddress');
+  if (!owner || !owner.walletAddress) {
+    throw new Error('Goal owner has no wallet address');
+  }
+  return { goal, ownerAddress: owner.walletAddress };
+};
+
+/**
+ * Build an action's contract call as sent from the user's wallet
+ * @param {Object} user - User document
+ * @param {string} action - One of the ACTIONS keys
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} Call details from the action, with from, to and encoded data
+ */
+const buildCall = async (user, action, params) => {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new Error(`Unsupported action: ${action}`);
+  }
+
+  if (!user.walletAddress) {
+    throw new Error('User has no wallet address');
+  }
+
+  const contract = definition.contract === 'chama' ? chamaContract : bazuuSaveContract;
+  if (!contract) {
+    throw new Error('Savings groups are not available on this chain');
+  }
+
+  const call = await definition.build(user, params);
+  return {
+    ...call,
+    from: user.walletAddress,
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(call.method, call.args)
+  };
+};
+
+/**
+ * Simulate an action from the user's wallet without preparing it
+ * @param {Object} user - User document
+ * @param {string} action - One of the ACTIONS keys
+ * @param {Object} params - Action parameters, as for prepareTransaction
+ * @returns {Promise<Object>} Contract method and simulation result (reverted, code, reason, details)
+ */
+const simulateTransaction = async (user, action, params = {}) => {
+  try {
+    const { method, from, to, data } = await buildCall(user, action, params);
+    const result = await simulation.simulateCall({ from, to, data }, provider);
+    return { action, method, ...result };
+  } catch (error) {
+    console.error(`Error simulating ${action} transaction:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check that the wallet holds the USDC a call will pull, for calls that can't be simulated
+ * until their approval is mined
+ * @param {string} from - Wallet address
+ * @param {bigint} amount - USDC amount (6 decimals)
+ * @throws {SimulationError} If the balance is too low
+ */
+const assertUsdcBalance = async (from, amount) => {
+  const balance = await usdcContract.balanceOf(from);
+  if (balance < amount) {
+    throw new simulation.SimulationError({
+      code: 'INSUFFICIENT_USDC_BALANCE',
+      reason: 'Insufficient USDC balance',
+      details: {
+        balance: ethers.formatUnits(balance, 6),
+        needed: ethers.formatUnits(amount, 6)
+      }
+    });
+  }
+};
+
+/**
+ * Prepare an unsigned EIP-1559 transaction for the user to sign. Calls that pull USDC from
+ * the wallet come with an approval for exactly that amount when BazuuSave's allowance is too
+ * low; the approval must be signed and broadcast first, and the call is chained after it.
+ * @param {Object} user - User document
+ * @param {string} action - One of the ACTIONS keys
+ * @param {Object} params - Action parameters (amount, goalId, memberAddress, durationInDays, fromSavings,
+ *   beneficiaryAddress, inactivityDays, ownerAddress, groupId, order, round)
+ * @returns {Promise<Object>} Intent ID, unsigned transaction, and the approval to sign first (or null)
+ * @throws {SimulationError} If the transaction would revert
+ */
+const prepareTransaction = async (user, action, params = {}) => {
+  try {
+    const call = await buildCall(user, action, params);
+    const { from, to, data } = call;
+
+    const needsApproval = call.approve !== undefined && (await usdcContract.allowance(from, to)) < call.approve;
+
+    // Don't hand the wallet a transaction that would revert. Without the allowance the call
+    // can only revert, so just check the wallet can fund it.
+    if (needsApproval) {
+      await assertUsdcBalance(from, call.approve);
+    } else {
+      await simulation.assertSimulates({ from, to, data }, provider);
+    }
+
+    const [nonce, feeData, network, gasEstimate] = await Promise.all([
+      provider.getTransactionCount(from, 'pending'),
+      provider.getFeeData(),
+      provider.getNetwork(),
+      needsApproval ? APPROVED_CALL_GAS[action] : provider.estimateGas({ from, to, data })
+    ]);
+
+    const chainId = Number(network.chainId);
+    const expiresAt = new Date(Date.now() + INTENT_TTL);
+    const unsignedTransaction = (txTo, txData, txNonce, gas) => ({
+      type: 2,
+      from,
+      to: txTo,
+      data: txData,
+      value: '0',
+      nonce: txNonce,
+      chainId,
+      gasLimit: (gas + (gas * GAS_BUFFER_PERCENT) / 100n).toString(),
+      maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null
+    });
+
+    let approval = null;
+    if (needsApproval) {
+      const approveTo = usdcContract.target;
+      const approveData = usdcContract.interface.encodeFunctionData('approve', [to, call.approve]);
+      const approveGas = await provider.estimateGas({ from, to: approveTo, data: approveData });
+      const approvalIntent = await TxIntent.create({
+        userId: user._id,
+        action: 'approve',
+        from,
+        to: approveTo,
+        data: approveData,
+        nonce,
+        chainId,
+        params: { amount: 0 },
+        expiresAt
+      });
+      approval = {
+        intentId: approvalIntent._id,
+        transaction: unsignedTransaction(approveTo, approveData, nonce, approveGas)
+      };
+    }
+
+    const callNonce = approval ? nonce + 1 : nonce;
+    const intent = await TxIntent.create({
+      userId: user._id,
+      action,
+      from,
+      to,
+      data,
+      nonce: callNonce,
+      chainId,
+      params: {
+        amount: call.amount,
+        goalId: call.goalId,
+        memberAddress: call.memberAddress,
+        groupId: call.groupId,
+        durationInDays: call.durationInDays,
+        afterIntentId: approval ? approval.intentId.toString() : undefined
+      },
+      expiresAt
+    });
+
+    return {
+      intentId: intent._id,
+      expiresAt,
+      approval,
+      transaction: unsignedTransaction(to, data, callNonce, gasEstimate)
+    };
+  } catch (error) {
+    console.error(`Error preparing ${action} transaction:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check that a signed transaction matches the prepared intent
+ * @param {Object} intent - TxIntent document
+ * @param {ethers.Transaction} tx - Parsed signed transaction
+ * @returns {string|null} Mismatch description, or null if it matches
+ */
+const findIntentMismatch = (intent, tx) => {
+  if (!tx.isSigned()) return 'Transaction is not signed';
+  if (tx.type !== 2) return 'Transaction must be EIP-1559 (type 2)';
+  if (tx.from.toLowerCase() !== intent.from) return 'Signer does not match prepared sender';
+  if (!tx.to || tx.to.toLowerCase() !== intent.to) return 'Recipient does not match prepared transaction';
+  if (tx.data.toLowerCase() !== intent.data.toLowerCase()) return 'Calldata does not match prepared transaction';
+  if (tx.value.toString() !== intent.value) return 'Value does not match prepared transaction';
+  if (Number(tx.chainId) !== intent.chainId) return 'Chain ID does not match prepared transaction';
+  if (tx.nonce !== intent.nonce) return 'Nonce does not match prepared transaction';
+  return null;
+};
+
+/**
+ * Validate a signed transaction against its intent, relay it and record the Transaction
+ * @param {Object} user - User document
+ * @param {string} intentId - ID returned by prepareTransaction
+ * @param {string} signedTx - Signed raw transaction (hex)
+ * @param {Object} record - Extra fields for the Transaction record
+ * @returns {Promise<Object>} Intent and created Transaction (null for actions that are not recorded)
+ * @throws {SimulationError} If the transaction would now revert
+ */
+const broadcastTransaction = async (user, intentId, signedTx, record = {}) => {
+  try {
+    const intent = await TxIntent.findOne({ _id: intentId, userId: user._id });
+    if (!intent || intent.expiresAt < new Date()) {
+      throw new Error('Prepared transaction not found or expired');
+    }
+
+    if (intent.status !== 'prepared') {
+      throw new Error('Prepared transaction has already been broadcast');
+    }
+
+    const tx = ethers.Transaction.from(signedTx);
+    const mismatch = findIntentMismatch(intent, tx);
+    if (mismatch) {
+      throw new Error(mismatch);
+    }
+
+    // A call chained after an approval takes the next nonce, so it would be stuck without it
+    if (intent.params.afterIntentId) {
+      const previous = await TxIntent.findOne({ _id: intent.params.afterIntentId, userId: user._id });
+      if (!previous || previous.status !== 'broadcast') {
+        throw new Error('Broadcast the approval for this transaction first');
+      }
+    }
+
+    // State may have changed since the transaction was prepared. A call that depends on an
+    // earlier transaction in its bundle cannot be checked until that one is mined.
+    if (!intent.params.afterIntentId) {
+      await simulation.assertSimulates({
+        from: intent.from,
+        to: intent.to,
+        data: intent.data,
+        value: intent.value
+      }, provider);
+    }
+
+    // Claim the intent so concurrent requests can't broadcast it and record it twice
+    const claimed = await TxIntent.findOneAndUpdate(
+      { _id: intent._id, status: 'prepared' },
+      { status: 'broadcasting' }
+    );
+    if (!claimed) {
+      throw new Error('Prepared transaction has already been broadcast');
+    }
+
+    let response;
+    try {
+      response = await provider.broadcastTransaction(signedTx);
+    } catch (error) {
+      // Let the user try again
+      await TxIntent.updateOne({ _id: intent._id, status: 'broadcasting' }, { status: 'prepared' });
+      throw error;
+    }
+
+    intent.status = 'broadcast';
+    intent.txHash = response.hash;
+    await intent.save();
+
+    // Swap bundles are prepared by the swap service rather than from ACTIONS
+    const transactionType = record.type || (ACTIONS[intent.action] ? ACTIONS[intent.action].transactionType : null);
+    const transaction = transactionType
+      ? await Transaction.create({
+        userId: user._id,
+        type: transactionType,
+        amount: intent.params.amount || 0,
+        status: 'pending',
+        txHash: response.hash,
+        walletAddress: intent.from,
+        goalId: intent.params.goalId,
+        groupId: intent.params.groupId,
+        chainId: intent.chainId,
+        ...record
+      })
+      : null;
+
+    // Link the registration transaction so the on-chain goal ID can be resolved once mined
+    if (intent.action === 'createGoal') {
+      await Goal.findByIdAndUpdate(intent.params.goalId, {
+        'blockchain.txHash': response.hash,
+        'blockchain.chainId': intent.chainId
+      });
+    }
+
+    // Link the creation transaction so the on-chain group ID can be resolved once mined
+    if (intent.action === 'createGroup') {
+      await Group.findByIdAndUpdate(intent.params.groupId, {
+        'blockchain.txHash': response.hash,
+        'blockchain.chainId': intent.chainId
+      });
+    }
+
+    // Track the loan until the indexer fills in its on-chain terms
+    if (intent.action === 'requestLoan') {
+      await Loan.create({
+        userId: user._id,
+        walletAddress: intent.from,
+        chainId: intent.chainId,
+        principal: intent.params.amount,
+        durationInDays: intent.params.durationInDays,
+        txHash: response.hash
+      });
+    }
+
+    return { intent, transaction };
+  } catch (error) {
+    console.error(`Error broadcasting transaction for intent ${intentId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  ACTIONS,
+  INTENT_TTL,
+  GAS_BUFFER_PERCENT,
+  simulateTransaction,
+  prepareTransaction,
+  broadcastTransaction
+};
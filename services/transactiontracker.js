@@ -0,0 +1,326 @@
+/**
+ * Transaction Tracker Service
+ * Follows the app's transactions from submission to finality. Pending transactions move to
+ * processing once mined and to completed or failed once they have the chain's confirmations.
+ * Hashes replaced by a fee bump or a wallet speed-up are followed to the transaction that was
+ * mined, cancelled or dropped transactions are failed, and users are notified when a
+ * transaction completes or fails.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const Transaction = require('../models/transaction');
+const OutboundTransaction = require('../models/outboundtransaction');
+const Notification = require('../models/notification');
+const twilioService = require('./twilioservice');
+const swapDeposit = require('./swapdeposit');
+const { getChainContext } = require('../config/blockchain');
+
+const CHECK_INTERVAL = parseInt(process.env.TX_TRACKER_INTERVAL || '15000', 10);
+
+// How long a hash the node does not know can stay pending before it counts as dropped
+const DROP_AFTER = parseInt(process.env.TX_DROP_AFTER_MS || '1800000', 10);
+
+// Blocks searched for a replacement on each check
+const REPLACEMENT_SCAN_BLOCKS = 200;
+
+// How transactions are described in notifications
+const TYPE_LABELS = {
+  deposit: 'deposit',
+  withdrawal: 'withdrawal',
+  mpesa_deposit: 'M-Pesa deposit',
+  mpesa_withdrawal: 'M-Pesa withdrawal',
+  goal_creation: 'goal registration',
+  goal_contribution: 'goal contribution',
+  swap: 'swap',
+  loan: 'loan',
+  loan_repayment: 'loan repayment',
+  inheritance: 'inheritance claim',
+  group_contribution: 'group contribution',
+  group_payout: 'group payout'
+};
+
+let trackerTimer = null;
+
+/**
+ * Read the outcome of a mined transaction from its receipt
+ * @param {ethers.TransactionReceipt} receipt - Transaction receipt
+ * @param {number} requiredConfirmations - Confirmations before the transaction is final
+ * @returns {Promise<Object>} Transaction fields: status, block, confirmations, gas and fee
+ */
+const receiptFields = async (receipt, requiredConfirmations) => {
+  const confirmations = await receipt.confirmations();
+  const fields = {
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    confirmations,
+    gasUsed: Number(receipt.gasUsed),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    fee: parseFloat(ethers.formatEther(receipt.fee))
+  };
+
+  if (receipt.status === 0) {
+    return { ...fields, status: 'failed', error: 'Transaction reverted' };
+  }
+  if (confirmations >= requiredConfirmations) {
+    return { ...fields, status: 'completed', confirmedAt: new Date() };
+  }
+  return { ...fields, status: 'processing' };
+};
+
+/**
+ * Tell the user a transaction completed or failed, in-app and by SMS
+ * @param {Object} transaction - Transaction document
+ */
+const notifyStatusChange = async (transaction) => {
+  if (!transaction.userId) {
+    return;
+  }
+
+  const label = TYPE_LABELS[transaction.type];
+  const completed = transaction.status === 'completed';
+
+  await Notification.create({
+    userId: transaction.userId,
+    title: completed ? 'Transaction confirmed' : 'Transaction failed',
+    message: completed
+      ? `Your ${label} of ${transaction.amount} USDC has been confirmed.`
+      : `Your ${label} of ${transaction.amount} USDC did not go through: ${transaction.error}.`,
+    type: completed ? 'success' : 'error',
+    metadata: {
+      transactionId: transaction._id.toString(),
+      txHash: transaction.txHash,
+      status: transaction.status
+    }
+  });
+
+  if (!completed) {
+    await twilioService.sendTransactionFailedNotice(transaction.userId, label, transaction.amount);
+  } else if (transaction.type === 'deposit' || transaction.type === 'mpesa_deposit') {
+    await twilioService.sendDepositConfirmation(transaction.userId, transaction.amount);
+  } else if (transaction.type === 'withdrawal' || transaction.type === 'mpesa_withdrawal') {
+    await twilioService.sendWithdrawalConfirmation(transaction.userId, transaction.amount);
+  }
+};
+
+/**
+ * Save a transaction's new fields and notify the user if it has just completed or failed
+ * @param {Object} transaction - Transaction document
+ * @param {Object} fields - Fields to set
+ */
+const updateTransaction = async (transaction, fields) => {
+  const previousStatus = transaction.status;
+  transaction.set(fields);
+  await transaction.save();
+
+  if (transaction.status !== previousStatus && ['completed', 'failed'].includes(transaction.status)) {
+    try {
+      await notifyStatusChange(transaction);
+    } catch (error) {
+      console.error(`Error notifying user about transaction ${transaction.txHash}:`, error);
+    }
+  }
+};
+
+/**
+ * Find the backend-sent attempt that replaced a hash, following every fee bump
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<string|null>} Hash of the latest attempt, if it was replaced
+ */
+const findFeeBump = async (txHash) => {
+  let record = await OutboundTransaction.findOne({ txHash });
+  if (!record || !record.replacedBy) {
+    return null;
+  }
+  while (record.replacedBy) {
+    const next = await OutboundTransaction.findById(record.replacedBy);
+    if (!next || !next.txHash) {
+      break;
+    }
+    record = next;
+  }
+  return record.txHash !== txHash ? record.txHash : null;
+};
+
+/**
+ * Search the blocks mined since a transaction was sent for another transaction with its
+ * sender and nonce, such as a wallet speed-up or cancellation
+ * @param {Object} transaction - Transaction document with its submission recorded
+ * @param {ethers.Provider} provider - Chain provider
+ * @returns {Promise<ethers.TransactionResponse|null>} The mined replacement, if found so far
+ */
+const findMinedReplacement = async (transaction, provider) => {
+  const { from, nonce } = transaction.submission;
+  const head = await provider.getBlockNumber();
+  const start = (transaction.submission.scannedBlock ?? transaction.submission.block - 1) + 1;
+  const end = Math.min(head, start + REPLACEMENT_SCAN_BLOCKS - 1);
+
+  for (let number = start; number <= end; number++) {
+    const block = await provider.getBlock(number, true);
+    const replacement = block.prefetchedTransactions.find((tx) =>
+      tx.from.toLowerCase() === from && tx.nonce === nonce
+    );
+    if (replacement) {
+      return replacement;
+    }
+  }
+
+  transaction.submission.scannedBlock = end;
+  await transaction.save();
+  return null;
+};
+
+/**
+ * Move a transaction onto the hash that replaced it
+ * @param {Object} transaction - Transaction document
+ * @param {string} txHash - Replacement hash
+ */
+const followReplacement = async (transaction, txHash) => {
+  // The indexer may already have recorded the replacement on its own
+  await Transaction.deleteOne({ txHash, source: 'indexer' });
+
+  console.log(`Transaction ${transaction.txHash} was replaced by ${txHash}`);
+  await updateTransaction(transaction, {
+    txHash,
+    replacedTxHashes: [...transaction.replacedTxHashes, transaction.txHash],
+    status: 'pending'
+  });
+};
+
+/**
+ * Check a pending or processing transaction and move it along its lifecycle
+ * @param {Object} transaction - Transaction document
+ */
+const checkTransaction = async (transaction) => {
+  const { provider, chain } = getChainContext(transaction.chainId);
+
+  // Fee bumps by the transaction manager keep the same call under a new hash
+  const bumpedHash = await findFeeBump(transaction.txHash);
+  if (bumpedHash) {
+    await followReplacement(transaction, bumpedHash);
+    return;
+  }
+
+  const receipt = await provider.getTransactionReceipt(transaction.txHash);
+  if (receipt) {
+    await updateTransaction(transaction, await receiptFields(receipt, chain.confirmations));
+    return;
+  }
+
+  const response = await provider.getTransaction(transaction.txHash);
+  if (response) {
+    const fields = transaction.status === 'processing'
+      // Mined, then reorged out; waiting to be mined again
+      ? { status: 'pending', confirmations: 0 }
+      : {};
+    if (transaction.submission.nonce === undefined) {
+      fields.submission = {
+        from: response.from,
+        nonce: response.nonce,
+        to: response.to,
+        dataHash: ethers.keccak256(response.data),
+        block: await provider.getBlockNumber()
+      };
+    }
+    if (Object.keys(fields).length > 0) {
+      await updateTransaction(transaction, fields);
+    }
+    return;
+  }
+
+  // The node no longer knows the hash; see whether another transaction took its nonce
+  const { submission } = transaction;
+  if (submission.nonce !== undefined) {
+    const minedNonce = await provider.getTransactionCount(submission.from, 'latest');
+    if (minedNonce > submission.nonce) {
+      const replacement = await findMinedReplacement(transaction, provider);
+      if (!replacement) {
+        return;
+      }
+
+      const repriced = replacement.to && replacement.to.toLowerCase() === submission.to &&
+        ethers.keccak256(replacement.data) === submission.dataHash;
+      if (repriced) {
+        await followReplacement(transaction, replacement.hash);
+      } else {
+        await updateTransaction(transaction, {
+          status: 'failed',
+          error: `Cancelled by transaction ${replacement.hash}`
+        });
+      }
+      return;
+    }
+  }
+
+  if (Date.now() - transaction.updatedAt.getTime() > DROP_AFTER) {
+    await updateTransaction(transaction, {
+      status: 'failed',
+      error: 'Transaction was dropped by the network'
+    });
+  }
+};
+
+/**
+ * Check every transaction that is waiting to be mined or confirmed
+ */
+const processPending = async () => {
+  const transactions = await Transaction.find({
+    status: { $in: ['pending', 'processing'] },
+    txHash: { $exists: true }
+  }).sort({ createdAt: 1 });
+
+  for (const transaction of transactions) {
+    try {
+      await checkTransaction(transaction);
+    } catch (error) {
+      console.error(`Error tracking transaction ${transaction.txHash}:`, error);
+    }
+  }
+
+  // Deposit the USDC from swaps that have just confirmed
+  await swapDeposit.depositSwapOutputs();
+};
+
+/**
+ * Start tracking transactions
+ */
+const start = () => {
+  if (trackerTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    trackerTimer = setTimeout(async () => {
+      try {
+        await processPending();
+      } catch (error) {
+        console.error('Error tracking transactions:', error);
+      } finally {
+        if (trackerTimer) {
+          scheduleNext();
+        }
+      }
+    }, CHECK_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log('Transaction tracker started');
+};
+
+/**
+ * Stop tracking transactions
+ */
+const stop = () => {
+  if (trackerTimer) {
+    clearTimeout(trackerTimer);
+    trackerTimer = null;
+  }
+};
+
+module.exports = {
+  receiptFields,
+  processPending,
+  start,
+  stop
+};
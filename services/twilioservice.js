@@ -64,6 +64,8 @@ const MESSAGE_TEMPLATES = {
   
   WITHDRAWAL_CONFIRMATION: (amount) => `Your withdrawal of ${amount} USDC has been processed. Thank you for using BazuuSave!`,
   
+  TRANSACTION_FAILED: (label, amount) => `Your BazuuSave ${label} of ${amount} USDC did not go through. Open BazuuSave for details and to try again.`,
+  
   GOAL_CREATION: (goalName, targetAmount) => `New goal created: "${goalName}" with a target of ${targetAmount} USDC. Start saving today!`,
   
   GOAL_COMPLETION: (goalName) => `Congratulations! You've completed your goal "${goalName}". Keep up the great saving habits!`,
@@ -71,6 +73,18 @@ const MESSAGE_TEMPLATES = {
   GOAL_REMINDER: (goalName, currentAmount, targetAmount, daysLeft) => 
     `Reminder: Your goal "${goalName}" has ${daysLeft} days left. Currently saved: ${currentAmount}/${targetAmount} USDC.`,
   
+  LOAN_REMINDER: (amountDue, daysLeft) =>
+    `Reminder: Your BazuuSave loan of ${amountDue} USDC is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Repay on time to unlock your savings.`,
+  
+  LOAN_OVERDUE: (amountDue, graceDays) =>
+    `Your BazuuSave loan of ${amountDue} USDC is overdue. If it is not repaid within ${graceDays} days it will be settled from your locked savings.`,
+  
+  INACTIVITY_WARNING: (daysLeft) =>
+    `You have not used BazuuSave for a while. In ${daysLeft} day${daysLeft === 1 ? '' : 's'} your beneficiary will be able to claim your savings. Open BazuuSave and check in to stop this.`,
+  
+  INHERITANCE_CLAIMABLE: (ownerName) =>
+    `${ownerName} named you as their BazuuSave beneficiary. Their account has been inactive long enough for you to claim their savings. Open BazuuSave to claim.`,
+  
   CHALLENGE_JOIN: (challengeName) => `You've joined the "${challengeName}" savings challenge. Good luck achieving your target!`,
   
   CHALLENGE_COMPLETION: (challengeName, rewardPoints) => 
@@ -318,6 +332,26 @@ const sendWithdrawalConfirmation = async (userId, amount) => {
   }
 };
 
+/**
+ * Tell a user one of their transactions failed
+ * @param {string} userId User ID
+ * @param {string} label What the transaction was, e.g. "deposit"
+ * @param {number} amount Transaction amount
+ * @returns {Promise<object>} Response object
+ */
+const sendTransactionFailedNotice = async (userId, label, amount) => {
+  try {
+    const message = MESSAGE_TEMPLATES.TRANSACTION_FAILED(label, amount);
+    return await sendSMSToUser(userId, message);
+  } catch (error) {
+    console.error('Error sending transaction failed notice:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Send goal creation notification
  * @param {string} userId User ID
@@ -382,6 +416,68 @@ const sendGoalReminder = async (userId, goal) => {
   }
 };
 
+/**
+ * Send loan due date reminder
+ * @param {string} userId User ID
+ * @param {object} loan Loan object
+ * @param {number} daysLeft Days until the loan is due; zero or less once overdue
+ * @param {number} graceDays Days after the due date before the loan is liquidated
+ * @returns {Promise<object>} Response object
+ */
+const sendLoanReminder = async (userId, loan, daysLeft, graceDays) => {
+  try {
+    const message = daysLeft > 0
+      ? MESSAGE_TEMPLATES.LOAN_REMINDER(loan.outstanding, daysLeft)
+      : MESSAGE_TEMPLATES.LOAN_OVERDUE(loan.outstanding, graceDays);
+    
+    return await sendSMSToUser(userId, message);
+  } catch (error) {
+    console.error('Error sending loan reminder:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Warn a user that their beneficiary will soon be able to claim their savings
+ * @param {string} userId User ID
+ * @param {number} daysLeft Days until the beneficiary can claim
+ * @returns {Promise<object>} Response object
+ */
+const sendInactivityWarning = async (userId, daysLeft) => {
+  try {
+    const message = MESSAGE_TEMPLATES.INACTIVITY_WARNING(daysLeft);
+    return await sendSMSToUser(userId, message);
+  } catch (error) {
+    console.error('Error sending inactivity warning:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Tell a beneficiary they can claim an inactive user's savings
+ * @param {string} phoneNumber Beneficiary's phone number
+ * @param {string} ownerName Name of the user who nominated them
+ * @returns {Promise<object>} Response object
+ */
+const sendInheritanceClaimableNotice = async (phoneNumber, ownerName) => {
+  try {
+    const message = MESSAGE_TEMPLATES.INHERITANCE_CLAIMABLE(ownerName);
+    return await sendSMS(phoneNumber, message);
+  } catch (error) {
+    console.error('Error sending inheritance notice:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Schedule a goal reminder
  * @param {string} userId User ID
@@ -540,10 +636,14 @@ module.exports = {
   sendWelcomeMessage,
   sendDepositConfirmation,
   sendWithdrawalConfirmation,
+  sendTransactionFailedNotice,
   sendGoalCreationNotification,
   sendGoalCompletionNotification,
   sendGoalReminder,
   scheduleGoalReminder,
+  sendLoanReminder,
+  sendInactivityWarning,
+  sendInheritanceClaimableNotice,
   sendChallengeJoinNotification,
   sendChallengeCompletionNotification,
   sendPhoneVerificationCode,
@@ -0,0 +1,458 @@
+/**
+ * Transaction Manager Service
+ * Sends backend-signed transactions one at a time per signer and chain so nonces never
+ * collide, records every attempt in Mongo, and bumps fees for transactions that get stuck.
+ * Each transaction is simulated, sent, monitored and bumped on the chain its signer is
+ * connected to.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const OutboundTransaction = require('../models/outboundtransaction');
+const simulation = require('./simulation');
+const feeService = require('./feeservice');
+const { getChainContext } = require('../config/blockchain');
+
+// Extra gas on top of the estimate, in percent
+const GAS_BUFFER_PERCENT = 20n;
+
+// Fee increase for each replacement; nodes require at least 10%
+const FEE_BUMP_PERCENT = 20n;
+
+// Monitor settings
+const STUCK_AFTER = parseInt(process.env.TX_STUCK_AFTER_MS || '120000', 10);
+const MAX_FEE_BUMPS = parseInt(process.env.TX_MAX_FEE_BUMPS || '5', 10);
+const MONITOR_INTERVAL = parseInt(process.env.TX_MONITOR_INTERVAL || '30000', 10);
+
+// Signers that have sent through the manager, by signer key (used for fee bumps)
+const signers = new Map();
+
+// Tail of the send queue for each signer
+const signerLocks = new Map();
+
+// Next nonce to use for each signer; dropped to resync from the node after a failure
+const nextNonces = new Map();
+
+// Monitor state
+let monitorTimer = null;
+
+// Nonces are per chain, so signer state is keyed by chain and address
+const signerKey = (chainId, address) => `${Number(chainId)}:${address.toLowerCase()}`;
+
+/**
+ * Run a function once every earlier call for the same signer has finished
+ * @param {string} key - Signer key
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Result of fn
+ */
+const withSignerLock = (key, fn) => {
+  const previous = signerLocks.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+
+  signerLocks.set(key, tail);
+  tail.then(() => {
+    if (signerLocks.get(key) === tail) {
+      signerLocks.delete(key);
+    }
+  });
+
+  return run;
+};
+
+/**
+ * Get the next nonce for a signer; must be called while holding the signer lock
+ * @param {string} key - Signer key
+ * @param {string} address - Lowercase signer address
+ * @param {ethers.Provider} chainProvider - Provider for the signer's chain
+ * @returns {Promise<number>} Nonce
+ */
+const getNextNonce = async (key, address, chainProvider) => {
+  if (!nextNonces.has(key)) {
+    nextNonces.set(key, await chainProvider.getTransactionCount(address, 'pending'));
+  }
+  return nextNonces.get(key);
+};
+
+/**
+ * Get current EIP-1559 fees
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} maxFeePerGas and maxPriorityFeePerGas
+ */
+const getFees = async (chainId) => {
+  const { maxFeePerGas, maxPriorityFeePerGas } = await feeService.getFeeData(chainId);
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+/**
+ * Find the signer that sent an outbound transaction, for a fee bump
+ * @param {Object} record - OutboundTransaction document
+ * @returns {ethers.Signer|null} Signer, or null if it is not known in this process
+ */
+const findSigner = (record) => {
+  const known = signers.get(signerKey(record.chainId, record.from));
+  if (known) {
+    return known;
+  }
+  // The server signer is always available; custodial signers only once their user sends again
+  const { signer } = getChainContext(record.chainId);
+  return signer && signer.address.toLowerCase() === record.from ? signer : null;
+};
+
+/**
+ * Treat a fee-bumped replacement of the same call as success when waiting
+ * @param {ethers.TransactionResponse} response - Transaction response
+ * @returns {ethers.TransactionResponse} The same response
+ */
+const followReplacements = (response) => {
+  const wait = response.wait.bind(response);
+  response.wait = async (...args) => {
+    try {
+      return await wait(...args);
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced') {
+        return error.receipt;
+      }
+      throw error;
+    }
+  };
+  return response;
+};
+
+/**
+ * Send a transaction from a backend signer, on the chain its provider is connected to
+ * @param {ethers.Signer} txSigner - Server or custodial signer
+ * @param {Object} request - Transaction request (to, data, value, gasLimit)
+ * @param {Object} options - Options (label for the queue)
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const sendTransaction = async (txSigner, request, options = {}) => {
+  if (!txSigner) {
+    throw new Error('Signer is not configured');
+  }
+  if (!txSigner.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+
+  const provider = txSigner.provider;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const from = (await txSigner.getAddress()).toLowerCase();
+  const key = signerKey(chainId, from);
+  signers.set(key, txSigner);
+
+  return withSignerLock(key, async () => {
+    const to = request.to;
+    const data = request.data || '0x';
+    const value = BigInt(request.value || 0);
+
+    // Fail with the revert reason instead of queueing a call that cannot succeed
+    await simulation.assertSimulates({ from, to, data, value }, provider);
+
+    let gasLimit = request.gasLimit ? BigInt(request.gasLimit) : null;
+    if (!gasLimit) {
+      const gasEstimate = await provider.estimateGas({ from, to, data, value });
+      gasLimit = gasEstimate + (gasEstimate * GAS_BUFFER_PERCENT) / 100n;
+    }
+
+    const fees = await getFees(chainId);
+    const nonce = await getNextNonce(key, from, provider);
+
+    const record = await OutboundTransaction.create({
+      from,
+      nonce,
+      chainId,
+      to,
+      data,
+      value: value.toString(),
+      label: options.label,
+      status: 'queued',
+      gasLimit: gasLimit.toString(),
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString()
+    });
+
+    try {
+      const response = await txSigner.sendTransaction({
+        type: 2,
+        to,
+        data,
+        value,
+        nonce,
+        gasLimit,
+        ...fees
+      });
+
+      nextNonces.set(key, nonce + 1);
+
+      record.status = 'sent';
+      record.txHash = response.hash;
+      record.sentAt = new Date();
+      await record.save();
+
+      return followReplacements(response);
+    } catch (error) {
+      // The nonce may or may not have been consumed; ask the node next time
+      nextNonces.delete(key);
+
+      record.status = 'dropped';
+      record.error = error.message;
+      await record.save();
+
+      throw error;
+    }
+  });
+};
+
+/**
+ * Send a contract call from the signer the contract is connected to
+ * @param {ethers.Contract} contract - Contract connected to a signer
+ * @param {string} method - Contract method name
+ * @param {Array} args - Contract method arguments
+ * @param {Object} options - Options (label, value, gasLimit)
+ * @returns {Promise<ethers.TransactionResponse>} Transaction response
+ */
+const sendContractTransaction = async (contract, method, args = [], options = {}) => {
+  if (!(contract.runner instanceof ethers.AbstractSigner)) {
+    throw new Error('Contract is not connected to a signer');
+  }
+
+  return sendTransaction(
+    contract.runner,
+    {
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      value: options.value,
+      gasLimit: options.gasLimit
+    },
+    { label: options.label || method }
+  );
+};
+
+/**
+ * Mark a transaction as mined
+ * @param {Object} record - OutboundTransaction document
+ * @param {ethers.TransactionReceipt} receipt - Transaction receipt
+ */
+const markMined = async (record, receipt) => {
+  record.status = 'mined';
+  record.receiptStatus = receipt.status;
+  record.blockNumber = receipt.blockNumber;
+  record.minedAt = new Date();
+  await record.save();
+};
+
+/**
+ * Replace a stuck transaction with the same call at higher fees
+ * @param {Object} record - OutboundTransaction document
+ */
+const bumpFees = async (record) => {
+  const txSigner = findSigner(record);
+  if (!txSigner) {
+    return;
+  }
+
+  await withSignerLock(signerKey(record.chainId, record.from), async () => {
+    const current = await OutboundTransaction.findById(record._id);
+    if (!current || current.status !== 'sent') {
+      return;
+    }
+
+    const bump = (fee) => (BigInt(fee) * (100n + FEE_BUMP_PERCENT)) / 100n + 1n;
+    const fees = await getFees(current.chainId);
+    let maxPriorityFeePerGas = bump(current.maxPriorityFeePerGas);
+    if (fees.maxPriorityFeePerGas > maxPriorityFeePerGas) maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    let maxFeePerGas = bump(current.maxFeePerGas);
+    if (fees.maxFeePerGas > maxFeePerGas) maxFeePerGas = fees.maxFeePerGas;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxFeePerGas = maxPriorityFeePerGas;
+
+    const replacement = await OutboundTransaction.create({
+      from: current.from,
+      nonce: current.nonce,
+      chainId: current.chainId,
+      to: current.to,
+      data: current.data,
+      value: current.value,
+      label: current.label,
+      status: 'queued',
+      gasLimit: current.gasLimit,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+      replaces: current._id,
+      bumpCount: current.bumpCount + 1
+    });
+
+    try {
+      const response = await txSigner.sendTransaction({
+        type: 2,
+        to: current.to,
+        data: current.data,
+        value: BigInt(current.value),
+        nonce: current.nonce,
+        gasLimit: BigInt(current.gasLimit),
+        maxFeePerGas,
+        maxPriorityFeePerGas
+      });
+
+      replacement.status = 'sent';
+      replacement.txHash = response.hash;
+      replacement.sentAt = new Date();
+      await replacement.save();
+
+      current.status = 'replaced';
+      current.replacedBy = replacement._id;
+      await current.save();
+
+      console.log(`Bumped fees for ${current.from} nonce ${current.nonce}: ${current.txHash} -> ${response.hash}`);
+    } catch (error) {
+      // Usually the original was mined meanwhile; the next check picks that up
+      replacement.status = 'dropped';
+      replacement.error = error.message;
+      await replacement.save();
+      console.error(`Error bumping fees for ${current.txHash}:`, error.message);
+    }
+  });
+};
+
+/**
+ * Check a sent transaction and mine, replace, drop or bump it
+ * @param {Object} record - OutboundTransaction document with status sent
+ */
+const checkTransaction = async (record) => {
+  const { provider } = getChainContext(record.chainId);
+  const receipt = await provider.getTransactionReceipt(record.txHash);
+  if (receipt) {
+    await markMined(record, receipt);
+    return;
+  }
+
+  // Nonce already used: an earlier attempt or an outside transaction was mined instead
+  const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+  if (minedNonce > record.nonce) {
+    const attempts = await OutboundTransaction.find({
+      chainId: record.chainId,
+      from: record.from,
+      nonce: record.nonce,
+      _id: { $ne: record._id },
+      txHash: { $exists: true }
+    });
+
+    for (const attempt of attempts) {
+      const attemptReceipt = await provider.getTransactionReceipt(attempt.txHash);
+      if (attemptReceipt) {
+        await markMined(attempt, attemptReceipt);
+        record.status = 'replaced';
+        record.replacedBy = attempt._id;
+        await record.save();
+        return;
+      }
+    }
+
+    record.status = 'dropped';
+    record.error = 'Nonce was used by another transaction';
+    await record.save();
+    return;
+  }
+
+  if (Date.now() - record.sentAt.getTime() < STUCK_AFTER) {
+    return;
+  }
+
+  if (record.bumpCount < MAX_FEE_BUMPS) {
+    await bumpFees(record);
+    return;
+  }
+
+  // Out of bumps; give up once the node has forgotten it so the nonce can be reused
+  const known = await provider.getTransaction(record.txHash);
+  if (!known) {
+    record.status = 'dropped';
+    record.error = `Not mined after ${MAX_FEE_BUMPS} fee bumps`;
+    await record.save();
+    nextNonces.delete(signerKey(record.chainId, record.from));
+  }
+};
+
+/**
+ * Check all in-flight transactions
+ */
+const processPending = async () => {
+  const pending = await OutboundTransaction.find({ status: 'sent' }).sort({ chainId: 1, from: 1, nonce: 1 });
+
+  for (const record of pending) {
+    try {
+      await checkTransaction(record);
+    } catch (error) {
+      console.error(`Error checking outbound transaction ${record.txHash}:`, error);
+    }
+  }
+};
+
+/**
+ * Start the monitor that tracks and bumps in-flight transactions
+ */
+const startMonitor = () => {
+  if (monitorTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    monitorTimer = setTimeout(async () => {
+      try {
+        await processPending();
+      } catch (error) {
+        console.error('Error monitoring outbound transactions:', error);
+      } finally {
+        if (monitorTimer) {
+          scheduleNext();
+        }
+      }
+    }, MONITOR_INTERVAL);
+  };
+
+  scheduleNext();
+  console.log(`Transaction monitor started (checking every ${MONITOR_INTERVAL}ms)`);
+};
+
+/**
+ * Stop the monitor
+ */
+const stopMonitor = () => {
+  if (monitorTimer) {
+    clearTimeout(monitorTimer);
+    monitorTimer = null;
+  }
+};
+
+/**
+ * Get outbound transactions and counts by status
+ * @param {Object} options - Status filter and limit
+ * @returns {Promise<Object>} Queue summary
+ */
+const getQueue = async ({ status, limit = 50 } = {}) => {
+  const statuses = status ? [status] : ['queued', 'sent'];
+
+  const [transactions, counts] = await Promise.all([
+    OutboundTransaction.find({ status: { $in: statuses } })
+      .sort({ chainId: 1, from: 1, nonce: 1, createdAt: 1 })
+      .limit(Number(limit)),
+    OutboundTransaction.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    counts: Object.fromEntries(counts.map((entry) => [entry._id, entry.count])),
+    nextNonces: Object.fromEntries(nextNonces),
+    transactions
+  };
+};
+
+module.exports = {
+  sendTransaction,
+  sendContractTransaction,
+  processPending,
+  startMonitor,
+  stopMonitor,
+  getQueue
+};
@@ -1,170 +1,271 @@
 const { ethers } = require('ethers');
-const { AlphaRouter } = require('@uniswap/smart-order-router');
-const { Token, CurrencyAmount, TradeType, Percent } = require('@uniswap/sdk-core');
-const { Pool } = require('@uniswap/v3-sdk');
-const config = require('../config/blockchain');
-const IUniswapV3PoolABI = require('@uniswap/v3-core/artifacts/contracts/interfaces/IUniswapV3Pool.sol/IUniswapV3Pool.json').abi;
-const IERC20ABI = require('../contracts/IERC20.json').abi;
+const { getChainContext, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+
+// Uniswap V3 fee tiers, in hundredths of a basis point
+const FEE_TIERS = [100, 500, 3000, 10000];
+
+// How long pool lookups and prices are reused
+const POOL_TTL = 10 * 60 * 1000;
+const PRICE_TTL = 60 * 1000;
+
+const FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'
+];
+
+const POOL_ABI = [
+  'function token0() view returns (address)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+];
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)'
+];
+
+const QUOTER_ABI = [
+  'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
+];
+
+const SWAP_ROUTER_ABI = [
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+  'function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)'
+];
 
 class UniswapService {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
-    this.router = new AlphaRouter({ chainId: config.chainId, provider: this.provider });
-    
-    // USDC token on Base
-    this.USDC = new Token(
-      config.chainId,
-      config.usdcAddress,
-      6,
-      'USDC',
-      'USD Coin'
-    );
-    
-    // ETH token on Base
-    this.WETH = new Token(
-      config.chainId,
-      config.wethAddress, 
-      18,
-      'WETH',
-      'Wrapped Ether'
-    );
+    // Deepest pool per token pair, token prices in USDC and token decimals, keyed by chain and address
+    this.pools = new Map();
+    this.prices = new Map();
+    this.decimals = new Map();
   }
-  
-  // Swap tokens to USDC
-  async swapToUSDC(privateKey, tokenAddress, amountIn) {
-    try {
-      // Create wallet
-      const wallet = new ethers.Wallet(privateKey, this.provider);
-      
-      // Get token information
-      const tokenContract = new ethers.Contract(tokenAddress, IERC20ABI, this.provider);
-      const tokenDecimals = await tokenContract.decimals();
-      const tokenSymbol = await tokenContract.symbol();
-      const tokenName = await tokenContract.name();
-      
-      // Create token instance
-      const inputToken = new Token(
-        config.chainId,
-        tokenAddress,
-        tokenDecimals,
-        tokenSymbol,
-        tokenName
-      );
-      
-      // Create currency amount for input token
-      const wei = ethers.parseUnits(amountIn.toString(), tokenDecimals);
-      const currencyAmount = CurrencyAmount.fromRawAmount(
-        inputToken,
-        wei.toString()
-      );
-      
-      // Generate swap route
-      const route = await this.router.route(
-        currencyAmount,
-        this.USDC,
-        TradeType.EXACT_INPUT,
-        {
-          recipient: wallet.address,
-          slippageTolerance: new Percent(5, 100), // 5% slippage
-          deadline: Math.floor(Date.now() / 1000) + 1800 // 30 minute deadline
-        }
-      );
-      
-      // Get approval for token spending
-      const approvalAmount = ethers.MaxUint256;
-      const approvalTx = await tokenContract.connect(wallet).approve(
-        route.methodParameters.to, // Router address
-        approvalAmount
-      );
-      await approvalTx.wait();
-      
-      // Build transaction
-      const transaction = {
-        data: route.methodParameters.calldata,
-        to: route.methodParameters.to,
-        value: route.methodParameters.value,
-        from: wallet.address,
-        gasPrice: route.gasPriceWei,
-        gasLimit: ethers.hexlify(1000000) // Hardcoded gas limit for simplicity
-      };
-      
-      // Send transaction
-      const tx = await wallet.sendTransaction(transaction);
-      const receipt = await tx.wait();
-      
-      return {
-        inputAmount: amountIn,
-        outputAmount: ethers.formatUnits(route.quote.toFixed(), 6),
-        txHash: receipt.hash
-      };
-    } catch (error) {
-      console.error('Error swapping to USDC:', error);
-      throw error;
+
+  // Get the Uniswap deployment and provider for a chain
+  getDeployment(chainId = DEFAULT_CHAIN_ID) {
+    const { chain, provider } = getChainContext(chainId);
+    if (!chain.uniswap) {
+      throw new Error(`Uniswap is not available on ${chain.name}`);
+    }
+    return { ...chain.uniswap, usdcAddress: chain.usdcAddress, provider };
+  }
+
+  // Get a token's decimals, which never change
+  async getDecimals(tokenAddress, chainId = DEFAULT_CHAIN_ID) {
+    const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+    if (!this.decimals.has(key)) {
+      const { provider } = this.getDeployment(chainId);
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      this.decimals.set(key, Number(await tokenContract.decimals()));
+    }
+    return this.decimals.get(key);
+  }
+
+  // Find the pool with the most in-range liquidity for a token pair across every fee tier
+  async findPool(tokenA, tokenB, chainId = DEFAULT_CHAIN_ID) {
+    const key = `${chainId}:${[tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':')}`;
+    const cached = this.pools.get(key);
+    if (cached && Date.now() - cached.fetchedAt < POOL_TTL) {
+      return cached.pool;
     }
+
+    const { factory: factoryAddress, provider } = this.getDeployment(chainId);
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+
+    const candidates = await Promise.all(FEE_TIERS.map(async (fee) => {
+      const address = await factory.getPool(tokenA, tokenB, fee);
+      if (address === ethers.ZeroAddress) {
+        return null;
+      }
+
+      const poolContract = new ethers.Contract(address, POOL_ABI, provider);
+      const [token0, liquidity] = await Promise.all([poolContract.token0(), poolContract.liquidity()]);
+      return { address, fee, token0, liquidity };
+    }));
+
+    // Pools with no liquidity in range have a price nobody can trade at
+    const pool = candidates
+      .filter((candidate) => candidate && candidate.liquidity > 0n)
+      .reduce((deepest, candidate) => (!deepest || candidate.liquidity > deepest.liquidity ? candidate : deepest), null);
+
+    this.pools.set(key, { pool, fetchedAt: Date.now() });
+    return pool;
   }
-  
-  // Check current price of token in USDC
-  async getTokenPriceInUSDC(tokenAddress) {
+
+  // Get the address of the deepest pool for a token pair
+  async getPoolAddress(tokenA, tokenB, chainId = DEFAULT_CHAIN_ID) {
+    const pool = await this.findPool(tokenA, tokenB, chainId);
+    return pool ? pool.address : null;
+  }
+
+  // Get how much of tokenOut one whole tokenIn is worth in a pool at its current price
+  async getPoolPrice(pool, tokenIn, tokenOut, chainId = DEFAULT_CHAIN_ID) {
+    const { provider } = this.getDeployment(chainId);
+    const poolContract = new ethers.Contract(pool.address, POOL_ABI, provider);
+    const [slot0, decimalsIn, decimalsOut] = await Promise.all([
+      poolContract.slot0(),
+      this.getDecimals(tokenIn, chainId),
+      this.getDecimals(tokenOut, chainId)
+    ]);
+
+    // sqrtPriceX96 is the square root of token1 per token0, in base units
+    const token1PerToken0 = (Number(slot0.sqrtPriceX96) / 2 ** 96) ** 2;
+    const price = pool.token0.toLowerCase() === tokenIn.toLowerCase()
+      ? token1PerToken0
+      : 1 / token1PerToken0;
+
+    return price * 10 ** (decimalsIn - decimalsOut);
+  }
+
+  // Get how much of a token a pool holds around its current price, in the token's base units.
+  // Unlike the pool's liquidity this can be compared between pools with different pairs.
+  async getTokenDepth(pool, tokenAddress, chainId = DEFAULT_CHAIN_ID) {
+    const { provider } = this.getDeployment(chainId);
+    const poolContract = new ethers.Contract(pool.address, POOL_ABI, provider);
+    const slot0 = await poolContract.slot0();
+
+    // Virtual reserves: liquidity / sqrtPrice of token0, liquidity * sqrtPrice of token1
+    const sqrtPrice = Number(slot0.sqrtPriceX96) / 2 ** 96;
+    return pool.token0.toLowerCase() === tokenAddress.toLowerCase()
+      ? Number(pool.liquidity) / sqrtPrice
+      : Number(pool.liquidity) * sqrtPrice;
+  }
+
+  // Check current price of token in USDC from its USDC pool, or through WETH when the WETH
+  // pool holds more of the token, so a thin direct pool can't set the price
+  async getTokenPriceInUSDC(tokenAddress, chainId = DEFAULT_CHAIN_ID) {
     try {
-      // Get token contract
-      const tokenContract = new ethers.Contract(tokenAddress, IERC20ABI, this.provider);
-      const tokenDecimals = await tokenContract.decimals();
-      
-      // Find the pool address for token/USDC
-      const poolAddress = await this.getPoolAddress(tokenAddress, config.usdcAddress, 3000); // 0.3% fee tier
-      
-      if (!poolAddress) {
-        throw new Error('Pool not found');
+      const { usdcAddress, weth } = this.getDeployment(chainId);
+      const token = tokenAddress.toLowerCase();
+      if (token === usdcAddress.toLowerCase()) {
+        return 1;
+      }
+
+      const key = `${chainId}:${token}`;
+      const cached = this.prices.get(key);
+      if (cached && Date.now() - cached.fetchedAt < PRICE_TTL) {
+        return cached.price;
+      }
+
+      const [directPool, tokenWethPool, wethUsdcPool] = await Promise.all([
+        this.findPool(tokenAddress, usdcAddress, chainId),
+        token === weth.toLowerCase() ? null : this.findPool(tokenAddress, weth, chainId),
+        this.findPool(weth, usdcAddress, chainId)
+      ]);
+      const wethRoute = tokenWethPool && wethUsdcPool;
+      if (!directPool && !wethRoute) {
+        throw new Error(`No Uniswap pool prices ${tokenAddress} in USDC`);
+      }
+
+      // WETH/USDC is among the deepest pools on every chain, so the token's own pools decide
+      let useDirect = !wethRoute;
+      if (directPool && wethRoute) {
+        const [directDepth, wethDepth] = await Promise.all([
+          this.getTokenDepth(directPool, tokenAddress, chainId),
+          this.getTokenDepth(tokenWethPool, tokenAddress, chainId)
+        ]);
+        useDirect = directDepth >= wethDepth;
       }
-      
-      // Get pool contract
-      const poolContract = new ethers.Contract(poolAddress, IUniswapV3PoolABI, this.provider);
-      
-      // Get pool slot0 data
-      const slot0 = await poolContract.slot0();
-      const sqrtPriceX96 = slot0.sqrtPriceX96;
-      
-      // Calculate price from sqrtPriceX96
-      const token0 = await poolContract.token0();
+
       let price;
-      
-      if (token0.toLowerCase() === tokenAddress.toLowerCase()) {
-        // If token is token0, price = 1/sqrtPrice^2
-        price = 1 / (Number(sqrtPriceX96) ** 2 / 2 ** 192);
+      if (useDirect) {
+        price = await this.getPoolPrice(directPool, tokenAddress, usdcAddress, chainId);
       } else {
-        // If token is token1, price = sqrtPrice^2
-        price = (Number(sqrtPriceX96) ** 2) / (2 ** 192);
+        const [priceInWeth, wethPrice] = await Promise.all([
+          this.getPoolPrice(tokenWethPool, tokenAddress, weth, chainId),
+          this.getPoolPrice(wethUsdcPool, weth, usdcAddress, chainId)
+        ]);
+        price = priceInWeth * wethPrice;
       }
-      
-      // Adjust for decimals difference
-      const decimalAdjustment = 10 ** (tokenDecimals - 6); // USDC has 6 decimals
-      price = price / decimalAdjustment;
-      
+
+      this.prices.set(key, { price, fetchedAt: Date.now() });
       return price;
     } catch (error) {
       console.error('Error getting token price:', error);
       throw error;
     }
   }
-  
-  // Helper function to get pool address
-  async getPoolAddress(token0, token1, fee) {
-    // This is a simplified version - in production we would use the Uniswap Factory
-    // to find the pool address
-    
-    // For demo, return hardcoded pool address based on tokens
-    if (
-      (token0.toLowerCase() === config.wethAddress.toLowerCase() && 
-       token1.toLowerCase() === config.usdcAddress.toLowerCase()) ||
-      (token0.toLowerCase() === config.usdcAddress.toLowerCase() && 
-       token1.toLowerCase() === config.wethAddress.toLowerCase())
-    ) {
-      return config.ethUsdcPoolAddress;
+
+  // Get the routes from a token to USDC: its deepest USDC pool, and through WETH
+  async findRoutesToUSDC(tokenAddress, chainId = DEFAULT_CHAIN_ID) {
+    const { usdcAddress, weth } = this.getDeployment(chainId);
+    const isWeth = tokenAddress.toLowerCase() === weth.toLowerCase();
+
+    const [directPool, tokenWethPool, wethUsdcPool] = await Promise.all([
+      this.findPool(tokenAddress, usdcAddress, chainId),
+      isWeth ? null : this.findPool(tokenAddress, weth, chainId),
+      isWeth ? null : this.findPool(weth, usdcAddress, chainId)
+    ]);
+
+    const routes = [];
+    if (directPool) {
+      routes.push({ tokens: [tokenAddress, usdcAddress], pools: [directPool] });
+    }
+    if (tokenWethPool && wethUsdcPool) {
+      routes.push({ tokens: [tokenAddress, weth, usdcAddress], pools: [tokenWethPool, wethUsdcPool] });
     }
-    
-    // Other token pairs would be handled similarly
-    return null;
+
+    return routes.map((route) => ({
+      ...route,
+      // Uniswap V3 path: token, fee, token, ... packed together
+      path: ethers.solidityPacked(
+        route.tokens.flatMap((token, i) => (i === 0 ? ['address'] : ['uint24', 'address'])),
+        route.tokens.flatMap((token, i) => (i === 0 ? [token] : [route.pools[i - 1].fee, token]))
+      )
+    }));
+  }
+
+  // Quote a swap of amountIn base units of a token to USDC over the route that gives the most USDC
+  async quoteToUSDC(tokenAddress, amountIn, chainId = DEFAULT_CHAIN_ID) {
+    try {
+      const { quoter: quoterAddress, provider } = this.getDeployment(chainId);
+      const quoter = new ethers.Contract(quoterAddress, QUOTER_ABI, provider);
+
+      const routes = await this.findRoutesToUSDC(tokenAddress, chainId);
+      if (routes.length === 0) {
+        throw new Error(`No Uniswap pool swaps ${tokenAddress} to USDC`);
+      }
+
+      const quotes = await Promise.all(routes.map(async (route) => {
+        try {
+          const result = await quoter.quoteExactInput.staticCall(route.path, amountIn);
+          return { ...route, amountOut: result.amountOut, gasEstimate: result.gasEstimate };
+        } catch (error) {
+          // A route without enough liquidity for the amount cannot be quoted
+          console.warn(`Could not quote ${tokenAddress} to USDC via ${route.tokens.join(' > ')}: ${error.message}`);
+          return null;
+        }
+      }));
+
+      const best = quotes
+        .filter(Boolean)
+        .reduce((most, quote) => (!most || quote.amountOut > most.amountOut ? quote : most), null);
+      if (!best) {
+        throw new Error(`Not enough Uniswap liquidity to swap ${tokenAddress} to USDC`);
+      }
+      return best;
+    } catch (error) {
+      console.error('Error quoting swap to USDC:', error);
+      throw error;
+    }
+  }
+
+  // Build the SwapRouter02 call for a quoted swap to USDC; ETH is sent as value and wrapped by the router
+  buildSwapToUSDC(quote, { recipient, amountIn, amountOutMinimum, deadline, native }, chainId = DEFAULT_CHAIN_ID) {
+    const { swapRouter } = this.getDeployment(chainId);
+    const router = new ethers.Interface(SWAP_ROUTER_ABI);
+
+    const swap = router.encodeFunctionData('exactInput', [{
+      path: quote.path,
+      recipient,
+      amountIn,
+      amountOutMinimum
+    }]);
+
+    return {
+      to: swapRouter,
+      data: router.encodeFunctionData('multicall', [deadline, [swap]]),
+      value: native ? amountIn : 0n
+    };
   }
 }
 
-module.exports = new UniswapService();
\ No newline at end of file
+module.exports = new UniswapService();
@@ -0,0 +1,185 @@
+/**
+ * Wallet Vault Service
+ * Manages custodial wallets for users who never hold their own keys.
+ * Each user gets an HD-derived account from a single seed that is encrypted at rest;
+ * private keys are only ever derived inside this module to sign and are never returned.
+ *
+ *
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const VaultSeed = require('../models/vaultseed');
+const User = require('../models/user');
+const { encrypt, decrypt, getKeyProvider } = require('./keyprovider');
+
+// BIP-44 derivation path prefix for Ethereum accounts
+const DERIVATION_PATH_PREFIX = "m/44'/60'/0'/0";
+
+// Seed label used for custodial accounts
+const SEED_LABEL = 'default';
+
+/**
+ * Get the encrypted seed record, creating a new seed on first use
+ * @returns {Promise<Object>} VaultSeed document
+ */
+const getOrCreateSeed = async () => {
+  const existing = await VaultSeed.findOne({ label: SEED_LABEL });
+  if (existing) {
+    return existing;
+  }
+
+  // Encrypt a fresh mnemonic with a new data key, then wrap the data key
+  const keyProvider = getKeyProvider();
+  const mnemonic = ethers.Mnemonic.fromEntropy(crypto.randomBytes(32));
+  const dataKey = crypto.randomBytes(32);
+  const encrypted = encrypt(dataKey, Buffer.from(mnemonic.phrase, 'utf8'));
+
+  try {
+    return await VaultSeed.create({
+      label: SEED_LABEL,
+      keyProvider: keyProvider.name,
+      wrappedDataKey: await keyProvider.wrapKey(dataKey),
+      ...encrypted
+    });
+  } catch (error) {
+    // Another instance created the seed first
+    if (error.code === 11000) {
+      return VaultSeed.findOne({ label: SEED_LABEL });
+    }
+    throw error;
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Run a function with the wallet for a derived account, without exposing the key to callers
+ * @param {number} index - Account derivation index
+ * @param {Function} fn - Receives the HD wallet; its result is returned
+ * @returns {Promise<any>} Result of fn
+ */
+const withAccountWallet = async (index, fn) => {
+  const seed = await getOrCreateSeed();
+  const dataKey = await getKeyProvider(seed.keyProvider).unwrapKey(seed.wrappedDataKey);
+
+  try {
+    const phrase = decrypt(dataKey, seed).toString('utf8');
+    const wallet = ethers.HDNodeWallet.fromPhrase(phrase, undefined, `${DERIVATION_PATH_PREFIX}/${index}`);
+    return await fn(wallet);
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Signer for a custodial account; signing happens inside the vault
+ */
+class VaultSigner extends ethers.AbstractSigner {
+  constructor(index, address, provider = null) {
+    super(provider);
+    this.index = index;
+    this.address = address;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new VaultSigner(this.index, this.address, provider);
+  }
+
+  async signTransaction(tx) {
+    return withAccountWallet(this.index, (wallet) => wallet.signTransaction(tx));
+  }
+
+  async signMessage(message) {
+    return withAccountWallet(this.index, (wallet) => wallet.signMessage(message));
+  }
+
+  async signTypedData(domain, types, value) {
+    return withAccountWallet(this.index, (wallet) => wallet.signTypedData(domain, types, value));
+  }
+}
+
+/**
+ * Create a custodial wallet for a user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Updated user document
+ */
+const createCustodialWallet = async (user) => {
+  try {
+    if (user.walletAddress) {
+      throw new Error('User already has a wallet address');
+    }
+
+    // Reserve the next derivation index atomically
+    await getOrCreateSeed();
+    const seed = await VaultSeed.findOneAndUpdate(
+      { label: SEED_LABEL },
+      { $inc: { nextAccountIndex: 1 } },
+      { new: false }
+    );
+    const index = seed.nextAccountIndex;
+
+    const address = await withAccountWallet(index, (wallet) => wallet.address);
+
+    return await User.findByIdAndUpdate(
+      user._id,
+      {
+        walletAddress: address,
+        walletType: 'custodial',
+        custodialWallet: {
+          address,
+          derivationIndex: index,
+          createdAt: new Date()
+        }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`Error creating custodial wallet for user ${user._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a user's active wallet is held by the vault
+ * @param {Object} user - User document
+ * @returns {boolean} True for custodial users
+ */
+const isCustodial = (user) => {
+  return Boolean(
+    user &&
+    user.walletType === 'custodial' &&
+    user.custodialWallet &&
+    user.custodialWallet.address &&
+    !user.custodialWallet.migratedAt
+  );
+};
+
+/**
+ * Get a signer for a custodial user's account
+ * @param {Object} user - User document
+ * @param {ethers.Provider} provider - Provider to connect the signer to
+ * @returns {VaultSigner} Vault-backed signer
+ */
+const getSigner = (user, provider = null) => {
+  if (!user.custodialWallet || user.custodialWallet.derivationIndex === undefined) {
+    throw new Error('User has no custodial wallet');
+  }
+
+  return new VaultSigner(
+    user.custodialWallet.derivationIndex,
+    user.custodialWallet.address,
+    provider
+  );
+};
+
+module.exports = {
+  VaultSigner,
+  createCustodialWallet,
+  isCustodial,
+  getSigner
+};
@@ -0,0 +1,238 @@
+/**
+ * Yield Service
+ * Reports what savers earn from BazuuSave's ERC-4626 yield strategy: interest per user,
+ * and an APY worked out from periodic snapshots of the contract's yield index. Can also
+ * rebalance the strategy when idle USDC drifts away from the liquidity buffer.
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+const YieldSnapshot = require('../models/yieldsnapshot');
+const { getChainContext, DEFAULT_CHAIN_ID } = require('../config/blockchain');
+const { ENABLED_CHAIN_IDS } = require('../config/chains');
+const txManager = require('./txmanager');
+
+const SNAPSHOT_INTERVAL = parseInt(process.env.YIELD_SNAPSHOT_INTERVAL || '3600000', 10);
+
+// Period the APY is measured over
+const APY_WINDOW_DAYS = parseInt(process.env.YIELD_APY_WINDOW_DAYS || '7', 10);
+
+// Rebalance when idle USDC is outside this fraction of the buffer target (0.5 = 50%-150%)
+const AUTO_REBALANCE = process.env.YIELD_AUTO_REBALANCE === 'true';
+const REBALANCE_TOLERANCE = parseFloat(process.env.YIELD_REBALANCE_TOLERANCE || '0.5');
+
+const YIELD_INDEX_SCALE = 10n ** 18n;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+let snapshotTimer = null;
+
+/**
+ * Get the strategy's current state
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Strategy details, amounts in USDC
+ */
+const getStrategyInfo = async (chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const { bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+    const [info, liquidityBufferBps] = await Promise.all([
+      contract.getStrategyInfo(),
+      contract.liquidityBufferBps()
+    ]);
+
+    return {
+      chainId: Number(chainId),
+      strategy: info.vault === ethers.ZeroAddress ? null : info.vault,
+      strategyAssets: ethers.formatUnits(info.assets, 6),
+      strategyValue: ethers.formatUnits(info.value, 6),
+      idle: ethers.formatUnits(info.idle, 6),
+      liquidityBufferBps: Number(liquidityBufferBps),
+      // 1e18-scaled, as a string so it can be sent as JSON
+      yieldIndex: info.currentYieldIndex.toString()
+    };
+  } catch (error) {
+    console.error(`Error getting strategy info on chain ${chainId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Annualise the yield earned between two readings of the yield index
+ * @param {bigint} fromIndex - Earlier yield index
+ * @param {bigint} toIndex - Later yield index
+ * @param {number} elapsedMs - Time between the readings
+ * @returns {number|null} APY as a percentage, or null if there is too little history
+ */
+const annualise = (fromIndex, toIndex, elapsedMs) => {
+  if (elapsedMs <= 0) {
+    return null;
+  }
+
+  // The index adds up yield per unit saved, so its change is the period's rate
+  const periodRate = Number(toIndex - fromIndex) / Number(YIELD_INDEX_SCALE);
+  return (Math.pow(1 + periodRate, YEAR_MS / elapsedMs) - 1) * 100;
+};
+
+/**
+ * Get the savings APY over the last APY window, from the oldest snapshot in it
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} APY as a percentage, and the period it covers
+ */
+const getApy = async (chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const { chain } = getChainContext(chainId);
+    const info = await getStrategyInfo(chainId);
+
+    const since = new Date(Date.now() - APY_WINDOW_DAYS * DAY_MS);
+    const snapshot = await YieldSnapshot.findOne({
+      chainId: Number(chainId),
+      contractAddress: chain.contractAddress.toLowerCase(),
+      createdAt: { $gte: since }
+    }).sort({ createdAt: 1 });
+
+    if (!snapshot) {
+      return { apy: null, periodDays: 0, strategy: info };
+    }
+
+    const elapsedMs = Date.now() - snapshot.createdAt.getTime();
+    return {
+      apy: annualise(BigInt(snapshot.yieldIndex), BigInt(info.yieldIndex), elapsedMs),
+      periodDays: elapsedMs / DAY_MS,
+      strategy: info
+    };
+  } catch (error) {
+    console.error(`Error getting APY on chain ${chainId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the interest a user has earned from the strategy
+ * @param {string} walletAddress - User's wallet address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Balance and yield in USDC
+ */
+const getUserYield = async (walletAddress, chainId = DEFAULT_CHAIN_ID) => {
+  try {
+    const { bazuuSaveContractReadOnly: contract } = getChainContext(chainId);
+    const [balance, accruedYield, totalEarned] = await Promise.all([
+      contract.getBalance(walletAddress),
+      contract.getAccruedYield(walletAddress),
+      contract.getTotalYieldEarned(walletAddress)
+    ]);
+
+    return {
+      walletAddress,
+      chainId: Number(chainId),
+      balance: ethers.formatUnits(balance, 6),
+      accruedYield: ethers.formatUnits(accruedYield, 6),
+      totalEarned: ethers.formatUnits(totalEarned, 6)
+    };
+  } catch (error) {
+    console.error(`Error getting yield for ${walletAddress}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Rebalance the strategy if idle USDC has drifted outside the buffer tolerance. The
+ * rebalance is sent from the chain's own signer, so it lands on that chain's deployment
+ * @param {number} chainId - Chain ID
+ * @param {Object} info - Strategy info from getStrategyInfo
+ * @returns {Promise<ethers.TransactionResponse|null>} Rebalance transaction, if one was sent
+ */
+const rebalanceIfNeeded = async (chainId, info) => {
+  const idle = parseFloat(info.idle);
+  const target = (idle + parseFloat(info.strategyAssets)) * info.liquidityBufferBps / 10000;
+
+  if (Math.abs(idle - target) <= target * REBALANCE_TOLERANCE) {
+    return null;
+  }
+
+  const { bazuuSaveContract } = getChainContext(chainId);
+  const tx = await txManager.sendContractTransaction(bazuuSaveContract, 'rebalance', [], {
+    label: 'strategyRebalance'
+  });
+  console.log(`Rebalancing yield strategy on chain ${chainId}: ${tx.hash}`);
+  return tx;
+};
+
+/**
+ * Record a yield index snapshot for every enabled chain with a strategy set
+ */
+const recordSnapshots = async () => {
+  for (const chainId of ENABLED_CHAIN_IDS) {
+    try {
+      const { chain, provider } = getChainContext(chainId);
+      const info = await getStrategyInfo(chainId);
+      if (!info.strategy) {
+        continue;
+      }
+
+      await YieldSnapshot.create({
+        chainId,
+        contractAddress: chain.contractAddress,
+        strategyAddress: info.strategy,
+        yieldIndex: info.yieldIndex,
+        strategyAssets: parseFloat(info.strategyAssets),
+        strategyValue: parseFloat(info.strategyValue),
+        idle: parseFloat(info.idle),
+        blockNumber: await provider.getBlockNumber()
+      });
+
+      if (AUTO_REBALANCE) {
+        await rebalanceIfNeeded(chainId, info);
+      }
+    } catch (error) {
+      console.error(`Error recording yield snapshot on chain ${chainId}:`, error);
+    }
+  }
+};
+
+/**
+ * Start recording yield snapshots
+ */
+const start = () => {
+  if (snapshotTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    snapshotTimer = setTimeout(async () => {
+      try {
+        await recordSnapshots();
+      } catch (error) {
+        console.error('Error recording yield snapshots:', error);
+      } finally {
+        if (snapshotTimer) {
+          scheduleNext();
+        }
+      }
+    }, SNAPSHOT_INTERVAL);
+  };
+
+  // Take the first snapshot straight away so the APY has a starting point
+  recordSnapshots().catch((error) => console.error('Error recording yield snapshots:', error));
+  scheduleNext();
+  console.log(`Yield snapshots started (every ${SNAPSHOT_INTERVAL / 60000} minutes)`);
+};
+
+/**
+ * Stop recording yield snapshots
+ */
+const stop = () => {
+  if (snapshotTimer) {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+  }
+};
+
+module.exports = {
+  getStrategyInfo,
+  getApy,
+  getUserYield,
+  recordSnapshots,
+  start,
+  stop
+};
@@ -0,0 +1,108 @@
+jest.mock('../models/achievement');
+jest.mock('../models/challenge');
+jest.mock('../services/txmanager');
+jest.mock('../config/blockchain', () => ({ getChainContext: jest.fn() }));
+
+const Achievement = require('../models/achievement');
+const Challenge = require('../models/challenge');
+const txManager = require('../services/txmanager');
+const { getChainContext } = require('../config/blockchain');
+const achievementService = require('../services/achievements');
+
+const USER_ID = '64b000000000000000000001';
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+// Mongoose query that resolves to docs once sorted and populated
+const query = (docs) => ({
+  sort: () => query(docs),
+  populate: () => Promise.resolve(docs),
+  then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+});
+
+const buildChallenge = () => ({
+  _id: '64c000000000000000000001',
+  name: 'Save 100 in October',
+  reward: 'Gold saver badge',
+  targetAmount: 100,
+  participants: [{ user: USER_ID, status: 'active', currentAmount: 60, transactions: [] }],
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('challenge achievements', () => {
+  let achievement;
+  let contract;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Achievement.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      achievement = {
+        ...update.$setOnInsert,
+        status: 'pending',
+        mintAttempts: 0,
+        userId: { _id: USER_ID, walletAddress: WALLET },
+        set(fields) { Object.assign(this, fields); },
+        save: jest.fn().mockResolvedValue()
+      };
+      return achievement;
+    });
+
+    contract = { achievementTokens: jest.fn().mockResolvedValue(0n) };
+    getChainContext.mockReturnValue({ achievementsContract: contract });
+    txManager.sendContractTransaction.mockResolvedValue({ hash: '0xmint' });
+  });
+
+  it('awards and mints the badge when a deposit completes a challenge', async () => {
+    const challenge = buildChallenge();
+    Challenge.find.mockResolvedValue([challenge]);
+
+    const awarded = await achievementService.recordChallengeDeposit({
+      userId: USER_ID,
+      amount: 40,
+      txHash: '0xdeposit',
+      timestamp: new Date('2026-10-10T00:00:00Z')
+    });
+
+    expect(challenge.participants[0].status).toBe('completed');
+    expect(challenge.save).toHaveBeenCalled();
+    expect(awarded).toHaveLength(1);
+    expect(achievement.type).toBe('challenge_completed');
+
+    // The minting job sends the mint to the user's wallet
+    Achievement.find.mockImplementation(({ status }) => query(status === 'pending' ? [achievement] : []));
+    await achievementService.processPending();
+
+    expect(txManager.sendContractTransaction).toHaveBeenCalledWith(
+      contract,
+      'mint',
+      [WALLET, achievement.key],
+      { label: 'achievement' }
+    );
+    expect(achievement.status).toBe('minting');
+
+    // and records the token once the mint lands
+    contract.achievementTokens.mockResolvedValue(7n);
+    Achievement.find.mockImplementation(({ status }) => query(status === 'minting' ? [achievement] : []));
+    await achievementService.processPending();
+
+    expect(achievement.status).toBe('minted');
+    expect(achievement.tokenId).toBe(7);
+  });
+
+  it('does not count a replayed deposit twice', async () => {
+    const challenge = buildChallenge();
+    challenge.participants[0].transactions.push({ amount: 40, txHash: '0xdeposit' });
+    Challenge.find.mockResolvedValue([challenge]);
+
+    const awarded = await achievementService.recordChallengeDeposit({
+      userId: USER_ID,
+      amount: 40,
+      txHash: '0xdeposit',
+      timestamp: new Date('2026-10-10T00:00:00Z')
+    });
+
+    expect(awarded).toHaveLength(0);
+    expect(challenge.participants[0].currentAmount).toBe(60);
+    expect(Achievement.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
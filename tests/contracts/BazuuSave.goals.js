@@ -0,0 +1,141 @@
+const { expect } = require('chai');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-toolbox/network-helpers');
+const { usdc, deployFixture } = require('./fixtures');
+
+const DAY = 24 * 60 * 60;
+
+describe('BazuuSave goal release', () => {
+  // Alice has 300 in savings and 200 locked in a 500 goal that runs for 30 days
+  const goalFixture = async () => {
+    const contracts = await deployFixture();
+    const { bazuuSave, alice, bob } = contracts;
+
+    await bazuuSave.connect(alice).deposit(usdc(500));
+    await bazuuSave.connect(bob).deposit(usdc(500));
+    await bazuuSave.connect(alice).createGoal('School fees', usdc(500), 30);
+    await bazuuSave.connect(alice).contributeToGoal(0, usdc(200));
+
+    return contracts;
+  };
+
+  describe('releaseGoal', () => {
+    it('keeps the goal locked before its deadline', async () => {
+      const { bazuuSave, alice } = await loadFixture(goalFixture);
+
+      expect(await bazuuSave.isGoalUnlocked(alice.address, 0)).to.equal(false);
+      await expect(bazuuSave.connect(alice).releaseGoal(0)).to.be.revertedWith('Goal is still locked');
+    });
+
+    it('releases the goal to savings once the deadline passes', async () => {
+      const { bazuuSave, alice } = await loadFixture(goalFixture);
+
+      await time.increase(30 * DAY);
+      await expect(bazuuSave.connect(alice).releaseGoal(0))
+        .to.emit(bazuuSave, 'GoalReleased')
+        .withArgs(alice.address, 0, usdc(200));
+
+      const goal = await bazuuSave.getGoal(alice.address, 0);
+      expect(goal.released).to.equal(true);
+      expect(goal.currentAmount).to.equal(0n);
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(500));
+    });
+
+    it('releases a completed goal before its deadline', async () => {
+      const { bazuuSave, alice } = await loadFixture(goalFixture);
+
+      await expect(bazuuSave.connect(alice).contributeToGoal(0, usdc(300)))
+        .to.emit(bazuuSave, 'GoalCompleted')
+        .withArgs(alice.address, 0);
+      await expect(bazuuSave.connect(alice).releaseGoal(0))
+        .to.emit(bazuuSave, 'GoalReleased')
+        .withArgs(alice.address, 0, usdc(500));
+
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(500));
+    });
+
+    it('rejects releasing a goal twice', async () => {
+      const { bazuuSave, alice } = await loadFixture(goalFixture);
+
+      await time.increase(30 * DAY);
+      await bazuuSave.connect(alice).releaseGoal(0);
+
+      await expect(bazuuSave.connect(alice).releaseGoal(0)).to.be.revertedWith('Goal already released');
+      await expect(bazuuSave.connect(alice).breakGoal(0)).to.be.revertedWith('Goal already released');
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(500));
+    });
+
+    it('only releases the sender\'s own goals', async () => {
+      const { bazuuSave, bob } = await loadFixture(goalFixture);
+
+      await time.increase(30 * DAY);
+      await expect(bazuuSave.connect(bob).releaseGoal(0)).to.be.revertedWith('Goal not found');
+    });
+  });
+
+  describe('breakGoal', () => {
+    it('returns the goal less the early release penalty, which goes to the treasury', async () => {
+      const { token, bazuuSave, alice, treasury } = await loadFixture(goalFixture);
+
+      // 5% of 200
+      expect(await bazuuSave.getEarlyReleasePenalty(alice.address, 0)).to.equal(usdc(10));
+
+      await expect(bazuuSave.connect(alice).breakGoal(0))
+        .to.emit(bazuuSave, 'GoalBroken')
+        .withArgs(alice.address, 0, usdc(190), usdc(10));
+
+      expect(await token.balanceOf(treasury.address)).to.equal(usdc(10));
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(490));
+      expect((await bazuuSave.getGoal(alice.address, 0)).released).to.equal(true);
+      expect(await bazuuSave.getEarlyReleasePenalty(alice.address, 0)).to.equal(0n);
+    });
+
+    it('refunds members their contributions less the same penalty', async () => {
+      const { token, bazuuSave, alice, bob, treasury } = await loadFixture(goalFixture);
+
+      await bazuuSave.connect(alice).inviteGoalMember(0, bob.address);
+      await bazuuSave.connect(bob).acceptGoalInvite(alice.address, 0);
+      await bazuuSave.connect(bob).contributeToSharedGoal(alice.address, 0, usdc(100));
+
+      // 5% of Alice's 200 and of Bob's 100
+      expect(await bazuuSave.getEarlyReleasePenalty(alice.address, 0)).to.equal(usdc(15));
+
+      await expect(bazuuSave.connect(alice).breakGoal(0))
+        .to.emit(bazuuSave, 'GoalContributionRefunded')
+        .withArgs(alice.address, 0, bob.address, usdc(95))
+        .and.to.emit(bazuuSave, 'GoalBroken')
+        .withArgs(alice.address, 0, usdc(190), usdc(15));
+
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(490));
+      expect(await bazuuSave.getBalance(bob.address)).to.equal(usdc(495));
+      expect(await token.balanceOf(treasury.address)).to.equal(usdc(15));
+    });
+
+    it('sends unlocked goals to releaseGoal instead', async () => {
+      const { bazuuSave, alice } = await loadFixture(goalFixture);
+
+      await time.increase(30 * DAY);
+      await expect(bazuuSave.connect(alice).breakGoal(0)).to.be.revertedWith('Goal is unlocked, use releaseGoal');
+    });
+
+    it('rejects breaking a goal twice', async () => {
+      const { bazuuSave, alice } = await loadFixture(goalFixture);
+
+      await bazuuSave.connect(alice).breakGoal(0);
+
+      await expect(bazuuSave.connect(alice).breakGoal(0)).to.be.revertedWith('Goal already released');
+      await expect(bazuuSave.connect(alice).releaseGoal(0)).to.be.revertedWith('Goal already released');
+    });
+  });
+
+  describe('setEarlyReleasePenalty', () => {
+    it('caps the penalty', async () => {
+      const { bazuuSave } = await loadFixture(deployFixture);
+      const maximum = await bazuuSave.MAX_EARLY_RELEASE_PENALTY_BPS();
+
+      await expect(bazuuSave.setEarlyReleasePenalty(maximum))
+        .to.emit(bazuuSave, 'EarlyReleasePenaltyUpdated')
+        .withArgs(maximum);
+      await expect(bazuuSave.setEarlyReleasePenalty(maximum + 1n)).to.be.revertedWith('Penalty too high');
+    });
+  });
+});
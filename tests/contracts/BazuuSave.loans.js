@@ -0,0 +1,161 @@
+const { expect } = require('chai');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-toolbox/network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { usdc, deployFixture } = require('./fixtures');
+
+const DAY = 24 * 60 * 60;
+
+// Matches the contract's LoanStatus enum
+const LoanStatus = { None: 0n, Active: 1n, Repaid: 2n, Liquidated: 3n };
+
+describe('BazuuSave loans', () => {
+  // Alice saves 900 and keeps 100 in her wallet
+  const savingsFixture = async () => {
+    const contracts = await deployFixture();
+    await contracts.bazuuSave.connect(contracts.alice).deposit(usdc(900));
+    return contracts;
+  };
+
+  // Alice borrows 200 for 73 days at the default terms (50% loan-to-value, 10% a year):
+  // 4 interest and 400 collateral locked from her savings
+  const loanFixture = async () => {
+    const contracts = await savingsFixture();
+    await contracts.bazuuSave.connect(contracts.alice).requestLoan(usdc(200), 73);
+    return contracts;
+  };
+
+  describe('requestLoan', () => {
+    it('locks collateral and sends the principal', async () => {
+      const { token, bazuuSave, alice } = await loadFixture(savingsFixture);
+
+      const quote = await bazuuSave.getLoanQuote(usdc(200), 73);
+      expect(quote.interest).to.equal(usdc(4));
+      expect(quote.collateral).to.equal(usdc(400));
+
+      await expect(bazuuSave.connect(alice).requestLoan(usdc(200), 73))
+        .to.emit(bazuuSave, 'LoanRequested')
+        .withArgs(alice.address, 0, usdc(200), usdc(4), usdc(400), anyValue);
+
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(300));
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(500));
+      expect(await bazuuSave.hasActiveLoan(alice.address)).to.equal(true);
+      expect(await bazuuSave.getLoanOutstanding(alice.address, 0)).to.equal(usdc(204));
+    });
+
+    it('rejects a loan the savings can\'t collateralise', async () => {
+      const { bazuuSave, alice } = await loadFixture(savingsFixture);
+
+      const max = await bazuuSave.getMaxLoanAmount(alice.address, 73);
+      expect(max).to.equal(usdc(450));
+
+      await expect(bazuuSave.connect(alice).requestLoan(max + 1n, 73)).to.be.revertedWith('Insufficient balance');
+    });
+
+    it('rejects invalid durations', async () => {
+      const { bazuuSave, alice } = await loadFixture(savingsFixture);
+
+      await expect(bazuuSave.connect(alice).requestLoan(usdc(100), 0)).to.be.revertedWith('Invalid loan duration');
+      await expect(bazuuSave.connect(alice).requestLoan(usdc(100), 366)).to.be.revertedWith('Invalid loan duration');
+    });
+
+    it('allows one active loan at a time', async () => {
+      const { bazuuSave, alice } = await loadFixture(loanFixture);
+
+      expect(await bazuuSave.getMaxLoanAmount(alice.address, 73)).to.equal(0n);
+      await expect(bazuuSave.connect(alice).requestLoan(usdc(10), 73)).to.be.revertedWith('Loan already active');
+    });
+  });
+
+  describe('repayLoan', () => {
+    it('unlocks the collateral and pays the interest to the treasury once fully repaid', async () => {
+      const { token, bazuuSave, alice, treasury } = await loadFixture(loanFixture);
+
+      await expect(bazuuSave.connect(alice).repayLoan(usdc(100)))
+        .to.emit(bazuuSave, 'LoanRepaid')
+        .withArgs(alice.address, 0, usdc(100), usdc(104));
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(500));
+
+      await expect(bazuuSave.connect(alice).repayLoan(usdc(104)))
+        .to.emit(bazuuSave, 'LoanRepaid')
+        .withArgs(alice.address, 0, usdc(104), 0);
+
+      const loan = await bazuuSave.getLoan(alice.address, 0);
+      expect(loan.status).to.equal(LoanStatus.Repaid);
+      expect(await bazuuSave.hasActiveLoan(alice.address)).to.equal(false);
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(900));
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(96));
+      expect(await token.balanceOf(treasury.address)).to.equal(usdc(4));
+    });
+
+    it('rejects paying more than is owed', async () => {
+      const { bazuuSave, alice } = await loadFixture(loanFixture);
+
+      await expect(bazuuSave.connect(alice).repayLoan(usdc(205))).to.be.revertedWith('Amount exceeds outstanding loan');
+    });
+
+    it('repays from savings', async () => {
+      const { token, bazuuSave, alice, treasury } = await loadFixture(loanFixture);
+
+      await bazuuSave.connect(alice).repayLoanFromBalance(usdc(204));
+
+      expect(await bazuuSave.hasActiveLoan(alice.address)).to.equal(false);
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(696));
+      expect(await token.balanceOf(treasury.address)).to.equal(usdc(4));
+    });
+
+    it('rejects repaying without a loan', async () => {
+      const { bazuuSave, bob } = await loadFixture(loanFixture);
+
+      await expect(bazuuSave.connect(bob).repayLoan(usdc(1))).to.be.revertedWith('No active loan');
+    });
+  });
+
+  describe('liquidateLoan', () => {
+    it('waits for the grace period after the due date', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(loanFixture);
+
+      await time.increase(73 * DAY);
+      await expect(bazuuSave.connect(bob).liquidateLoan(alice.address)).to.be.revertedWith('Loan is not overdue');
+    });
+
+    it('settles an overdue loan from its collateral and returns the rest', async () => {
+      const { token, bazuuSave, alice, bob, treasury } = await loadFixture(loanFixture);
+
+      await bazuuSave.connect(alice).repayLoan(usdc(50));
+      await time.increase(81 * DAY);
+
+      await expect(bazuuSave.connect(bob).liquidateLoan(alice.address))
+        .to.emit(bazuuSave, 'LoanLiquidated')
+        .withArgs(alice.address, 0, usdc(154), usdc(246));
+
+      const loan = await bazuuSave.getLoan(alice.address, 0);
+      expect(loan.status).to.equal(LoanStatus.Liquidated);
+      expect(await bazuuSave.hasActiveLoan(alice.address)).to.equal(false);
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(746));
+      expect(await token.balanceOf(treasury.address)).to.equal(usdc(4));
+    });
+
+    it('rejects liquidating a repaid loan', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(loanFixture);
+
+      await bazuuSave.connect(alice).repayLoanFromBalance(usdc(204));
+      await time.increase(81 * DAY);
+
+      await expect(bazuuSave.connect(bob).liquidateLoan(alice.address)).to.be.revertedWith('No active loan');
+    });
+  });
+
+  describe('setLoanTerms', () => {
+    it('caps the loan-to-value ratio and interest rate', async () => {
+      const { bazuuSave, alice } = await loadFixture(deployFixture);
+
+      await expect(bazuuSave.setLoanTerms(8000, 2000))
+        .to.emit(bazuuSave, 'LoanTermsUpdated')
+        .withArgs(8000, 2000);
+      await expect(bazuuSave.setLoanTerms(8001, 1000)).to.be.revertedWith('Loan-to-value too high');
+      await expect(bazuuSave.setLoanTerms(5000, 2001)).to.be.revertedWith('Interest rate too high');
+      await expect(bazuuSave.connect(alice).setLoanTerms(5000, 1000))
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-toolbox/network-helpers');
+const { usdc, deployFixture, deployMigratingFixture } = require('./fixtures');
+
+// ERC-1967 slot holding the proxy's implementation address
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// Goal in the shape seedGoals takes
+const buildGoal = (owner, id, fields = {}) => ({
+  id,
+  owner,
+  name: `Goal ${id}`,
+  targetAmount: usdc(500),
+  currentAmount: usdc(200),
+  deadline: 0n,
+  completed: false,
+  released: false,
+  ...fields
+});
+
+describe('BazuuSave migration and upgrades', () => {
+  // Alice and Bob's balances and Alice's goals are seeded: 700 of savings, 200 still in goals
+  const seededFixture = async () => {
+    const contracts = await deployMigratingFixture();
+    const { bazuuSave, alice, bob } = contracts;
+    const deadline = BigInt(await time.latest()) + 30n * 24n * 60n * 60n;
+
+    await bazuuSave.seedBalances([alice.address, bob.address], [usdc(300), usdc(400)]);
+    await bazuuSave.seedGoals(alice.address, [
+      buildGoal(alice.address, 0, { deadline }),
+      buildGoal(alice.address, 1, { currentAmount: 0n, released: true })
+    ]);
+
+    return contracts;
+  };
+
+  // The seeded amounts are backed and the migration closed
+  const closedFixture = async () => {
+    const contracts = await seededFixture();
+    const { token, bazuuSave } = contracts;
+
+    await token.mint(await bazuuSave.getAddress(), usdc(900));
+    await bazuuSave.closeMigration();
+
+    return contracts;
+  };
+
+  describe('seeding', () => {
+    it('rejects user calls until the migration is closed', async () => {
+      const { bazuuSave, alice } = await loadFixture(seededFixture);
+
+      await expect(bazuuSave.connect(alice).deposit(usdc(10))).to.be.revertedWith('Migration is open');
+      await expect(bazuuSave.connect(alice).withdraw(usdc(10))).to.be.revertedWith('Migration is open');
+      await expect(bazuuSave.connect(alice).breakGoal(0)).to.be.revertedWith('Migration is open');
+    });
+
+    it('seeds balances and goals, counting only unreleased goal funds', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(seededFixture);
+
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(300));
+      expect(await bazuuSave.getBalance(bob.address)).to.equal(usdc(400));
+      expect(await bazuuSave.totalUserBalances()).to.equal(usdc(700));
+      expect(await bazuuSave.getGoalCount(alice.address)).to.equal(2n);
+      expect((await bazuuSave.getGoal(alice.address, 0)).currentAmount).to.equal(usdc(200));
+      expect(await bazuuSave.migratedGoalFunds()).to.equal(usdc(200));
+    });
+
+    it('overwrites a balance that is seeded again', async () => {
+      const { bazuuSave, alice } = await loadFixture(seededFixture);
+
+      await expect(bazuuSave.seedBalances([alice.address], [usdc(350)]))
+        .to.emit(bazuuSave, 'BalanceSeeded')
+        .withArgs(alice.address, usdc(350));
+
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(350));
+      expect(await bazuuSave.totalUserBalances()).to.equal(usdc(750));
+    });
+
+    it('rejects goals that are already seeded, out of order or not the user\'s', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(seededFixture);
+
+      await expect(bazuuSave.seedGoals(alice.address, [buildGoal(alice.address, 0)]))
+        .to.be.revertedWith('Goals already seeded');
+      await expect(bazuuSave.seedGoals(bob.address, [buildGoal(bob.address, 1)]))
+        .to.be.revertedWith('Goals must be the user\'s, in ID order');
+      await expect(bazuuSave.seedGoals(bob.address, [buildGoal(alice.address, 0)]))
+        .to.be.revertedWith('Goals must be the user\'s, in ID order');
+    });
+
+    it('rejects mismatched batches and non-admins', async () => {
+      const { bazuuSave, alice } = await loadFixture(seededFixture);
+
+      await expect(bazuuSave.seedBalances([alice.address], [])).to.be.revertedWith('Length mismatch');
+      await expect(bazuuSave.connect(alice).seedBalances([alice.address], [usdc(1000)]))
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+      await expect(bazuuSave.connect(alice).closeMigration())
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+    });
+
+    it('rejects seeding a contract that was not deployed for a migration', async () => {
+      const { bazuuSave, alice } = await loadFixture(deployFixture);
+
+      await expect(bazuuSave.seedBalances([alice.address], [usdc(100)])).to.be.revertedWith('Migration is closed');
+      await expect(bazuuSave.seedGoals(alice.address, [])).to.be.revertedWith('Migration is closed');
+    });
+  });
+
+  describe('closeMigration', () => {
+    it('waits until the seeded amounts are backed by USDC', async () => {
+      const { token, bazuuSave } = await loadFixture(seededFixture);
+
+      await token.mint(await bazuuSave.getAddress(), usdc(899));
+      await expect(bazuuSave.closeMigration()).to.be.revertedWith('Migration is not fully funded');
+
+      await token.mint(await bazuuSave.getAddress(), usdc(1));
+      await expect(bazuuSave.closeMigration())
+        .to.emit(bazuuSave, 'MigrationClosed')
+        .withArgs(usdc(700), usdc(200));
+      expect(await bazuuSave.migrationOpen()).to.equal(false);
+    });
+
+    it('opens the contract to users and stops further seeding', async () => {
+      const { token, bazuuSave, alice } = await loadFixture(closedFixture);
+
+      await expect(bazuuSave.seedBalances([alice.address], [usdc(1)])).to.be.revertedWith('Migration is closed');
+      await expect(bazuuSave.closeMigration()).to.be.revertedWith('Migration is closed');
+
+      await bazuuSave.connect(alice).withdraw(usdc(300));
+      await time.increase(30 * 24 * 60 * 60);
+      await expect(bazuuSave.connect(alice).releaseGoal(0))
+        .to.emit(bazuuSave, 'GoalReleased')
+        .withArgs(alice.address, 0, usdc(200));
+      await expect(bazuuSave.connect(alice).releaseGoal(1)).to.be.revertedWith('Goal already released');
+
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(1300));
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(200));
+    });
+  });
+
+  describe('upgrades', () => {
+    it('upgrades the implementation and keeps the migrated state', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(closedFixture);
+      const nextImplementation = await ethers.deployContract('BazuuSave');
+
+      await expect(bazuuSave.upgradeToAndCall(await nextImplementation.getAddress(), '0x'))
+        .to.emit(bazuuSave, 'Upgraded')
+        .withArgs(await nextImplementation.getAddress());
+
+      const slot = await ethers.provider.getStorage(await bazuuSave.getAddress(), IMPLEMENTATION_SLOT);
+      expect(ethers.getAddress(ethers.dataSlice(slot, 12))).to.equal(await nextImplementation.getAddress());
+      expect(await bazuuSave.migrationOpen()).to.equal(false);
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(usdc(300));
+      expect(await bazuuSave.getBalance(bob.address)).to.equal(usdc(400));
+      expect((await bazuuSave.getGoal(alice.address, 0)).currentAmount).to.equal(usdc(200));
+
+      await expect(bazuuSave.connect(bob).withdraw(usdc(400))).to.emit(bazuuSave, 'Withdrawn');
+    });
+
+    it('only lets the default admin upgrade', async () => {
+      const { bazuuSave, alice } = await loadFixture(closedFixture);
+      const nextImplementation = await ethers.deployContract('BazuuSave');
+
+      await expect(bazuuSave.connect(alice).upgradeToAndCall(await nextImplementation.getAddress(), '0x'))
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+    });
+
+    it('cannot be initialized again, through the proxy or on the implementation', async () => {
+      const { token, bazuuSave, alice } = await loadFixture(closedFixture);
+      const implementation = await ethers.deployContract('BazuuSave');
+
+      await expect(bazuuSave.initialize(await token.getAddress(), alice.address, true))
+        .to.be.revertedWithCustomError(bazuuSave, 'InvalidInitialization');
+      await expect(implementation.initialize(await token.getAddress(), alice.address, true))
+        .to.be.revertedWithCustomError(implementation, 'InvalidInitialization');
+    });
+  });
+});
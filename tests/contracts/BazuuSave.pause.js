@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-toolbox/network-helpers');
+const { usdc, deployFixture } = require('./fixtures');
+
+describe('BazuuSave pause and emergency exit', () => {
+  // Alice has 300 in savings and 200 in a locked goal; Bob is a member who put 100 into it
+  const accountsFixture = async () => {
+    const contracts = await deployFixture();
+    const { bazuuSave, alice, bob } = contracts;
+
+    await bazuuSave.connect(alice).deposit(usdc(500));
+    await bazuuSave.connect(bob).deposit(usdc(500));
+    await bazuuSave.connect(alice).createGoal('Land', usdc(1000), 365);
+    await bazuuSave.connect(alice).contributeToGoal(0, usdc(200));
+    await bazuuSave.connect(alice).inviteGoalMember(0, bob.address);
+    await bazuuSave.connect(bob).acceptGoalInvite(alice.address, 0);
+    await bazuuSave.connect(bob).contributeToSharedGoal(alice.address, 0, usdc(100));
+
+    return contracts;
+  };
+
+  const pausedFixture = async () => {
+    const contracts = await accountsFixture();
+    await contracts.bazuuSave.pause();
+    return contracts;
+  };
+
+  describe('pause', () => {
+    it('only lets pausers pause', async () => {
+      const { bazuuSave, alice } = await loadFixture(accountsFixture);
+
+      await expect(bazuuSave.connect(alice).pause())
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+    });
+
+    it('stops deposits and new loans but not withdrawals or repayments', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(accountsFixture);
+      await bazuuSave.connect(bob).requestLoan(usdc(100), 30);
+      await bazuuSave.pause();
+
+      await expect(bazuuSave.connect(alice).deposit(usdc(10)))
+        .to.be.revertedWithCustomError(bazuuSave, 'EnforcedPause');
+      await expect(bazuuSave.connect(alice).requestLoan(usdc(10), 30))
+        .to.be.revertedWithCustomError(bazuuSave, 'EnforcedPause');
+
+      await expect(bazuuSave.connect(alice).withdraw(usdc(100))).to.emit(bazuuSave, 'Withdrawn');
+      await expect(bazuuSave.connect(bob).repayLoanFromBalance(await bazuuSave.getLoanOutstanding(bob.address, 0)))
+        .to.emit(bazuuSave, 'LoanRepaid');
+    });
+
+    it('allows deposits again once unpaused', async () => {
+      const { bazuuSave, alice } = await loadFixture(pausedFixture);
+
+      await bazuuSave.unpause();
+      await expect(bazuuSave.connect(alice).deposit(usdc(10))).to.emit(bazuuSave, 'Deposited');
+    });
+  });
+
+  describe('emergencyExit', () => {
+    it('is only available while paused', async () => {
+      const { bazuuSave, alice } = await loadFixture(accountsFixture);
+
+      await expect(bazuuSave.connect(alice).emergencyExit())
+        .to.be.revertedWithCustomError(bazuuSave, 'ExpectedPause');
+    });
+
+    it('pays out savings and unreleased goals without the early release penalty', async () => {
+      const { token, bazuuSave, alice, treasury } = await loadFixture(pausedFixture);
+
+      expect(await bazuuSave.getEmergencyExitAmount(alice.address)).to.equal(usdc(500));
+
+      await expect(bazuuSave.connect(alice).emergencyExit())
+        .to.emit(bazuuSave, 'GoalReleased')
+        .withArgs(alice.address, 0, usdc(200))
+        .and.to.emit(bazuuSave, 'EmergencyExit')
+        .withArgs(alice.address, usdc(500));
+
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(1000));
+      expect(await token.balanceOf(treasury.address)).to.equal(0n);
+      expect(await bazuuSave.getBalance(alice.address)).to.equal(0n);
+      expect((await bazuuSave.getGoal(alice.address, 0)).released).to.equal(true);
+    });
+
+    it('gives members their contributions back in full', async () => {
+      const { bazuuSave, alice, bob } = await loadFixture(pausedFixture);
+
+      await expect(bazuuSave.connect(alice).emergencyExit())
+        .to.emit(bazuuSave, 'GoalContributionRefunded')
+        .withArgs(alice.address, 0, bob.address, usdc(100));
+
+      expect(await bazuuSave.getBalance(bob.address)).to.equal(usdc(500));
+    });
+
+    it('rejects an empty account', async () => {
+      const { bazuuSave, alice, carol } = await loadFixture(pausedFixture);
+
+      await expect(bazuuSave.connect(carol).emergencyExit()).to.be.revertedWith('Nothing to withdraw');
+
+      await bazuuSave.connect(alice).emergencyExit();
+      await expect(bazuuSave.connect(alice).emergencyExit()).to.be.revertedWith('Nothing to withdraw');
+    });
+
+    it('keeps loan collateral locked until the loan is repaid', async () => {
+      const { token, bazuuSave, bob } = await loadFixture(accountsFixture);
+      // Bob's 400 of savings: 100 borrowed against 200 collateral
+      await bazuuSave.connect(bob).requestLoan(usdc(100), 30);
+      await bazuuSave.pause();
+
+      await expect(bazuuSave.connect(bob).emergencyExit())
+        .to.emit(bazuuSave, 'EmergencyExit')
+        .withArgs(bob.address, usdc(200));
+      expect(await bazuuSave.hasActiveLoan(bob.address)).to.equal(true);
+
+      // Repaying from the wallet unlocks the collateral, which can then be taken out too
+      await bazuuSave.connect(bob).repayLoan(await bazuuSave.getLoanOutstanding(bob.address, 0));
+      await expect(bazuuSave.connect(bob).emergencyExit())
+        .to.emit(bazuuSave, 'EmergencyExit')
+        .withArgs(bob.address, usdc(200));
+      expect(await bazuuSave.getBalance(bob.address)).to.equal(0n);
+      // Only Alice's savings and goal are left
+      expect(await token.balanceOf(await bazuuSave.getAddress())).to.equal(usdc(600));
+    });
+
+    it('pulls funds from the strategy and leaves unreported profit behind', async () => {
+      const { token, bazuuSave, vault, alice } = await loadFixture(accountsFixture);
+      await bazuuSave.setStrategy(await vault.getAddress());
+      await bazuuSave.rebalance();
+      await token.mint(await vault.getAddress(), usdc(100));
+      await bazuuSave.pause();
+
+      expect(await bazuuSave.getAccruedYield(alice.address)).to.be.greaterThan(0n);
+      expect(await bazuuSave.getEmergencyExitAmount(alice.address)).to.equal(usdc(500));
+
+      await expect(bazuuSave.connect(alice).emergencyExit())
+        .to.emit(bazuuSave, 'EmergencyExit')
+        .withArgs(alice.address, usdc(500));
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(1000));
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-toolbox/network-helpers');
+const { usdc, deployFixture } = require('./fixtures');
+
+// The mock vault rounds share prices down, so yield can come out a unit short
+const DUST = 10n;
+
+describe('BazuuSave yield strategy', () => {
+  // Alice holds 60% and Bob 40% of savings; 800 of the 1,000 is invested, 200 kept idle
+  const investedFixture = async () => {
+    const contracts = await deployFixture();
+    const { bazuuSave, vault, alice, bob } = contracts;
+
+    await bazuuSave.connect(alice).deposit(usdc(600));
+    await bazuuSave.connect(bob).deposit(usdc(400));
+    await bazuuSave.setStrategy(await vault.getAddress());
+    await bazuuSave.rebalance();
+
+    return contracts;
+  };
+
+  describe('rebalance', () => {
+    it('invests savings above the liquidity buffer', async () => {
+      const { token, bazuuSave, vault } = await loadFixture(investedFixture);
+
+      const info = await bazuuSave.getStrategyInfo();
+      expect(info.vault).to.equal(await vault.getAddress());
+      expect(info.assets).to.equal(usdc(800));
+      expect(info.idle).to.equal(usdc(200));
+      expect(await token.balanceOf(await vault.getAddress())).to.equal(usdc(800));
+    });
+
+    it('only lets admins rebalance', async () => {
+      const { bazuuSave, alice } = await loadFixture(investedFixture);
+
+      await expect(bazuuSave.connect(alice).rebalance())
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+    });
+  });
+
+  describe('yield', () => {
+    it('shares vault gains across savers by balance and credits them on withdraw', async () => {
+      const { token, bazuuSave, vault, alice, bob } = await loadFixture(investedFixture);
+
+      await token.mint(await vault.getAddress(), usdc(100));
+
+      expect(await bazuuSave.getAccruedYield(alice.address)).to.be.closeTo(usdc(60), DUST);
+      expect(await bazuuSave.getAccruedYield(bob.address)).to.be.closeTo(usdc(40), DUST);
+
+      await expect(bazuuSave.harvest()).to.emit(bazuuSave, 'YieldHarvested');
+      expect((await bazuuSave.getStrategyInfo()).assets).to.be.closeTo(usdc(900), DUST);
+      expect(await bazuuSave.getBalance(alice.address)).to.be.closeTo(usdc(660), DUST);
+
+      // Only 200 is idle, so the rest of the withdrawal is pulled from the vault
+      await bazuuSave.connect(alice).withdraw(usdc(650));
+
+      expect(await token.balanceOf(alice.address)).to.equal(usdc(1050));
+      expect(await bazuuSave.userBalances(alice.address)).to.be.closeTo(usdc(10), DUST);
+      expect(await bazuuSave.getAccruedYield(alice.address)).to.equal(0n);
+      expect(await bazuuSave.getTotalYieldEarned(alice.address)).to.be.closeTo(usdc(60), DUST);
+
+      const info = await bazuuSave.getStrategyInfo();
+      expect(info.idle).to.equal(0n);
+      expect(info.assets).to.be.closeTo(usdc(450), DUST);
+    });
+
+    it('does not give yield to savings deposited after the gain', async () => {
+      const { token, bazuuSave, vault, carol } = await loadFixture(investedFixture);
+
+      await token.mint(await vault.getAddress(), usdc(100));
+      await bazuuSave.connect(carol).deposit(usdc(500));
+
+      expect(await bazuuSave.getAccruedYield(carol.address)).to.equal(0n);
+      expect(await bazuuSave.getBalance(carol.address)).to.equal(usdc(500));
+    });
+  });
+
+  describe('setStrategy', () => {
+    it('moves everything out of the old vault when switching', async () => {
+      const { token, bazuuSave, vault } = await loadFixture(investedFixture);
+      const nextVault = await ethers.deployContract('MockVault', [await token.getAddress()]);
+
+      await token.mint(await vault.getAddress(), usdc(100));
+      await expect(bazuuSave.setStrategy(await nextVault.getAddress()))
+        .to.emit(bazuuSave, 'StrategyUpdated')
+        .withArgs(await nextVault.getAddress());
+
+      // The gain is harvested on the way out and the old vault's allowance revoked
+      expect(await vault.balanceOf(await bazuuSave.getAddress())).to.equal(0n);
+      expect(await token.allowance(await bazuuSave.getAddress(), await vault.getAddress())).to.equal(0n);
+      expect(await bazuuSave.yieldIndex()).to.be.greaterThan(ethers.parseUnits('1', 18));
+
+      let info = await bazuuSave.getStrategyInfo();
+      expect(info.assets).to.equal(0n);
+      expect(info.idle).to.be.closeTo(usdc(1100), DUST);
+
+      await bazuuSave.rebalance();
+      info = await bazuuSave.getStrategyInfo();
+      expect(info.vault).to.equal(await nextVault.getAddress());
+      expect(await token.balanceOf(await nextVault.getAddress())).to.equal(info.assets);
+    });
+
+    it('disables the strategy when set to the zero address', async () => {
+      const { bazuuSave } = await loadFixture(investedFixture);
+
+      await bazuuSave.setStrategy(ethers.ZeroAddress);
+
+      const info = await bazuuSave.getStrategyInfo();
+      expect(info.vault).to.equal(ethers.ZeroAddress);
+      expect(info.idle).to.equal(usdc(1000));
+      await expect(bazuuSave.rebalance()).to.be.revertedWith('No strategy set');
+    });
+
+    it('rejects a vault that does not hold USDC', async () => {
+      const { bazuuSave } = await loadFixture(investedFixture);
+      const otherToken = await ethers.deployContract('MockUSDC');
+      const otherVault = await ethers.deployContract('MockVault', [await otherToken.getAddress()]);
+
+      await expect(bazuuSave.setStrategy(await otherVault.getAddress()))
+        .to.be.revertedWith('Strategy asset must be USDC');
+    });
+  });
+
+  describe('setLiquidityBuffer', () => {
+    it('accepts buffers between the minimum and 100%', async () => {
+      const { bazuuSave } = await loadFixture(deployFixture);
+      const minimum = await bazuuSave.MIN_LIQUIDITY_BUFFER_BPS();
+
+      await expect(bazuuSave.setLiquidityBuffer(minimum))
+        .to.emit(bazuuSave, 'LiquidityBufferUpdated')
+        .withArgs(minimum);
+      await bazuuSave.setLiquidityBuffer(10000);
+      expect(await bazuuSave.liquidityBufferBps()).to.equal(10000n);
+    });
+
+    it('rejects buffers outside the bounds', async () => {
+      const { bazuuSave } = await loadFixture(deployFixture);
+      const minimum = await bazuuSave.MIN_LIQUIDITY_BUFFER_BPS();
+
+      await expect(bazuuSave.setLiquidityBuffer(minimum - 1n)).to.be.revertedWith('Invalid liquidity buffer');
+      await expect(bazuuSave.setLiquidityBuffer(10001)).to.be.revertedWith('Invalid liquidity buffer');
+    });
+
+    it('only lets admins change the buffer', async () => {
+      const { bazuuSave, alice } = await loadFixture(deployFixture);
+
+      await expect(bazuuSave.connect(alice).setLiquidityBuffer(5000))
+        .to.be.revertedWithCustomError(bazuuSave, 'AccessControlUnauthorizedAccount');
+    });
+
+    it('pulls funds back from the vault when the buffer is raised', async () => {
+      const { bazuuSave } = await loadFixture(investedFixture);
+
+      await bazuuSave.setLiquidityBuffer(5000);
+      await expect(bazuuSave.rebalance())
+        .to.emit(bazuuSave, 'StrategyRebalanced')
+        .withArgs(0n, usdc(300));
+
+      const info = await bazuuSave.getStrategyInfo();
+      expect(info.assets).to.equal(usdc(500));
+      expect(info.idle).to.equal(usdc(500));
+    });
+  });
+});
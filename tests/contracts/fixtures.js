@@ -0,0 +1,57 @@
+/**
+ * Contract test fixtures
+ * Deploys BazuuSave behind its proxy the way scripts/deploy.js does, with MockUSDC and a
+ * MockVault strategy, and funds a few savers. Used with loadFixture so every test starts
+ * from the same snapshot.
+ */
+
+const { ethers } = require('hardhat');
+
+// USDC has 6 decimals
+const usdc = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+/**
+ * Deploy BazuuSave through BazuuSaveProxy
+ * @param {string} usdcAddress - USDC token address
+ * @param {string} treasury - Treasury address
+ * @param {boolean} migrating - Deploy with the migration open
+ * @returns {Promise<ethers.Contract>} BazuuSave at the proxy address
+ */
+const deployBazuuSave = async (usdcAddress, treasury, migrating = false) => {
+  const implementation = await ethers.deployContract('BazuuSave');
+  const initData = implementation.interface.encodeFunctionData('initialize', [usdcAddress, treasury, migrating]);
+  const proxy = await ethers.deployContract('BazuuSaveProxy', [await implementation.getAddress(), initData]);
+  return ethers.getContractAt('BazuuSave', await proxy.getAddress());
+};
+
+/**
+ * Deploy MockUSDC, BazuuSave and a MockVault, and give each saver 1,000 USDC approved
+ * for BazuuSave
+ * @param {Object} options - Options (migrating)
+ * @returns {Promise<Object>} Contracts and signers
+ */
+const deploy = async ({ migrating = false } = {}) => {
+  const [admin, treasury, alice, bob, carol] = await ethers.getSigners();
+
+  const token = await ethers.deployContract('MockUSDC');
+  const bazuuSave = await deployBazuuSave(await token.getAddress(), treasury.address, migrating);
+  const vault = await ethers.deployContract('MockVault', [await token.getAddress()]);
+
+  for (const saver of [alice, bob, carol]) {
+    await token.mint(saver.address, usdc(1000));
+    await token.connect(saver).approve(await bazuuSave.getAddress(), ethers.MaxUint256);
+  }
+
+  return { token, bazuuSave, vault, admin, treasury, alice, bob, carol };
+};
+
+// loadFixture needs named functions to tell fixtures apart
+const deployFixture = () => deploy();
+const deployMigratingFixture = () => deploy({ migrating: true });
+
+module.exports = {
+  usdc,
+  deployBazuuSave,
+  deployFixture,
+  deployMigratingFixture
+};
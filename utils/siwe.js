@@ -0,0 +1,192 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) Utilities
+ * Parse, build and validate SIWE messages
+ *
+ *
+ */
+
+const { ethers } = require('ethers');
+
+// Allowed clock skew when checking message timestamps
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Tagged fields in the order EIP-4361 requires, mapped to parsed property names
+const FIELDS = [
+  ['URI', 'uri'],
+  ['Version', 'version'],
+  ['Chain ID', 'chainId'],
+  ['Nonce', 'nonce'],
+  ['Issued At', 'issuedAt'],
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+/**
+ * Parse a SIWE message into its fields
+ * @param {string} message - Raw SIWE message
+ * @returns {Object} Parsed message fields
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('SIWE message must be a string');
+  }
+
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+  // Header and address
+  const header = lines.shift();
+  if (!header || !header.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message header');
+  }
+  const domain = header.slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  const address = lines.shift();
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error('Invalid SIWE message address');
+  }
+
+  // Optional statement between blank lines, up to the URI field
+  const statementLines = [];
+  while (lines.length > 0 && !lines[0].startsWith('URI: ')) {
+    const line = lines.shift();
+    if (line !== '') {
+      statementLines.push(line);
+    }
+  }
+
+  const parsed = {
+    domain,
+    address,
+    statement: statementLines.length > 0 ? statementLines.join('\n') : undefined,
+    resources: []
+  };
+
+  // Tagged fields must appear in order
+  let fieldIndex = 0;
+  while (lines.length > 0) {
+    const line = lines.shift();
+    if (line === 'Resources:') {
+      while (lines.length > 0 && lines[0].startsWith('- ')) {
+        parsed.resources.push(lines.shift().slice(2));
+      }
+      break;
+    }
+
+    let matched = false;
+    while (fieldIndex < FIELDS.length) {
+      const [tag, key] = FIELDS[fieldIndex++];
+      if (line.startsWith(`${tag}: `)) {
+        parsed[key] = line.slice(tag.length + 2);
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      throw new Error(`Unexpected line in SIWE message: ${line}`);
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter((key) => !parsed[key]);
+  if (missing.length > 0) {
+    throw new Error(`SIWE message is missing: ${missing.join(', ')}`);
+  }
+
+  parsed.chainId = Number(parsed.chainId);
+  return parsed;
+};
+
+/**
+ * Build a SIWE message from its fields
+ * @param {Object} fields - Message fields (domain, address, statement, uri, version, chainId, nonce, issuedAt, ...)
+ * @returns {string} SIWE message
+ */
+const buildSiweMessage = (fields) => {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    fields.address,
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement);
+  }
+  lines.push('');
+
+  for (const [tag, key] of FIELDS) {
+    if (fields[key] !== undefined && fields[key] !== null) {
+      lines.push(`${tag}: ${fields[key]}`);
+    }
+  }
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:');
+    fields.resources.forEach((resource) => lines.push(`- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Validate a parsed SIWE message and its signature
+ * @param {Object} parsed - Parsed message from parseSiweMessage
+ * @param {string} message - Raw signed message
+ * @param {string} signature - Signature of the message
+ * @param {Object} expected - Expected domain, chainId and nonce
+ * @returns {string} Checksummed signer address
+ */
+const validateSiweMessage = (parsed, message, signature, expected) => {
+  const now = Date.now();
+
+  if (parsed.domain !== expected.domain) {
+    throw new Error('SIWE domain mismatch');
+  }
+
+  if (parsed.version !== '1') {
+    throw new Error('Unsupported SIWE version');
+  }
+
+  if (parsed.chainId !== Number(expected.chainId)) {
+    throw new Error('SIWE chain ID mismatch');
+  }
+
+  if (parsed.nonce !== expected.nonce) {
+    throw new Error('SIWE nonce mismatch');
+  }
+
+  const issuedAt = Date.parse(parsed.issuedAt);
+  if (isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) {
+    throw new Error('Invalid SIWE issued at time');
+  }
+
+  if (parsed.expirationTime) {
+    const expirationTime = Date.parse(parsed.expirationTime);
+    if (isNaN(expirationTime) || expirationTime <= now) {
+      throw new Error('SIWE message has expired');
+    }
+  }
+
+  if (parsed.notBefore) {
+    const notBefore = Date.parse(parsed.notBefore);
+    if (isNaN(notBefore) || notBefore > now + CLOCK_SKEW_MS) {
+      throw new Error('SIWE message is not yet valid');
+    }
+  }
+
+  const recovered = ethers.verifyMessage(message, signature);
+  if (recovered.toLowerCase() !== parsed.address.toLowerCase()) {
+    throw new Error('SIWE signature does not match address');
+  }
+
+  return ethers.getAddress(parsed.address);
+};
+
+module.exports = {
+  parseSiweMessage,
+  buildSiweMessage,
+  validateSiweMessage
+};